@@ -0,0 +1,115 @@
+// 审计日志：保存脱敏后的完整请求和响应到 R2，通过 /_admin/audit 查询和重放
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWorker, createR2, mockUpstream, sse, streamResponse, anthropicMessage, anthropicStreamEvents } from './helpers.js';
+
+const ADMIN_KEY = 'admin-key-0123456789';
+const CLIENT_KEY = 'sk-proxy-alice-0123456789';
+const body = { model: 'claude-sonnet-4-5', max_tokens: 16, messages: [{ role: 'user', content: 'hi' }] };
+
+describe('审计日志', () => {
+  let upstream;
+  let worker;
+  let bucket;
+
+  beforeEach(async () => {
+    upstream = mockUpstream(call => (JSON.parse(call.body || '{}').stream
+      ? streamResponse([sse(anthropicStreamEvents({ text: 'streamed' }))])
+      : Response.json(anthropicMessage({ text: 'hello' }))));
+    bucket = createR2();
+    worker = await createWorker({
+      vars: {
+        AUDIT_ENABLED: 'true',
+        ADMIN_KEY,
+        AUTH_ENABLED: 'true',
+        UPSTREAM_API_KEY: 'sk-upstream',
+        PROXY_API_KEYS: JSON.stringify({ alice: CLIENT_KEY }),
+      },
+      bindings: { AUDIT_BUCKET: bucket },
+    });
+  });
+  afterEach(() => upstream.restore());
+
+  async function send(json, headers = { 'x-api-key': CLIENT_KEY }) {
+    const response = await worker.fetch('/v1/messages', { json, headers });
+    await response.arrayBuffer();
+    await worker.settle();
+    return response;
+  }
+
+  function admin(path, init = {}) {
+    return worker.fetch(path, { ...init, headers: { 'x-admin-key': ADMIN_KEY, ...init.headers } });
+  }
+
+  async function findEntry(requestId) {
+    const { entries } = await (await admin(`/_admin/audit?requestId=${requestId}`)).json();
+    assert.equal(entries.length, 1);
+    return (await admin(`/_admin/audit/${entries[0].id}`)).json();
+  }
+
+  it('保存请求和响应，请求头中的密钥和请求体中的敏感内容被替换', async () => {
+    const response = await send(
+      { ...body, messages: [{ role: 'user', content: 'mail me at alice@example.com' }] },
+      { 'x-api-key': CLIENT_KEY, 'x-request-id': 'client-1' },
+    );
+    assert.equal(bucket.objects.size, 1);
+
+    const entry = await findEntry(response.headers.get('X-Request-Id'));
+    assert.match(entry.id, /^\d{4}-\d{2}-\d{2}_[0-9a-f-]{36}$/);
+    assert.equal(entry.clientId, 'alice');
+    assert.equal(entry.clientRequestId, 'client-1');
+    assert.equal(entry.request.headers['x-api-key'], '***');
+    assert.equal(entry.request.body.messages[0].content, 'mail me at [EMAIL]');
+    assert.equal(entry.request.scrubbed, true);
+    assert.equal(entry.response.status, 200);
+    assert.equal(entry.response.mirror, 'https://a.test');
+    assert.equal(entry.response.body.content[0].text, 'hello');
+  });
+
+  it('流式响应在结束后重新组装为完整消息', async () => {
+    const response = await send({ ...body, stream: true });
+    const entry = await findEntry(response.headers.get('X-Request-Id'));
+    assert.equal(entry.response.stream, true);
+    assert.equal(entry.response.completed, true);
+    assert.equal(entry.response.body.content[0].text, 'streamed');
+  });
+
+  it('按原请求的认证头风格重放，并比较消息内容', async () => {
+    for (const [headers, expected] of [
+      [{ authorization: `Bearer ${CLIENT_KEY}` }, { authorization: 'Bearer sk-upstream', 'x-api-key': null }],
+      [{ 'x-api-key': CLIENT_KEY }, { authorization: null, 'x-api-key': 'sk-upstream' }],
+    ]) {
+      const response = await send(body, headers);
+      const entry = await findEntry(response.headers.get('X-Request-Id'));
+      assert.equal(entry.request.scrubbed, false);
+
+      const replayed = await admin(`/_admin/audit/${entry.id}/replay`, { method: 'POST', body: JSON.stringify({ mirror: 'https://b.test' }) });
+      assert.equal(replayed.status, 200);
+      const result = await replayed.json();
+      assert.equal(result.mirror, 'https://b.test');
+      assert.equal(result.replay.status, 200);
+      assert.equal(result.sameContent, true);
+
+      const call = upstream.calls.at(-1);
+      assert.equal(call.url, 'https://b.test/v1/messages');
+      assert.deepEqual(call.json(), body);
+      assert.equal(call.headers.get('authorization'), expected.authorization);
+      assert.equal(call.headers.get('x-api-key'), expected['x-api-key']);
+    }
+  });
+
+  it('请求体被脱敏过的记录不能重放', async () => {
+    const response = await send({ ...body, messages: [{ role: 'user', content: 'token sk-ant-REDACTED' }] });
+    const entry = await findEntry(response.headers.get('X-Request-Id'));
+    const calls = upstream.calls.length;
+
+    const replayed = await admin(`/_admin/audit/${entry.id}/replay`, { method: 'POST' });
+    assert.equal(replayed.status, 400);
+    assert.match((await replayed.json()).error.message, /脱敏/);
+    assert.equal(upstream.calls.length, calls);
+  });
+
+  it('审计接口需要管理员 Key', async () => {
+    assert.equal((await worker.fetch('/_admin/audit')).status, 401);
+  });
+});
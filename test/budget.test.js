@@ -0,0 +1,85 @@
+// 预算控制：按已记录的用量拒绝超过硬上限的请求，达到软阈值时告警
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWorker, mockUpstream, anthropicMessage } from './helpers.js';
+
+const body = { model: 'claude-test-1', max_tokens: 16, messages: [{ role: 'user', content: 'hi' }] };
+const KEYS = { alice: 'sk-proxy-alice-0123456789', bob: 'sk-proxy-bob-0123456789' };
+const WEBHOOK_URL = 'https://hooks.test/budget';
+
+describe('预算控制', () => {
+  let upstream;
+  afterEach(() => upstream.restore());
+
+  /**
+   * 每次请求消耗 100 输入 + 50 输出 Token，按 1 / 2 美元每百万 Token 计费
+   */
+  async function createBudgetWorker(budget) {
+    upstream = mockUpstream(call => (call.url === WEBHOOK_URL
+      ? new Response(null, { status: 204 })
+      : Response.json(anthropicMessage({ model: 'claude-test-1', usage: { input_tokens: 100, output_tokens: 50 } }))));
+    return createWorker({
+      vars: { AUTH_ENABLED: 'true', UPSTREAM_API_KEY: 'sk-upstream', PROXY_API_KEYS: JSON.stringify(KEYS), USAGE_TRACKING_ENABLED: 'true', BUDGET_ENABLED: 'true' },
+      config: { budget: { prices: { 'claude-test': { input: 1, output: 2 } }, cacheTtl: 0, ...budget } },
+      durableObjects: ['USAGE_TRACKER'],
+    });
+  }
+
+  async function send(worker, client = 'alice', method = 'POST') {
+    const response = method === 'POST'
+      ? await worker.fetch('/v1/messages', { json: body, headers: { 'x-api-key': KEYS[client] } })
+      : await worker.fetch('/v1/models', { headers: { 'x-api-key': KEYS[client] } });
+    await response.arrayBuffer();
+    await worker.settle();
+    return response;
+  }
+
+  it('Token 用量达到硬上限后返回 402，不请求上游', async () => {
+    const worker = await createBudgetWorker({ defaults: { hardLimitTokens: 300 } });
+    assert.equal((await send(worker)).status, 200);
+    assert.equal((await send(worker)).status, 200);
+
+    const calls = upstream.calls.length;
+    const blocked = await worker.fetch('/v1/messages', { json: body, headers: { 'x-api-key': KEYS.alice } });
+    assert.equal(blocked.status, 402);
+    const error = (await blocked.json()).error;
+    assert.equal(error.type, 'billing_error');
+    assert.match(error.message, /300/);
+    assert.equal(upstream.calls.length, calls);
+
+    // 其他客户端的预算单独计算，GET 请求不检查预算
+    assert.equal((await send(worker, 'bob')).status, 200);
+    assert.equal((await send(worker, 'alice', 'GET')).status, 200);
+  });
+
+  it('按美元计算的硬上限，状态码可配置为 429，keys 覆盖单个客户端的预算', async () => {
+    // 每次请求花费 0.0002 美元
+    const worker = await createBudgetWorker({
+      defaults: { hardLimitUsd: 0.0003 },
+      keys: { bob: { hardLimitUsd: 0 } },
+      hardLimitStatus: 429,
+    });
+    assert.equal((await send(worker)).status, 200);
+    assert.equal((await send(worker)).status, 200);
+    const blocked = await send(worker);
+    assert.equal(blocked.status, 429);
+
+    for (let i = 0; i < 3; i++) assert.equal((await send(worker, 'bob')).status, 200);
+  });
+
+  it('达到软阈值时添加警告头，每个周期只触发一次 Webhook', async () => {
+    const worker = await createBudgetWorker({ defaults: { softLimitTokens: 100 }, webhookUrl: WEBHOOK_URL });
+    const first = await send(worker);
+    assert.equal(first.headers.get('X-Budget-Warning'), null);
+
+    const warned = await send(worker);
+    assert.equal(warned.status, 200);
+    assert.match(warned.headers.get('X-Budget-Warning'), /monthly tokens 150 >= soft limit 100/);
+    await send(worker);
+
+    const hooks = upstream.calls.filter(call => call.url === WEBHOOK_URL);
+    assert.equal(hooks.length, 1);
+    assert.equal(hooks[0].json().event, 'budget.soft_limit');
+    assert.equal(hooks[0].json().clientId, 'alice');
+  });
+});
@@ -0,0 +1,88 @@
+// GET 缓存：按 cache.rules 缓存，缓存键区分凭据和请求头，通过缓存代数清除
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWorker, mockUpstream } from './helpers.js';
+
+const ADMIN_KEY = 'admin-key-0123456789';
+const models = { data: [{ id: 'claude-sonnet-4-5', type: 'model' }] };
+
+describe('GET 缓存', () => {
+  let upstream;
+  let worker;
+  afterEach(() => upstream.restore());
+
+  async function createCacheWorker(handler = () => Response.json(models), config = {}) {
+    upstream = mockUpstream(handler);
+    worker = await createWorker({ vars: { ADMIN_KEY }, config });
+    return worker;
+  }
+
+  async function get(path, headers = { 'x-api-key': 'sk-client-a' }) {
+    const response = await worker.fetch(path, { headers });
+    await response.arrayBuffer();
+    await worker.settle();
+    return response;
+  }
+
+  it('按客户端凭据分别缓存，命中时不允许下游共享缓存', async () => {
+    await createCacheWorker();
+    assert.equal((await get('/v1/models')).headers.get('X-Cache-Status'), 'MISS');
+
+    const hit = await get('/v1/models');
+    assert.equal(hit.headers.get('X-Cache-Status'), 'HIT');
+    assert.equal(hit.headers.get('Cache-Control'), 'private, max-age=300');
+    assert.equal(upstream.calls.length, 1);
+
+    // 其他凭据和不同的 anthropic-version 分别缓存
+    assert.equal((await get('/v1/models', { 'x-api-key': 'sk-client-b' })).headers.get('X-Cache-Status'), 'MISS');
+    assert.equal((await get('/v1/models', { 'x-api-key': 'sk-client-a', 'anthropic-version': '2023-06-01' })).headers.get('X-Cache-Status'), 'MISS');
+    assert.equal(upstream.calls.length, 3);
+
+    // 凭据只以哈希形式出现在缓存键中
+    assert.equal(worker.cache.entries.size, 3);
+    [...worker.cache.entries.keys()].forEach(key => assert.doesNotMatch(key, /sk-client/));
+  });
+
+  it('查询参数顺序不影响缓存键', async () => {
+    await createCacheWorker();
+    await get('/v1/models?limit=5&after_id=x');
+    assert.equal((await get('/v1/models?after_id=x&limit=5')).headers.get('X-Cache-Status'), 'HIT');
+  });
+
+  it('不缓存失败、no-store 和未匹配规则的响应', async () => {
+    await createCacheWorker(call => (call.url.includes('/v1/models/missing')
+      ? Response.json({ type: 'error', error: { type: 'not_found_error', message: 'missing' } }, { status: 404 })
+      : Response.json(models, { headers: { 'Cache-Control': 'no-store' } })));
+    await get('/v1/models/missing');
+    await get('/v1/models');
+    await get('/v1/files');
+    assert.equal(worker.cache.entries.size, 0);
+  });
+
+  it('authScoped 为 false 的规则所有客户端共享，但不缓存 private 响应', async () => {
+    await createCacheWorker(call => Response.json(models, call.url.includes('private') ? { headers: { 'Cache-Control': 'private' } } : {}), {
+      cache: { rules: [{ path: '/v1/models', authScoped: false }, { path: '/v1/private', authScoped: false }] },
+    });
+    await get('/v1/models');
+    const shared = await get('/v1/models', { 'x-api-key': 'sk-client-b' });
+    assert.equal(shared.headers.get('X-Cache-Status'), 'HIT');
+    assert.equal(shared.headers.get('Cache-Control'), 'public, max-age=300');
+
+    await get('/v1/private');
+    assert.equal((await get('/v1/private')).headers.get('X-Cache-Status'), 'MISS');
+  });
+
+  it('清除缓存时递增缓存代数，旧条目不再命中', async () => {
+    await createCacheWorker();
+    await get('/v1/models');
+
+    assert.equal((await worker.fetch('/_admin/cache/purge', { method: 'POST' })).status, 401);
+    const purged = await worker.fetch('/_admin/cache/purge', { method: 'POST', headers: { 'x-admin-key': ADMIN_KEY } });
+    assert.deepEqual(await purged.json(), { purged: true, generation: 1, scope: 'global', propagationSeconds: 60 });
+    assert.equal(worker.env.CONFIG_KV.store.get('cache:generation'), '1');
+
+    assert.equal((await get('/v1/models')).headers.get('X-Cache-Status'), 'MISS');
+    assert.equal((await get('/v1/models')).headers.get('X-Cache-Status'), 'HIT');
+    assert.equal(upstream.calls.length, 2);
+  });
+});
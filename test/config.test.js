@@ -0,0 +1,107 @@
+// 配置加载：默认配置 ← 环境变量 ← KV JSON 文档
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWorker, createKV, mockUpstream } from './helpers.js';
+
+describe('配置加载', () => {
+  let upstream;
+  afterEach(() => upstream?.restore());
+
+  async function health(worker) {
+    const response = await worker.fetch('/_health');
+    assert.equal(response.status, 200);
+    return response.json();
+  }
+
+  it('环境变量覆盖默认配置，KV 文档覆盖环境变量', async () => {
+    const worker = await createWorker({
+      vars: { TARGET_URLS: 'https://a.test, https://b.test', MIRROR_STRATEGY: 'race', MAX_RETRIES: '1' },
+      config: { mirrorStrategy: 'sequential', retry: { retryDelay: 10 } },
+    });
+    const body = await health(worker);
+
+    assert.deepEqual(body.targetUrls, ['https://a.test', 'https://b.test']);
+    assert.equal(body.config.mirrorStrategy, 'sequential');
+    assert.equal(body.config.retry.maxRetries, 1);
+    assert.equal(body.config.retry.retryDelay, 10);
+    assert.deepEqual(body.configSources, ['defaults', 'env', 'kv']);
+  });
+
+  it('CONFIG_KV_KEY 指定 KV 中的配置键', async () => {
+    const worker = await createWorker({
+      vars: { CONFIG_KV_KEY: 'proxy-config' },
+      bindings: { CONFIG_KV: createKV({ 'proxy-config': { mirrorStrategy: 'adaptive', logging: { accessLog: false } } }) },
+    });
+    assert.equal((await health(worker)).config.mirrorStrategy, 'adaptive');
+  });
+
+  it('/_health 中的敏感配置已脱敏', async () => {
+    const worker = await createWorker({ vars: { UPSTREAM_API_KEY: 'sk-upstream-secret' } });
+    const body = await health(worker);
+    assert.notEqual(body.config.auth.upstreamApiKey, 'sk-upstream-secret');
+    assert.doesNotMatch(JSON.stringify(body), /sk-upstream-secret/);
+  });
+
+  it('配置缓存 60 秒，KV 修改在缓存过期前不生效', async () => {
+    const worker = await createWorker({ config: { mirrorStrategy: 'sequential', logging: { accessLog: false } } });
+    assert.equal((await health(worker)).config.mirrorStrategy, 'sequential');
+
+    await worker.env.CONFIG_KV.put('config', JSON.stringify({ mirrorStrategy: 'race', logging: { accessLog: false } }));
+    assert.equal((await health(worker)).config.mirrorStrategy, 'sequential');
+  });
+
+  it('生效的目标地址用于转发', async () => {
+    upstream = mockUpstream(() => Response.json({ data: [] }));
+    const worker = await createWorker({ vars: { TARGET_URLS: 'https://only.test' }, config: { cache: { enabled: false } } });
+    const response = await worker.fetch('/v1/models');
+
+    assert.equal(response.status, 200);
+    assert.equal(upstream.calls[0].url, 'https://only.test/v1/models');
+    assert.equal(response.headers.get('X-Mirror-Used'), 'https://only.test');
+  });
+
+  describe('配置校验失败', () => {
+    let logs;
+    afterEach(() => mock.restoreAll());
+
+    function captureLogs() {
+      logs = [];
+      mock.method(console, 'log', (...args) => logs.push(args.join(' ')));
+    }
+
+    it('没有有效配置时返回通用的 503，错误详情只写入日志', async () => {
+      captureLogs();
+      const worker = await createWorker({ config: { mirrorStrategy: 'fastest', logging: { accessLog: false } } });
+      const response = await worker.fetch('/v1/messages', { json: { model: 'claude-sonnet-4-5' } });
+      const text = await response.text();
+
+      assert.equal(response.status, 503);
+      assert.equal(JSON.parse(text).error.type, 'api_error');
+      assert.doesNotMatch(text, /mirrorStrategy|a\.test/);
+      assert.ok(logs.some(line => line.includes('配置加载失败') && line.includes('mirrorStrategy')));
+    });
+
+    it('重新加载失败时继续使用上一次有效的配置，并在 /_health 中显示错误', async () => {
+      mock.timers.enable({ apis: ['Date'], now: Date.now() });
+      const worker = await createWorker({ config: { mirrorStrategy: 'sequential', logging: { accessLog: false } } });
+      assert.equal((await (await worker.fetch('/_health')).json()).config.mirrorStrategy, 'sequential');
+
+      captureLogs();
+      await worker.env.CONFIG_KV.put('config', '{"mirrorStrategy": ');
+      mock.timers.tick(61000);
+
+      upstream = mockUpstream(() => Response.json({ data: [] }));
+      assert.equal((await worker.fetch('/v1/models')).status, 200);
+      const body = await (await worker.fetch('/_health')).json();
+      assert.equal(body.config.mirrorStrategy, 'sequential');
+      assert.match(body.configErrors[0], /不是有效的 JSON/);
+      assert.equal(logs.filter(line => line.includes('继续使用上一次有效的配置')).length, 1);
+
+      await worker.env.CONFIG_KV.put('config', JSON.stringify({ mirrorStrategy: 'race', logging: { accessLog: false } }));
+      mock.timers.tick(61000);
+      const recovered = await (await worker.fetch('/_health')).json();
+      assert.equal(recovered.config.mirrorStrategy, 'race');
+      assert.deepEqual(recovered.configErrors, []);
+    });
+  });
+});
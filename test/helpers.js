@@ -0,0 +1,347 @@
+// 测试辅助：按 Cloudflare Workers 运行时的方式调用 worker.js 的 fetch 入口
+// KV、R2、Durable Object、caches.default 和上游 fetch 都使用内存中的假实现
+
+const encoder = new TextEncoder();
+
+let instanceCount = 0;
+
+/**
+ * 加载独立的 worker.js 模块实例：配置缓存、镜像健康、指标等模块级状态不会在测试之间共享
+ */
+export function loadWorker() {
+  instanceCount++;
+  return import(new URL(`../worker.js?instance=${instanceCount}`, import.meta.url));
+}
+
+/**
+ * 内存 KV 命名空间（get 支持 type: 'json'，put 记录 expirationTtl 等选项）
+ * @param {object} entries - 初始键值（非字符串的值按 JSON 保存）
+ */
+export function createKV(entries = {}) {
+  const store = new Map(Object.entries(entries).map(([key, value]) => [key, typeof value === 'string' ? value : JSON.stringify(value)]));
+  const options = new Map();
+  return {
+    store,
+    options,
+    async get(key, type) {
+      const value = store.get(key);
+      if (value === undefined) return null;
+      const format = typeof type === 'string' ? type : type?.type;
+      return format === 'json' ? JSON.parse(value) : value;
+    },
+    async put(key, value, putOptions = {}) {
+      store.set(key, String(value));
+      options.set(key, putOptions);
+    },
+    async delete(key) {
+      store.delete(key);
+    },
+    async list({ prefix = '' } = {}) {
+      const keys = [...store.keys()].filter(key => key.startsWith(prefix)).sort().map(name => ({ name }));
+      return { keys, list_complete: true };
+    },
+  };
+}
+
+/**
+ * 内存 R2 存储桶（只实现 worker.js 用到的 put / get / list / delete）
+ */
+export function createR2() {
+  const objects = new Map();
+  return {
+    objects,
+    async put(key, value, options = {}) {
+      const text = typeof value === 'string' ? value : new TextDecoder().decode(value);
+      objects.set(key, { text, customMetadata: options.customMetadata || {}, httpMetadata: options.httpMetadata || {} });
+    },
+    async get(key) {
+      const object = objects.get(key);
+      if (!object) return null;
+      return {
+        key,
+        customMetadata: object.customMetadata,
+        text: async () => object.text,
+        json: async () => JSON.parse(object.text),
+      };
+    },
+    async list({ prefix = '', limit = 1000, cursor } = {}) {
+      const keys = [...objects.keys()].filter(key => key.startsWith(prefix)).sort();
+      const start = cursor ? Number(cursor) : 0;
+      const page = keys.slice(start, start + limit);
+      const truncated = start + limit < keys.length;
+      return {
+        objects: page.map(key => ({ key, customMetadata: objects.get(key).customMetadata, uploaded: new Date() })),
+        truncated,
+        cursor: truncated ? String(start + limit) : undefined,
+      };
+    },
+    async delete(keys) {
+      [].concat(keys).forEach(key => objects.delete(key));
+    },
+  };
+}
+
+/**
+ * Durable Object 命名空间：按名称创建实例，存储为内存 Map
+ * @param {Function} DurableObjectClass - worker.js 导出的 Durable Object 类
+ * @param {object} env - 传给实例的环境
+ */
+export function createDurableObjectNamespace(DurableObjectClass, env = {}) {
+  const instances = new Map();
+  const clone = value => (value === undefined ? undefined : structuredClone(value));
+
+  function createState() {
+    const data = new Map();
+    let ready = Promise.resolve();
+    const storage = {
+      async get(key) {
+        if (Array.isArray(key)) {
+          return new Map(key.filter(name => data.has(name)).map(name => [name, clone(data.get(name))]));
+        }
+        return clone(data.get(key));
+      },
+      async put(key, value) {
+        if (typeof key === 'object') {
+          Object.entries(key).forEach(([name, item]) => data.set(name, clone(item)));
+        } else {
+          data.set(key, clone(value));
+        }
+      },
+      async delete(key) {
+        return data.delete(key);
+      },
+      async list({ prefix = '', start, end } = {}) {
+        const entries = [...data]
+          .filter(([name]) => name.startsWith(prefix) && (!start || name >= start) && (!end || name < end))
+          .sort(([a], [b]) => (a < b ? -1 : 1));
+        return new Map(entries.map(([name, value]) => [name, clone(value)]));
+      },
+    };
+    return {
+      storage,
+      blockConcurrencyWhile(callback) {
+        ready = callback();
+        return ready;
+      },
+      ready: () => ready,
+    };
+  }
+
+  return {
+    instances,
+    idFromName: name => name,
+    get(id) {
+      if (!instances.has(id)) {
+        const state = createState();
+        instances.set(id, { state, instance: new DurableObjectClass(state, env) });
+      }
+      const { state, instance } = instances.get(id);
+      return {
+        async fetch(input, init) {
+          await state.ready();
+          return instance.fetch(new Request(input, init));
+        },
+      };
+    },
+  };
+}
+
+/**
+ * caches.default 的内存实现（按请求 URL 匹配）
+ */
+export function createCache() {
+  const entries = new Map();
+  const keyOf = request => (typeof request === 'string' ? request : request.url);
+  return {
+    entries,
+    async match(request) {
+      const response = entries.get(keyOf(request));
+      return response ? response.clone() : undefined;
+    },
+    async put(request, response) {
+      entries.set(keyOf(request), response.clone());
+    },
+    async delete(request) {
+      return entries.delete(keyOf(request));
+    },
+  };
+}
+
+/**
+ * 替换全局 fetch，模拟上游镜像
+ * handler 收到 { url, method, headers, body, json(), signal }，返回 Response（或抛出异常模拟网络错误）
+ * 请求被中止时按运行时行为以 signal.reason 拒绝
+ * @param {Function} handler - (call, index) => Response | Promise<Response>
+ */
+export function mockUpstream(handler) {
+  const originalFetch = globalThis.fetch;
+  const calls = [];
+
+  globalThis.fetch = async (input, init = {}) => {
+    const request = new Request(input, { ...init, duplex: 'half' });
+    const body = ['GET', 'HEAD'].includes(request.method) ? null : await request.text();
+    const call = {
+      url: request.url,
+      method: request.method,
+      headers: request.headers,
+      body,
+      json: () => JSON.parse(body),
+      signal: init.signal || null,
+    };
+    calls.push(call);
+
+    const { signal } = call;
+    if (signal?.aborted) throw signal.reason;
+    return new Promise((resolve, reject) => {
+      signal?.addEventListener('abort', () => reject(signal.reason), { once: true });
+      Promise.resolve().then(() => handler(call, calls.length - 1)).then(resolve, reject);
+    });
+  };
+
+  return {
+    calls,
+    restore() {
+      globalThis.fetch = originalFetch;
+    },
+  };
+}
+
+/**
+ * 创建测试用的 Worker 调用环境
+ * @param {object} options
+ * @param {object} options.config - 写入 CONFIG_KV 的 JSON 配置文档
+ * @param {object} options.vars - 环境变量（覆盖默认的 TARGET_URLS 等）
+ * @param {object} options.bindings - 额外的绑定（KV、R2、Durable Object 命名空间）
+ * @param {string[]} options.durableObjects - 需要绑定的 Durable Object（RATE_LIMITER、USAGE_TRACKER 等）
+ */
+export async function createWorker({ config = {}, vars = {}, bindings = {}, durableObjects = [] } = {}) {
+  const worker = await loadWorker();
+  const configKV = createKV({ config: { logging: { accessLog: false }, ...config } });
+  const env = {
+    DEBUG_MODE: 'false',
+    TARGET_URLS: 'https://a.test,https://b.test',
+    // 按顺序请求镜像，上游调用次序确定
+    MIRROR_STRATEGY: 'sequential',
+    CONFIG_KV: configKV,
+    ...vars,
+    ...bindings,
+  };
+
+  const durableObjectClasses = {
+    RATE_LIMITER: worker.RateLimiter,
+    USAGE_TRACKER: worker.UsageTracker,
+    METRICS_COLLECTOR: worker.MetricsCollector,
+    HEALTH_TRACKER: worker.HealthTracker,
+  };
+  durableObjects.forEach(name => {
+    env[name] = createDurableObjectNamespace(durableObjectClasses[name], env);
+  });
+
+  const pending = [];
+  const ctx = {
+    waitUntil: promise => pending.push(Promise.resolve(promise)),
+    passThroughOnException() {},
+  };
+
+  globalThis.caches = { default: bindings.cache || createCache() };
+
+  return {
+    env,
+    ctx,
+    cache: globalThis.caches.default,
+    /**
+     * 调用 Worker 的 fetch 入口
+     * @param {string} path - 请求路径（含查询字符串）
+     * @param {RequestInit & { json?: any, cf?: object }} init - json 会序列化为请求体
+     */
+    async fetch(path, { json, cf, ...init } = {}) {
+      if (json !== undefined) {
+        init.method = init.method || 'POST';
+        init.body = JSON.stringify(json);
+        init.headers = { 'content-type': 'application/json', ...init.headers };
+      }
+      const request = new Request(`https://proxy.test${path}`, { duplex: 'half', ...init });
+      if (cf) Object.defineProperty(request, 'cf', { value: cf });
+      return worker.default.fetch(request, env, ctx);
+    },
+    /**
+     * 等待所有 ctx.waitUntil 任务完成（包括任务执行期间新加入的）
+     */
+    async settle() {
+      while (pending.length > 0) {
+        await Promise.allSettled(pending.splice(0));
+      }
+    },
+    scheduled(cron = '*/5 * * * *') {
+      return worker.default.scheduled({ cron, scheduledTime: Date.now() }, env, ctx);
+    },
+  };
+}
+
+/**
+ * 拼接 Anthropic SSE 事件文本
+ * @param {object[]} events - 事件数据（type 字段同时作为事件名）
+ */
+export function sse(events) {
+  return events.map(data => `event: ${data.type}\ndata: ${JSON.stringify(data)}\n\n`).join('');
+}
+
+/**
+ * 创建流式响应：按给定的分块依次输出后结束
+ * @param {string[]} chunks - 文本分块
+ * @param {object} headers - 额外的响应头
+ */
+export function streamResponse(chunks, headers = {}) {
+  const body = new ReadableStream({
+    start(controller) {
+      chunks.forEach(chunk => controller.enqueue(encoder.encode(chunk)));
+      controller.close();
+    },
+  });
+  return new Response(body, { headers: { 'content-type': 'text/event-stream', ...headers } });
+}
+
+/**
+ * 解析 SSE 文本，返回 { event, data } 列表（data 为 JSON 时自动解析）
+ */
+export function parseSSE(text) {
+  return text.replace(/\r\n/g, '\n').split('\n\n').filter(Boolean).map(block => {
+    const event = block.match(/^event: (.*)$/m)?.[1] || 'message';
+    const data = block.split('\n').filter(line => line.startsWith('data: ')).map(line => line.slice(6)).join('\n');
+    try {
+      return { event, data: JSON.parse(data) };
+    } catch (error) {
+      return { event, data };
+    }
+  });
+}
+
+/**
+ * 一个完整的 Messages API 消息对象
+ */
+export function anthropicMessage({ text = 'hello', model = 'claude-sonnet-4-5', usage = { input_tokens: 10, output_tokens: 5 }, stopReason = 'end_turn' } = {}) {
+  return {
+    id: 'msg_test',
+    type: 'message',
+    role: 'assistant',
+    model,
+    content: [{ type: 'text', text }],
+    stop_reason: stopReason,
+    stop_sequence: null,
+    usage,
+  };
+}
+
+/**
+ * 一个完整的 Messages API 流式响应的事件列表
+ */
+export function anthropicStreamEvents({ text = 'hello', model = 'claude-sonnet-4-5', usage = { input_tokens: 10, output_tokens: 5 }, stopReason = 'end_turn' } = {}) {
+  return [
+    { type: 'message_start', message: { id: 'msg_test', type: 'message', role: 'assistant', model, content: [], stop_reason: null, usage: { input_tokens: usage.input_tokens, output_tokens: 1 } } },
+    { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+    { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text } },
+    { type: 'content_block_stop', index: 0 },
+    { type: 'message_delta', delta: { stop_reason: stopReason, stop_sequence: null }, usage: { output_tokens: usage.output_tokens } },
+    { type: 'message_stop' },
+  ];
+}
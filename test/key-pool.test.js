@@ -0,0 +1,97 @@
+// 上游 Key 池：镜像的多个 Key 轮换使用，401/403 和持续 429 的 Key 暂停使用
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWorker, mockUpstream, anthropicMessage } from './helpers.js';
+
+const ADMIN_KEY = 'admin-key-0123456789';
+const body = { model: 'claude-sonnet-4-5', max_tokens: 16, messages: [{ role: 'user', content: 'hi' }] };
+const SECRETS = { POOL_KEY_1: 'sk-pool-1', POOL_KEY_2: 'sk-pool-2', POOL_KEY_3: 'sk-pool-3' };
+
+describe('上游 Key 池', () => {
+  let upstream;
+  let worker;
+  afterEach(() => upstream.restore());
+
+  /**
+   * replies: 上游 Key → 状态码（未列出的 Key 返回成功）
+   */
+  async function createPoolWorker({ replies = {}, keyPool = {}, secrets = SECRETS } = {}) {
+    upstream = mockUpstream(call => {
+      const status = replies[call.headers.get('x-api-key')];
+      return status
+        ? Response.json({ type: 'error', error: { type: 'api_error', message: String(status) } }, { status, headers: { 'retry-after': '120' } })
+        : Response.json(anthropicMessage());
+    });
+    worker = await createWorker({
+      vars: { ADMIN_KEY, ...secrets },
+      config: {
+        mirror: { profiles: { 'https://a.test': { apiKeySecrets: Object.keys(SECRETS) } } },
+        retry: { maxRetries: 0 },
+        keyPool,
+      },
+    });
+  }
+
+  async function send() {
+    const response = await worker.fetch('/v1/messages', { json: body });
+    await response.arrayBuffer();
+    return response;
+  }
+
+  async function pool() {
+    const response = await worker.fetch('/_admin/upstream-keys', { headers: { 'x-admin-key': ADMIN_KEY } });
+    const { pools } = await response.json();
+    return Object.fromEntries(pools[0].keys.map(key => [key.id, key]));
+  }
+
+  const usedKeys = () => upstream.calls.map(call => call.headers.get('x-api-key'));
+
+  it('轮流使用 Key，响应头只包含 Key ID', async () => {
+    await createPoolWorker();
+    const ids = [];
+    for (let i = 0; i < 4; i++) ids.push((await send()).headers.get('X-Upstream-Key'));
+
+    assert.deepEqual(ids, ['POOL_KEY_1', 'POOL_KEY_2', 'POOL_KEY_3', 'POOL_KEY_1']);
+    assert.deepEqual(usedKeys(), ['sk-pool-1', 'sk-pool-2', 'sk-pool-3', 'sk-pool-1']);
+    assert.equal((await pool()).POOL_KEY_1.totalRequests, 2);
+  });
+
+  it('返回 401 的 Key 暂停使用，可以手动恢复', async () => {
+    await createPoolWorker({ replies: { 'sk-pool-1': 401 } });
+    assert.equal((await send()).status, 401);
+    for (let i = 0; i < 3; i++) await send();
+    // 剩下的 Key 继续轮换
+    assert.deepEqual([...new Set(usedKeys().slice(1))].sort(), ['sk-pool-2', 'sk-pool-3']);
+
+    const cooling = (await pool()).POOL_KEY_1;
+    assert.equal(cooling.state, 'cooldown');
+    assert.match(cooling.cooldownReason, /HTTP 401，冷却 600 秒/);
+    assert.equal(cooling.authFailures, 1);
+
+    const reset = await worker.fetch('/_admin/upstream-keys/POOL_KEY_1/reset', { method: 'POST', headers: { 'x-admin-key': ADMIN_KEY } });
+    assert.equal(reset.status, 200);
+    assert.equal((await pool()).POOL_KEY_1.state, 'active');
+    const unknown = await worker.fetch('/_admin/upstream-keys/OTHER_KEY/reset', { method: 'POST', headers: { 'x-admin-key': ADMIN_KEY } });
+    assert.equal(unknown.status, 404);
+  });
+
+  it('持续 429 的 Key 按上游要求的等待时间冷却', async () => {
+    await createPoolWorker({ replies: { 'sk-pool-2': 429 }, keyPool: { rateLimitThreshold: 2 } });
+    for (let i = 0; i < 6; i++) await send();
+    // 第 2 次 429 后 POOL_KEY_2 暂停使用
+    assert.deepEqual(usedKeys(), ['sk-pool-1', 'sk-pool-2', 'sk-pool-3', 'sk-pool-1', 'sk-pool-2', 'sk-pool-3']);
+    for (let i = 0; i < 2; i++) await send();
+    assert.deepEqual(usedKeys().slice(6), ['sk-pool-1', 'sk-pool-3']);
+
+    const cooling = (await pool()).POOL_KEY_2;
+    assert.equal(cooling.state, 'cooldown');
+    assert.match(cooling.cooldownReason, /2 次 429，冷却 120 秒/);
+  });
+
+  it('未设置的 Secret 标记为 missing 并跳过', async () => {
+    await createPoolWorker({ secrets: { POOL_KEY_1: 'sk-pool-1', POOL_KEY_3: 'sk-pool-3' } });
+    for (let i = 0; i < 3; i++) await send();
+    assert.deepEqual(usedKeys(), ['sk-pool-1', 'sk-pool-3', 'sk-pool-1']);
+    assert.equal((await pool()).POOL_KEY_2.state, 'missing');
+  });
+});
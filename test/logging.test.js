@@ -0,0 +1,51 @@
+// 结构化日志：请求 ID 与访问日志
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWorker, mockUpstream, anthropicMessage } from './helpers.js';
+
+const body = { model: 'claude-sonnet-4-5', max_tokens: 16, messages: [{ role: 'user', content: 'hi' }] };
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+describe('结构化日志', () => {
+  let upstream;
+  let lines;
+
+  beforeEach(() => {
+    lines = [];
+    mock.method(console, 'log', line => lines.push(line));
+    upstream = mockUpstream(() => Response.json(anthropicMessage()));
+  });
+  afterEach(() => {
+    upstream.restore();
+    mock.restoreAll();
+  });
+
+  const accessLogs = () => lines.map(line => JSON.parse(line)).filter(record => record.event === 'request');
+
+  it('每个请求输出一条访问日志，请求 ID 与响应头一致', async () => {
+    const worker = await createWorker({ config: { logging: { accessLog: true } } });
+    const response = await worker.fetch('/v1/messages', { json: body });
+
+    const requestId = response.headers.get('X-Request-Id');
+    assert.match(requestId, UUID_PATTERN);
+    const [entry] = accessLogs();
+    assert.equal(entry.requestId, requestId);
+    assert.equal(entry.clientRequestId, null);
+    assert.deepEqual([entry.method, entry.path, entry.status, entry.mirror], ['POST', '/v1/messages', 200, 'https://a.test']);
+  });
+
+  it('请求 ID 始终由服务端生成，客户端的 X-Request-Id 单独记录', async () => {
+    const worker = await createWorker({ config: { logging: { accessLog: true } } });
+    const first = await worker.fetch('/v1/messages', { json: body, headers: { 'x-request-id': 'client-123' } });
+    const second = await worker.fetch('/v1/messages', { json: body, headers: { 'x-request-id': 'client-123' } });
+    await worker.fetch('/v1/messages', { json: body, headers: { 'x-request-id': 'bad id!' } });
+
+    const ids = [first, second].map(response => response.headers.get('X-Request-Id'));
+    ids.forEach(id => assert.match(id, UUID_PATTERN));
+    assert.notEqual(ids[0], ids[1]);
+
+    const entries = accessLogs();
+    assert.deepEqual(entries.map(entry => entry.clientRequestId), ['client-123', 'client-123', null]);
+    assert.deepEqual(entries.slice(0, 2).map(entry => entry.requestId), ids);
+  });
+});
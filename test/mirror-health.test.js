@@ -0,0 +1,140 @@
+// 镜像健康与熔断器：本地缓存的健康状态，与 HealthTracker Durable Object 同步
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWorker, mockUpstream, anthropicMessage } from './helpers.js';
+
+const body = { model: 'claude-sonnet-4-5', max_tokens: 16, messages: [{ role: 'user', content: 'hi' }] };
+const nextTick = () => new Promise(resolve => setTimeout(resolve, 10));
+
+describe('镜像健康同步', () => {
+  let upstream;
+  afterEach(() => upstream.restore());
+
+  it('同步期间产生的更新不会被共享状态覆盖', async () => {
+    upstream = mockUpstream(call => (call.url.startsWith('https://a.test')
+      ? new Response('bad gateway', { status: 502 })
+      : Response.json(anthropicMessage())));
+    const worker = await createWorker({
+      config: { healthCheck: { failureThreshold: 2 }, retry: { maxRetries: 0 } },
+      durableObjects: ['HEALTH_TRACKER'],
+    });
+
+    // 提交更新的同步请求在测试放行前不会到达 HealthTracker
+    const gates = [];
+    const namespace = worker.env.HEALTH_TRACKER;
+    worker.env.HEALTH_TRACKER = {
+      idFromName: name => namespace.idFromName(name),
+      get: id => ({
+        async fetch(input, init) {
+          if (JSON.parse(init.body).updates.length > 0) await new Promise(resolve => gates.push(resolve));
+          return namespace.get(id).fetch(input, init);
+        },
+      }),
+    };
+    const send = async () => {
+      const response = await worker.fetch('/v1/messages', { json: body });
+      await response.arrayBuffer();
+      await nextTick();
+    };
+
+    // 两次请求都在 a.test 失败后转移到 b.test，第一次的更新正在同步
+    await send();
+    await send();
+    assert.equal(gates.length, 1);
+
+    // 第一次同步返回的共享状态只包含一次失败，第二次失败仍在本地生效，a.test 保持熔断
+    gates.shift()();
+    await nextTick();
+    const calls = upstream.calls.length;
+    await send();
+    assert.deepEqual(upstream.calls.slice(calls).map(call => new URL(call.url).host), ['b.test']);
+
+    while (gates.length > 0) {
+      gates.shift()();
+      await nextTick();
+    }
+    await worker.settle();
+  });
+});
+
+describe('熔断器', () => {
+  let upstream;
+  let healthy;
+  afterEach(() => {
+    upstream.restore();
+    mock.timers.reset();
+  });
+
+  async function createCircuitWorker() {
+    mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-01-01T00:00:00Z') });
+    healthy = false;
+    upstream = mockUpstream(call => (call.url.startsWith('https://a.test') && !healthy
+      ? new Response('bad gateway', { status: 502 })
+      : Response.json(anthropicMessage())));
+    return createWorker({ config: { retry: { maxRetries: 0 } } });
+  }
+
+  async function send(worker) {
+    const calls = upstream.calls.length;
+    const response = await worker.fetch('/v1/messages', { json: body });
+    await response.arrayBuffer();
+    return upstream.calls.slice(calls).map(call => new URL(call.url).host);
+  }
+
+  async function mirrorA(worker) {
+    const { mirror } = await (await worker.fetch('/_health')).json();
+    return mirror.health[0];
+  }
+
+  it('窗口内失败达到阈值时熔断，冷却结束后经过半开试探关闭', async () => {
+    const worker = await createCircuitWorker();
+    await send(worker);
+    await send(worker);
+    assert.equal((await mirrorA(worker)).circuit, 'closed');
+    await send(worker);
+
+    const opened = await mirrorA(worker);
+    assert.equal(opened.circuit, 'open');
+    assert.equal(opened.trips, 1);
+    assert.equal(opened.cooldownUntil, new Date(Date.now() + 600 * 1000).toISOString());
+    assert.deepEqual(await send(worker), ['b.test']);
+
+    // 默认冷却 600 秒
+    mock.timers.tick(599 * 1000);
+    assert.equal((await mirrorA(worker)).circuit, 'open');
+    mock.timers.tick(1000);
+    healthy = true;
+    assert.deepEqual(await send(worker), ['a.test']);
+    assert.equal((await mirrorA(worker)).circuit, 'half-open');
+    await send(worker);
+
+    const closed = await mirrorA(worker);
+    assert.equal(closed.circuit, 'closed');
+    assert.equal(closed.window.requests, 0);
+    assert.deepEqual(closed.transitions.map(change => change.to), ['open', 'half-open', 'closed']);
+  });
+
+  it('半开试探失败时重新熔断，冷却时间指数退避', async () => {
+    const worker = await createCircuitWorker();
+    for (let i = 0; i < 3; i++) await send(worker);
+    mock.timers.tick(600 * 1000);
+
+    assert.deepEqual(await send(worker), ['a.test', 'b.test']);
+    const reopened = await mirrorA(worker);
+    assert.equal(reopened.circuit, 'open');
+    assert.equal(reopened.trips, 2);
+    assert.equal(reopened.cooldownUntil, new Date(Date.now() + 1200 * 1000).toISOString());
+  });
+
+  it('错误率低于阈值时不熔断', async () => {
+    const worker = await createCircuitWorker();
+    healthy = true;
+    for (let i = 0; i < 4; i++) await send(worker);
+    healthy = false;
+    for (let i = 0; i < 3; i++) await send(worker);
+
+    const health = await mirrorA(worker);
+    assert.equal(health.circuit, 'closed');
+    assert.deepEqual([health.window.requests, health.window.failures], [7, 3]);
+  });
+});
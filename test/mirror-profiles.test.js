@@ -0,0 +1,74 @@
+// 镜像转发配置：按镜像改写凭据、认证头风格、请求头和路径
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWorker, mockUpstream, anthropicMessage } from './helpers.js';
+
+const body = { model: 'claude-sonnet-4-5', max_tokens: 16, messages: [{ role: 'user', content: 'hi' }] };
+const CLIENT_KEY = 'sk-proxy-alice-0123456789';
+const AUTH = { AUTH_ENABLED: 'true', PROXY_API_KEYS: JSON.stringify({ alice: CLIENT_KEY }) };
+
+describe('镜像转发配置', () => {
+  let upstream;
+  afterEach(() => {
+    upstream.restore();
+    mock.restoreAll();
+  });
+
+  async function createProfileWorker(profiles, vars = {}, handler = () => Response.json(anthropicMessage())) {
+    upstream = mockUpstream(handler);
+    return createWorker({ vars, config: { mirror: { profiles } } });
+  }
+
+  it('改写路径、查询参数和请求头，故障转移时使用目标镜像的配置', async () => {
+    const worker = await createProfileWorker({
+      'https://a.test': { pathPrefix: '/claude', query: { region: 'us' }, anthropicVersion: '2024-01-01' },
+      'https://b.test': { stripPrefix: '/v1', headers: { 'x-relay': 'b' }, removeHeaders: ['anthropic-beta'] },
+    }, {}, call => (call.url.startsWith('https://a.test') ? new Response('bad gateway', { status: 502 }) : Response.json(anthropicMessage())));
+    await worker.fetch('/v1/messages', { json: body, headers: { 'anthropic-version': '2023-06-01', 'anthropic-beta': 'x' } });
+
+    const [a, b] = [upstream.calls[0], upstream.calls.at(-1)];
+    assert.equal(a.url, 'https://a.test/claude/v1/messages?region=us');
+    assert.equal(a.headers.get('anthropic-version'), '2024-01-01');
+    assert.equal(b.url, 'https://b.test/messages');
+    assert.equal(b.headers.get('anthropic-version'), '2023-06-01');
+    assert.equal(b.headers.get('x-relay'), 'b');
+    assert.equal(b.headers.get('anthropic-beta'), null);
+  });
+
+  it('每个镜像都有自己的 Key 时，启用认证不需要 UPSTREAM_API_KEY', async () => {
+    const worker = await createProfileWorker({
+      'https://a.test': { apiKeySecret: 'RELAY_A_KEY' },
+      'https://b.test': { apiKeySecrets: ['RELAY_B_KEY'], authStyle: 'bearer' },
+    }, { ...AUTH, RELAY_A_KEY: 'sk-relay-a', RELAY_B_KEY: 'sk-relay-b' }, call => (call.url.startsWith('https://a.test')
+      ? new Response('bad gateway', { status: 502 })
+      : Response.json(anthropicMessage())));
+    const response = await worker.fetch('/v1/messages', { json: body, headers: { 'x-api-key': CLIENT_KEY } });
+
+    assert.equal(response.status, 200);
+    assert.equal(upstream.calls[0].headers.get('x-api-key'), 'sk-relay-a');
+    const b = upstream.calls.at(-1);
+    assert.equal(b.headers.get('authorization'), 'Bearer sk-relay-b');
+    assert.equal(b.headers.get('x-api-key'), null);
+  });
+
+  it('有镜像没有自己的 Key 且未配置 UPSTREAM_API_KEY 时配置校验失败', async () => {
+    const lines = [];
+    mock.method(console, 'log', line => lines.push(line));
+    const worker = await createProfileWorker({ 'https://a.test': { apiKeySecret: 'RELAY_A_KEY' } }, { ...AUTH, RELAY_A_KEY: 'sk-relay-a' });
+    const response = await worker.fetch('/v1/messages', { json: body, headers: { 'x-api-key': CLIENT_KEY } });
+
+    assert.equal(response.status, 503);
+    assert.equal(upstream.calls.length, 0);
+    assert.match(lines.join('\n'), /auth\.upstreamApiKey.*https:\/\/b\.test/);
+  });
+
+  it('镜像的 Secret 未设置时不会把代理 Key 转发给上游', async () => {
+    const worker = await createProfileWorker({
+      'https://a.test': { apiKeySecret: 'RELAY_A_KEY' },
+      'https://b.test': { apiKeySecret: 'RELAY_B_KEY' },
+    }, { ...AUTH, RELAY_B_KEY: 'sk-relay-b' }, () => new Response('unauthorized', { status: 401 }));
+    await worker.fetch('/v1/messages', { json: body, headers: { 'x-api-key': CLIENT_KEY } });
+
+    upstream.calls.forEach(call => assert.notEqual(call.headers.get('x-api-key'), CLIENT_KEY));
+  });
+});
@@ -0,0 +1,69 @@
+// 并发镜像策略：race 同时请求所有镜像，hedged 按对冲延迟依次启动，选出胜者后取消其余请求
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWorker, mockUpstream, anthropicMessage } from './helpers.js';
+
+const body = { model: 'claude-sonnet-4-5', max_tokens: 16, messages: [{ role: 'user', content: 'hi' }] };
+// 一直不返回响应头，直到请求被取消
+const hang = () => new Promise(() => {});
+
+describe('并发镜像策略', () => {
+  let upstream;
+  afterEach(() => upstream.restore());
+
+  async function createStrategyWorker(strategy, handler, mirror = {}) {
+    upstream = mockUpstream(handler);
+    return createWorker({
+      vars: { MIRROR_STRATEGY: strategy },
+      config: { mirror, retry: { maxRetries: 0 } },
+    });
+  }
+
+  it('race：返回最先成功的镜像，取消其余进行中的请求', async () => {
+    const worker = await createStrategyWorker('race', call => (call.url.startsWith('https://a.test')
+      ? hang()
+      : Response.json(anthropicMessage())));
+    const response = await worker.fetch('/v1/messages', { json: body });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('X-Mirror-Used'), 'https://b.test');
+    assert.equal(response.headers.get('X-Mirror-Strategy'), 'race; started=2; cancelled=1');
+    const [loser, winner] = upstream.calls;
+    assert.equal(loser.signal.aborted, true);
+    assert.equal(winner.signal.aborted, false);
+  });
+
+  it('hedged：第一个镜像在对冲延迟内响应时不启动第二个镜像', async () => {
+    const worker = await createStrategyWorker('hedged', () => Response.json(anthropicMessage()), { hedgeDelay: 1000 });
+    const response = await worker.fetch('/v1/messages', { json: body });
+
+    assert.equal(response.headers.get('X-Mirror-Strategy'), 'hedged; started=1; cancelled=0');
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.deepEqual(upstream.calls.map(call => new URL(call.url).host), ['a.test']);
+  });
+
+  it('hedged：超过对冲延迟才启动下一个镜像，胜出后取消较慢的请求', async () => {
+    const started = [];
+    const worker = await createStrategyWorker('hedged', call => {
+      started.push(Date.now());
+      return call.url.startsWith('https://a.test') ? hang() : Response.json(anthropicMessage());
+    }, { hedgeDelay: 50 });
+    const response = await worker.fetch('/v1/messages', { json: body });
+
+    assert.equal(response.headers.get('X-Mirror-Used'), 'https://b.test');
+    assert.equal(response.headers.get('X-Mirror-Strategy'), 'hedged; started=2; cancelled=1');
+    assert.ok(started[1] - started[0] >= 45, `第二个镜像在 ${started[1] - started[0]}ms 后启动`);
+    assert.equal(upstream.calls[0].signal.aborted, true);
+  });
+
+  it('hedged：镜像请求失败时立即启动下一个镜像，不等待对冲延迟', async () => {
+    const worker = await createStrategyWorker('hedged', call => {
+      if (call.url.startsWith('https://a.test')) throw new TypeError('connection refused');
+      return Response.json(anthropicMessage());
+    }, { hedgeDelay: 60000 });
+    const response = await worker.fetch('/v1/messages', { json: body });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('X-Mirror-Used'), 'https://b.test');
+  });
+});
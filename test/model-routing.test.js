@@ -0,0 +1,80 @@
+// 模型路由：按请求的 model 限定镜像，并按镜像改写模型名
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWorker, mockUpstream, anthropicMessage } from './helpers.js';
+
+const message = { max_tokens: 16, messages: [{ role: 'user', content: 'hi' }] };
+const routes = {
+  'claude-opus-4-5': { mirrors: ['https://b.test'] },
+  'claude-*': { mirrors: ['https://a.test', { url: 'https://b.test', model: 'b-claude' }] },
+  'claude-haiku-*': { mirrors: [{ url: 'https://b.test', model: 'b-haiku' }] },
+};
+
+describe('模型路由', () => {
+  let upstream;
+  afterEach(() => {
+    upstream.restore();
+    mock.restoreAll();
+  });
+
+  async function createRoutingWorker(modelRouting, handler = () => Response.json(anthropicMessage())) {
+    upstream = mockUpstream(handler);
+    return createWorker({ config: { modelRouting: { enabled: true, routes, ...modelRouting } } });
+  }
+
+  it('精确匹配优先，只请求路由指定的镜像', async () => {
+    const worker = await createRoutingWorker();
+    const response = await worker.fetch('/v1/messages', { json: { ...message, model: 'claude-opus-4-5' } });
+    assert.equal(response.status, 200);
+    assert.deepEqual(upstream.calls.map(call => call.url), ['https://b.test/v1/messages']);
+    assert.equal(upstream.calls[0].json().model, 'claude-opus-4-5');
+  });
+
+  it('最长的通配前缀生效，故障转移时按镜像改写模型名', async () => {
+    const worker = await createRoutingWorker({}, call => (call.url.startsWith('https://a.test')
+      ? new Response('bad gateway', { status: 502 })
+      : Response.json(anthropicMessage())));
+    const response = await worker.fetch('/v1/messages', { json: { ...message, model: 'claude-sonnet-4-5' } });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('X-Mirror-Used'), 'https://b.test');
+    const models = upstream.calls.map(call => [new URL(call.url).host, call.json().model]);
+    assert.deepEqual(models.at(0), ['a.test', 'claude-sonnet-4-5']);
+    assert.deepEqual(models.at(-1), ['b.test', 'b-claude']);
+
+    await worker.fetch('/v1/messages', { json: { ...message, model: 'claude-haiku-4-5' } });
+    assert.equal(upstream.calls.at(-1).json().model, 'b-haiku');
+  });
+
+  it('默认拒绝没有路由的模型', async () => {
+    const worker = await createRoutingWorker();
+    const response = await worker.fetch('/v1/messages', { json: { ...message, model: 'gpt-4o' } });
+    assert.equal(response.status, 400);
+    assert.match((await response.json()).error.message, /gpt-4o/);
+    assert.equal(upstream.calls.length, 0);
+  });
+
+  it('unmatched 为 all 时没有路由的模型可以使用所有镜像', async () => {
+    const worker = await createRoutingWorker({ unmatched: 'all' });
+    assert.equal((await worker.fetch('/v1/messages', { json: { ...message, model: 'gpt-4o' } })).status, 200);
+    assert.equal(upstream.calls[0].url, 'https://a.test/v1/messages');
+  });
+
+  it('非字符串的 model 返回 400，而不是 500', async () => {
+    const worker = await createRoutingWorker();
+    for (const model of [123, ['claude-opus-4-5'], { name: 'claude' }]) {
+      const response = await worker.fetch('/v1/messages', { json: { ...message, model } });
+      assert.equal(response.status, 400);
+      const { error } = await response.json();
+      assert.equal(error.type, 'invalid_request_error');
+      assert.match(error.message, /model 必须是字符串/);
+    }
+    assert.equal(upstream.calls.length, 0);
+  });
+
+  it('路由中的镜像必须在 targetUrls 中', async () => {
+    mock.method(console, 'log', () => {});
+    const worker = await createRoutingWorker({ routes: { 'claude-*': { mirrors: ['https://unknown.test'] } } });
+    assert.equal((await worker.fetch('/v1/messages', { json: { ...message, model: 'claude-x' } })).status, 503);
+  });
+});
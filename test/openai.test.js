@@ -0,0 +1,160 @@
+// OpenAI 兼容接口：/v1/chat/completions 和 /v1/models 转换为 Anthropic Messages API
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWorker, mockUpstream, sse, streamResponse, parseSSE, anthropicMessage, anthropicStreamEvents } from './helpers.js';
+
+describe('OpenAI 兼容接口', () => {
+  let upstream;
+  let worker;
+  let reply;
+
+  beforeEach(async () => {
+    reply = () => Response.json(anthropicMessage());
+    upstream = mockUpstream(call => reply(call));
+    worker = await createWorker({
+      vars: { OPENAI_COMPAT_ENABLED: 'true' },
+      config: { openai: { modelMap: { 'gpt-4o': 'claude-sonnet-4-5' }, defaultMaxTokens: 1024 } },
+    });
+  });
+  afterEach(() => upstream.restore());
+
+  function chat(body, headers = {}) {
+    return worker.fetch('/v1/chat/completions', { json: body, headers: { authorization: 'Bearer sk-client', ...headers } });
+  }
+
+  it('转换请求：system、图片、工具调用和工具结果，合并相邻同角色消息', async () => {
+    await chat({
+      model: 'gpt-4o',
+      temperature: 1.5,
+      stop: 'END',
+      user: 'user-1',
+      messages: [
+        { role: 'system', content: 'be brief' },
+        { role: 'user', content: 'hello' },
+        { role: 'user', content: [{ type: 'image_url', image_url: { url: 'data:image/png;base64,AAAA' } }] },
+        { role: 'assistant', content: null, tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'lookup', arguments: '{"q":"x"}' } }] },
+        { role: 'tool', tool_call_id: 'call_1', content: 'result' },
+      ],
+      tools: [{ type: 'function', function: { name: 'lookup', description: 'search', parameters: { type: 'object', properties: { q: { type: 'string' } } } } }],
+      tool_choice: 'required',
+    });
+
+    const [call] = upstream.calls;
+    assert.equal(call.url, 'https://a.test/v1/messages');
+    assert.equal(call.headers.get('x-api-key'), 'sk-client');
+    assert.equal(call.headers.get('authorization'), null);
+    assert.equal(call.headers.get('anthropic-version'), '2023-06-01');
+
+    const body = call.json();
+    assert.equal(body.model, 'claude-sonnet-4-5');
+    assert.equal(body.max_tokens, 1024);
+    assert.equal(body.temperature, 1);
+    assert.deepEqual(body.stop_sequences, ['END']);
+    assert.deepEqual(body.metadata, { user_id: 'user-1' });
+    assert.deepEqual(body.system, [{ type: 'text', text: 'be brief' }]);
+    assert.deepEqual(body.messages.map(message => message.role), ['user', 'assistant', 'user']);
+    assert.deepEqual(body.messages[0].content[1], { type: 'image', source: { type: 'base64', media_type: 'image/png', data: 'AAAA' } });
+    assert.deepEqual(body.messages[1].content, [{ type: 'tool_use', id: 'call_1', name: 'lookup', input: { q: 'x' } }]);
+    assert.deepEqual(body.messages[2].content, [{ type: 'tool_result', tool_use_id: 'call_1', content: [{ type: 'text', text: 'result' }] }]);
+    assert.deepEqual(body.tools, [{ name: 'lookup', description: 'search', input_schema: { type: 'object', properties: { q: { type: 'string' } } } }]);
+    assert.equal(body.tool_choice.type, 'any');
+  });
+
+  it('无法转换的请求返回 OpenAI 格式的 400', async () => {
+    for (const [body, message] of [
+      [{ model: 'gpt-4o', messages: [] }, /非空数组/],
+      [{ model: 'gpt-4o', n: 2, messages: [{ role: 'user', content: 'x' }] }, /n > 1/],
+      [{ model: 'gpt-4o', messages: [{ role: 'function', content: 'x' }] }, /不支持的消息角色/],
+    ]) {
+      const response = await chat(body);
+      assert.equal(response.status, 400);
+      const { error } = await response.json();
+      assert.equal(error.type, 'invalid_request_error');
+      assert.match(error.message, message);
+    }
+    assert.equal(upstream.calls.length, 0);
+  });
+
+  it('非流式响应转换为 chat.completion', async () => {
+    reply = () => Response.json({
+      ...anthropicMessage({ usage: { input_tokens: 10, output_tokens: 4, cache_read_input_tokens: 6 }, stopReason: 'tool_use' }),
+      content: [{ type: 'text', text: 'checking' }, { type: 'tool_use', id: 'toolu_1', name: 'lookup', input: { q: 'x' } }],
+    });
+    const response = await chat({ model: 'gpt-4o', messages: [{ role: 'user', content: 'hi' }] });
+    const completion = await response.json();
+
+    assert.equal(completion.object, 'chat.completion');
+    assert.equal(completion.model, 'gpt-4o');
+    assert.deepEqual(completion.choices[0].message, {
+      role: 'assistant',
+      content: 'checking',
+      tool_calls: [{ id: 'toolu_1', type: 'function', function: { name: 'lookup', arguments: '{"q":"x"}' } }],
+    });
+    assert.equal(completion.choices[0].finish_reason, 'tool_calls');
+    assert.deepEqual(completion.usage, { prompt_tokens: 16, completion_tokens: 4, total_tokens: 20, prompt_tokens_details: { cached_tokens: 6 } });
+  });
+
+  it('上游错误转换为 OpenAI 错误格式', async () => {
+    reply = () => Response.json({ type: 'error', error: { type: 'invalid_request_error', message: 'bad model' } }, { status: 400 });
+    const response = await chat({ model: 'gpt-4o', messages: [{ role: 'user', content: 'hi' }] });
+    assert.equal(response.status, 400);
+    assert.deepEqual(await response.json(), { error: { message: 'bad model', type: 'invalid_request_error', param: null, code: null } });
+  });
+
+  it('流式响应转换为 chat.completion.chunk，以 [DONE] 结束', async () => {
+    const text = sse(anthropicStreamEvents({ text: 'Hello', usage: { input_tokens: 5, output_tokens: 7 } }));
+    // 事件跨数据块拆分
+    reply = () => streamResponse([text.slice(0, 40), text.slice(40, 400), text.slice(400)]);
+    const response = await chat({ model: 'gpt-4o', stream: true, messages: [{ role: 'user', content: 'hi' }] });
+    assert.match(response.headers.get('content-type'), /text\/event-stream/);
+
+    const chunks = parseSSE(await response.text()).map(event => event.data);
+    assert.equal(chunks.at(-1), '[DONE]');
+    assert.deepEqual(chunks[0].choices[0].delta, { role: 'assistant', content: '' });
+    assert.equal(chunks[0].id, 'chatcmpl-msg_test');
+    assert.equal(chunks[0].model, 'gpt-4o');
+    assert.equal(chunks[1].choices[0].delta.content, 'Hello');
+    const last = chunks.at(-2);
+    assert.equal(last.choices[0].finish_reason, 'stop');
+    assert.deepEqual([last.usage.prompt_tokens, last.usage.completion_tokens, last.usage.total_tokens], [5, 7, 12]);
+  });
+
+  it('流式工具调用，include_usage 时单独发送 usage 块', async () => {
+    reply = () => streamResponse([sse([
+      anthropicStreamEvents()[0],
+      { type: 'content_block_start', index: 1, content_block: { type: 'tool_use', id: 'toolu_1', name: 'lookup', input: {} } },
+      { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '{"q":' } },
+      { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '"x"}' } },
+      { type: 'message_delta', delta: { stop_reason: 'tool_use' }, usage: { output_tokens: 3 } },
+      { type: 'message_stop' },
+    ])]);
+    const response = await chat({ model: 'gpt-4o', stream: true, stream_options: { include_usage: true }, messages: [{ role: 'user', content: 'hi' }] });
+    const chunks = parseSSE(await response.text()).map(event => event.data);
+
+    assert.deepEqual(chunks[1].choices[0].delta.tool_calls[0], { index: 0, id: 'toolu_1', type: 'function', function: { name: 'lookup', arguments: '' } });
+    assert.equal(chunks.slice(2, 4).map(chunk => chunk.choices[0].delta.tool_calls[0].function.arguments).join(''), '{"q":"x"}');
+    assert.equal(chunks[4].choices[0].finish_reason, 'tool_calls');
+    assert.equal(chunks[4].usage, undefined);
+    assert.deepEqual(chunks[5].choices, []);
+    assert.equal(chunks[5].usage.completion_tokens, 3);
+    assert.equal(chunks[6], '[DONE]');
+  });
+
+  it('流中的 error 事件转换为 OpenAI 错误并结束', async () => {
+    reply = () => streamResponse([sse([anthropicStreamEvents()[0], { type: 'error', error: { type: 'overloaded_error', message: 'busy' } }])]);
+    const response = await chat({ model: 'gpt-4o', stream: true, messages: [{ role: 'user', content: 'hi' }] });
+    const chunks = parseSSE(await response.text()).map(event => event.data);
+    assert.deepEqual(chunks.at(-2).error, { message: 'busy', type: 'overloaded_error', param: null, code: null });
+    assert.equal(chunks.at(-1), '[DONE]');
+  });
+
+  it('/v1/models 转换为 OpenAI 模型列表并包含 modelMap 别名，Anthropic 客户端保持原格式', async () => {
+    reply = () => Response.json({ data: [{ id: 'claude-sonnet-4-5', created_at: '2025-09-29T00:00:00Z' }] });
+    const openaiModels = await (await worker.fetch('/v1/models')).json();
+    assert.deepEqual(openaiModels.data.map(model => model.id), ['claude-sonnet-4-5', 'gpt-4o']);
+    assert.equal(openaiModels.object, 'list');
+
+    const anthropicModels = await (await worker.fetch('/v1/models?limit=5', { headers: { 'anthropic-version': '2023-06-01' } })).json();
+    assert.deepEqual(anthropicModels, { data: [{ id: 'claude-sonnet-4-5', created_at: '2025-09-29T00:00:00Z' }] });
+  });
+});
@@ -0,0 +1,106 @@
+// 请求策略：按客户端 Key 限制请求内容，转发前对提示文本脱敏
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWorker, mockUpstream, anthropicMessage } from './helpers.js';
+
+const KEYS = { alice: 'sk-proxy-alice-0123456789', bob: 'sk-proxy-bob-0123456789' };
+const image = { type: 'image', source: { type: 'base64', media_type: 'image/png', data: 'AA' } };
+const body = { model: 'claude-haiku-4-5', max_tokens: 10, messages: [{ role: 'user', content: 'hi' }] };
+const encoder = new TextEncoder();
+
+describe('请求策略', () => {
+  let upstream;
+  let worker;
+  let lines;
+
+  beforeEach(async () => {
+    lines = [];
+    mock.method(console, 'log', line => lines.push(line));
+    upstream = mockUpstream(() => Response.json(anthropicMessage()));
+    worker = await createWorker({
+      vars: { AUTH_ENABLED: 'true', UPSTREAM_API_KEY: 'sk-upstream', PROXY_API_KEYS: JSON.stringify(KEYS) },
+      config: {
+        logging: { accessLog: true },
+        policy: {
+          enabled: true,
+          defaults: { maxBodySize: 400, maxTokens: 100, allowedModels: ['claude-haiku-*'], maxImages: 1, allowTools: false, denyPatterns: ['secret\\s+plan'] },
+          keys: { alice: { allowedModels: [], allowTools: true, maxImages: -1 } },
+          redact: { emails: true, secrets: true, patterns: ['\\d{3}-\\d{4}'] },
+        },
+      },
+    });
+  });
+  afterEach(() => {
+    upstream.restore();
+    mock.restoreAll();
+  });
+
+  /**
+   * 发送请求，通过策略检查返回 null，否则返回违反的规则
+   */
+  async function check(client, json, init = {}) {
+    const calls = upstream.calls.length;
+    const response = await worker.fetch('/v1/messages', { json, ...init, headers: { 'x-api-key': KEYS[client], ...init.headers } });
+    const result = await response.json();
+    if (response.status === 200) return null;
+
+    assert.equal(result.type, 'error');
+    assert.equal(upstream.calls.length, calls);
+    return response.headers.get('X-Policy-Violation');
+  }
+
+  it('按客户端合并默认策略和覆盖', async () => {
+    const twoImages = [{ role: 'user', content: [image, image] }];
+    assert.equal(await check('bob', body), null);
+    assert.equal(await check('bob', { ...body, max_tokens: 1000 }), 'max_tokens');
+    assert.equal(await check('bob', { ...body, model: 'claude-opus-4' }), 'model');
+    assert.equal(await check('alice', { ...body, model: 'claude-opus-4' }), null);
+    assert.equal(await check('bob', { ...body, messages: twoImages }), 'images');
+    assert.equal(await check('alice', { ...body, messages: twoImages }), null);
+    assert.equal(await check('bob', { ...body, tools: [{ name: 't', input_schema: { type: 'object' } }] }), 'tools');
+    assert.equal(await check('bob', { ...body, system: [{ type: 'text', text: 'the SECRET   plan' }] }), 'deny_pattern');
+    assert.equal(await check('bob', { ...body, messages: [{ role: 'user', content: [{ type: 'tool_result', tool_use_id: 't', content: [image, image] }] }] }), 'images');
+
+    // 违反的规则记录到访问日志
+    const violations = lines.map(line => JSON.parse(line)).filter(record => record.event === 'request').map(record => record.policyViolation);
+    assert.deepEqual(violations, [null, 'max_tokens', 'model', null, 'images', null, 'tools', 'deny_pattern', 'images']);
+  });
+
+  it('请求体大小：Content-Length 超限直接拒绝，分块上传最多读取上限字节', async () => {
+    const large = { ...body, messages: [{ role: 'user', content: 'x'.repeat(500) }] };
+    const declared = await worker.fetch('/v1/messages', { json: large, headers: { 'x-api-key': KEYS.bob } });
+    assert.equal(declared.status, 413);
+    assert.equal(declared.headers.get('X-Policy-Violation'), 'body_size');
+
+    const chunked = json => ({
+      method: 'POST',
+      duplex: 'half',
+      headers: { 'x-api-key': KEYS.bob, 'content-type': 'application/json' },
+      body: new ReadableStream({ start(controller) { controller.enqueue(encoder.encode(JSON.stringify(json))); controller.close(); } }),
+    });
+    assert.equal((await worker.fetch('/v1/messages', chunked(large))).status, 413);
+    const small = await worker.fetch('/v1/messages', chunked(body));
+    assert.equal(small.status, 200);
+    assert.deepEqual(upstream.calls[0].json(), body);
+  });
+
+  it('转发前对提示文本脱敏，不修改 thinking 块', async () => {
+    assert.equal(await check('alice', {
+      ...body,
+      system: 'contact a@b.com',
+      messages: [
+        { role: 'user', content: [{ type: 'text', text: 'key sk-ant-REDACTED, call 555-1234' }] },
+        { role: 'assistant', content: [{ type: 'thinking', thinking: 'a@b.com', signature: 's' }] },
+      ],
+    }), null);
+
+    const forwarded = upstream.calls[0].json();
+    assert.equal(forwarded.system, 'contact [EMAIL]');
+    assert.equal(forwarded.messages[0].content[0].text, 'key [SECRET], call [REDACTED]');
+    assert.equal(forwarded.messages[1].content[0].thinking, 'a@b.com');
+
+    // 没有需要替换的内容时原样转发
+    await check('alice', body);
+    assert.deepEqual(upstream.calls[1].json(), body);
+  });
+});
@@ -0,0 +1,121 @@
+// Prompt 缓存：相同的 /v1/messages 请求直接返回缓存的消息（PROMPT_CACHE_KV）
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWorker, createKV, mockUpstream, sse, streamResponse, parseSSE, anthropicMessage, anthropicStreamEvents } from './helpers.js';
+
+const body = { model: 'claude-sonnet-4-5', max_tokens: 16, messages: [{ role: 'user', content: 'hi' }] };
+const USE = { 'x-proxy-cache': 'use' };
+const KEYS = { alice: 'sk-proxy-alice-0123456789', bob: 'sk-proxy-bob-0123456789' };
+
+describe('Prompt 缓存', () => {
+  let upstream;
+  let kv;
+  afterEach(() => upstream.restore());
+
+  async function createCacheWorker({ vars = {}, promptCache = {}, handler } = {}) {
+    upstream?.restore();
+    upstream = mockUpstream(handler || (call => (call.json().stream
+      ? streamResponse([sse(anthropicStreamEvents({ text: 'streamed' }))])
+      : Response.json(anthropicMessage({ text: 'cached answer' })))));
+    kv = createKV();
+    return createWorker({
+      vars: { PROMPT_CACHE_ENABLED: 'true', ...vars },
+      config: { promptCache },
+      bindings: { PROMPT_CACHE_KV: kv },
+    });
+  }
+
+  async function send(worker, json, headers = USE) {
+    const response = await worker.fetch('/v1/messages', { json, headers });
+    const text = await response.text();
+    await worker.settle();
+    return { response, text };
+  }
+
+  it('opt-in 模式只缓存带 x-proxy-cache: use 的请求，命中时不请求上游', async () => {
+    const worker = await createCacheWorker();
+    await send(worker, body, {});
+    assert.equal(kv.store.size, 0);
+
+    const miss = await send(worker, body);
+    assert.equal(miss.response.headers.get('X-Cache-Status'), 'MISS');
+    assert.equal(kv.store.size, 1);
+    assert.equal([...kv.options.values()][0].expirationTtl, 3600);
+
+    // 字段顺序和字符串/数组形式的 content 不影响缓存键
+    const reordered = { messages: [{ role: 'user', content: [{ type: 'text', text: 'hi' }] }], max_tokens: 16, model: 'claude-sonnet-4-5' };
+    const hit = await send(worker, reordered);
+    assert.equal(hit.response.headers.get('X-Cache-Status'), 'HIT');
+    assert.match(hit.response.headers.get('Age'), /^\d+$/);
+    assert.equal(hit.text, miss.text);
+    assert.equal(upstream.calls.length, 2);
+
+    // 内容不同时重新请求
+    await send(worker, { ...body, max_tokens: 32 });
+    assert.equal(upstream.calls.length, 3);
+  });
+
+  it('流式请求命中时重放为完整的 SSE 事件序列', async () => {
+    const worker = await createCacheWorker();
+    await send(worker, body);
+    const { response, text } = await send(worker, { ...body, stream: true });
+
+    assert.equal(response.headers.get('X-Cache-Status'), 'HIT');
+    assert.match(response.headers.get('content-type'), /text\/event-stream/);
+    const events = parseSSE(text);
+    assert.deepEqual(events.map(event => event.event), [
+      'message_start', 'content_block_start', 'content_block_delta', 'content_block_stop', 'message_delta', 'message_stop',
+    ]);
+    assert.equal(events[2].data.delta.text, 'cached answer');
+    assert.equal(events[4].data.delta.stop_reason, 'end_turn');
+    assert.equal(upstream.calls.length, 1);
+  });
+
+  it('完整结束的流式响应重新组装后写入缓存，中断的流不缓存', async () => {
+    const worker = await createCacheWorker();
+    await send(worker, { ...body, stream: true });
+    const hit = await send(worker, body);
+    assert.equal(hit.response.headers.get('X-Cache-Status'), 'HIT');
+    assert.equal(JSON.parse(hit.text).content[0].text, 'streamed');
+
+    const truncated = await createCacheWorker({
+      handler: () => streamResponse([sse(anthropicStreamEvents().slice(0, 3))]),
+    });
+    await send(truncated, { ...body, stream: true });
+    assert.equal(kv.store.size, 0);
+  });
+
+  it('错误响应不缓存', async () => {
+    const worker = await createCacheWorker({
+      handler: () => Response.json({ type: 'error', error: { type: 'invalid_request_error', message: 'bad' } }, { status: 400 }),
+    });
+    await send(worker, body);
+    assert.equal(kv.store.size, 0);
+  });
+
+  it('auto 模式缓存 temperature 为 0 的请求，bypass 跳过缓存', async () => {
+    const worker = await createCacheWorker({ promptCache: { mode: 'auto' } });
+    const deterministic = { ...body, temperature: 0 };
+    await send(worker, deterministic, {});
+    assert.equal((await send(worker, deterministic, {})).response.headers.get('X-Cache-Status'), 'HIT');
+    await send(worker, { ...body, temperature: 1 }, {});
+    assert.equal(kv.store.size, 1);
+
+    const bypass = await send(worker, deterministic, { 'x-proxy-cache': 'bypass' });
+    assert.equal(bypass.response.headers.get('X-Cache-Status'), 'BYPASS');
+    assert.equal(upstream.calls.length, 3);
+  });
+
+  it('默认按客户端 Key 隔离，scope 为 global 时共享', async () => {
+    const vars = { AUTH_ENABLED: 'true', UPSTREAM_API_KEY: 'sk-upstream', PROXY_API_KEYS: JSON.stringify(KEYS) };
+    const perKey = await createCacheWorker({ vars });
+    await send(perKey, body, { ...USE, 'x-api-key': KEYS.alice });
+    const other = await send(perKey, body, { ...USE, 'x-api-key': KEYS.bob });
+    assert.equal(other.response.headers.get('X-Cache-Status'), 'MISS');
+
+    const shared = await createCacheWorker({ vars, promptCache: { scope: 'global' } });
+    await send(shared, body, { ...USE, 'x-api-key': KEYS.alice });
+    const hit = await send(shared, body, { ...USE, 'x-api-key': KEYS.bob });
+    assert.equal(hit.response.headers.get('X-Cache-Status'), 'HIT');
+  });
+});
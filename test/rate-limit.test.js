@@ -0,0 +1,116 @@
+// 速率限制：按 Key / IP 的令牌桶和并发流租约（RateLimiter Durable Object）
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWorker, mockUpstream, sse, streamResponse, anthropicStreamEvents } from './helpers.js';
+
+const body = { model: 'claude-sonnet-4-5', max_tokens: 16, messages: [{ role: 'user', content: 'hi' }] };
+
+describe('速率限制', () => {
+  let upstream;
+  afterEach(() => {
+    upstream?.restore();
+    mock.timers.reset();
+  });
+
+  function send(worker, { ip = '203.0.113.1', key, stream = false } = {}) {
+    const headers = { 'cf-connecting-ip': ip, ...(key ? { 'x-api-key': key } : {}) };
+    return worker.fetch('/v1/messages', { json: { ...body, stream }, headers });
+  }
+
+  it('每分钟请求数用尽后返回 429，令牌按时间补充', async () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    upstream = mockUpstream(() => Response.json({ ok: true }));
+    const worker = await createWorker({
+      vars: { RATE_LIMIT_ENABLED: 'true', RATE_LIMIT_IP_RPM: '2' },
+      durableObjects: ['RATE_LIMITER'],
+    });
+
+    const first = await send(worker);
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get('anthropic-ratelimit-requests-limit'), '2');
+    assert.equal(first.headers.get('anthropic-ratelimit-requests-remaining'), '1');
+    assert.equal((await send(worker)).status, 200);
+
+    const limited = await send(worker);
+    assert.equal(limited.status, 429);
+    assert.equal((await limited.json()).error.type, 'rate_limit_error');
+    assert.equal(limited.headers.get('retry-after'), '30');
+    assert.equal(upstream.calls.length, 2);
+
+    // 其他 IP 不受影响
+    assert.equal((await send(worker, { ip: '203.0.113.2' })).status, 200);
+
+    mock.timers.tick(30000);
+    assert.equal((await send(worker)).status, 200);
+  });
+
+  it('并发流达到上限时拒绝新的流式请求，流结束后释放名额', async () => {
+    // 第一个流保持打开，直到测试主动结束它
+    let finishFirst;
+    upstream = mockUpstream((call, index) => {
+      if (index > 0) return streamResponse([sse(anthropicStreamEvents())]);
+      const body = new ReadableStream({
+        start(controller) {
+          controller.enqueue(new TextEncoder().encode(sse(anthropicStreamEvents()).split('event: message_stop')[0]));
+          finishFirst = () => {
+            controller.enqueue(new TextEncoder().encode(sse([{ type: 'message_stop' }])));
+            controller.close();
+          };
+        },
+      });
+      return new Response(body, { headers: { 'content-type': 'text/event-stream' } });
+    });
+    const worker = await createWorker({
+      vars: { RATE_LIMIT_ENABLED: 'true', RATE_LIMIT_IP_STREAMS: '1', RATE_LIMIT_IP_RPM: '0' },
+      durableObjects: ['RATE_LIMITER'],
+    });
+
+    const first = await send(worker, { stream: true });
+    assert.equal(first.status, 200);
+
+    const second = await send(worker, { stream: true });
+    assert.equal(second.status, 429);
+    assert.match((await second.json()).error.message, /并发流数量已达上限/);
+
+    // 非流式请求不占用并发名额
+    assert.equal((await send(worker)).status, 200);
+
+    finishFirst();
+    await first.text();
+    await worker.settle();
+    const third = await send(worker, { stream: true });
+    assert.equal(third.status, 200);
+    await third.text();
+  });
+
+  it('按客户端 Key 限流，keyOverrides 覆盖单个 Key 的限额', async () => {
+    upstream = mockUpstream(() => Response.json({ ok: true }));
+    const worker = await createWorker({
+      vars: {
+        AUTH_ENABLED: 'true',
+        UPSTREAM_API_KEY: 'sk-upstream',
+        PROXY_API_KEYS: JSON.stringify({ alice: 'sk-proxy-alice-0123456789', bob: 'sk-proxy-bob-0123456789' }),
+        RATE_LIMIT_ENABLED: 'true',
+        RATE_LIMIT_KEY_RPM: '1',
+        RATE_LIMIT_IP_RPM: '0',
+      },
+      config: { rateLimit: { keyOverrides: { bob: { requestsPerMinute: 3 } } } },
+      durableObjects: ['RATE_LIMITER'],
+    });
+
+    const alice = { key: 'sk-proxy-alice-0123456789' };
+    const bob = { key: 'sk-proxy-bob-0123456789' };
+    assert.equal((await send(worker, alice)).status, 200);
+    assert.equal((await send(worker, alice)).status, 429);
+    const statuses = [];
+    for (let i = 0; i < 4; i++) statuses.push((await send(worker, bob)).status);
+    assert.deepEqual(statuses, [200, 200, 200, 429]);
+  });
+
+  it('未绑定 RATE_LIMITER 时放行', async () => {
+    upstream = mockUpstream(() => Response.json({ ok: true }));
+    const worker = await createWorker({ vars: { RATE_LIMIT_ENABLED: 'true', RATE_LIMIT_IP_RPM: '1' } });
+    assert.equal((await send(worker)).status, 200);
+    assert.equal((await send(worker)).status, 200);
+  });
+});
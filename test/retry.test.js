@@ -0,0 +1,98 @@
+// 重试策略：按状态码和错误类别重试，指数退避，优先服务器给出的等待时间，所有镜像共享重试预算
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWorker, mockUpstream, anthropicMessage } from './helpers.js';
+
+const body = { model: 'claude-sonnet-4-5', max_tokens: 16, messages: [{ role: 'user', content: 'hi' }] };
+const status = (code, headers = {}) => Response.json({ type: 'error', error: { type: 'api_error', message: String(code) } }, { status: code, headers });
+
+describe('重试策略', () => {
+  let upstream;
+  let times;
+  afterEach(() => upstream.restore());
+
+  /**
+   * replies 按调用顺序返回，用完后返回成功响应；等待时间缩短为毫秒级
+   */
+  async function createRetryWorker(replies, retry = {}) {
+    times = [];
+    upstream?.restore();
+    upstream = mockUpstream((call, index) => {
+      times.push(Date.now());
+      const reply = replies[index];
+      if (reply instanceof Error) throw reply;
+      return reply ? reply() : Response.json(anthropicMessage());
+    });
+    return createWorker({
+      config: {
+        retry: {
+          retryDelay: 10,
+          maxDelay: 20,
+          jitter: false,
+          policies: { 429: { maxRetries: 1 }, 529: { maxRetries: 3, retryDelay: 5 }, timeout: { maxRetries: 1 } },
+          ...retry,
+        },
+      },
+    });
+  }
+
+  async function send(worker) {
+    const response = await worker.fetch('/v1/messages', { json: body });
+    await response.arrayBuffer();
+    return { response, hosts: upstream.calls.map(call => new URL(call.url).host) };
+  }
+
+  const gaps = () => times.slice(1).map((time, index) => time - times[index]);
+
+  it('503 在同一个镜像上按指数退避重试', async () => {
+    const worker = await createRetryWorker([() => status(503), () => status(503)]);
+    const { response, hosts } = await send(worker);
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(hosts, ['a.test', 'a.test', 'a.test']);
+    const [first, second] = gaps();
+    assert.ok(first >= 9 && second >= 19, `重试间隔 ${gaps()}`);
+  });
+
+  it('400 等客户端错误不重试', async () => {
+    const worker = await createRetryWorker([() => status(400)]);
+    const { response, hosts } = await send(worker);
+    assert.equal(response.status, 400);
+    assert.deepEqual(hosts, ['a.test']);
+  });
+
+  it('按状态码使用 retry.policies 中的策略', async () => {
+    const worker = await createRetryWorker(Array(5).fill(() => status(529)));
+    const { response, hosts } = await send(worker);
+    assert.equal(response.status, 529);
+    assert.deepEqual(hosts, Array(4).fill('a.test'));
+  });
+
+  it('服务器给出的等待时间优先，超过 maxRetryAfter 时不再重试', async () => {
+    const worker = await createRetryWorker([() => status(429, { 'retry-after-ms': '60' })]);
+    await send(worker);
+    assert.equal(upstream.calls.length, 2);
+    assert.ok(gaps()[0] >= 55, `重试间隔 ${gaps()}`);
+
+    const tooLong = await createRetryWorker([() => status(429, { 'retry-after': '30' })]);
+    const { response, hosts } = await send(tooLong);
+    assert.equal(response.status, 429);
+    assert.equal(response.headers.get('retry-after'), '30');
+    assert.deepEqual(hosts, ['a.test']);
+  });
+
+  it('网络错误重试后成功', async () => {
+    const worker = await createRetryWorker([new TypeError('connection reset')]);
+    const { response, hosts } = await send(worker);
+    assert.equal(response.status, 200);
+    assert.deepEqual(hosts, ['a.test', 'a.test']);
+  });
+
+  it('所有镜像共享重试预算', async () => {
+    const worker = await createRetryWorker(Array(6).fill(() => status(503)), { budget: 2 });
+    const { response, hosts } = await send(worker);
+    assert.equal(response.status, 503);
+    // a.test 用完预算后故障转移到 b.test，b.test 不再重试
+    assert.deepEqual(hosts, ['a.test', 'a.test', 'a.test', 'b.test']);
+  });
+});
@@ -0,0 +1,80 @@
+// 流式故障转移：SSE 流在 message_stop 之前断开时补发 error 事件，或切换镜像重新请求
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWorker, mockUpstream, sse, streamResponse, parseSSE, anthropicStreamEvents } from './helpers.js';
+
+const body = { model: 'claude-sonnet-4-5', max_tokens: 16, stream: true, messages: [{ role: 'user', content: 'hi' }] };
+const RETRY = { policy: 'retry', retryPaths: ['/v1/messages'] };
+
+// message_start、content_block_start、text delta、content_block_stop、message_delta、message_stop
+const events = anthropicStreamEvents({ text: 'hello' });
+const complete = sse(events);
+const beforeContent = sse(events.slice(0, 2));
+const afterContent = sse(events.slice(0, 3));
+
+describe('流式故障转移', () => {
+  let upstream;
+  afterEach(() => upstream.restore());
+
+  async function createFailoverWorker(streamFailover, handler, vars = {}) {
+    upstream = mockUpstream(handler);
+    return createWorker({ config: { streamFailover }, vars });
+  }
+
+  it('默认不重新请求，补发 error 事件后正常结束', async () => {
+    const worker = await createFailoverWorker(undefined, () => streamResponse([beforeContent]));
+    const response = await worker.fetch('/v1/messages', { json: body });
+    const received = parseSSE(await response.text());
+
+    assert.equal(upstream.calls.length, 1);
+    assert.deepEqual(received.slice(0, 2).map(event => event.event), ['message_start', 'content_block_start']);
+    assert.equal(received.at(-1).event, 'error');
+    assert.equal(received.at(-1).data.error.type, 'api_error');
+    assert.match(received.at(-1).data.error.message, /message_stop/);
+  });
+
+  it('开启 retry 后，客户端尚未收到内容时切换镜像，响应头来自新镜像', async () => {
+    const worker = await createFailoverWorker(RETRY, call => (call.url.startsWith('https://a.test')
+      ? streamResponse([beforeContent])
+      : streamResponse([complete])));
+    const response = await worker.fetch('/v1/messages', { json: body });
+
+    assert.equal(response.headers.get('X-Mirror-Used'), 'https://b.test');
+    assert.equal(response.headers.get('X-Mirror-Index'), '2');
+    assert.equal(await response.text(), complete);
+    assert.deepEqual(upstream.calls.map(call => new URL(call.url).host), ['a.test', 'b.test']);
+  });
+
+  it('多次切换时每次都排除实际失败的镜像', async () => {
+    const worker = await createFailoverWorker({ ...RETRY, maxRestarts: 2 }, call => (call.url.startsWith('https://c.test')
+      ? streamResponse([complete])
+      : streamResponse([beforeContent])), { TARGET_URLS: 'https://a.test,https://b.test,https://c.test' });
+    const response = await worker.fetch('/v1/messages', { json: body });
+
+    assert.equal(response.headers.get('X-Mirror-Used'), 'https://c.test');
+    assert.equal(response.headers.get('X-Mirror-Index'), '3');
+    assert.equal(await response.text(), complete);
+    assert.deepEqual(upstream.calls.map(call => new URL(call.url).host), ['a.test', 'b.test', 'c.test']);
+  });
+
+  it('已经输出内容后中断时不重新请求，补发 error 事件', async () => {
+    const worker = await createFailoverWorker(RETRY, () => streamResponse([afterContent]));
+    const response = await worker.fetch('/v1/messages', { json: body });
+    const received = parseSSE(await response.text());
+
+    assert.equal(upstream.calls.length, 1);
+    assert.equal(response.headers.get('X-Mirror-Used'), 'https://a.test');
+    assert.equal(received[2].data.delta.text, 'hello');
+    assert.equal(received.at(-1).event, 'error');
+  });
+
+  it('按完整事件转发：统一换行符，丢弃上游结尾的半个事件', async () => {
+    const worker = await createFailoverWorker(undefined, () => streamResponse([
+      complete.slice(0, 30).replace(/\n/g, '\r\n'),
+      complete.slice(30),
+      'event: ping\ndata: {"ty',
+    ]));
+    const response = await worker.fetch('/v1/messages', { json: body });
+    assert.equal(await response.text(), complete);
+  });
+});
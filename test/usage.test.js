@@ -0,0 +1,80 @@
+// Token 用量统计：从 JSON 响应和 SSE 流中读取 usage，按 客户端 + 模型 + 天 累计（UsageTracker Durable Object）
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWorker, mockUpstream, sse, streamResponse, anthropicMessage, anthropicStreamEvents } from './helpers.js';
+
+const ADMIN_KEY = 'admin-key-0123456789';
+const body = { model: 'claude-test-1', max_tokens: 16, messages: [{ role: 'user', content: 'hi' }] };
+
+describe('Token 用量统计', () => {
+  let upstream;
+  let worker;
+
+  beforeEach(async () => {
+    worker = await createWorker({
+      vars: {
+        USAGE_TRACKING_ENABLED: 'true',
+        ADMIN_KEY,
+        AUTH_ENABLED: 'true',
+        UPSTREAM_API_KEY: 'sk-upstream',
+        PROXY_API_KEYS: JSON.stringify({ alice: 'sk-proxy-alice-0123456789', bob: 'sk-proxy-bob-0123456789' }),
+      },
+      config: { budget: { prices: { 'claude-test': { input: 1, output: 2, cacheRead: 0.1 } } } },
+      durableObjects: ['USAGE_TRACKER'],
+    });
+  });
+  afterEach(() => upstream.restore());
+
+  async function usage(query = '') {
+    const response = await worker.fetch(`/_admin/usage${query}`, { headers: { 'x-admin-key': ADMIN_KEY } });
+    assert.equal(response.status, 200);
+    return response.json();
+  }
+
+  it('记录非流式 JSON 响应中的 usage', async () => {
+    upstream = mockUpstream(() => Response.json(anthropicMessage({ model: 'claude-test-1', usage: { input_tokens: 100, output_tokens: 20 } })));
+    const response = await worker.fetch('/v1/messages', { json: body, headers: { 'x-api-key': 'sk-proxy-alice-0123456789' } });
+    assert.equal((await response.json()).content[0].text, 'hello');
+    await worker.settle();
+
+    const result = await usage();
+    assert.equal(result.days.length, 1);
+    const [entry] = result.days[0].entries;
+    assert.equal(entry.clientId, 'alice');
+    assert.equal(entry.model, 'claude-test-1');
+    assert.deepEqual([entry.requests, entry.inputTokens, entry.outputTokens], [1, 100, 20]);
+    assert.equal(result.totals.costUsd, 0.00014);
+  });
+
+  it('从 SSE 流的 message_start / message_delta 事件读取 usage，流内容原样转发', async () => {
+    const events = anthropicStreamEvents({ model: 'claude-test-1', usage: { input_tokens: 50, output_tokens: 30 } });
+    events[0].message.usage.cache_read_input_tokens = 1000;
+    const text = sse(events);
+    upstream = mockUpstream(() => streamResponse([text.slice(0, 100), text.slice(100)]));
+
+    for (const key of ['sk-proxy-alice-0123456789', 'sk-proxy-alice-0123456789', 'sk-proxy-bob-0123456789']) {
+      const response = await worker.fetch('/v1/messages', { json: { ...body, stream: true }, headers: { 'x-api-key': key } });
+      assert.equal(await response.text(), text);
+    }
+    await worker.settle();
+
+    const result = await usage();
+    assert.equal(result.totals.requests, 3);
+    assert.equal(result.totals.inputTokens, 150);
+    assert.equal(result.totals.outputTokens, 90);
+    assert.equal(result.totals.cacheReadInputTokens, 3000);
+
+    const alice = await usage('?client=alice');
+    assert.equal(alice.totals.requests, 2);
+    assert.equal(alice.totals.outputTokens, 60);
+  });
+
+  it('失败的响应不计入用量', async () => {
+    upstream = mockUpstream(() => Response.json({ type: 'error', error: { type: 'invalid_request_error', message: 'bad' } }, { status: 400 }));
+    const response = await worker.fetch('/v1/messages', { json: body, headers: { 'x-api-key': 'sk-proxy-alice-0123456789' } });
+    assert.equal(response.status, 400);
+    await worker.settle();
+
+    assert.equal((await usage()).totals.requests, 0);
+  });
+});
@@ -0,0 +1,97 @@
+// 请求体校验：格式错误的 Messages 请求在本地返回 invalid_request_error，不发送到镜像
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWorker, mockUpstream, anthropicMessage } from './helpers.js';
+
+const base = { model: 'claude-sonnet-4-5', max_tokens: 16, messages: [{ role: 'user', content: 'hi' }] };
+const withMessages = messages => ({ ...base, messages });
+const tool = { name: 'weather', input_schema: { type: 'object' } };
+const toolHistory = [
+  { role: 'user', content: 'weather?' },
+  { role: 'assistant', content: [{ type: 'tool_use', id: 'toolu_1', name: 'weather', input: {} }] },
+  { role: 'user', content: 'extra context' },
+  { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'toolu_1', content: 'sunny' }] },
+];
+
+describe('请求体校验', () => {
+  let upstream;
+  let worker;
+  afterEach(() => upstream.restore());
+
+  async function createValidationWorker(validation = {}, vars = { VALIDATION_ENABLED: 'true' }) {
+    upstream = mockUpstream(() => Response.json(anthropicMessage()));
+    worker = await createWorker({ vars, config: { validation } });
+  }
+
+  /**
+   * 发送请求，校验通过返回 null，否则返回错误信息
+   */
+  async function validate(json, path = '/v1/messages') {
+    const calls = upstream.calls.length;
+    const response = await worker.fetch(path, json === null ? { method: 'POST', body: 'null' } : { json });
+    const result = await response.json();
+    if (response.status === 200) return null;
+
+    assert.equal(response.status, 400);
+    assert.equal(result.type, 'error');
+    assert.equal(result.error.type, 'invalid_request_error');
+    assert.equal(upstream.calls.length, calls);
+    return result.error.message;
+  }
+
+  it('默认不校验，格式错误的请求原样转发', async () => {
+    await createValidationWorker({}, {});
+    assert.equal(await validate({ ...base, model: '' }), null);
+    assert.equal(upstream.calls.length, 1);
+  });
+
+  it('检查必填字段和已知类型的字段，放行未知内容块类型', async () => {
+    await createValidationWorker();
+    assert.equal(await validate(base), null);
+    assert.equal(await validate({ ...base, max_tokens: undefined }, '/v1/messages/count_tokens'), null);
+    assert.match(await validate({ ...base, max_tokens: undefined }), /^max_tokens/);
+    assert.match(await validate({ ...base, model: '' }), /^model/);
+    assert.match(await validate(null), /JSON 对象/);
+    assert.match(await validate(withMessages([{ role: 'system', content: 'x' }])), /^messages\.0\.role/);
+    assert.match(await validate(withMessages([{ role: 'user', content: [{ type: 'thinking', thinking: 'x' }] }])), /不能出现在 user 消息中/);
+    assert.match(
+      await validate(withMessages([{ role: 'user', content: [{ type: 'image', source: { type: 'base64', media_type: 'image/bmp', data: 'AA' } }] }])),
+      /^messages\.0\.content\.0\.source\.media_type/,
+    );
+    assert.equal(await validate(withMessages([
+      { role: 'user', content: 'x' },
+      { role: 'assistant', content: [{ type: 'mcp_tool_use', id: 'm1', name: 'n', server_name: 's', input: {} }] },
+    ])), null);
+    assert.equal(await validate(withMessages(toolHistory)), null);
+  });
+
+  it('检查工具定义、tool_choice 和采样参数', async () => {
+    await createValidationWorker();
+    assert.equal(await validate({ ...base, tools: [tool, { type: 'web_search_20250305', name: 'web_search' }] }), null);
+    assert.match(await validate({ ...base, tools: [{ name: 'weather' }] }), /^tools\.0\.input_schema/);
+    assert.match(await validate({ ...base, tools: [tool, tool] }), /重复/);
+    assert.match(await validate({ ...base, tools: [{ ...tool, name: 'bad name' }] }), /^tools\.0\.name/);
+    assert.match(await validate({ ...base, tools: [tool], tool_choice: { type: 'tool', name: 'other' } }), /^tool_choice\.name/);
+    assert.match(await validate({ ...base, temperature: 2 }), /^temperature/);
+  });
+
+  it('严格选项：角色交替、tool_result 对应关系和内容块类型白名单', async () => {
+    await createValidationWorker({ requireAlternation: true, checkToolResults: true, strictContentTypes: true, extraContentTypes: ['container_upload'] });
+    assert.match(await validate(withMessages(toolHistory)), /^messages\.3\.role/);
+    assert.match(
+      await validate(withMessages([toolHistory[0], { role: 'assistant', content: 'no tools' }, toolHistory[3]])),
+      /^messages\.2\.content\.0\.tool_use_id/,
+    );
+    assert.match(await validate(withMessages([{ role: 'user', content: [{ type: 'mcp_tool_result', tool_use_id: 'm1' }] }])), /不允许的内容块类型/);
+    assert.equal(await validate(withMessages([{ role: 'user', content: [{ type: 'container_upload', file_id: 'f' }] }])), null);
+  });
+
+  it('normalize 补全 max_tokens 和 anthropic-version 后再校验', async () => {
+    await createValidationWorker({ normalize: true, defaultMaxTokens: 1024 });
+    assert.equal(await validate({ ...base, max_tokens: undefined }), null);
+
+    const call = upstream.calls[0];
+    assert.equal(call.json().max_tokens, 1024);
+    assert.equal(call.headers.get('anthropic-version'), '2023-06-01');
+  });
+});
@@ -12,6 +12,14 @@
  * - ⚡ 性能优化（Keep-Alive、超时控制）
  * - 🔐 完整的 CORS 支持
  * - 📝 错误处理和详细日志记录
+ * - ⚙️ 动态配置：环境变量 + KV 覆盖默认配置，运行时校验
+ * - 🔑 客户端认证：代理自有 API Key，转发前替换为上游真实 Key
+ * - 🚦 速率限制：按 Key / IP 的令牌桶限流与并发流限制（Durable Object）
+ * - 📊 用量统计：解析 usage / SSE 事件，按 Key + 模型 + 天累计 Token
+ * - 💰 预算控制：按 Key 的日/月 Token 或美元预算，软阈值告警、硬上限拒绝
+ * - 🧭 模型路由：按请求的模型限定可用镜像，并可按镜像改写模型名
+ * - 🔁 OpenAI 兼容：/v1/chat/completions 与 /v1/models 转换为 Anthropic Messages API
+ * - 🩹 流式故障转移：SSE 中途断开时补发 error 事件，或在客户端未收到内容前切换镜像
  *
  * 路由工作原理：
  * 1. 用户访问 Worker 域名，Cloudflare 自动解析到最近的边缘节点（国内用户 → 国内节点）
@@ -21,8 +29,8 @@
  * 5. 这样即使目标站点在国内被墙，用户也能正常访问
  */
 
-// 配置项
-const CONFIG = {
+// 默认配置项（运行时会被环境变量和 KV 中的配置覆盖，见 loadConfig）
+const DEFAULT_CONFIG = {
   // 目标中转站地址（多镜像支持，按优先级排序）
   targetUrls: [
     'https://anyrouter.top',                                 // 主站点（优先）
@@ -49,419 +57,5881 @@ const CONFIG = {
     singleMirrorTimeout: 10000,
     // 触发切换的 HTTP 状态码
     failoverStatuses: [502, 503, 504, 521, 522, 523, 524],
+    // 对冲模式（hedged）：前一个镜像超过该时间（毫秒）未返回响应头时才启动下一个镜像
+    hedgeDelay: 2000,
+    // 手动权重（adaptive 策略），如 { "https://anyrouter.top": 2 }，未列出的镜像权重为 1，0 表示只作兜底
+    weights: {},
+    // 排空的镜像：所有策略都不再向其发送新请求（全部排空时仍会尝试）
+    drained: [],
+    // 按镜像的转发配置，故障转移到哪个镜像就使用哪个镜像的凭据和请求头，客户端无需改动：
+    // { "https://b.example": { "apiKeySecret": "RELAY_B_KEY", "authStyle": "bearer", "pathPrefix": "/claude" } }
+    // apiKeySecret: 存放上游 Key 的 Secret 名称（wrangler secret put RELAY_B_KEY）
+    // apiKeySecrets: 多个 Secret 名称组成的 Key 池，按 keyPool 配置轮换（与 apiKeySecret 二选一）
+    // authStyle: 'x-api-key' | 'bearer'，不设置时沿用客户端的认证头风格
+    // anthropicVersion: 覆盖 anthropic-version 头；headers: 添加或覆盖的请求头；removeHeaders: 删除的请求头
+    // stripPrefix / pathPrefix: 先去掉、再添加的路径前缀；query: 追加的查询参数（同名参数覆盖）
+    profiles: {},
+  },
+
+  // 上游 Key 池：镜像配置了 apiKeySecrets 时在多个 Key 之间分配请求，失效或持续限流的 Key 暂停使用
+  // 日志和响应头（X-Upstream-Key）中只出现 Key ID（即 Secret 名称），不会出现 Key 本身
+  keyPool: {
+    // 'round-robin': 轮流使用；'least-used': 优先使用进行中请求最少、累计请求最少的 Key
+    strategy: 'round-robin',
+    // 返回 401/403 后的冷却时间（秒）
+    authCooldownPeriod: 600,
+    // 持续 429 后的冷却时间（秒），上游要求的等待时间更长时以其为准
+    rateLimitCooldownPeriod: 60,
+    // 连续冷却时按指数退避翻倍，最长 maxCooldownPeriod（秒）
+    maxCooldownPeriod: 3600,
+    // rateLimitWindow 秒内收到 rateLimitThreshold 次 429 视为持续限流
+    rateLimitThreshold: 3,
+    rateLimitWindow: 60,
+  },
+
+  // adaptive 策略：按首字节耗时和错误率的指数加权移动平均（EWMA）加权随机选择镜像
+  adaptive: {
+    // EWMA 平滑系数（0-1，越大越看重最近的请求）
+    ewmaAlpha: 0.2,
+    // 还没有延迟数据的镜像按该首字节耗时（毫秒）估算，保证新镜像也能获得流量
+    initialLatency: 1000,
+    // 错误率最高时保留的最小选择权重比例，保证慢或不稳定的镜像仍有少量流量用于恢复
+    minShare: 0.05,
   },
 
   // 缓存配置
   cache: {
-    // GET 请求缓存时间（秒）
+    enabled: true,
+    // 规则未设置 ttl 时的缓存时间（秒）
     defaultTtl: 300,
-    // 静态资源缓存时间（秒）
-    staticTtl: 86400,
-    // 静态资源文件扩展名
-    staticExtensions: ['.jpg', '.jpeg', '.png', '.gif', '.svg', '.css', '.js', '.woff', '.woff2', '.ttf', '.ico'],
+    // GET 缓存规则，按顺序取第一条匹配的规则，未匹配的请求不缓存
+    // path: 路径，支持 * 通配符；ttl: 缓存时间（秒）；authScoped: 按客户端凭据分别缓存（默认 true）
+    rules: [
+      { path: '/v1/models', ttl: 300, authScoped: true },
+      { path: '/v1/models/*', ttl: 300, authScoped: true },
+    ],
+    // 参与缓存键的请求头（取值不同时分别缓存）
+    keyHeaders: ['anthropic-version', 'anthropic-beta', 'accept-language'],
+  },
+
+  // Prompt 缓存（需要绑定 PROMPT_CACHE_KV）：相同的 /v1/messages 请求直接返回上次的响应，流式请求重放为 SSE
+  promptCache: {
+    enabled: false,
+    // 'opt-in': 只缓存带 x-proxy-cache: use 头的请求；'auto': 自动缓存 temperature 为 0 的请求
+    // 两种模式下客户端都可以用 x-proxy-cache: bypass 跳过缓存
+    mode: 'opt-in',
+    // 缓存时间（秒，KV 最短 60 秒）
+    ttl: 3600,
+    // 'key': 按客户端 Key 隔离；'global': 所有客户端共享
+    scope: 'key',
   },
 
   // 重试配置
   retry: {
+    // 单个镜像上的最大重试次数
     maxRetries: 2,
-    retryDelay: 1000, // 毫秒
+    // 指数退避的基础延迟和最大延迟（毫秒）
+    retryDelay: 1000,
+    maxDelay: 8000,
+    // 退避时间加随机抖动
+    jitter: true,
+    // 使用默认策略重试的状态码
     retryableStatuses: [502, 503, 504],
+    // 按状态码或错误类别（timeout / network）覆盖的策略：{ maxRetries, retryDelay, maxDelay }
+    policies: {
+      429: { maxRetries: 2 },
+      529: { maxRetries: 3, retryDelay: 2000 },
+      timeout: { maxRetries: 1 },
+    },
+    // 同一个请求在所有镜像上的重试总次数
+    budget: 4,
+    // 服务器要求等待（retry-after 等）超过该时间（毫秒）时不再重试，交给故障转移或客户端处理
+    maxRetryAfter: 10000,
   },
 
   // 请求超时配置（毫秒）
   timeout: {
-    // 总超时时间（包括所有重试）
+    // 总超时时间：从收到请求到拿到上游响应头，所有重试和镜像切换共享
     total: 60000,
-    // 单次请求超时
+    // 单次请求超时：非流式请求等待响应头（上游生成完整响应）的时间
     singleRequest: 30000,
-    // 连接超时（首字节超时）
+    // 首字节超时：流式请求等待响应头的时间
     connect: 10000,
+    // SSE 流空闲超时：两个数据块之间的最长间隔，0 表示不限制
+    idle: 60000,
+  },
+
+  // 调试配置
+  debug: {
+    enabled: true, // 开启详细日志
+    logLevel: 'INFO', // 日志级别: ERROR, WARN, INFO, DEBUG
+    logRequestBody: false, // 记录请求体（仅 DEBUG 级别，生产环境建议关闭）
+    logResponseBody: false, // 记录响应体（仅 DEBUG 级别，生产环境建议关闭）
+    logRouting: true, // 记录路由信息
+  },
+
+  // 日志输出配置
+  logging: {
+    // 'json': 单行 JSON 记录（带 requestId，便于 wrangler tail / 日志平台查询）；'text': 传统文本格式
+    format: 'json',
+    // 每个请求输出一条访问日志（镜像、策略、状态、耗时、重试次数），不受 debug.enabled 影响
+    accessLog: true,
+    // 批量发送日志到 HTTP 收集端（可选）
+    sink: {
+      // 收集端地址，如 Loki 的 https://loki.example.com/loki/api/v1/push，为空表示不发送
+      url: '',
+      // 'loki' 或 'webhook'
+      type: 'webhook',
+      // Bearer Token（建议使用 Secret：LOG_SINK_TOKEN）
+      token: '',
+      // Loki 流标签
+      labels: { job: 'claude-proxy' },
+      // 每次发送的最大记录数
+      batchSize: 200,
+      // 缓冲区上限（超过时丢弃最旧的记录）
+      maxBuffer: 1000,
+    },
+  },
+
+  // 镜像选择策略
+  mirrorStrategy: 'race', // 'sequential' | 'race' | 'primary-first' | 'hedged' | 'adaptive'
+  // sequential: 串行尝试，失败后切换（省token但慢）
+  // race: 同时请求所有镜像，使用最快响应（快但消耗token）
+  // primary-first: 优先主站点，失败后并发所有备用镜像（推荐，平衡性能和token消耗）
+  // hedged: 依次启动镜像，前一个超过 mirror.hedgeDelay 未响应才启动下一个（快且省token）
+  // adaptive: 按首字节耗时和错误率加权随机排序镜像，再依次尝试（见 adaptive 配置）
+  // race / primary-first / hedged 选出胜者后都会取消其余进行中的请求
+
+  // 镜像健康检查
+  healthCheck: {
+    enabled: true,
+    // 熔断条件：滑动窗口内失败次数不少于 failureThreshold 且错误率不低于 errorRateThreshold
+    failureThreshold: 3,
+    errorRateThreshold: 0.5,
+    // 滑动窗口：最近 windowSize 次请求中 windowSeconds 秒内的部分
+    windowSize: 20,
+    windowSeconds: 60,
+    // 熔断时间（秒）：连续熔断时按指数退避翻倍，最长 maxCooldownPeriod
+    cooldownPeriod: 600, // 10 分钟
+    maxCooldownPeriod: 1800,
+    // 半开状态允许的试探请求数，全部成功后关闭熔断器，任意一次失败重新熔断
+    halfOpenTrials: 2,
+    // 与 HealthTracker（Durable Object）同步的间隔（秒），未绑定时只使用本地内存
+    syncInterval: 10,
+  },
+
+  // 主动健康探测（由 wrangler.toml 中的 Cron Trigger 触发）
+  probe: {
+    enabled: true,
+    // 'models': GET /v1/models（不消耗 token）；'messages': max_tokens=1 的极小请求（更接近真实调用）
+    mode: 'models',
+    // messages 模式使用的模型
+    model: 'claude-haiku-4-5',
+    // 单次探测超时（毫秒）
+    timeout: 10000,
+    // 每个镜像保留的探测记录数
+    historySize: 288,
+  },
+
+  // Prometheus 指标（/_metrics，需要管理员 Key）；绑定 METRICS_COLLECTOR Durable Object 时汇总所有 isolate 的数据
+  metrics: {
+    enabled: true,
+    // 本地积累的指标提交到 MetricsCollector 的间隔（秒），未绑定时只使用本地内存
+    flushInterval: 10,
+    // 首字节耗时和总耗时直方图的分桶（秒）
+    latencyBuckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120],
+    // 流式响应持续时间直方图的分桶（秒）
+    streamBuckets: [1, 5, 10, 30, 60, 120, 300, 600],
+    // 管理后台（/_admin）保留的最近请求数（随指标一起提交到 MetricsCollector）
+    recentRequests: 200,
+  },
+
+  // 客户端认证配置
+  auth: {
+    // 是否启用客户端认证（启用后客户端必须使用代理签发的 Key）
+    enabled: false,
+    // 通过 Secret 配置的客户端 Key：{ "客户端ID": "sk-proxy-..." }
+    clientKeys: {},
+    // 管理员 Key（设置后 /_health、/_test、/_metrics 和 /_admin 接口需要携带）
+    adminKey: '',
+    // 转发到上游时替换使用的真实 API Key
+    upstreamApiKey: '',
+  },
+
+  // 速率限制配置（需要绑定 RATE_LIMITER Durable Object）
+  rateLimit: {
+    enabled: false,
+    // 每个客户端 Key 的限制（0 表示不限制）
+    perKey: {
+      requestsPerMinute: 60, // 每分钟请求数
+      burst: 0, // 突发容量，0 表示等于每分钟请求数
+      maxConcurrentStreams: 5, // 最大并发流式请求数
+    },
+    // 每个客户端 IP 的限制
+    perIp: {
+      requestsPerMinute: 120,
+      burst: 0,
+      maxConcurrentStreams: 10,
+    },
+    // 按客户端 ID 覆盖 perKey：{ "alice": { "requestsPerMinute": 300 } }
+    keyOverrides: {},
+    // 并发流租约的最长持有时间（秒），超时自动回收
+    streamLeaseTtl: 600,
+  },
+
+  // Token 用量统计（需要绑定 USAGE_TRACKER Durable Object）
+  usage: {
+    enabled: false,
+  },
+
+  // 审计日志（需要绑定 AUDIT_BUCKET R2 存储桶）：保存完整请求和重新组装后的响应，可通过 /_admin/audit 查询和重放
+  audit: {
+    enabled: false,
+    // 采样率（0-1）
+    sampleRate: 1,
+    // 按客户端 ID 覆盖采样率：{ "alice": 1, "anonymous": 0.1 }
+    keySampleRates: {},
+    // 记录的路径前缀
+    paths: ['/v1/messages'],
+    // 保留天数，定时任务删除更早的记录（0 表示不删除）
+    retentionDays: 30,
+    // 请求体和响应体各自保存的最大字节数，超出部分截断（截断的请求无法重放）
+    maxBodySize: 1048576,
+    // 脱敏：请求头中的密钥总是替换为 ***，请求体和响应体中的内容按以下规则替换
+    scrub: {
+      emails: true, // 邮箱地址 → [EMAIL]
+      secrets: true, // API Key / Token 形式的字符串 → [SECRET]
+      patterns: [], // 其他需要替换为 [REDACTED] 的正则表达式
+    },
+  },
+
+  // 预算控制（依赖用量统计）
+  budget: {
+    enabled: false,
+    // 模型价格表（美元 / 百万 Token），按模型名前缀最长匹配，找不到时使用 default
+    prices: {
+      'claude-opus-4-5': { input: 5, output: 25, cacheWrite: 6.25, cacheRead: 0.5 },
+      'claude-opus-4': { input: 15, output: 75, cacheWrite: 18.75, cacheRead: 1.5 },
+      'claude-sonnet-4': { input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 },
+      'claude-3-7-sonnet': { input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 },
+      'claude-3-5-sonnet': { input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 },
+      'claude-haiku-4-5': { input: 1, output: 5, cacheWrite: 1.25, cacheRead: 0.1 },
+      'claude-3-5-haiku': { input: 0.8, output: 4, cacheWrite: 1, cacheRead: 0.08 },
+      default: { input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 },
+    },
+    // 默认预算（对所有 Key 生效，0 表示不限制）
+    defaults: {
+      period: 'monthly', // daily | monthly
+      hardLimitUsd: 0, // 硬上限：超过后拒绝请求
+      softLimitUsd: 0, // 软阈值：超过后添加警告头并触发 Webhook
+      hardLimitTokens: 0,
+      softLimitTokens: 0,
+    },
+    // 按客户端 ID 覆盖默认预算：{ "alice": { "period": "daily", "hardLimitUsd": 10 } }
+    keys: {},
+    // 超过硬上限时的状态码：402（billing_error）或 429（rate_limit_error）
+    hardLimitStatus: 402,
+    // 软阈值告警 Webhook（每个 Key 每个周期通知一次）
+    webhookUrl: '',
+    // 花费查询结果缓存时间（秒）
+    cacheTtl: 30,
+  },
+
+  // 模型路由：部分中转站只支持特定模型
+  modelRouting: {
+    enabled: false,
+    // 模型名（支持末尾 * 通配）→ 允许的镜像，镜像可写成 { url, model } 以改写该上游使用的模型名
+    // { "claude-opus-4*": { "mirrors": ["https://anyrouter.top", { "url": "https://b.example", "model": "opus" }] } }
+    routes: {},
+    // 未匹配任何路由的模型：'reject' 返回 400，'all' 使用全部镜像
+    unmatched: 'reject',
   },
 
-  // 调试配置
-  debug: {
-    enabled: true, // 开启详细日志
-    logLevel: 'INFO', // 日志级别: ERROR, WARN, INFO, DEBUG
-    logRequestBody: false, // 记录请求体（仅 DEBUG 级别，生产环境建议关闭）
-    logResponseBody: false, // 记录响应体（仅 DEBUG 级别，生产环境建议关闭）
-    logRouting: true, // 记录路由信息
-  },
+  // 请求体校验：/v1/messages 和 /v1/messages/count_tokens 的格式错误在本地返回 invalid_request_error，不再发送到镜像
+  validation: {
+    enabled: false,
+    // 要求 user / assistant 消息严格交替（官方 API 会合并连续的同角色消息，默认不要求）
+    requireAlternation: false,
+    // 只允许已知的内容块类型和 extraContentTypes 中的类型（默认未知类型直接放行，只检查已知类型的字段）
+    strictContentTypes: false,
+    // strictContentTypes 开启时额外允许的内容块类型，只检查 type 不检查字段
+    extraContentTypes: [],
+    // 要求每个 tool_result 都对应上一条 assistant 消息中的 tool_use（截断或压缩过的历史可能不满足）
+    checkToolResults: false,
+    // 补全缺失的字段：max_tokens 使用 defaultMaxTokens，anthropic-version 请求头使用 anthropicVersion
+    normalize: false,
+    defaultMaxTokens: 4096,
+    anthropicVersion: '2023-06-01',
+  },
+
+  // 请求策略：按客户端 Key 限制请求内容，违反时返回 4xx 并记录到访问日志和指标
+  policy: {
+    enabled: false,
+    // 默认策略（对所有 Key 生效）
+    defaults: {
+      maxBodySize: 0, // 请求体最大字节数（0 表示不限制）
+      maxTokens: 0, // max_tokens 上限（0 表示不限制）
+      allowedModels: [], // 允许的模型（支持末尾 * 通配），空数组表示不限制
+      maxImages: -1, // 每个请求的最大图片数（-1 表示不限制，0 表示禁止图片）
+      allowTools: true, // 是否允许使用 tools
+      denyPatterns: [], // 禁止出现在提示文本中的正则表达式或关键词（不区分大小写）
+    },
+    // 按客户端 ID 覆盖默认策略：{ "trial": { "maxTokens": 1024, "allowedModels": ["claude-haiku-*"] } }
+    keys: {},
+    // 转发前对提示文本（system、text 块、tool_result）脱敏
+    redact: {
+      emails: false, // 邮箱地址 → [EMAIL]
+      secrets: false, // API Key / Token 形式的字符串 → [SECRET]
+      patterns: [], // 其他需要替换为 [REDACTED] 的正则表达式
+    },
+  },
+
+  // OpenAI 兼容接口（/v1/chat/completions、/v1/models）
+  openai: {
+    enabled: false,
+    // OpenAI 模型名 → Anthropic 模型名：{ "gpt-4o": "claude-sonnet-4-5" }
+    modelMap: {},
+    // 请求未指定 max_tokens 时使用的默认值（Anthropic 必填）
+    defaultMaxTokens: 4096,
+    // 转换后请求使用的 anthropic-version
+    anthropicVersion: '2023-06-01',
+  },
+
+  // 流式故障转移：SSE 流在 message_stop 之前断开时的处理
+  streamFailover: {
+    enabled: true,
+    // 'error': 补发 Anthropic error 事件后正常结束
+    // 'retry': 客户端尚未收到内容时切换镜像重新请求（会缓冲 message_start 直到首个内容块），否则同 'error'
+    // 重新请求会让上游再执行一次同样的请求，需要运营方确认后显式开启
+    policy: 'error',
+    // 允许重新请求的路径（视为幂等，其余路径只使用 'error' 策略），如 ['/v1/messages']
+    retryPaths: [],
+    // 单个请求最多切换次数
+    maxRestarts: 1,
+  },
+};
+
+// 当前生效的配置（每次请求开始时由 loadConfig 刷新）
+let CONFIG = DEFAULT_CONFIG;
+
+// 配置校验规则（按配置路径声明，新增配置项时需同步添加）
+// type: string | number | boolean | enum | array | object
+// secret: true 的配置项在 /_health 中会被脱敏
+const CONFIG_SCHEMA = {
+  'targetUrls': { type: 'array', items: 'url', minItems: 1 },
+  'allowedMethods': { type: 'array', items: 'string', minItems: 1 },
+  'routing.forceInternationalEgress': { type: 'boolean' },
+  'routing.chinaRegions': { type: 'array', items: 'string' },
+  'mirror.autoFailover': { type: 'boolean' },
+  'mirror.singleMirrorTimeout': { type: 'number', min: 1 },
+  'mirror.failoverStatuses': { type: 'array', items: 'status' },
+  'mirror.hedgeDelay': { type: 'number', min: 0, integer: true },
+  'mirror.weights': { type: 'object' },
+  'mirror.drained': { type: 'array', items: 'url' },
+  'mirror.profiles': { type: 'object' },
+  'keyPool.strategy': { type: 'enum', values: ['round-robin', 'least-used'] },
+  'keyPool.authCooldownPeriod': { type: 'number', min: 0 },
+  'keyPool.rateLimitCooldownPeriod': { type: 'number', min: 0 },
+  'keyPool.maxCooldownPeriod': { type: 'number', min: 0 },
+  'keyPool.rateLimitThreshold': { type: 'number', min: 1, integer: true },
+  'keyPool.rateLimitWindow': { type: 'number', min: 1 },
+  'adaptive.ewmaAlpha': { type: 'number', min: 0.01, max: 1 },
+  'adaptive.initialLatency': { type: 'number', min: 1 },
+  'adaptive.minShare': { type: 'number', min: 0, max: 1 },
+  'cache.enabled': { type: 'boolean' },
+  'cache.defaultTtl': { type: 'number', min: 0 },
+  'cache.rules': { type: 'array' },
+  'cache.keyHeaders': { type: 'array', items: 'string' },
+  'promptCache.enabled': { type: 'boolean' },
+  'promptCache.mode': { type: 'enum', values: ['opt-in', 'auto'] },
+  'promptCache.ttl': { type: 'number', min: 60, integer: true },
+  'promptCache.scope': { type: 'enum', values: ['key', 'global'] },
+  'retry.maxRetries': { type: 'number', min: 0, integer: true },
+  'retry.retryDelay': { type: 'number', min: 0 },
+  'retry.retryableStatuses': { type: 'array', items: 'status' },
+  'retry.maxDelay': { type: 'number', min: 0 },
+  'retry.jitter': { type: 'boolean' },
+  'retry.policies': { type: 'object' },
+  'retry.budget': { type: 'number', min: 0, integer: true },
+  'retry.maxRetryAfter': { type: 'number', min: 0 },
+  'timeout.total': { type: 'number', min: 1 },
+  'timeout.singleRequest': { type: 'number', min: 1 },
+  'timeout.connect': { type: 'number', min: 1 },
+  'timeout.idle': { type: 'number', min: 0 },
+  'debug.enabled': { type: 'boolean' },
+  'debug.logLevel': { type: 'enum', values: ['ERROR', 'WARN', 'INFO', 'DEBUG'] },
+  'debug.logRequestBody': { type: 'boolean' },
+  'debug.logResponseBody': { type: 'boolean' },
+  'debug.logRouting': { type: 'boolean' },
+  'logging.format': { type: 'enum', values: ['json', 'text'] },
+  'logging.accessLog': { type: 'boolean' },
+  'logging.sink.url': { type: 'string', secret: true },
+  'logging.sink.type': { type: 'enum', values: ['loki', 'webhook'] },
+  'logging.sink.token': { type: 'string', secret: true },
+  'logging.sink.labels': { type: 'object' },
+  'logging.sink.batchSize': { type: 'number', min: 1, integer: true },
+  'logging.sink.maxBuffer': { type: 'number', min: 1, integer: true },
+  'mirrorStrategy': { type: 'enum', values: ['sequential', 'race', 'primary-first', 'hedged', 'adaptive'] },
+  'healthCheck.enabled': { type: 'boolean' },
+  'healthCheck.failureThreshold': { type: 'number', min: 1, integer: true },
+  'healthCheck.cooldownPeriod': { type: 'number', min: 0 },
+  'healthCheck.errorRateThreshold': { type: 'number', min: 0, max: 1 },
+  'healthCheck.windowSize': { type: 'number', min: 1, integer: true },
+  'healthCheck.windowSeconds': { type: 'number', min: 1 },
+  'healthCheck.maxCooldownPeriod': { type: 'number', min: 0 },
+  'healthCheck.halfOpenTrials': { type: 'number', min: 1, integer: true },
+  'healthCheck.syncInterval': { type: 'number', min: 0 },
+  'probe.enabled': { type: 'boolean' },
+  'probe.mode': { type: 'enum', values: ['models', 'messages'] },
+  'probe.model': { type: 'string' },
+  'probe.timeout': { type: 'number', min: 1 },
+  'probe.historySize': { type: 'number', min: 1, integer: true },
+  'metrics.enabled': { type: 'boolean' },
+  'metrics.flushInterval': { type: 'number', min: 0 },
+  'metrics.latencyBuckets': { type: 'array', items: 'number' },
+  'metrics.streamBuckets': { type: 'array', items: 'number' },
+  'metrics.recentRequests': { type: 'number', min: 0, integer: true },
+  'auth.enabled': { type: 'boolean' },
+  'auth.clientKeys': { type: 'object', secret: true },
+  'auth.adminKey': { type: 'string', secret: true },
+  'auth.upstreamApiKey': { type: 'string', secret: true },
+  'rateLimit.enabled': { type: 'boolean' },
+  'rateLimit.perKey.requestsPerMinute': { type: 'number', min: 0, integer: true },
+  'rateLimit.perKey.burst': { type: 'number', min: 0, integer: true },
+  'rateLimit.perKey.maxConcurrentStreams': { type: 'number', min: 0, integer: true },
+  'rateLimit.perIp.requestsPerMinute': { type: 'number', min: 0, integer: true },
+  'rateLimit.perIp.burst': { type: 'number', min: 0, integer: true },
+  'rateLimit.perIp.maxConcurrentStreams': { type: 'number', min: 0, integer: true },
+  'rateLimit.keyOverrides': { type: 'object' },
+  'rateLimit.streamLeaseTtl': { type: 'number', min: 1 },
+  'usage.enabled': { type: 'boolean' },
+  'audit.enabled': { type: 'boolean' },
+  'audit.sampleRate': { type: 'number', min: 0, max: 1 },
+  'audit.keySampleRates': { type: 'object' },
+  'audit.paths': { type: 'array', items: 'string' },
+  'audit.retentionDays': { type: 'number', min: 0, integer: true },
+  'audit.maxBodySize': { type: 'number', min: 1024, integer: true },
+  'audit.scrub.emails': { type: 'boolean' },
+  'audit.scrub.secrets': { type: 'boolean' },
+  'audit.scrub.patterns': { type: 'array', items: 'regex' },
+  'budget.enabled': { type: 'boolean' },
+  'budget.prices': { type: 'object' },
+  'budget.defaults.period': { type: 'enum', values: ['daily', 'monthly'] },
+  'budget.defaults.hardLimitUsd': { type: 'number', min: 0 },
+  'budget.defaults.softLimitUsd': { type: 'number', min: 0 },
+  'budget.defaults.hardLimitTokens': { type: 'number', min: 0, integer: true },
+  'budget.defaults.softLimitTokens': { type: 'number', min: 0, integer: true },
+  'budget.keys': { type: 'object' },
+  'budget.hardLimitStatus': { type: 'enum', values: [402, 429] },
+  'budget.webhookUrl': { type: 'string', secret: true },
+  'budget.cacheTtl': { type: 'number', min: 0 },
+  'modelRouting.enabled': { type: 'boolean' },
+  'modelRouting.routes': { type: 'object' },
+  'modelRouting.unmatched': { type: 'enum', values: ['all', 'reject'] },
+  'validation.enabled': { type: 'boolean' },
+  'validation.requireAlternation': { type: 'boolean' },
+  'validation.strictContentTypes': { type: 'boolean' },
+  'validation.extraContentTypes': { type: 'array', items: 'string' },
+  'validation.checkToolResults': { type: 'boolean' },
+  'validation.normalize': { type: 'boolean' },
+  'validation.defaultMaxTokens': { type: 'number', min: 1, integer: true },
+  'validation.anthropicVersion': { type: 'string' },
+  'policy.enabled': { type: 'boolean' },
+  'policy.defaults.maxBodySize': { type: 'number', min: 0, integer: true },
+  'policy.defaults.maxTokens': { type: 'number', min: 0, integer: true },
+  'policy.defaults.allowedModels': { type: 'array', items: 'string' },
+  'policy.defaults.maxImages': { type: 'number', min: -1, integer: true },
+  'policy.defaults.allowTools': { type: 'boolean' },
+  'policy.defaults.denyPatterns': { type: 'array', items: 'regex' },
+  'policy.keys': { type: 'object' },
+  'policy.redact.emails': { type: 'boolean' },
+  'policy.redact.secrets': { type: 'boolean' },
+  'policy.redact.patterns': { type: 'array', items: 'regex' },
+  'openai.enabled': { type: 'boolean' },
+  'openai.modelMap': { type: 'object' },
+  'openai.defaultMaxTokens': { type: 'number', min: 1, integer: true },
+  'openai.anthropicVersion': { type: 'string' },
+  'streamFailover.enabled': { type: 'boolean' },
+  'streamFailover.policy': { type: 'enum', values: ['error', 'retry'] },
+  'streamFailover.retryPaths': { type: 'array', items: 'string' },
+  'streamFailover.maxRestarts': { type: 'number', min: 0, integer: true },
+};
+
+// 环境变量 → 配置路径映射（在 wrangler.toml [vars] 或 Dashboard 中设置）
+// list 类型支持逗号分隔或 JSON 数组，json 类型为 JSON 文本
+// 敏感值（Key）请使用 wrangler secret put 设置，读取方式与普通变量相同
+const ENV_CONFIG_MAP = {
+  TARGET_URLS: { path: 'targetUrls', type: 'list' },
+  MIRROR_STRATEGY: { path: 'mirrorStrategy', type: 'string' },
+  AUTO_FAILOVER: { path: 'mirror.autoFailover', type: 'boolean' },
+  SINGLE_MIRROR_TIMEOUT: { path: 'mirror.singleMirrorTimeout', type: 'number' },
+  MIRROR_HEDGE_DELAY: { path: 'mirror.hedgeDelay', type: 'number' },
+  MIRROR_DRAINED: { path: 'mirror.drained', type: 'list' },
+  MIRROR_PROFILES: { path: 'mirror.profiles', type: 'json' },
+  KEY_POOL_STRATEGY: { path: 'keyPool.strategy', type: 'string' },
+  FORCE_INTERNATIONAL_EGRESS: { path: 'routing.forceInternationalEgress', type: 'boolean' },
+  CACHE_DEFAULT_TTL: { path: 'cache.defaultTtl', type: 'number' },
+  CACHE_ENABLED: { path: 'cache.enabled', type: 'boolean' },
+  PROMPT_CACHE_ENABLED: { path: 'promptCache.enabled', type: 'boolean' },
+  PROMPT_CACHE_MODE: { path: 'promptCache.mode', type: 'string' },
+  PROMPT_CACHE_TTL: { path: 'promptCache.ttl', type: 'number' },
+  MAX_RETRIES: { path: 'retry.maxRetries', type: 'number' },
+  RETRY_DELAY: { path: 'retry.retryDelay', type: 'number' },
+  RETRY_BUDGET: { path: 'retry.budget', type: 'number' },
+  TIMEOUT_TOTAL: { path: 'timeout.total', type: 'number' },
+  TIMEOUT_SINGLE_REQUEST: { path: 'timeout.singleRequest', type: 'number' },
+  TIMEOUT_CONNECT: { path: 'timeout.connect', type: 'number' },
+  TIMEOUT_IDLE: { path: 'timeout.idle', type: 'number' },
+  DEBUG_MODE: { path: 'debug.enabled', type: 'boolean' },
+  LOG_LEVEL: { path: 'debug.logLevel', type: 'string' },
+  LOG_FORMAT: { path: 'logging.format', type: 'string' },
+  LOG_SINK_URL: { path: 'logging.sink.url', type: 'string' },
+  LOG_SINK_TYPE: { path: 'logging.sink.type', type: 'string' },
+  LOG_SINK_TOKEN: { path: 'logging.sink.token', type: 'string' },
+  HEALTH_CHECK_ENABLED: { path: 'healthCheck.enabled', type: 'boolean' },
+  HEALTH_FAILURE_THRESHOLD: { path: 'healthCheck.failureThreshold', type: 'number' },
+  HEALTH_COOLDOWN_PERIOD: { path: 'healthCheck.cooldownPeriod', type: 'number' },
+  HEALTH_SYNC_INTERVAL: { path: 'healthCheck.syncInterval', type: 'number' },
+  PROBE_ENABLED: { path: 'probe.enabled', type: 'boolean' },
+  PROBE_MODE: { path: 'probe.mode', type: 'string' },
+  METRICS_ENABLED: { path: 'metrics.enabled', type: 'boolean' },
+  AUTH_ENABLED: { path: 'auth.enabled', type: 'boolean' },
+  PROXY_API_KEYS: { path: 'auth.clientKeys', type: 'json' },
+  ADMIN_KEY: { path: 'auth.adminKey', type: 'string' },
+  UPSTREAM_API_KEY: { path: 'auth.upstreamApiKey', type: 'string' },
+  RATE_LIMIT_ENABLED: { path: 'rateLimit.enabled', type: 'boolean' },
+  RATE_LIMIT_KEY_RPM: { path: 'rateLimit.perKey.requestsPerMinute', type: 'number' },
+  RATE_LIMIT_KEY_STREAMS: { path: 'rateLimit.perKey.maxConcurrentStreams', type: 'number' },
+  RATE_LIMIT_IP_RPM: { path: 'rateLimit.perIp.requestsPerMinute', type: 'number' },
+  RATE_LIMIT_IP_STREAMS: { path: 'rateLimit.perIp.maxConcurrentStreams', type: 'number' },
+  USAGE_TRACKING_ENABLED: { path: 'usage.enabled', type: 'boolean' },
+  AUDIT_ENABLED: { path: 'audit.enabled', type: 'boolean' },
+  AUDIT_SAMPLE_RATE: { path: 'audit.sampleRate', type: 'number' },
+  AUDIT_RETENTION_DAYS: { path: 'audit.retentionDays', type: 'number' },
+  BUDGET_ENABLED: { path: 'budget.enabled', type: 'boolean' },
+  BUDGET_PERIOD: { path: 'budget.defaults.period', type: 'string' },
+  BUDGET_HARD_LIMIT_USD: { path: 'budget.defaults.hardLimitUsd', type: 'number' },
+  BUDGET_SOFT_LIMIT_USD: { path: 'budget.defaults.softLimitUsd', type: 'number' },
+  BUDGET_HARD_LIMIT_STATUS: { path: 'budget.hardLimitStatus', type: 'number' },
+  BUDGET_WEBHOOK_URL: { path: 'budget.webhookUrl', type: 'string' },
+  VALIDATION_ENABLED: { path: 'validation.enabled', type: 'boolean' },
+  VALIDATION_NORMALIZE: { path: 'validation.normalize', type: 'boolean' },
+  POLICY_ENABLED: { path: 'policy.enabled', type: 'boolean' },
+  OPENAI_COMPAT_ENABLED: { path: 'openai.enabled', type: 'boolean' },
+  STREAM_FAILOVER_POLICY: { path: 'streamFailover.policy', type: 'string' },
+};
+
+// KV 中存放 JSON 配置的默认键名（可通过 CONFIG_KV_KEY 环境变量修改）
+const CONFIG_KV_DEFAULT_KEY = 'config';
+
+// 配置缓存时间（毫秒），避免每个请求都读取 KV
+const CONFIG_CACHE_TTL = 60000;
+
+// 配置缓存（内存存储，按 isolate 隔离）
+let configCache = null;
+
+// 最近一次校验通过的配置：重新加载失败时继续使用（按 isolate 隔离）
+let lastValidConfig = null;
+
+// 需要移除的请求头
+const HEADERS_TO_REMOVE = [
+  'cf-connecting-ip',
+  'cf-ray',
+  'cf-visitor',
+  'cf-worker',
+  'x-forwarded-proto',
+  'x-real-ip',
+];
+
+// 镜像健康状态（本地缓存；绑定 HEALTH_TRACKER 时与所有 isolate 共享）
+const MIRROR_HEALTH = new Map();
+// 尚未同步到 HealthTracker 的健康更新
+const PENDING_HEALTH_UPDATES = [];
+// 上次与 HealthTracker 同步的时间
+let lastHealthSync = 0;
+// 进行中的同步（同一时间只进行一个，结束时 resolve）
+let healthSyncInFlight = null;
+// 半开熔断器的试探名额（每个 isolate 单独计数）
+const HALF_OPEN_TRIALS = new Map();
+// 镜像探测历史（未绑定 HEALTH_TRACKER 时使用）
+const PROBE_HISTORY = new Map();
+// 上游 Key 状态（本地缓存；绑定 HEALTH_TRACKER 时与所有 isolate 共享），键为 Key ID（Secret 名称）
+const KEY_POOL_HEALTH = new Map();
+// 尚未同步到 HealthTracker 的 Key 状态更新
+const PENDING_KEY_UPDATES = [];
+// round-robin 游标（每个 isolate 单独计数）
+const KEY_POOL_CURSORS = new Map();
+// 当前 isolate 中各 Key 正在进行的请求数（least-used 策略）
+const KEY_IN_FLIGHT = new Map();
+
+// Prometheus 指标定义：类型、说明，直方图的分桶配置
+const METRIC_DEFINITIONS = {
+  claude_proxy_requests_total: { type: 'counter', help: '代理请求数（按路由、状态码和镜像）' },
+  claude_proxy_failovers_total: { type: 'counter', help: '镜像故障转移次数（按失败镜像和原因）' },
+  claude_proxy_retries_total: { type: 'counter', help: '同一镜像上的重试次数（按镜像和原因）' },
+  claude_proxy_cache_requests_total: { type: 'counter', help: '缓存查询次数（按缓存类型 response/prompt 和结果 hit/miss）' },
+  claude_proxy_policy_violations_total: { type: 'counter', help: '违反请求策略被拒绝的请求数（按规则）' },
+  claude_proxy_redactions_total: { type: 'counter', help: '转发前脱敏替换的次数（按类型 email/secret/pattern）' },
+  claude_proxy_circuit_state: { type: 'gauge', help: '镜像熔断器状态（当前状态为 1）' },
+  claude_proxy_ttfb_seconds: { type: 'histogram', help: '收到请求到返回响应头的耗时（秒）', buckets: 'latencyBuckets' },
+  claude_proxy_request_duration_seconds: { type: 'histogram', help: '收到请求到响应体发送完毕的耗时（秒）', buckets: 'latencyBuckets' },
+  claude_proxy_stream_duration_seconds: { type: 'histogram', help: '流式响应从响应头到流结束的持续时间（秒）', buckets: 'streamBuckets' },
+};
+// 指标中保留的路由，其余路径归为 other，避免标签基数失控
+const METRIC_ROUTES = [
+  '/v1/messages',
+  '/v1/messages/count_tokens',
+  '/v1/models',
+  '/v1/complete',
+  '/v1/chat/completions',
+  '/_health',
+  '/_test',
+  '/_metrics',
+];
+// 尚未提交到 MetricsCollector 的指标增量
+let PENDING_METRICS = {};
+// 本地汇总的指标（未绑定 METRICS_COLLECTOR 时使用）
+const LOCAL_METRICS = {};
+// 尚未提交到 MetricsCollector 的最近请求记录
+let PENDING_RECENT_REQUESTS = [];
+// 本地保存的最近请求记录（未绑定 METRICS_COLLECTOR 时使用）
+let LOCAL_RECENT_REQUESTS = [];
+// 上次提交指标的时间
+let lastMetricsFlush = 0;
+
+// 日志级别定义
+const LOG_LEVELS = {
+  ERROR: 0,
+  WARN: 1,
+  INFO: 2,
+  DEBUG: 3,
+};
+
+// 日志中需要脱敏的字段名（请求头、配置等）
+const SENSITIVE_LOG_KEY_PATTERN = /authorization|api[-_]?key|admin[-_]?key|cookie|token|secret|password/i;
+
+// 等待批量发送到日志收集端的记录
+const LOG_BUFFER = [];
+
+/**
+ * 分级日志函数
+ * @param {string} level - 日志级别
+ * @param {string} message - 日志消息
+ * @param  {...any} args - 额外参数
+ */
+function log(level, message, ...args) {
+  writeLog(level, message, args);
+}
+
+/**
+ * 创建请求级日志函数：用法与 log() 相同，每条记录自动带上 requestId
+ * @param {string} requestId - 请求 ID
+ */
+function createRequestLogger(requestId) {
+  return (level, message, ...args) => writeLog(level, message, args, { requestId });
+}
+
+/**
+ * 输出一条日志记录
+ * - logging.format 为 json 时输出单行 JSON（time、level、msg、requestId 及结构化字段），便于 wrangler tail 查询
+ * - 对象参数中的密钥类字段（Authorization、x-api-key 等）自动脱敏
+ * - 配置了 logging.sink.url 时同时放入发送缓冲区，请求结束后批量发送
+ * @param {string} level - 日志级别
+ * @param {string} message - 日志消息
+ * @param {Array} args - 额外参数（字符串拼入 msg，对象放入 data）
+ * @param {object} fields - 结构化字段（如 requestId）
+ * @param {boolean} force - 忽略 debug.enabled 和日志级别（访问日志）
+ */
+function writeLog(level, message, args = [], fields = {}, force = false) {
+  if (!force) {
+    if (!CONFIG.debug.enabled) return;
+    const currentLevel = LOG_LEVELS[CONFIG.debug.logLevel] ?? LOG_LEVELS.INFO;
+    const messageLevel = LOG_LEVELS[level] ?? LOG_LEVELS.INFO;
+    if (messageLevel > currentLevel) return;
+  }
+
+  const data = args.filter(arg => arg !== null && typeof arg === 'object').map(redactLogValue);
+  const text = [message, ...args.filter(arg => arg === null || typeof arg !== 'object')].join(' ');
+  const record = {
+    time: new Date().toISOString(),
+    level,
+    msg: text,
+    ...redactLogValue(fields),
+    ...(data.length === 1 ? { data: data[0] } : data.length > 1 ? { data } : {}),
+  };
+
+  if (CONFIG.logging.format === 'json') {
+    console.log(JSON.stringify(record));
+  } else {
+    const prefix = `[${record.time}] [${level}]${fields.requestId ? ` [${fields.requestId}]` : ''}`;
+    console.log(prefix, message, ...args.map(arg => (arg !== null && typeof arg === 'object' ? redactLogValue(arg) : arg)));
+  }
+
+  if (CONFIG.logging.sink.url) {
+    LOG_BUFFER.push(record);
+    // 缓冲区上限，避免发送失败时无限增长
+    if (LOG_BUFFER.length > CONFIG.logging.sink.maxBuffer) {
+      LOG_BUFFER.splice(0, LOG_BUFFER.length - CONFIG.logging.sink.maxBuffer);
+    }
+  }
+}
+
+/**
+ * 日志脱敏：递归替换对象（含 Headers）中密钥类字段的值
+ * @param {any} value - 待输出的值
+ */
+function redactLogValue(value, depth = 0) {
+  if (typeof Headers !== 'undefined' && value instanceof Headers) {
+    value = Object.fromEntries(value.entries());
+  }
+  if (depth > 5) return value;
+  if (Array.isArray(value)) return value.map(item => redactLogValue(item, depth + 1));
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+      key,
+      SENSITIVE_LOG_KEY_PATTERN.test(key) && item ? '***' : redactLogValue(item, depth + 1),
+    ]));
+  }
+  return value;
+}
+
+/**
+ * 输出访问日志：每个请求一条，包含 requestId、镜像、策略、状态、耗时和重试次数
+ * @param {object} fields - 访问日志字段
+ */
+function logAccess(fields) {
+  if (!CONFIG.logging.accessLog) return;
+  const level = fields.status >= 500 ? 'ERROR' : fields.status >= 400 ? 'WARN' : 'INFO';
+  writeLog(level, `${fields.method} ${fields.path} ${fields.status} ${fields.latencyMs}ms`, [], { event: 'request', ...fields }, true);
+}
+
+/**
+ * 读取客户端传入的 X-Request-Id（字母、数字和 ._:-，最长 128 字符），不合法时忽略
+ * 请求 ID 始终由服务端生成，客户端的值只记录在 clientRequestId 中，避免伪造或与其他请求冲突
+ * @param {Request} request - 原始请求
+ */
+function getClientRequestId(request) {
+  const incoming = request.headers.get('x-request-id');
+  return incoming && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : null;
+}
+
+/**
+ * 批量发送缓冲的日志（在 ctx.waitUntil 中调用，不阻塞响应）
+ * - loki：Loki push API（/loki/api/v1/push），按级别分流
+ * - webhook：POST { records: [...] }
+ */
+async function flushLogSink() {
+  const sink = CONFIG.logging.sink;
+  if (!sink.url || LOG_BUFFER.length === 0) return;
+
+  const records = LOG_BUFFER.splice(0, sink.batchSize);
+  let body;
+  if (sink.type === 'loki') {
+    const streams = new Map();
+    records.forEach(record => {
+      if (!streams.has(record.level)) {
+        streams.set(record.level, { stream: { ...sink.labels, level: record.level.toLowerCase() }, values: [] });
+      }
+      // Loki 要求纳秒时间戳字符串
+      streams.get(record.level).values.push([`${Date.parse(record.time)}000000`, JSON.stringify(record)]);
+    });
+    body = { streams: Array.from(streams.values()) };
+  } else {
+    body = { records };
+  }
+
+  try {
+    const response = await fetch(sink.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(sink.token ? { Authorization: `Bearer ${sink.token}` } : {}),
+      },
+      body: JSON.stringify(body),
+    });
+    await response.body?.cancel();
+    if (!response.ok) {
+      console.log(JSON.stringify({ time: new Date().toISOString(), level: 'WARN', msg: `日志发送失败: HTTP ${response.status}` }));
+    }
+  } catch (error) {
+    // 发送失败不再写入缓冲区，避免日志循环
+    console.log(JSON.stringify({ time: new Date().toISOString(), level: 'WARN', msg: `日志发送失败: ${error.message}` }));
+  }
+
+  // 超过一批的剩余日志继续发送
+  if (LOG_BUFFER.length >= sink.batchSize) {
+    await flushLogSink();
+  }
+}
+
+/**
+ * 加载当前生效的配置：默认配置 ← 环境变量 ← KV JSON 文档（后者优先）
+ * 结果缓存 CONFIG_CACHE_TTL 毫秒；校验失败时记录错误并继续使用上一次有效的配置，
+ * 没有有效配置（isolate 冷启动）时抛出 ConfigError
+ * @param {object} env - Worker 环境变量与绑定
+ * @returns {Promise<object>} 合并后的配置
+ */
+async function loadConfig(env = {}) {
+  const now = Date.now();
+  if (configCache && configCache.expiresAt > now) {
+    if (!configCache.config) throw configCache.error;
+    return configCache.config;
+  }
+
+  try {
+    const sources = ['defaults'];
+    const overrides = [];
+
+    const envOverride = readEnvConfig(env);
+    if (Object.keys(envOverride).length > 0) {
+      overrides.push(envOverride);
+      sources.push('env');
+    }
+
+    const kvOverride = await readKVConfig(env);
+    if (kvOverride) {
+      overrides.push(kvOverride);
+      sources.push('kv');
+    }
+
+    const errors = [];
+    overrides.forEach(override => errors.push(...findUnknownConfigKeys(override)));
+
+    let merged = overrides.reduce((acc, override) => deepMerge(acc, override), DEFAULT_CONFIG);
+    const adminSettings = await readAdminSettings(env);
+    if (adminSettings) {
+      merged = applyAdminSettings(merged, adminSettings);
+      sources.push('admin');
+    }
+    errors.push(...validateConfig(merged));
+
+    if (errors.length > 0) {
+      const error = new Error(`配置校验失败：${errors.join('；')}`);
+      error.name = 'ConfigError';
+      error.configErrors = errors;
+      throw error;
+    }
+
+    configCache = { config: merged, sources, error: null, expiresAt: now + CONFIG_CACHE_TTL };
+    lastValidConfig = { config: merged, sources };
+    return merged;
+  } catch (error) {
+    // 配置错误只写入日志（不受 debug.enabled 控制），不返回给客户端
+    writeLog('ERROR', lastValidConfig ? `配置加载失败，继续使用上一次有效的配置：${error.message}` : `配置加载失败：${error.message}`,
+      [], { configErrors: error.configErrors ?? [error.message] }, true);
+    // 失败结果同样缓存，避免配置错误时每个请求都读取 KV
+    configCache = {
+      config: lastValidConfig?.config ?? null,
+      sources: lastValidConfig?.sources ?? [],
+      error,
+      expiresAt: now + CONFIG_CACHE_TTL,
+    };
+    if (configCache.config) return configCache.config;
+    throw error;
+  }
+}
+
+/**
+ * 从环境变量读取配置覆盖项
+ * @param {object} env - Worker 环境变量
+ */
+function readEnvConfig(env) {
+  const override = {};
+
+  for (const [name, { path, type }] of Object.entries(ENV_CONFIG_MAP)) {
+    const raw = env[name];
+    if (raw === undefined || raw === null || raw === '') continue;
+    setByPath(override, path, parseEnvValue(String(raw).trim(), type));
+  }
+
+  return override;
+}
+
+/**
+ * 解析环境变量值（无法解析时原样返回，交给 validateConfig 报错）
+ * @param {string} raw - 原始字符串
+ * @param {string} type - list | number | boolean | json | string
+ */
+function parseEnvValue(raw, type) {
+  switch (type) {
+    case 'json':
+      try {
+        return JSON.parse(raw);
+      } catch (error) {
+        return raw;
+      }
+    case 'list':
+      if (raw.startsWith('[')) {
+        try {
+          return JSON.parse(raw);
+        } catch (error) {
+          return raw;
+        }
+      }
+      return raw.split(',').map(item => item.trim()).filter(Boolean);
+    case 'number':
+      return raw !== '' && !Number.isNaN(Number(raw)) ? Number(raw) : raw;
+    case 'boolean':
+      if (['true', '1', 'yes', 'on'].includes(raw.toLowerCase())) return true;
+      if (['false', '0', 'no', 'off'].includes(raw.toLowerCase())) return false;
+      return raw;
+    default:
+      return raw;
+  }
+}
+
+/**
+ * 管理后台写入的设置在 CONFIG_KV 中的键前缀：每项设置单独一个键，并发修改不同设置时互不覆盖
+ * - {配置键}:admin:mirrorStrategy → "hedged"
+ * - {配置键}:admin:drained:{镜像地址} → true（排空）/ false（恢复）
+ * @param {object} env - Worker 环境变量与绑定
+ */
+function getAdminSettingPrefix(env) {
+  return `${env.CONFIG_KV_KEY || CONFIG_KV_DEFAULT_KEY}:admin:`;
+}
+
+/**
+ * 读取管理后台写入的设置（未绑定 CONFIG_KV 或没有任何设置时返回 null）
+ * @param {object} env - Worker 环境变量与绑定
+ * @returns {Promise<{mirrorStrategy?: string, drained: object}|null>}
+ */
+async function readAdminSettings(env) {
+  if (!env.CONFIG_KV) return null;
+
+  const prefix = getAdminSettingPrefix(env);
+  const settings = { drained: {} };
+  let found = false;
+  try {
+    let cursor;
+    do {
+      const listed = await env.CONFIG_KV.list({ prefix, cursor });
+      for (const { name } of listed.keys) {
+        const value = JSON.parse(await env.CONFIG_KV.get(name) ?? 'null');
+        const setting = name.slice(prefix.length);
+        if (setting === 'mirrorStrategy' && typeof value === 'string') {
+          settings.mirrorStrategy = value;
+          found = true;
+        } else if (setting.startsWith('drained:') && typeof value === 'boolean') {
+          settings.drained[setting.slice('drained:'.length)] = value;
+          found = true;
+        }
+      }
+      cursor = listed.list_complete ? null : listed.cursor;
+    } while (cursor);
+  } catch (error) {
+    log('ERROR', '读取管理后台设置失败:', error.message);
+    return null;
+  }
+  return found ? settings : null;
+}
+
+/**
+ * 把管理后台设置应用到合并后的配置上
+ * 排空状态按镜像逐个覆盖，环境变量和配置文档中的 mirror.drained 仍然生效（除非该镜像在后台被恢复）
+ * @param {object} config - 合并后的配置
+ * @param {object} settings - readAdminSettings 返回的设置
+ * @returns {object} 新的配置对象
+ */
+function applyAdminSettings(config, settings) {
+  const drained = config.mirror.drained.filter(mirrorUrl => settings.drained[mirrorUrl] !== false);
+  Object.entries(settings.drained)
+    .filter(([mirrorUrl, isDrained]) => isDrained && !drained.includes(mirrorUrl))
+    .forEach(([mirrorUrl]) => drained.push(mirrorUrl));
+
+  return {
+    ...config,
+    mirrorStrategy: settings.mirrorStrategy ?? config.mirrorStrategy,
+    mirror: { ...config.mirror, drained },
+  };
+}
+
+/**
+ * 从 KV 读取 JSON 配置文档（未绑定 CONFIG_KV 时返回 null）
+ * @param {object} env - Worker 环境变量与绑定
+ */
+async function readKVConfig(env) {
+  if (!env.CONFIG_KV) return null;
+
+  const key = env.CONFIG_KV_KEY || CONFIG_KV_DEFAULT_KEY;
+  let text;
+  try {
+    text = await env.CONFIG_KV.get(key);
+  } catch (error) {
+    // KV 暂时不可用时退回到默认配置 + 环境变量，不阻断代理
+    log('ERROR', '读取 KV 配置失败:', error.message);
+    return null;
+  }
+  if (!text) return null;
+
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    const configError = new Error(`KV 配置 "${key}" 不是有效的 JSON：${error.message}`);
+    configError.name = 'ConfigError';
+    configError.configErrors = [configError.message];
+    throw configError;
+  }
+
+  if (!isPlainObject(parsed)) {
+    const configError = new Error(`KV 配置 "${key}" 必须是 JSON 对象`);
+    configError.name = 'ConfigError';
+    configError.configErrors = [configError.message];
+    throw configError;
+  }
+
+  return parsed;
+}
+
+/**
+ * 查找覆盖配置中 CONFIG_SCHEMA 未声明的配置项
+ * @param {object} override - 覆盖配置
+ * @param {string} prefix - 当前路径前缀
+ * @returns {string[]} 错误信息
+ */
+function findUnknownConfigKeys(override, prefix = '') {
+  const errors = [];
+
+  for (const [key, value] of Object.entries(override)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (CONFIG_SCHEMA[path]) continue;
+
+    const hasChildren = Object.keys(CONFIG_SCHEMA).some(schemaPath => schemaPath.startsWith(`${path}.`));
+    if (hasChildren && isPlainObject(value)) {
+      errors.push(...findUnknownConfigKeys(value, path));
+    } else {
+      errors.push(`${path}: 未知配置项`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * 按 CONFIG_SCHEMA 校验配置
+ * @param {object} config - 合并后的配置
+ * @returns {string[]} 错误信息（为空表示通过）
+ */
+function validateConfig(config) {
+  const errors = [];
+
+  for (const [path, rule] of Object.entries(CONFIG_SCHEMA)) {
+    const value = getByPath(config, path);
+    const error = validateConfigValue(value, rule);
+    if (error) errors.push(`${path}: ${error}`);
+  }
+
+  // 跨字段校验
+  // 启用客户端认证时每个镜像都需要上游 Key：auth.upstreamApiKey，或镜像转发配置中的 apiKeySecret / apiKeySecrets
+  if (config.auth?.enabled && !config.auth.upstreamApiKey) {
+    const profiles = isPlainObject(config.mirror?.profiles) ? config.mirror.profiles : {};
+    const missing = (Array.isArray(config.targetUrls) ? config.targetUrls : [])
+      .filter(mirrorUrl => !isPlainObject(profiles[mirrorUrl]) || getProfileKeyIds(profiles[mirrorUrl]).length === 0);
+    if (missing.length > 0) {
+      errors.push(`auth.upstreamApiKey: 启用客户端认证时必须配置上游 API Key（UPSTREAM_API_KEY），或在 mirror.profiles 中为这些镜像配置 apiKeySecret：${missing.join(', ')}`);
+    }
+  }
+  if (config.budget?.enabled && !config.usage?.enabled) {
+    errors.push('budget.enabled: 预算控制依赖用量统计，请同时启用 usage.enabled（USAGE_TRACKING_ENABLED）');
+  }
+  errors.push(...validateOverrideMap(config.rateLimit?.keyOverrides, 'rateLimit.keyOverrides', 'rateLimit.perKey'));
+  for (const [key, policy] of Object.entries(config.retry?.policies || {})) {
+    if (!/^[1-5]\d\d$/.test(key) && !['timeout', 'network'].includes(key)) {
+      errors.push(`retry.policies.${key}: 键必须是 HTTP 状态码或 timeout / network`);
+    } else if (!isPlainObject(policy)) {
+      errors.push(`retry.policies.${key}: 必须是对象`);
+    } else {
+      for (const [field, value] of Object.entries(policy)) {
+        const error = ['maxRetries', 'retryDelay', 'maxDelay'].includes(field)
+          ? validateConfigValue(value, CONFIG_SCHEMA[`retry.${field}`])
+          : '未知配置项（可用 maxRetries / retryDelay / maxDelay）';
+        if (error) errors.push(`retry.policies.${key}.${field}: ${error}`);
+      }
+    }
+  }
+  if (config.healthCheck?.maxCooldownPeriod < config.healthCheck?.cooldownPeriod) {
+    errors.push('healthCheck.maxCooldownPeriod: 不能小于 cooldownPeriod');
+  }
+  errors.push(...validateModelRoutes(config));
+  errors.push(...validateMirrorProfiles(config));
+  (Array.isArray(config.cache?.rules) ? config.cache.rules : []).forEach((rule, index) => {
+    const path = `cache.rules[${index}]`;
+    if (!isPlainObject(rule) || typeof rule.path !== 'string' || !rule.path.startsWith('/')) {
+      errors.push(`${path}: 必须是包含 path（以 / 开头）的对象`);
+      return;
+    }
+    for (const [field, value] of Object.entries(rule)) {
+      let error = null;
+      if (field === 'ttl') error = validateConfigValue(value, CONFIG_SCHEMA['cache.defaultTtl']);
+      else if (field === 'authScoped') error = validateConfigValue(value, { type: 'boolean' });
+      else if (field !== 'path') error = '未知配置项（可用 path / ttl / authScoped）';
+      if (error) errors.push(`${path}.${field}: ${error}`);
+    }
+  });
+  for (const [mirrorUrl, weight] of Object.entries(config.mirror?.weights || {})) {
+    if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+      errors.push(`mirror.weights.${mirrorUrl}: 权重必须是不小于 0 的数字`);
+    } else if (!Array.isArray(config.targetUrls) || !config.targetUrls.includes(mirrorUrl)) {
+      errors.push(`mirror.weights.${mirrorUrl}: 镜像不在 targetUrls 中`);
+    }
+  }
+  errors.push(...validateOverrideMap(config.budget?.keys, 'budget.keys', 'budget.defaults'));
+  errors.push(...validateOverrideMap(config.policy?.keys, 'policy.keys', 'policy.defaults'));
+  for (const [id, rate] of Object.entries(config.audit?.keySampleRates || {})) {
+    const error = validateConfigValue(rate, CONFIG_SCHEMA['audit.sampleRate']);
+    if (error) errors.push(`audit.keySampleRates.${id}: ${error}`);
+  }
+  for (const [id, key] of Object.entries(config.auth?.clientKeys || {})) {
+    if (typeof key !== 'string' || key.length < 16) {
+      errors.push(`auth.clientKeys.${id}: 客户端 Key 必须是长度不小于 16 的字符串`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * 校验按 ID 覆盖的配置表（如 { "alice": { "requestsPerMinute": 300 } }），每个字段使用基础路径下的规则
+ * @param {object} overrides - 覆盖配置表
+ * @param {string} path - 覆盖配置表的路径
+ * @param {string} basePath - 字段规则所在的基础路径
+ * @returns {string[]} 错误信息
+ */
+function validateOverrideMap(overrides, path, basePath) {
+  const errors = [];
+
+  for (const [id, override] of Object.entries(overrides || {})) {
+    if (!isPlainObject(override)) {
+      errors.push(`${path}.${id}: 必须是对象`);
+      continue;
+    }
+    for (const [field, value] of Object.entries(override)) {
+      const rule = CONFIG_SCHEMA[`${basePath}.${field}`];
+      const error = rule ? validateConfigValue(value, rule) : '未知配置项';
+      if (error) errors.push(`${path}.${id}.${field}: ${error}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * 校验模型路由表：每条路由至少一个镜像，且镜像必须在 targetUrls 中
+ * @param {object} config - 合并后的配置
+ * @returns {string[]} 错误信息
+ */
+function validateModelRoutes(config) {
+  const errors = [];
+
+  for (const [model, route] of Object.entries(config.modelRouting?.routes || {})) {
+    const path = `modelRouting.routes.${model}`;
+    if (!isPlainObject(route) || !Array.isArray(route.mirrors) || route.mirrors.length === 0) {
+      errors.push(`${path}: 必须包含非空的 mirrors 数组`);
+      continue;
+    }
+    route.mirrors.forEach((entry, index) => {
+      const mirrorUrl = typeof entry === 'string' ? entry : entry?.url;
+      if (!Array.isArray(config.targetUrls) || !config.targetUrls.includes(mirrorUrl)) {
+        errors.push(`${path}.mirrors[${index}]: 镜像 ${JSON.stringify(mirrorUrl)} 不在 targetUrls 中`);
+      } else if (typeof entry !== 'string' && entry.model !== undefined && typeof entry.model !== 'string') {
+        errors.push(`${path}.mirrors[${index}].model: 必须是字符串`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * 校验镜像转发配置：镜像必须在 targetUrls 中，字段类型见 DEFAULT_CONFIG.mirror.profiles
+ * @param {object} config - 合并后的配置
+ * @returns {string[]} 错误信息
+ */
+function validateMirrorProfiles(config) {
+  const errors = [];
+  const isSecretName = value => typeof value === 'string' && /^[A-Za-z_]\w*$/.test(value);
+  const isPrefix = value => typeof value === 'string' && value.startsWith('/') ? null : '必须是以 / 开头的路径';
+  const isStringMap = value => isPlainObject(value) && Object.values(value).every(item => ['string', 'number'].includes(typeof item))
+    ? null
+    : '必须是值为字符串或数字的对象';
+  const fieldRules = {
+    apiKeySecret: value => isSecretName(value) ? null : '必须是 Secret 名称（如 RELAY_B_KEY）',
+    apiKeySecrets: value => Array.isArray(value) && value.length > 0 && value.every(isSecretName)
+      ? null
+      : '必须是非空的 Secret 名称数组',
+    authStyle: value => validateConfigValue(value, { type: 'enum', values: ['x-api-key', 'bearer'] }),
+    anthropicVersion: value => validateConfigValue(value, { type: 'string' }),
+    headers: isStringMap,
+    removeHeaders: value => validateConfigValue(value, { type: 'array', items: 'string' }),
+    stripPrefix: isPrefix,
+    pathPrefix: isPrefix,
+    query: isStringMap,
+  };
+
+  for (const [mirrorUrl, profile] of Object.entries(config.mirror?.profiles || {})) {
+    const path = `mirror.profiles.${mirrorUrl}`;
+    if (!Array.isArray(config.targetUrls) || !config.targetUrls.includes(mirrorUrl)) {
+      errors.push(`${path}: 镜像不在 targetUrls 中`);
+    } else if (!isPlainObject(profile)) {
+      errors.push(`${path}: 必须是对象`);
+    } else {
+      for (const [field, value] of Object.entries(profile)) {
+        const error = fieldRules[field]
+          ? fieldRules[field](value)
+          : `未知配置项（可用 ${Object.keys(fieldRules).join(' / ')}）`;
+        if (error) errors.push(`${path}.${field}: ${error}`);
+      }
+      if (profile.apiKeySecret && profile.apiKeySecrets) {
+        errors.push(`${path}: apiKeySecret 和 apiKeySecrets 只能设置一个`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * 校验单个配置值
+ * @param {any} value - 配置值
+ * @param {object} rule - 校验规则
+ * @returns {string|null} 错误信息
+ */
+function validateConfigValue(value, rule) {
+  switch (rule.type) {
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `必须是布尔值，实际为 ${JSON.stringify(value)}`;
+    case 'string':
+      return typeof value === 'string' ? null : `必须是字符串，实际为 ${JSON.stringify(value)}`;
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return `必须是数字，实际为 ${JSON.stringify(value)}`;
+      if (rule.integer && !Number.isInteger(value)) return `必须是整数，实际为 ${value}`;
+      if (rule.min !== undefined && value < rule.min) return `不能小于 ${rule.min}，实际为 ${value}`;
+      if (rule.max !== undefined && value > rule.max) return `不能大于 ${rule.max}，实际为 ${value}`;
+      return null;
+    case 'enum':
+      return rule.values.includes(value)
+        ? null
+        : `未知取值 ${JSON.stringify(value)}，可选值: ${rule.values.join(', ')}`;
+    case 'object':
+      return isPlainObject(value) ? null : '必须是对象';
+    case 'array': {
+      if (!Array.isArray(value)) return `必须是数组，实际为 ${JSON.stringify(value)}`;
+      if (rule.minItems && value.length < rule.minItems) return `至少需要 ${rule.minItems} 项`;
+      for (const item of value) {
+        const itemError = validateConfigItem(item, rule.items);
+        if (itemError) return itemError;
+      }
+      return null;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * 校验数组元素
+ * @param {any} item - 元素值
+ * @param {string} itemType - url | status | string | number
+ */
+function validateConfigItem(item, itemType) {
+  switch (itemType) {
+    case 'url':
+      try {
+        const parsed = new URL(item);
+        return ['http:', 'https:'].includes(parsed.protocol) ? null : `不支持的协议: ${item}`;
+      } catch (error) {
+        return `无效的 URL: ${JSON.stringify(item)}`;
+      }
+    case 'status':
+      return Number.isInteger(item) && item >= 100 && item <= 599 ? null : `无效的 HTTP 状态码: ${JSON.stringify(item)}`;
+    case 'number':
+      return typeof item === 'number' && Number.isFinite(item) ? null : `数组元素必须是数字: ${JSON.stringify(item)}`;
+    case 'string':
+      return typeof item === 'string' ? null : `数组元素必须是字符串: ${JSON.stringify(item)}`;
+    case 'regex':
+      if (typeof item !== 'string') return `数组元素必须是正则表达式字符串: ${JSON.stringify(item)}`;
+      try {
+        new RegExp(item);
+        return null;
+      } catch (error) {
+        return `无效的正则表达式: ${JSON.stringify(item)}`;
+      }
+    default:
+      return null;
+  }
+}
+
+/**
+ * 返回脱敏后的配置副本（用于诊断端点）
+ * @param {object} config - 配置对象
+ */
+function redactConfig(config) {
+  const copy = JSON.parse(JSON.stringify(config));
+
+  for (const [path, rule] of Object.entries(CONFIG_SCHEMA)) {
+    if (!rule.secret) continue;
+    const value = getByPath(copy, path);
+    if (value === undefined || value === null || value === '') continue;
+    setByPath(copy, path, redactValue(value));
+  }
+
+  return copy;
+}
+
+/**
+ * 脱敏单个值：字符串替换为掩码，对象/数组逐项处理
+ * @param {any} value - 原始值
+ */
+function redactValue(value) {
+  if (Array.isArray(value)) return value.map(redactValue);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redactValue(item)]));
+  }
+  return value ? '***' : value;
+}
+
+/**
+ * 深度合并（对象递归合并，数组和基本类型直接覆盖）
+ */
+function deepMerge(base, override) {
+  const result = { ...base };
+
+  for (const [key, value] of Object.entries(override)) {
+    result[key] = isPlainObject(value) && isPlainObject(base[key])
+      ? deepMerge(base[key], value)
+      : value;
+  }
+
+  return result;
+}
+
+/**
+ * 按点号路径读取对象属性
+ */
+function getByPath(obj, path) {
+  return path.split('.').reduce((current, key) => (current == null ? undefined : current[key]), obj);
+}
+
+/**
+ * 按点号路径写入对象属性（自动创建中间对象）
+ */
+function setByPath(obj, path, value) {
+  const keys = path.split('.');
+  let current = obj;
+  keys.slice(0, -1).forEach(key => {
+    if (!isPlainObject(current[key])) current[key] = {};
+    current = current[key];
+  });
+  current[keys[keys.length - 1]] = value;
+}
+
+/**
+ * 判断是否为普通对象
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * 创建初始镜像健康记录
+ */
+function createMirrorHealth() {
+  return {
+    // 熔断器状态：closed（正常）/ open（熔断）/ half-open（半开试探）
+    circuit: 'closed',
+    // 连续失败次数
+    failures: 0,
+    // 滑动窗口：最近的请求结果 [时间戳, 1 成功 / 0 失败]
+    window: [],
+    // 连续熔断次数（决定冷却时间的指数退避）
+    trips: 0,
+    openedAt: null,
+    closedAt: null,
+    cooldownUntil: null,
+    halfOpenSuccesses: 0,
+    // 最近的状态变化 [{ from, to, at, reason }]
+    transitions: [],
+    lastCheck: null,
+    lastFailure: null,
+    lastSuccess: null,
+    totalRequests: 0,
+    totalFailures: 0,
+    latency: { last: null, avg: null },
+    errorRate: 0,
+  };
+}
+
+/**
+ * 切换熔断器状态并记录变化（只保留最近 10 次）
+ */
+function transitionCircuit(health, to, now, reason) {
+  health.transitions = [...health.transitions, { from: health.circuit, to, at: now, reason }].slice(-10);
+  health.circuit = to;
+}
+
+/**
+ * 熔断：冷却时间按连续熔断次数指数退避（cooldownPeriod × 2^(trips-1)，不超过 maxCooldownPeriod）
+ * 上次关闭已超过 maxCooldownPeriod 的镜像重新从基础冷却时间开始
+ */
+function tripCircuit(health, now, settings, reason) {
+  if (health.closedAt && now - health.closedAt > settings.maxCooldownPeriod * 1000) {
+    health.trips = 0;
+  }
+  health.trips++;
+
+  const cooldown = Math.min(settings.cooldownPeriod * (2 ** (health.trips - 1)), settings.maxCooldownPeriod);
+  health.openedAt = now;
+  health.cooldownUntil = now + cooldown * 1000;
+  health.halfOpenSuccesses = 0;
+  transitionCircuit(health, 'open', now, `${reason}，冷却 ${cooldown} 秒`);
+}
+
+/**
+ * 冷却期结束的熔断器进入半开状态
+ */
+function advanceCircuit(health, now) {
+  if (health.circuit === 'open' && health.cooldownUntil && now >= health.cooldownUntil) {
+    health.halfOpenSuccesses = 0;
+    transitionCircuit(health, 'half-open', now, '冷却期结束');
+  }
+}
+
+/**
+ * 将一次请求结果应用到镜像健康记录（本地缓存和 HealthTracker 共用同一套规则）
+ * @param {object} health - 现有健康记录
+ * @param {object} update - { success, latency, at }
+ * @param {object} settings - healthCheck 配置及 ewmaAlpha
+ * @returns {object} 新的健康记录
+ */
+function applyMirrorHealthUpdate(health, update, settings) {
+  const next = { ...createMirrorHealth(), ...health };
+  const now = update.at || Date.now();
+  advanceCircuit(next, now);
+
+  next.lastCheck = now;
+  next.totalRequests++;
+
+  // 指数加权移动平均，最近的请求权重更高
+  const alpha = settings.ewmaAlpha || 0.2;
+  if (typeof update.latency === 'number') {
+    next.latency = {
+      last: update.latency,
+      avg: next.latency?.avg == null ? update.latency : Math.round(next.latency.avg * (1 - alpha) + update.latency * alpha),
+    };
+  }
+  next.errorRate = Number(((next.errorRate || 0) * (1 - alpha) + (update.success ? 0 : 1) * alpha).toFixed(4));
+
+  // 滑动窗口：按数量和时间双重裁剪
+  const windowStart = now - settings.windowSeconds * 1000;
+  next.window = [...next.window, [now, update.success ? 1 : 0]]
+    .filter(([at]) => at >= windowStart)
+    .slice(-settings.windowSize);
+
+  if (update.success) {
+    next.failures = 0;
+    next.lastSuccess = now;
+  } else {
+    next.failures++;
+    next.totalFailures++;
+    next.lastFailure = now;
+  }
+
+  if (next.circuit === 'closed' && !update.success) {
+    const windowFailures = next.window.filter(([, ok]) => !ok).length;
+    const windowErrorRate = windowFailures / next.window.length;
+    if (windowFailures >= settings.failureThreshold && windowErrorRate >= settings.errorRateThreshold) {
+      tripCircuit(next, now, settings, `窗口内 ${next.window.length} 次请求失败 ${windowFailures} 次`);
+    }
+  } else if (next.circuit !== 'closed') {
+    if (update.success) {
+      // 熔断中的镜像收到成功结果（如主动探测）时直接进入半开，计为一次试探成功
+      if (next.circuit === 'open') {
+        next.halfOpenSuccesses = 0;
+        transitionCircuit(next, 'half-open', now, '熔断期间请求成功');
+      }
+      next.halfOpenSuccesses++;
+      if (next.halfOpenSuccesses >= settings.halfOpenTrials) {
+        next.window = [];
+        next.cooldownUntil = null;
+        next.closedAt = now;
+        transitionCircuit(next, 'closed', now, `${next.halfOpenSuccesses} 次试探请求成功`);
+      }
+    } else if (next.circuit === 'half-open') {
+      tripCircuit(next, now, settings, '半开试探失败');
+    }
+  }
+
+  return next;
+}
+
+/**
+ * 获取镜像健康状态（本地缓存，定期与 HealthTracker 同步）
+ * @param {string} mirrorUrl - 镜像地址
+ */
+function getMirrorHealth(mirrorUrl) {
+  if (!CONFIG.healthCheck.enabled) {
+    return createMirrorHealth();
+  }
+
+  if (!MIRROR_HEALTH.has(mirrorUrl)) {
+    MIRROR_HEALTH.set(mirrorUrl, createMirrorHealth());
+  }
+
+  return MIRROR_HEALTH.get(mirrorUrl);
+}
+
+/**
+ * 获取熔断器当前状态（冷却期结束时切换到半开，不占用试探名额）
+ * @param {string} mirrorUrl - 镜像地址
+ * @returns {string} 'closed' | 'open' | 'half-open'
+ */
+function getCircuitState(mirrorUrl) {
+  if (!CONFIG.healthCheck.enabled) return 'closed';
+
+  const health = getMirrorHealth(mirrorUrl);
+  if (health.circuit === 'open' && health.cooldownUntil && Date.now() >= health.cooldownUntil) {
+    const next = { ...health };
+    advanceCircuit(next, Date.now());
+    MIRROR_HEALTH.set(mirrorUrl, next);
+    log('INFO', `镜像 ${mirrorUrl} 熔断器: open → half-open（冷却期结束），允许 ${CONFIG.healthCheck.halfOpenTrials} 个试探请求`);
+  }
+
+  return MIRROR_HEALTH.get(mirrorUrl).circuit;
+}
+
+/**
+ * 获取当前 isolate 的健康更新参数
+ */
+function getHealthSettings() {
+  return { ...CONFIG.healthCheck, ewmaAlpha: CONFIG.adaptive.ewmaAlpha };
+}
+
+/**
+ * 更新镜像健康状态：立即写入本地缓存，并排队等待同步到 HealthTracker
+ * @param {string} mirrorUrl - 镜像地址
+ * @param {boolean} success - 请求是否成功
+ * @param {number} latency - 响应头耗时（毫秒，可选）
+ */
+function updateMirrorHealth(mirrorUrl, success, latency = null) {
+  if (!CONFIG.healthCheck.enabled) return;
+
+  const update = { mirror: mirrorUrl, success, latency, at: Date.now() };
+  const previous = getMirrorHealth(mirrorUrl);
+  const health = applyMirrorHealthUpdate(previous, update, getHealthSettings());
+  MIRROR_HEALTH.set(mirrorUrl, health);
+  PENDING_HEALTH_UPDATES.push(update);
+
+  if (!success) {
+    log('WARN', `镜像 ${mirrorUrl} 连续失败次数: ${health.failures}`);
+  }
+
+  // 记录本次更新引起的熔断器状态变化
+  health.transitions
+    .filter(change => change.at === update.at && !previous.transitions.includes(change))
+    .forEach(change => {
+      const level = change.to === 'open' ? 'ERROR' : 'INFO';
+      log(level, `镜像 ${mirrorUrl} 熔断器: ${change.from} → ${change.to}（${change.reason}）`);
+    });
+}
+
+/**
+ * 检查镜像是否可用（将要向其发送请求时调用）
+ * 半开状态下每轮只放行 halfOpenTrials 个试探请求，超过 timeout.total 未得到结果的名额会被回收
+ * @param {string} mirrorUrl - 镜像地址
+ */
+function isMirrorAvailable(mirrorUrl) {
+  const state = getCircuitState(mirrorUrl);
+  if (state === 'closed') return true;
+  if (state === 'open') return false;
+
+  const { openedAt } = getMirrorHealth(mirrorUrl);
+  const now = Date.now();
+  let trials = HALF_OPEN_TRIALS.get(mirrorUrl);
+  if (!trials || trials.openedAt !== openedAt || now > trials.resetAt) {
+    trials = { openedAt, started: 0, resetAt: now + CONFIG.timeout.total };
+  }
+
+  if (trials.started >= CONFIG.healthCheck.halfOpenTrials) {
+    return false;
+  }
+
+  trials.started++;
+  HALF_OPEN_TRIALS.set(mirrorUrl, trials);
+  log('INFO', `镜像 ${mirrorUrl} 半开试探请求 ${trials.started}/${CONFIG.healthCheck.halfOpenTrials}`);
+  return true;
+}
+
+/**
+ * 与 HealthTracker 同步镜像健康状态：提交本 isolate 积压的更新，并用共享状态刷新本地缓存
+ * 未绑定 HEALTH_TRACKER 时只使用本地内存
+ * @param {object} env - Worker 环境变量与绑定
+ * @param {boolean} force - 忽略同步间隔立即同步
+ */
+async function syncMirrorHealth(env, force = false) {
+  if (!env.HEALTH_TRACKER) {
+    // 只使用本地内存时不需要积压更新
+    PENDING_HEALTH_UPDATES.length = 0;
+    PENDING_KEY_UPDATES.length = 0;
+    return;
+  }
+  if (!CONFIG.healthCheck.enabled && PENDING_KEY_UPDATES.length === 0) return;
+  if (!force && (healthSyncInFlight || Date.now() - lastHealthSync < CONFIG.healthCheck.syncInterval * 1000)) return;
+
+  // 后来的同步等进行中的同步结束后再提交，期间产生的更新留在队列中
+  while (healthSyncInFlight) await healthSyncInFlight;
+  let finishSync;
+  healthSyncInFlight = new Promise(resolve => { finishSync = resolve; });
+
+  const updates = PENDING_HEALTH_UPDATES.splice(0);
+  const keyUpdates = PENDING_KEY_UPDATES.splice(0);
+  try {
+    const stub = env.HEALTH_TRACKER.get(env.HEALTH_TRACKER.idFromName('global'));
+    const response = await stub.fetch('https://health-tracker/sync', {
+      method: 'POST',
+      body: JSON.stringify({
+        updates,
+        settings: getHealthSettings(),
+        keyUpdates,
+        keySettings: CONFIG.keyPool,
+      }),
+    });
+    const { mirrors, keys } = await response.json();
+
+    // 等待同步期间本 isolate 产生的更新仍在队列中（下次提交），先叠加到共享状态上再替换本地缓存，避免丢失
+    const settings = getHealthSettings();
+    MIRROR_HEALTH.clear();
+    Object.entries(mirrors).forEach(([mirrorUrl, health]) => MIRROR_HEALTH.set(mirrorUrl, health));
+    PENDING_HEALTH_UPDATES.forEach(update => {
+      MIRROR_HEALTH.set(update.mirror, applyMirrorHealthUpdate(MIRROR_HEALTH.get(update.mirror), update, settings));
+    });
+    KEY_POOL_HEALTH.clear();
+    Object.entries(keys || {}).forEach(([keyId, health]) => KEY_POOL_HEALTH.set(keyId, health));
+    PENDING_KEY_UPDATES.forEach(update => {
+      KEY_POOL_HEALTH.set(update.key, applyKeyHealthUpdate(KEY_POOL_HEALTH.get(update.key), update, CONFIG.keyPool));
+    });
+    lastHealthSync = Date.now();
+  } catch (error) {
+    // 同步失败时保留本地状态，更新放回队列下次重试
+    PENDING_HEALTH_UPDATES.unshift(...updates);
+    PENDING_KEY_UPDATES.unshift(...keyUpdates);
+    log('WARN', '同步镜像健康状态失败:', error.message);
+  } finally {
+    healthSyncInFlight = null;
+    finishSync();
+  }
+}
+
+/**
+ * 提交积压的健康更新（请求结束后在 ctx.waitUntil 中调用，不阻塞响应）
+ * @param {object} env - Worker 环境变量与绑定
+ */
+async function flushMirrorHealthUpdates(env) {
+  if (PENDING_HEALTH_UPDATES.length > 0 || PENDING_KEY_UPDATES.length > 0) {
+    await syncMirrorHealth(env, true);
+  }
+}
+
+/**
+ * 生成 /_health 中的镜像健康报告
+ */
+function describeMirrorHealth() {
+  const toISO = time => (time ? new Date(time).toISOString() : null);
+
+  return CONFIG.targetUrls.map((mirrorUrl, index) => {
+    const health = getMirrorHealth(mirrorUrl);
+    const windowFailures = health.window.filter(([, ok]) => !ok).length;
+    return {
+      url: mirrorUrl,
+      index: index + 1,
+      circuit: getCircuitState(mirrorUrl),
+      failures: health.failures,
+      window: {
+        requests: health.window.length,
+        failures: windowFailures,
+        errorRate: health.window.length ? Number((windowFailures / health.window.length).toFixed(4)) : 0,
+      },
+      trips: health.trips,
+      openedAt: toISO(health.openedAt),
+      lastCheck: toISO(health.lastCheck),
+      lastSuccess: toISO(health.lastSuccess),
+      lastFailure: toISO(health.lastFailure),
+      cooldownUntil: toISO(health.cooldownUntil),
+      totalRequests: health.totalRequests,
+      totalFailures: health.totalFailures,
+      latencyMs: health.latency,
+      errorRate: health.errorRate,
+      weight: getMirrorWeight(mirrorUrl),
+      drained: CONFIG.mirror.drained.includes(mirrorUrl),
+      transitions: health.transitions.map(change => ({ ...change, at: toISO(change.at) })),
+    };
+  });
+}
+
+/**
+ * 创建初始上游 Key 状态记录
+ */
+function createKeyHealth() {
+  return {
+    totalRequests: 0,
+    authFailures: 0,
+    rateLimited: 0,
+    // 最近 rateLimitWindow 秒内收到 429 的时间戳
+    recentRateLimits: [],
+    // 连续冷却次数（决定冷却时间的指数退避，成功后清零）
+    trips: 0,
+    cooldownUntil: null,
+    cooldownReason: null,
+    lastStatus: null,
+    lastUsed: null,
+  };
+}
+
+/**
+ * 将一次请求结果应用到上游 Key 状态（本地缓存和 HealthTracker 共用同一套规则）
+ * - 401/403：Key 失效或无权限，立即冷却 authCooldownPeriod
+ * - 429：rateLimitWindow 内达到 rateLimitThreshold 次时冷却 rateLimitCooldownPeriod（或上游要求的更长时间）
+ * - 成功：清除限流计数和退避次数
+ * @param {object} health - 现有状态
+ * @param {object} update - { key, status, retryAfter, at } 或 { key, reset: true, at }
+ * @param {object} settings - keyPool 配置
+ * @returns {object} 新的状态
+ */
+function applyKeyHealthUpdate(health, update, settings) {
+  const next = { ...createKeyHealth(), ...health };
+  const now = update.at || Date.now();
+
+  if (update.reset) {
+    return { ...next, recentRateLimits: [], trips: 0, cooldownUntil: null, cooldownReason: null };
+  }
+
+  next.totalRequests++;
+  next.lastUsed = now;
+  next.lastStatus = update.status;
+  next.recentRateLimits = next.recentRateLimits.filter(at => at >= now - settings.rateLimitWindow * 1000);
+  // 冷却期间仍在进行中的请求返回的结果不再延长冷却
+  const cooling = next.cooldownUntil && now < next.cooldownUntil;
+
+  const coolDown = (base, reason) => {
+    next.trips++;
+    const cooldown = Math.min(base * (2 ** (next.trips - 1)), settings.maxCooldownPeriod);
+    next.cooldownUntil = now + cooldown * 1000;
+    next.cooldownReason = `${reason}，冷却 ${Math.round(cooldown)} 秒`;
+  };
+
+  if (update.status === 401 || update.status === 403) {
+    next.authFailures++;
+    if (!cooling) coolDown(settings.authCooldownPeriod, `HTTP ${update.status}`);
+  } else if (update.status === 429) {
+    next.rateLimited++;
+    next.recentRateLimits = [...next.recentRateLimits, now];
+    if (!cooling && next.recentRateLimits.length >= settings.rateLimitThreshold) {
+      const base = Math.max(settings.rateLimitCooldownPeriod, (update.retryAfter || 0) / 1000);
+      coolDown(base, `${settings.rateLimitWindow} 秒内 ${next.recentRateLimits.length} 次 429`);
+      next.recentRateLimits = [];
+    }
+  } else if (update.status < 400) {
+    next.recentRateLimits = [];
+    next.trips = 0;
+  }
+
+  return next;
+}
+
+/**
+ * 获取上游 Key 状态（本地缓存，随镜像健康状态一起与 HealthTracker 同步）
+ * @param {string} keyId - Key ID（Secret 名称）
+ */
+function getKeyHealth(keyId) {
+  return KEY_POOL_HEALTH.get(keyId) || createKeyHealth();
+}
+
+/**
+ * 获取镜像转发配置中的 Key ID 列表（apiKeySecrets 或单个 apiKeySecret）
+ * @param {object} profile - 镜像转发配置
+ */
+function getProfileKeyIds(profile) {
+  return profile.apiKeySecrets || (profile.apiKeySecret ? [profile.apiKeySecret] : []);
+}
+
+/**
+ * 从镜像的 Key 池中选择本次请求使用的 Key：跳过冷却中的 Key，按 keyPool.strategy 轮换
+ * 全部冷却时仍使用最早恢复的 Key，由上游返回真实错误
+ * @param {string} mirrorUrl - 镜像地址
+ * @param {object} profile - 镜像转发配置
+ * @param {object} env - Worker 环境变量与绑定
+ * @param {Function} requestLog - 日志函数
+ * @returns {{id: string, key: string}|null} 选中的 Key，未设置任何 Secret 时返回 null
+ */
+function selectUpstreamKey(mirrorUrl, profile, env, requestLog = log) {
+  const keyIds = getProfileKeyIds(profile);
+  const configured = keyIds.filter(keyId => env[keyId]);
+  if (configured.length < keyIds.length) {
+    requestLog('WARN', `镜像 ${mirrorUrl} 的 Secret 未设置: ${keyIds.filter(keyId => !env[keyId]).join(', ')}`);
+  }
+  if (configured.length === 0) return null;
+
+  const now = Date.now();
+  let candidates = configured.filter(keyId => !(getKeyHealth(keyId).cooldownUntil > now));
+  if (candidates.length === 0) {
+    const earliest = configured.reduce((best, keyId) => (getKeyHealth(keyId).cooldownUntil < getKeyHealth(best).cooldownUntil ? keyId : best));
+    requestLog('WARN', `镜像 ${mirrorUrl} 的 Key 全部在冷却中，使用最早恢复的 ${earliest}`);
+    candidates = [earliest];
+  }
+
+  let keyId;
+  if (CONFIG.keyPool.strategy === 'least-used') {
+    const usage = id => [KEY_IN_FLIGHT.get(id) || 0, getKeyHealth(id).totalRequests];
+    keyId = candidates.reduce((best, id) => {
+      const [inFlight, total] = usage(id);
+      const [bestInFlight, bestTotal] = usage(best);
+      return inFlight < bestInFlight || (inFlight === bestInFlight && total < bestTotal) ? id : best;
+    });
+  } else {
+    const cursor = KEY_POOL_CURSORS.get(mirrorUrl) || 0;
+    keyId = candidates[cursor % candidates.length];
+    KEY_POOL_CURSORS.set(mirrorUrl, cursor + 1);
+  }
+
+  KEY_IN_FLIGHT.set(keyId, (KEY_IN_FLIGHT.get(keyId) || 0) + 1);
+  return { id: keyId, key: env[keyId] };
+}
+
+/**
+ * 记录上游 Key 的请求结果：立即写入本地缓存，并排队等待同步到 HealthTracker
+ * 网络错误或超时（status 为 null）与 Key 无关，只释放进行中计数
+ * @param {string} keyId - Key ID
+ * @param {number|null} status - 上游状态码
+ * @param {Headers} headers - 上游响应头（读取 retry-after）
+ * @param {Function} requestLog - 日志函数
+ */
+function recordUpstreamKeyResult(keyId, status, headers = null, requestLog = log) {
+  KEY_IN_FLIGHT.set(keyId, Math.max(0, (KEY_IN_FLIGHT.get(keyId) || 0) - 1));
+  if (status == null) return;
+
+  const update = { key: keyId, status, retryAfter: headers ? parseRetryAfter(headers) : null, at: Date.now() };
+  const previous = getKeyHealth(keyId);
+  const health = applyKeyHealthUpdate(previous, update, CONFIG.keyPool);
+  KEY_POOL_HEALTH.set(keyId, health);
+  PENDING_KEY_UPDATES.push(update);
+
+  if (health.cooldownUntil !== previous.cooldownUntil) {
+    requestLog('WARN', `上游 Key ${keyId} 暂停使用（${health.cooldownReason}）`);
+  }
+}
+
+/**
+ * 手动恢复冷却中的上游 Key（POST /_admin/upstream-keys/{id}/reset）
+ * @param {string} keyId - Key ID
+ */
+function resetUpstreamKey(keyId) {
+  const update = { key: keyId, reset: true, at: Date.now() };
+  KEY_POOL_HEALTH.set(keyId, applyKeyHealthUpdate(getKeyHealth(keyId), update, CONFIG.keyPool));
+  PENDING_KEY_UPDATES.push(update);
+}
+
+/**
+ * 生成上游 Key 池状态报告（GET /_admin/upstream-keys），只包含 Key ID
+ * @param {object} env - Worker 环境变量与绑定
+ */
+function describeKeyPools(env) {
+  const toISO = time => (time ? new Date(time).toISOString() : null);
+  const now = Date.now();
+
+  return Object.entries(CONFIG.mirror.profiles)
+    .filter(([, profile]) => getProfileKeyIds(profile).length > 0)
+    .map(([mirrorUrl, profile]) => ({
+      mirror: mirrorUrl,
+      strategy: CONFIG.keyPool.strategy,
+      keys: getProfileKeyIds(profile).map(keyId => {
+        const health = getKeyHealth(keyId);
+        const cooling = health.cooldownUntil > now;
+        return {
+          id: keyId,
+          state: !env[keyId] ? 'missing' : cooling ? 'cooldown' : 'active',
+          cooldownUntil: cooling ? toISO(health.cooldownUntil) : null,
+          cooldownReason: cooling ? health.cooldownReason : null,
+          inFlight: KEY_IN_FLIGHT.get(keyId) || 0,
+          totalRequests: health.totalRequests,
+          authFailures: health.authFailures,
+          rateLimited: health.rateLimited,
+          lastStatus: health.lastStatus,
+          lastUsed: toISO(health.lastUsed),
+        };
+      }),
+    }));
+}
+
+/**
+ * 主动探测单个镜像的真实 API（/v1/models 或极小的 messages 请求）
+ * @param {string} mirrorUrl - 镜像地址
+ * @param {object} env - Worker 环境变量与绑定（读取镜像转发配置中的 Secret）
+ * @returns {Promise<object>} 探测结果 { mirror, at, ok, status, latency, error }
+ */
+async function probeMirror(mirrorUrl, env = {}) {
+  const at = Date.now();
+  const headers = new Headers({ 'anthropic-version': '2023-06-01' });
+  if (CONFIG.auth.upstreamApiKey) {
+    headers.set('x-api-key', CONFIG.auth.upstreamApiKey);
+  }
+
+  const init = { method: 'GET', headers, signal: AbortSignal.timeout(CONFIG.probe.timeout) };
+  let path = '/v1/models';
+  if (CONFIG.probe.mode === 'messages') {
+    path = '/v1/messages';
+    init.method = 'POST';
+    headers.set('content-type', 'application/json');
+    init.body = JSON.stringify({
+      model: CONFIG.probe.model,
+      max_tokens: 1,
+      messages: [{ role: 'user', content: 'ping' }],
+    });
+  }
+
+  const targetUrl = new URL(path, mirrorUrl);
+  const upstreamKeyId = applyMirrorProfile(targetUrl, headers, mirrorUrl, env);
+
+  try {
+    const response = await fetch(targetUrl.toString(), init);
+    await response.body?.cancel();
+    if (upstreamKeyId) recordUpstreamKeyResult(upstreamKeyId, response.status, response.headers);
+    const latency = Date.now() - at;
+    // 4xx（如未配置上游 Key 时的 401）说明镜像可达，只有 5xx / 429 视为失败
+    const ok = response.status < 500 && response.status !== 429;
+    return { mirror: mirrorUrl, at, ok, status: response.status, latency };
+  } catch (error) {
+    if (upstreamKeyId) recordUpstreamKeyResult(upstreamKeyId, null);
+    return { mirror: mirrorUrl, at, ok: false, status: null, latency: Date.now() - at, error: error.message };
+  }
+}
+
+/**
+ * 定时任务：并发探测所有镜像，结果写入健康状态（提前熔断或提前恢复）并保存探测历史
+ * @param {object} env - Worker 环境变量与绑定
+ */
+async function runHealthProbes(env) {
+  await syncMirrorHealth(env, true);
+
+  const results = await Promise.all(CONFIG.targetUrls.map(mirrorUrl => probeMirror(mirrorUrl, env)));
+
+  results.forEach(result => {
+    const wasOpen = getCircuitState(result.mirror) !== 'closed';
+    updateMirrorHealth(result.mirror, result.ok, result.latency);
+
+    if (result.ok && wasOpen) {
+      log('INFO', `探测成功，镜像 ${result.mirror} 熔断器: ${getCircuitState(result.mirror)}`);
+    } else if (!result.ok) {
+      log('WARN', `镜像探测失败 (${result.mirror}): ${result.error || `HTTP ${result.status}`}`);
+    }
+  });
+
+  await flushMirrorHealthUpdates(env);
+  await recordProbeResults(env, results);
+
+  log('INFO', `镜像探测完成：${results.filter(r => r.ok).length}/${results.length} 个镜像正常`);
+  return results;
+}
+
+/**
+ * 保存探测历史（绑定 HEALTH_TRACKER 时持久化，否则只保留在当前 isolate 内存中）
+ * @param {object} env - Worker 环境变量与绑定
+ * @param {Array<object>} results - 探测结果
+ */
+async function recordProbeResults(env, results) {
+  const historySize = CONFIG.probe.historySize;
+
+  if (!env.HEALTH_TRACKER) {
+    results.forEach(result => {
+      const history = PROBE_HISTORY.get(result.mirror) || [];
+      PROBE_HISTORY.set(result.mirror, [...history, result].slice(-historySize));
+    });
+    return;
+  }
+
+  try {
+    const stub = env.HEALTH_TRACKER.get(env.HEALTH_TRACKER.idFromName('global'));
+    await stub.fetch('https://health-tracker/probes', {
+      method: 'POST',
+      body: JSON.stringify({ results, historySize }),
+    });
+  } catch (error) {
+    log('ERROR', '保存探测历史失败:', error.message);
+  }
+}
+
+/**
+ * 查询探测历史及汇总（成功率、平均延迟）
+ * @param {object} env - Worker 环境变量与绑定
+ */
+async function queryProbeHistory(env) {
+  let history = Object.fromEntries(PROBE_HISTORY);
+
+  if (env.HEALTH_TRACKER) {
+    const stub = env.HEALTH_TRACKER.get(env.HEALTH_TRACKER.idFromName('global'));
+    const response = await stub.fetch('https://health-tracker/probes');
+    history = (await response.json()).probes;
+  }
+
+  const mirrors = Object.entries(history).map(([mirrorUrl, records]) => {
+    const probes = records.map(probe => ({ ...probe, at: new Date(probe.at).toISOString() }));
+    const succeeded = probes.filter(probe => probe.ok);
+    return {
+      url: mirrorUrl,
+      probes: probes.length,
+      successRate: probes.length ? Number((succeeded.length / probes.length).toFixed(4)) : null,
+      avgLatencyMs: succeeded.length
+        ? Math.round(succeeded.reduce((sum, probe) => sum + probe.latency, 0) / succeeded.length)
+        : null,
+      lastProbe: probes[probes.length - 1] || null,
+      history: probes,
+    };
+  });
+
+  return { mirrors };
+}
+
+// KV 中客户端 Key 记录的键前缀（值为 Key 的 SHA-256 摘要，不存储明文）
+const CLIENT_KEY_PREFIX = 'client-key:';
+const CLIENT_KEY_ID_PREFIX = 'client-key-id:';
+// 客户端 Key 记录在边缘节点的缓存时间（秒，KV 允许的最小值）：吊销的 Key 在其他节点最多还能使用这么久
+const CLIENT_KEY_CACHE_TTL = 30;
+
+/**
+ * 格式化 Prometheus 标签（按名称排序，同时用作序列键的一部分）
+ * @param {object} labels - 标签
+ */
+function formatMetricLabels(labels) {
+  // 直方图的 le 标签放在最后
+  const pairs = Object.keys(labels).sort((a, b) => (a === 'le') - (b === 'le') || a.localeCompare(b)).map(key => {
+    const value = String(labels[key]).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+    return `${key}="${value}"`;
+  });
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * 计数器加一（或加 value）
+ * @param {string} name - 指标名（见 METRIC_DEFINITIONS）
+ * @param {object} labels - 标签
+ * @param {number} value - 增量
+ */
+function incrementMetric(name, labels = {}, value = 1) {
+  if (!CONFIG.metrics.enabled) return;
+  const key = `${name}${formatMetricLabels(labels)}`;
+  const series = PENDING_METRICS[key] || (PENDING_METRICS[key] = { name, labels, value: 0 });
+  series.value += value;
+}
+
+/**
+ * 记录一次直方图观测值（分桶为累计计数）
+ * @param {string} name - 指标名（见 METRIC_DEFINITIONS）
+ * @param {object} labels - 标签
+ * @param {number} value - 观测值（秒）
+ */
+function observeMetric(name, labels, value) {
+  if (!CONFIG.metrics.enabled) return;
+  const key = `${name}${formatMetricLabels(labels)}`;
+  const series = PENDING_METRICS[key] || (PENDING_METRICS[key] = { name, labels, buckets: {}, sum: 0, count: 0 });
+  CONFIG.metrics[METRIC_DEFINITIONS[name].buckets].forEach(bound => {
+    if (value <= bound) series.buckets[bound] = (series.buckets[bound] || 0) + 1;
+  });
+  series.buckets['+Inf'] = (series.buckets['+Inf'] || 0) + 1;
+  series.sum += value;
+  series.count++;
+}
+
+/**
+ * 把一批指标增量累加到汇总结果（本地内存和 MetricsCollector 共用）
+ * @param {object} target - 汇总结果 { 序列键: 序列 }
+ * @param {object} delta - 指标增量
+ */
+function mergeMetricSeries(target, delta) {
+  Object.entries(delta).forEach(([key, series]) => {
+    const existing = target[key];
+    if (!existing) {
+      target[key] = structuredClone(series);
+    } else if (series.buckets) {
+      Object.entries(series.buckets).forEach(([bound, count]) => {
+        existing.buckets[bound] = (existing.buckets[bound] || 0) + count;
+      });
+      existing.sum += series.sum;
+      existing.count += series.count;
+    } else {
+      existing.value += series.value;
+    }
+  });
+  return target;
+}
+
+/**
+ * 提交本 isolate 积累的指标增量（在 ctx.waitUntil 中调用，不阻塞响应）
+ * 绑定 METRICS_COLLECTOR 时按 flushInterval 间隔提交，否则直接汇总到本地内存
+ * @param {object} env - Worker 环境变量与绑定
+ * @param {boolean} force - 忽略提交间隔立即提交
+ */
+async function flushMetrics(env, force = false) {
+  if (Object.keys(PENDING_METRICS).length === 0 && PENDING_RECENT_REQUESTS.length === 0) return;
+
+  const limit = CONFIG.metrics.recentRequests;
+  if (!env.METRICS_COLLECTOR) {
+    mergeMetricSeries(LOCAL_METRICS, PENDING_METRICS);
+    PENDING_METRICS = {};
+    LOCAL_RECENT_REQUESTS = [...LOCAL_RECENT_REQUESTS, ...PENDING_RECENT_REQUESTS].slice(-limit);
+    PENDING_RECENT_REQUESTS = [];
+    return;
+  }
+  if (!force && Date.now() - lastMetricsFlush < CONFIG.metrics.flushInterval * 1000) return;
+
+  const series = PENDING_METRICS;
+  const recent = PENDING_RECENT_REQUESTS;
+  PENDING_METRICS = {};
+  PENDING_RECENT_REQUESTS = [];
+  lastMetricsFlush = Date.now();
+  try {
+    const stub = env.METRICS_COLLECTOR.get(env.METRICS_COLLECTOR.idFromName('global'));
+    const response = await stub.fetch('https://metrics-collector/record', {
+      method: 'POST',
+      body: JSON.stringify({ series, recent, recentLimit: limit }),
+    });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  } catch (error) {
+    // 提交失败时把增量放回，下次一并提交
+    PENDING_METRICS = mergeMetricSeries(series, PENDING_METRICS);
+    PENDING_RECENT_REQUESTS = [...recent, ...PENDING_RECENT_REQUESTS].slice(-limit);
+    log('WARN', '提交指标失败:', error.message);
+  }
+}
+
+/**
+ * 记录一条最近请求（管理后台的请求列表和延迟图表），内部端点（/_health、/_admin 等）不记录
+ * @param {object} entry - 访问日志字段
+ */
+function recordRecentRequest(entry) {
+  if (!CONFIG.metrics.enabled || CONFIG.metrics.recentRequests === 0 || entry.path.startsWith('/_')) return;
+  PENDING_RECENT_REQUESTS.push({ at: new Date().toISOString(), ...entry });
+  if (PENDING_RECENT_REQUESTS.length > CONFIG.metrics.recentRequests) PENDING_RECENT_REQUESTS.shift();
+}
+
+/**
+ * 读取汇总后的指标和最近请求（MetricsCollector 或本地内存），读取前先提交本 isolate 的增量
+ * @param {object} env - Worker 环境变量与绑定
+ * @returns {Promise<{series: object, recent: Array<object>}>}
+ */
+async function readMetricsSnapshot(env) {
+  await flushMetrics(env, true);
+
+  if (!env.METRICS_COLLECTOR) {
+    return { series: LOCAL_METRICS, recent: LOCAL_RECENT_REQUESTS };
+  }
+  const stub = env.METRICS_COLLECTOR.get(env.METRICS_COLLECTOR.idFromName('global'));
+  const { series, recent = [] } = await (await stub.fetch('https://metrics-collector/snapshot')).json();
+  return { series, recent };
+}
+
+/**
+ * 把请求路径归类为指标中的路由标签
+ * @param {string} pathname - 请求路径
+ */
+function getMetricRoute(pathname) {
+  if (pathname === '/health' || pathname === '/test') return `/_${pathname.slice(1)}`;
+  if (pathname === '/_admin' || pathname.startsWith('/_admin/')) return '/_admin';
+  return METRIC_ROUTES.includes(pathname) ? pathname : 'other';
+}
+
+/**
+ * 记录一次请求的指标：请求数、首字节耗时，以及响应体发送完毕时的总耗时和流式持续时间
+ * @param {Request} request - 原始请求
+ * @param {Response} response - 返回给客户端的响应
+ * @param {object} trace - 请求追踪信息
+ * @param {object} env - Worker 环境变量与绑定
+ * @param {ExecutionContext} ctx - 执行上下文
+ * @returns {Response} 响应体包装后的响应
+ */
+function recordRequestMetrics(request, response, trace, env, ctx) {
+  if (!CONFIG.metrics.enabled) return response;
+
+  const route = getMetricRoute(new URL(request.url).pathname);
+  const mirror = response.headers.get('X-Mirror-Used') || 'none';
+  const headersAt = Date.now();
+  incrementMetric('claude_proxy_requests_total', { route, status: String(response.status), mirror });
+  observeMetric('claude_proxy_ttfb_seconds', { route, mirror }, (headersAt - trace.startTime) / 1000);
+
+  const isStream = isStreamResponse(response);
+  const finish = () => {
+    const now = Date.now();
+    observeMetric('claude_proxy_request_duration_seconds', { route, mirror }, (now - trace.startTime) / 1000);
+    if (isStream) {
+      observeMetric('claude_proxy_stream_duration_seconds', { route, mirror }, (now - headersAt) / 1000);
+    }
+  };
+
+  if (!response.body) {
+    finish();
+    return response;
+  }
+  return new Response(wrapStreamWithFinalizer(response.body, () => {
+    finish();
+    ctx.waitUntil(flushMetrics(env));
+  }), response);
+}
+
+/**
+ * 生成 Prometheus 文本格式的指标（/_metrics）
+ * 计数器和直方图来自 MetricsCollector（或本地内存），熔断器状态来自实时健康状态
+ * @param {object} env - Worker 环境变量与绑定
+ * @returns {Promise<string>}
+ */
+async function renderPrometheusMetrics(env) {
+  const { series } = await readMetricsSnapshot(env);
+
+  // 熔断器状态：每个镜像每种状态一条，当前状态为 1
+  const gauges = {};
+  CONFIG.targetUrls.forEach(mirror => {
+    const circuit = getCircuitState(mirror);
+    ['closed', 'open', 'half-open'].forEach(state => {
+      const labels = { mirror, state };
+      gauges[`claude_proxy_circuit_state${formatMetricLabels(labels)}`] = {
+        name: 'claude_proxy_circuit_state',
+        labels,
+        value: circuit === state ? 1 : 0,
+      };
+    });
+  });
+  const all = Object.values({ ...series, ...gauges });
+
+  const lines = [];
+  Object.entries(METRIC_DEFINITIONS).forEach(([name, definition]) => {
+    const entries = all.filter(entry => entry.name === name);
+    if (entries.length === 0) return;
+
+    lines.push(`# HELP ${name} ${definition.help}`);
+    lines.push(`# TYPE ${name} ${definition.type}`);
+    entries.forEach(entry => {
+      if (definition.type !== 'histogram') {
+        lines.push(`${name}${formatMetricLabels(entry.labels)} ${entry.value}`);
+        return;
+      }
+      // 没有观测值落入的分桶不会被记录，输出时补 0
+      const bounds = new Set([...CONFIG.metrics[definition.buckets].map(String), ...Object.keys(entry.buckets)]);
+      bounds.delete('+Inf');
+      Array.from(bounds).sort((a, b) => Number(a) - Number(b)).forEach(bound => {
+        lines.push(`${name}_bucket${formatMetricLabels({ ...entry.labels, le: bound })} ${entry.buckets[bound] || 0}`);
+      });
+      lines.push(`${name}_bucket${formatMetricLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+      lines.push(`${name}_sum${formatMetricLabels(entry.labels)} ${Number(entry.sum.toFixed(6))}`);
+      lines.push(`${name}_count${formatMetricLabels(entry.labels)} ${entry.count}`);
+    });
+  });
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * 从请求中提取客户端 Key（支持 x-api-key 和 Authorization: Bearer）
+ * @param {Request} request - 原始请求
+ * @returns {string|null}
+ */
+function extractClientKey(request) {
+  const apiKey = request.headers.get('x-api-key');
+  if (apiKey) return apiKey.trim();
+
+  const authorization = request.headers.get('Authorization') || '';
+  const match = authorization.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * 校验客户端 Key：先查 Secret 配置的 Key，再查 AUTH_KV 中签发的 Key
+ * @param {Request} request - 原始请求
+ * @param {object} env - Worker 环境变量与绑定
+ * @returns {Promise<{client: object|null, reason?: string}>}
+ */
+async function authenticateClient(request, env) {
+  const key = extractClientKey(request);
+  if (!key) {
+    return { client: null, reason: '缺少 API Key，请通过 x-api-key 或 Authorization 头提供' };
+  }
+
+  for (const [id, clientKey] of Object.entries(CONFIG.auth.clientKeys)) {
+    if (safeEqual(clientKey, key)) {
+      return { client: { id, name: id, source: 'secret' } };
+    }
+  }
+
+  if (env.AUTH_KV) {
+    const hash = await sha256Hex(key);
+    const record = await env.AUTH_KV.get(`${CLIENT_KEY_PREFIX}${hash}`, { type: 'json', cacheTtl: CLIENT_KEY_CACHE_TTL });
+    if (record) {
+      if (record.revoked) {
+        return { client: null, reason: 'API Key 已被吊销' };
+      }
+      return { client: { id: record.id, name: record.name, source: 'kv' } };
+    }
+  }
+
+  return { client: null, reason: '无效的 API Key' };
+}
+
+/**
+ * 校验管理员 Key（x-admin-key、Authorization: Bearer，或管理后台使用的 Basic 认证密码）
+ * 未配置管理员 Key 时：诊断端点保持开放，管理接口拒绝访问
+ * 浏览器会自动附带 Basic 凭据，因此 Basic 认证的写操作必须带 X-Requested-With 头（跨站表单无法设置），防止跨站请求伪造
+ * @param {Request} request - 原始请求
+ * @param {boolean} requireConfigured - 未配置管理员 Key 时是否拒绝
+ */
+function isAdminRequest(request, requireConfigured = false) {
+  if (!CONFIG.auth.adminKey) return !requireConfigured;
+
+  let provided = request.headers.get('x-admin-key') || extractClientKey(request);
+  const basic = (request.headers.get('Authorization') || '').match(/^Basic\s+(.+)$/i);
+  if (!provided && basic && (['GET', 'HEAD'].includes(request.method) || request.headers.has('x-requested-with'))) {
+    try {
+      const credentials = atob(basic[1].trim());
+      provided = credentials.slice(credentials.indexOf(':') + 1);
+    } catch (error) {
+      provided = null;
+    }
+  }
+  return Boolean(provided) && safeEqual(CONFIG.auth.adminKey, provided);
+}
+
+/**
+ * 管理接口（需要管理员 Key）
+ * - GET /_admin：管理后台页面（浏览器 Basic 认证，密码为管理员 Key）
+ * - GET /_admin/status：镜像健康、最近请求、缓存命中率和上游 Key 池（管理后台数据）
+ * - POST /_admin/mirrors/drain {"mirror", "drained"} | POST /_admin/strategy {"strategy"}：排空 / 恢复镜像、切换镜像策略（写入 CONFIG_KV）
+ * - GET /_admin/keys | POST /_admin/keys {"name"} | DELETE /_admin/keys/{id}：客户端 Key 管理
+ * - GET /_admin/usage?from=&to=&client=：按天汇总的 Token 用量
+ * - GET|POST /_admin/probes：探测历史 / 立即探测
+ * - POST /_admin/cache/purge：清除所有 GET 缓存
+ * - GET /_admin/upstream-keys | POST /_admin/upstream-keys/{id}/reset：上游 Key 池状态 / 手动恢复冷却中的 Key
+ * - GET /_admin/audit?date=&client=&requestId= | GET /_admin/audit/{id} | POST /_admin/audit/{id}/replay {"mirror"}：审计日志
+ * @param {Request} request - 原始请求
+ * @param {object} env - Worker 环境变量与绑定
+ * @param {ExecutionContext} ctx - 执行上下文
+ * @param {URL} url - 请求 URL
+ */
+async function handleAdminRequest(request, env, ctx, url) {
+  const isAdminPage = url.pathname === '/_admin' || url.pathname === '/_admin/';
+  if (!isAdminRequest(request, true)) {
+    const response = anthropicErrorResponse(401, 'authentication_error', CONFIG.auth.adminKey ? '无效的管理员 Key' : '未配置管理员 Key（ADMIN_KEY），管理接口已禁用');
+    // 浏览器打开管理后台时弹出登录框（用户名任意，密码为管理员 Key）
+    if (isAdminPage && CONFIG.auth.adminKey) {
+      response.headers.set('WWW-Authenticate', 'Basic realm="Claude Proxy Admin", charset="UTF-8"');
+    }
+    return response;
+  }
+
+  if (isAdminPage && request.method === 'GET') {
+    return new Response(ADMIN_PAGE_HTML, {
+      status: 200,
+      headers: {
+        'Content-Type': 'text/html; charset=utf-8',
+        'Cache-Control': 'no-store',
+        'X-Frame-Options': 'DENY',
+      },
+    });
+  }
+
+  if (url.pathname === '/_admin/status' && request.method === 'GET') {
+    return jsonResponse(await getAdminStatus(env));
+  }
+
+  // 排空 / 恢复镜像
+  if (url.pathname === '/_admin/mirrors/drain' && request.method === 'POST') {
+    const body = await readJsonBody(request) || {};
+    if (!CONFIG.targetUrls.includes(body.mirror)) {
+      return anthropicErrorResponse(400, 'invalid_request_error', `镜像 ${JSON.stringify(body.mirror)} 不在 targetUrls 中`);
+    }
+    const drained = body.drained !== false;
+    const result = await writeAdminSetting(env, `drained:${body.mirror}`, drained);
+    if (result.error) {
+      return anthropicErrorResponse(result.status, 'invalid_request_error', result.error);
+    }
+    log('INFO', `已${drained ? '排空' : '恢复'}镜像 ${body.mirror}`);
+    return jsonResponse({ mirror: body.mirror, drained, mirrors: describeMirrorHealth() });
+  }
+
+  // 切换镜像策略
+  if (url.pathname === '/_admin/strategy' && request.method === 'POST') {
+    const body = await readJsonBody(request) || {};
+    const strategyError = validateConfigValue(body.strategy, CONFIG_SCHEMA.mirrorStrategy);
+    if (strategyError) {
+      return anthropicErrorResponse(400, 'invalid_request_error', `mirrorStrategy: ${strategyError}`);
+    }
+    const result = await writeAdminSetting(env, 'mirrorStrategy', body.strategy);
+    if (result.error) {
+      return anthropicErrorResponse(result.status, 'invalid_request_error', result.error);
+    }
+    log('INFO', `镜像策略已切换为 ${CONFIG.mirrorStrategy}`);
+    return jsonResponse({ mirrorStrategy: CONFIG.mirrorStrategy });
+  }
+
+  if (url.pathname === '/_admin/usage' && request.method === 'GET') {
+    if (!env.USAGE_TRACKER) {
+      return anthropicErrorResponse(501, 'api_error', '未绑定 USAGE_TRACKER，无法查询用量');
+    }
+    return jsonResponse(await queryUsage(env, url));
+  }
+
+  if (url.pathname === '/_admin/probes' && request.method === 'GET') {
+    return jsonResponse(await queryProbeHistory(env));
+  }
+
+  // 立即执行一轮主动探测（与定时任务相同）
+  if (url.pathname === '/_admin/probes' && request.method === 'POST') {
+    const results = await runHealthProbes(env);
+    return jsonResponse({ results });
+  }
+
+  // 清除所有 GET 缓存
+  if (url.pathname === '/_admin/cache/purge' && request.method === 'POST') {
+    const result = await purgeCache(env);
+    log('INFO', `已清除 GET 缓存，缓存代数: ${result.generation}`);
+    return jsonResponse(result);
+  }
+
+  // 上游 Key 池：各镜像 Key 的状态（只返回 Key ID）
+  if (url.pathname === '/_admin/upstream-keys' && request.method === 'GET') {
+    await syncMirrorHealth(env, true);
+    return jsonResponse({ pools: describeKeyPools(env) });
+  }
+
+  const upstreamKeyMatch = url.pathname.match(/^\/_admin\/upstream-keys\/(\w+)\/reset$/);
+  if (upstreamKeyMatch && request.method === 'POST') {
+    const keyId = upstreamKeyMatch[1];
+    if (!Object.values(CONFIG.mirror.profiles).some(profile => getProfileKeyIds(profile).includes(keyId))) {
+      return anthropicErrorResponse(404, 'not_found_error', `上游 Key ${keyId} 不在任何镜像的 Key 池中`);
+    }
+    resetUpstreamKey(keyId);
+    await flushMirrorHealthUpdates(env);
+    log('INFO', `已恢复上游 Key ${keyId}`);
+    return jsonResponse({ pools: describeKeyPools(env) });
+  }
+
+  // 审计日志：列表、详情和重放
+  if (url.pathname.startsWith('/_admin/audit')) {
+    if (!env.AUDIT_BUCKET) {
+      return anthropicErrorResponse(501, 'api_error', '未绑定 AUDIT_BUCKET，无法查询审计日志');
+    }
+    if (url.pathname === '/_admin/audit' && request.method === 'GET') {
+      return jsonResponse(await listAuditEntries(env, url));
+    }
+
+    const auditMatch = url.pathname.match(/^\/_admin\/audit\/([\w.:-]+?)(\/replay)?$/);
+    const entry = auditMatch ? await getAuditEntry(env, auditMatch[1]) : null;
+    if (auditMatch && !entry) {
+      return anthropicErrorResponse(404, 'not_found_error', `审计日志 ${auditMatch[1]} 不存在`);
+    }
+    if (auditMatch && !auditMatch[2] && request.method === 'GET') {
+      return jsonResponse(entry);
+    }
+    if (auditMatch && auditMatch[2] && request.method === 'POST') {
+      let body = {};
+      try {
+        body = await request.json();
+      } catch (error) {
+        // 允许空请求体（使用原镜像重放）
+      }
+      const result = await replayAuditEntry(env, ctx, entry, body);
+      if (result.error) {
+        return anthropicErrorResponse(400, 'invalid_request_error', result.error);
+      }
+      log('INFO', `已重放审计日志 ${entry.id} → ${result.mirror}`);
+      return jsonResponse(result);
+    }
+  }
+
+  const keyIdMatch = url.pathname.match(/^\/_admin\/keys\/([\w-]+)$/);
+
+  if (url.pathname === '/_admin/keys' && request.method === 'GET') {
+    return jsonResponse({ keys: await listClientKeys(env) });
+  }
+
+  if (!env.AUTH_KV && url.pathname.startsWith('/_admin/keys')) {
+    return anthropicErrorResponse(501, 'api_error', '未绑定 AUTH_KV，无法签发或吊销 Key');
+  }
+
+  if (url.pathname === '/_admin/keys' && request.method === 'POST') {
+    let body = {};
+    try {
+      body = await request.json();
+    } catch (error) {
+      // 允许空请求体
+    }
+    const issued = await issueClientKey(env, String(body.name || '').slice(0, 100));
+    log('INFO', `已签发客户端 Key: ${issued.id} (${issued.name})`);
+    return jsonResponse(issued, 201);
+  }
+
+  if (keyIdMatch && request.method === 'DELETE') {
+    const revoked = await revokeClientKey(env, keyIdMatch[1]);
+    if (!revoked) {
+      return anthropicErrorResponse(404, 'not_found_error', `Key ${keyIdMatch[1]} 不存在`);
+    }
+    log('INFO', `已吊销客户端 Key: ${keyIdMatch[1]}`);
+    return jsonResponse(revoked);
+  }
+
+  return anthropicErrorResponse(404, 'not_found_error', `未知的管理接口: ${request.method} ${url.pathname}`);
+}
+
+// 管理后台页面（GET /_admin）：数据来自 /_admin/status 等 JSON 接口，每 10 秒刷新
+const ADMIN_PAGE_HTML = `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>Claude Proxy 管理后台</title>
+<style>
+  * { margin: 0; padding: 0; box-sizing: border-box; }
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif; background: #f4f5fb; color: #333; padding: 20px; font-size: 14px; }
+  header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; border-radius: 12px; padding: 20px 24px; margin-bottom: 20px; display: flex; justify-content: space-between; align-items: center; flex-wrap: wrap; gap: 10px; }
+  header h1 { font-size: 22px; }
+  header .meta { font-size: 12px; opacity: 0.85; }
+  .grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(320px, 1fr)); gap: 20px; margin-bottom: 20px; }
+  .card { background: white; border-radius: 12px; box-shadow: 0 2px 12px rgba(0, 0, 0, 0.06); padding: 20px; margin-bottom: 20px; overflow-x: auto; }
+  .grid .card { margin-bottom: 0; }
+  .card h2 { font-size: 16px; margin-bottom: 14px; color: #444; }
+  table { width: 100%; border-collapse: collapse; font-size: 13px; }
+  th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #eef0f5; white-space: nowrap; }
+  th { color: #888; font-weight: 500; }
+  button, select { padding: 6px 12px; border-radius: 6px; border: 1px solid #d0d4e4; background: white; font-size: 13px; cursor: pointer; }
+  button.primary { background: #667eea; border-color: #667eea; color: white; }
+  button:disabled { opacity: 0.5; cursor: not-allowed; }
+  .badge { display: inline-block; padding: 2px 8px; border-radius: 10px; font-size: 12px; color: white; }
+  .closed, .active, .ok { background: #2ecc71; }
+  .half-open, .warn { background: #f39c12; }
+  .open, .cooldown, .error, .missing { background: #e74c3c; }
+  .drained { background: #95a5a6; }
+  .stat { font-size: 28px; font-weight: 600; color: #667eea; }
+  .muted { color: #999; font-size: 12px; }
+  .row { display: flex; gap: 10px; align-items: center; flex-wrap: wrap; margin-bottom: 10px; }
+  pre { background: #f8f9fc; border-radius: 8px; padding: 12px; font-size: 12px; max-height: 300px; overflow: auto; }
+  #message { margin-bottom: 20px; }
+  #message:empty { display: none; }
+  .notice { background: #fff4e5; border: 1px solid #f5c26b; border-radius: 8px; padding: 10px 14px; }
+</style>
+</head>
+<body>
+<header>
+  <div><h1>Claude Proxy 管理后台</h1><div class="meta" id="generated">加载中...</div></div>
+  <div class="row" style="margin: 0;">
+    <label><input type="checkbox" id="autoRefresh" checked> 自动刷新</label>
+    <button onclick="refresh()">刷新</button>
+  </div>
+</header>
+<div id="message"></div>
+
+<div class="grid">
+  <div class="card">
+    <h2>镜像策略</h2>
+    <div class="row">
+      <select id="strategy"></select>
+      <button class="primary" id="applyStrategy" onclick="applyStrategy()">应用</button>
+    </div>
+    <div class="muted" id="configHint"></div>
+  </div>
+  <div class="card">
+    <h2>缓存命中率</h2>
+    <div id="cache" class="row"></div>
+  </div>
+  <div class="card">
+    <h2>连接测试</h2>
+    <div class="row"><button class="primary" id="runTest" onclick="runTest()">运行 /_test</button><span class="muted" id="testSummary"></span></div>
+    <pre id="testResult" style="display: none;"></pre>
+  </div>
+</div>
+
+<div class="card">
+  <h2>镜像健康状态</h2>
+  <table>
+    <thead><tr><th>#</th><th>镜像</th><th>熔断器</th><th>错误率</th><th>首字节耗时（平均 / 最近）</th><th>窗口失败</th><th>冷却至</th><th>权重</th><th>操作</th></tr></thead>
+    <tbody id="mirrors"></tbody>
+  </table>
+</div>
+
+<div class="grid">
+  <div class="card">
+    <h2>最近请求耗时（ms）</h2>
+    <svg id="latencyChart" width="100%" height="200" viewBox="0 0 600 200" preserveAspectRatio="none"></svg>
+    <div class="muted">绿色 2xx/3xx，橙色 4xx，红色 5xx</div>
+  </div>
+  <div class="card">
+    <h2>各镜像平均首字节耗时（ms）</h2>
+    <svg id="mirrorChart" width="100%" height="200" viewBox="0 0 600 200" preserveAspectRatio="none"></svg>
+  </div>
+</div>
+
+<div class="card">
+  <h2>最近请求</h2>
+  <table>
+    <thead><tr><th>时间</th><th>请求</th><th>状态</th><th>镜像</th><th>耗时</th><th>缓存</th><th>客户端</th><th>上游 Key</th><th>请求 ID</th></tr></thead>
+    <tbody id="recent"></tbody>
+  </table>
+</div>
+
+<div class="grid">
+  <div class="card">
+    <h2>客户端 Key 用量（最近 7 天）</h2>
+    <table>
+      <thead><tr><th>客户端</th><th>请求数</th><th>输入 Token</th><th>输出 Token</th><th>费用（美元）</th></tr></thead>
+      <tbody id="usage"></tbody>
+    </table>
+  </div>
+  <div class="card">
+    <h2>上游 Key 池</h2>
+    <table>
+      <thead><tr><th>镜像</th><th>Key ID</th><th>状态</th><th>请求数</th><th>401/403</th><th>429</th><th>冷却原因</th></tr></thead>
+      <tbody id="upstreamKeys"></tbody>
+    </table>
+  </div>
+</div>
+
+<script>
+  var state = null;
+
+  function esc(value) {
+    return String(value == null ? '' : value).replace(/[&<>"']/g, function (c) {
+      return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c];
+    });
+  }
+
+  function badge(text, cls) {
+    return '<span class="badge ' + esc(cls || text) + '">' + esc(text) + '</span>';
+  }
+
+  function showMessage(text) {
+    document.getElementById('message').innerHTML = text ? '<div class="notice">' + esc(text) + '</div>' : '';
+  }
+
+  // 浏览器自动附带 Basic 凭据；X-Requested-With 用于写操作的跨站请求伪造防护
+  function api(path, options) {
+    options = options || {};
+    options.credentials = 'same-origin';
+    options.headers = Object.assign({ 'X-Requested-With': 'fetch' }, options.headers || {});
+    return fetch(path, options).then(function (response) {
+      return response.json().then(function (data) {
+        if (!response.ok) throw new Error((data.error && data.error.message) || data.message || ('HTTP ' + response.status));
+        return data;
+      });
+    });
+  }
+
+  function post(path, body) {
+    return api(path, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+  }
+
+  function renderMirrors() {
+    document.getElementById('mirrors').innerHTML = state.mirrors.map(function (m) {
+      var circuit = m.drained ? badge('drained') + ' ' + badge(m.circuit) : badge(m.circuit);
+      var action = m.drained
+        ? '<button onclick="setDrained(' + (m.index - 1) + ', false)"' + (state.configWritable ? '' : ' disabled') + '>恢复</button>'
+        : '<button onclick="setDrained(' + (m.index - 1) + ', true)"' + (state.configWritable ? '' : ' disabled') + '>排空</button>';
+      return '<tr><td>' + m.index + '</td><td>' + esc(m.url) + '</td><td>' + circuit + '</td>' +
+        '<td>' + (m.errorRate * 100).toFixed(1) + '%</td>' +
+        '<td>' + esc(m.latencyMs.avg == null ? '-' : m.latencyMs.avg) + ' / ' + esc(m.latencyMs.last == null ? '-' : m.latencyMs.last) + '</td>' +
+        '<td>' + m.window.failures + '/' + m.window.requests + '</td>' +
+        '<td>' + esc(m.cooldownUntil ? new Date(m.cooldownUntil).toLocaleTimeString() : '-') + '</td>' +
+        '<td>' + esc(m.weight) + '</td><td>' + action + '</td></tr>';
+    }).join('');
+  }
+
+  function renderCache() {
+    var names = { response: 'GET 缓存', prompt: 'Prompt 缓存' };
+    var entries = Object.keys(state.cache);
+    document.getElementById('cache').innerHTML = entries.length === 0
+      ? '<span class="muted">' + (state.metricsEnabled ? '暂无缓存查询' : '指标未启用（metrics.enabled）') + '</span>'
+      : entries.map(function (name) {
+        var c = state.cache[name];
+        return '<div style="margin-right: 30px;"><div class="stat">' + (c.hitRate * 100).toFixed(1) + '%</div>' +
+          '<div class="muted">' + esc(names[name] || name) + '：命中 ' + c.hits + ' / 未命中 ' + c.misses + '</div></div>';
+      }).join('');
+  }
+
+  function renderLatencyChart() {
+    var svg = document.getElementById('latencyChart');
+    var points = state.recentRequests.slice().reverse();
+    if (points.length === 0) {
+      svg.innerHTML = '<text x="300" y="100" text-anchor="middle" fill="#999">暂无请求</text>';
+      return;
+    }
+    var max = Math.max.apply(null, points.map(function (p) { return p.latencyMs; }).concat([1]));
+    var step = points.length > 1 ? 580 / (points.length - 1) : 0;
+    var coords = points.map(function (p, i) { return [10 + i * step, 190 - (p.latencyMs / max) * 170]; });
+    var line = '<polyline fill="none" stroke="#667eea" stroke-width="1.5" points="' + coords.map(function (c) { return c.join(','); }).join(' ') + '"/>';
+    var dots = coords.map(function (c, i) {
+      var status = points[i].status;
+      var color = status >= 500 ? '#e74c3c' : status >= 400 ? '#f39c12' : '#2ecc71';
+      return '<circle cx="' + c[0] + '" cy="' + c[1] + '" r="3" fill="' + color + '"><title>' + esc(points[i].path + ' ' + status + ' ' + points[i].latencyMs + 'ms') + '</title></circle>';
+    }).join('');
+    svg.innerHTML = '<text x="4" y="14" fill="#999" font-size="11">' + max + 'ms</text>' + line + dots;
+  }
+
+  function renderMirrorChart() {
+    var svg = document.getElementById('mirrorChart');
+    var max = Math.max.apply(null, state.mirrors.map(function (m) { return m.latencyMs.avg || 0; }).concat([1]));
+    var width = 580 / Math.max(state.mirrors.length, 1);
+    svg.innerHTML = state.mirrors.map(function (m, i) {
+      var value = m.latencyMs.avg || 0;
+      var height = (value / max) * 150;
+      var x = 10 + i * width;
+      return '<rect x="' + (x + 10) + '" y="' + (170 - height) + '" width="' + Math.max(width - 20, 4) + '" height="' + height + '" fill="#764ba2" rx="4"><title>' + esc(m.url) + '</title></rect>' +
+        '<text x="' + (x + width / 2) + '" y="' + (165 - height) + '" text-anchor="middle" font-size="12" fill="#555">' + (m.latencyMs.avg == null ? '-' : value) + '</text>' +
+        '<text x="' + (x + width / 2) + '" y="190" text-anchor="middle" font-size="12" fill="#999">镜像 ' + m.index + '</text>';
+    }).join('');
+  }
+
+  function renderRecent() {
+    var rows = state.recentRequests.slice(0, 50);
+    document.getElementById('recent').innerHTML = rows.length === 0
+      ? '<tr><td colspan="9" class="muted">' + (state.metricsEnabled ? '暂无请求' : '指标未启用（metrics.enabled）') + '</td></tr>'
+      : rows.map(function (r) {
+        var cls = r.status >= 500 ? 'error' : r.status >= 400 ? 'warn' : 'ok';
+        return '<tr><td>' + esc(new Date(r.at).toLocaleTimeString()) + '</td><td>' + esc(r.method + ' ' + r.path) + '</td>' +
+          '<td>' + badge(r.status, cls) + '</td><td>' + esc(r.mirror || '-') + '</td><td>' + esc(r.latencyMs) + 'ms</td>' +
+          '<td>' + esc(r.cache || '-') + '</td><td>' + esc(r.clientId || '-') + '</td><td>' + esc(r.upstreamKey || '-') + '</td>' +
+          '<td class="muted">' + esc(r.requestId) + '</td></tr>';
+      }).join('');
+  }
+
+  function renderUpstreamKeys() {
+    var rows = [];
+    state.upstreamKeys.forEach(function (pool) {
+      pool.keys.forEach(function (k) {
+        rows.push('<tr><td>' + esc(pool.mirror) + '</td><td>' + esc(k.id) + '</td><td>' + badge(k.state) + '</td>' +
+          '<td>' + k.totalRequests + '</td><td>' + k.authFailures + '</td><td>' + k.rateLimited + '</td><td>' + esc(k.cooldownReason || '-') + '</td></tr>');
+      });
+    });
+    document.getElementById('upstreamKeys').innerHTML = rows.join('') || '<tr><td colspan="7" class="muted">未配置上游 Key 池（mirror.profiles）</td></tr>';
+  }
+
+  function renderUsage() {
+    var body = document.getElementById('usage');
+    if (!state.usageEnabled) {
+      body.innerHTML = '<tr><td colspan="5" class="muted">未启用用量统计（usage.enabled + USAGE_TRACKER）</td></tr>';
+      return;
+    }
+    api('/_admin/usage').then(function (usage) {
+      var clients = {};
+      usage.days.forEach(function (day) {
+        day.entries.forEach(function (e) {
+          var c = clients[e.clientId] || (clients[e.clientId] = { requests: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 });
+          c.requests += e.requests;
+          c.inputTokens += e.inputTokens;
+          c.outputTokens += e.outputTokens;
+          c.costUsd += e.costUsd;
+        });
+      });
+      var ids = Object.keys(clients).sort(function (a, b) { return clients[b].costUsd - clients[a].costUsd; });
+      body.innerHTML = ids.map(function (id) {
+        var c = clients[id];
+        return '<tr><td>' + esc(id) + '</td><td>' + c.requests + '</td><td>' + c.inputTokens + '</td><td>' + c.outputTokens + '</td><td>' + c.costUsd.toFixed(4) + '</td></tr>';
+      }).join('') || '<tr><td colspan="5" class="muted">暂无用量</td></tr>';
+    }).catch(function (error) {
+      body.innerHTML = '<tr><td colspan="5" class="muted">' + esc(error.message) + '</td></tr>';
+    });
+  }
+
+  function render() {
+    document.getElementById('generated').textContent = '更新于 ' + new Date(state.generatedAt).toLocaleString();
+    var select = document.getElementById('strategy');
+    if (document.activeElement !== select) {
+      select.innerHTML = state.strategies.map(function (s) {
+        return '<option value="' + esc(s) + '"' + (s === state.mirrorStrategy ? ' selected' : '') + '>' + esc(s) + '</option>';
+      }).join('');
+    }
+    document.getElementById('applyStrategy').disabled = !state.configWritable;
+    document.getElementById('configHint').textContent = state.configWritable
+      ? '修改写入 CONFIG_KV，其他 isolate 在 60 秒内生效'
+      : '未绑定 CONFIG_KV，无法在线修改策略和排空镜像';
+    renderMirrors();
+    renderCache();
+    renderLatencyChart();
+    renderMirrorChart();
+    renderRecent();
+    renderUpstreamKeys();
+    renderUsage();
+  }
+
+  function refresh() {
+    return api('/_admin/status').then(function (data) {
+      state = data;
+      render();
+    }).catch(function (error) {
+      showMessage('加载失败：' + error.message);
+    });
+  }
+
+  function applyStrategy() {
+    var strategy = document.getElementById('strategy').value;
+    post('/_admin/strategy', { strategy: strategy }).then(function () {
+      showMessage('镜像策略已切换为 ' + strategy);
+      return refresh();
+    }).catch(function (error) { showMessage('切换失败：' + error.message); });
+  }
+
+  function setDrained(index, drained) {
+    var mirror = state.mirrors[index].url;
+    if (drained && !confirm('排空后该镜像不再接收新请求，确定排空 ' + mirror + '？')) return;
+    post('/_admin/mirrors/drain', { mirror: mirror, drained: drained }).then(function () {
+      showMessage((drained ? '已排空 ' : '已恢复 ') + mirror);
+      return refresh();
+    }).catch(function (error) { showMessage('操作失败：' + error.message); });
+  }
+
+  function runTest() {
+    var button = document.getElementById('runTest');
+    button.disabled = true;
+    document.getElementById('testSummary').textContent = '测试中...';
+    fetch('/_test', { credentials: 'same-origin' }).then(function (response) { return response.json(); }).then(function (data) {
+      document.getElementById('testSummary').textContent = data.message || '';
+      var result = document.getElementById('testResult');
+      result.style.display = 'block';
+      result.textContent = JSON.stringify(data.mirrors || data, null, 2);
+    }).catch(function (error) {
+      document.getElementById('testSummary').textContent = '测试失败：' + error.message;
+    }).then(function () { button.disabled = false; });
+  }
+
+  refresh();
+  setInterval(function () {
+    if (document.getElementById('autoRefresh').checked) refresh();
+  }, 10000);
+</script>
+</body>
+</html>
+`;
+
+/**
+ * 汇总管理后台数据（GET /_admin/status）
+ * @param {object} env - Worker 环境变量与绑定
+ */
+async function getAdminStatus(env) {
+  await syncMirrorHealth(env, true);
+  const { series, recent } = CONFIG.metrics.enabled ? await readMetricsSnapshot(env) : { series: {}, recent: [] };
+
+  // 缓存命中率（按缓存类型 response / prompt）
+  const cache = {};
+  Object.values(series)
+    .filter(entry => entry.name === 'claude_proxy_cache_requests_total')
+    .forEach(({ labels, value }) => {
+      const stats = cache[labels.cache] || (cache[labels.cache] = { hits: 0, misses: 0, hitRate: 0 });
+      stats[labels.result === 'hit' ? 'hits' : 'misses'] += value;
+    });
+  Object.values(cache).forEach(stats => {
+    const total = stats.hits + stats.misses;
+    stats.hitRate = total > 0 ? Number((stats.hits / total).toFixed(4)) : 0;
+  });
+
+  return {
+    generatedAt: new Date().toISOString(),
+    mirrorStrategy: CONFIG.mirrorStrategy,
+    strategies: CONFIG_SCHEMA.mirrorStrategy.values,
+    configWritable: Boolean(env.CONFIG_KV),
+    metricsEnabled: CONFIG.metrics.enabled,
+    usageEnabled: Boolean(CONFIG.usage.enabled && env.USAGE_TRACKER),
+    mirrors: describeMirrorHealth(),
+    cache,
+    // 最新的请求在前
+    recentRequests: recent.slice().reverse(),
+    upstreamKeys: describeKeyPools(env),
+  };
+}
+
+/**
+ * 写入一项管理后台设置并立即生效（当前 isolate 立即生效，其他 isolate 在配置缓存过期后生效）
+ * 每项设置单独一个 KV 键，不读取-修改-写回整个配置文档，并发修改不同设置不会丢失更新
+ * @param {object} env - Worker 环境变量与绑定
+ * @param {string} name - 设置名（mirrorStrategy 或 drained:{镜像地址}）
+ * @param {any} value - 设置值（保存为 JSON）
+ * @returns {Promise<{error?: string, status?: number}>}
+ */
+async function writeAdminSetting(env, name, value) {
+  if (!env.CONFIG_KV) {
+    return { error: '未绑定 CONFIG_KV，无法在线修改配置', status: 501 };
+  }
+
+  await env.CONFIG_KV.put(`${getAdminSettingPrefix(env)}${name}`, JSON.stringify(value));
+  configCache = null;
+  CONFIG = await loadConfig(env);
+  return {};
+}
+
+/**
+ * 签发新的客户端 Key（明文只在签发时返回一次）
+ * @param {object} env - Worker 环境变量与绑定
+ * @param {string} name - Key 名称（如成员姓名）
+ */
+async function issueClientKey(env, name) {
+  const key = `sk-proxy-${randomHex(24)}`;
+  const id = `key_${randomHex(6)}`;
+  const hash = await sha256Hex(key);
+  const record = { id, name: name || id, createdAt: new Date().toISOString(), revoked: false };
+
+  await env.AUTH_KV.put(`${CLIENT_KEY_PREFIX}${hash}`, JSON.stringify(record));
+  await env.AUTH_KV.put(`${CLIENT_KEY_ID_PREFIX}${id}`, hash);
+
+  return { ...record, key };
+}
+
+/**
+ * 吊销客户端 Key
+ * @param {object} env - Worker 环境变量与绑定
+ * @param {string} id - Key ID
+ * @returns {Promise<object|null>} 吊销后的记录，不存在时返回 null
+ */
+async function revokeClientKey(env, id) {
+  const hash = await env.AUTH_KV.get(`${CLIENT_KEY_ID_PREFIX}${id}`);
+  if (!hash) return null;
+
+  const record = await env.AUTH_KV.get(`${CLIENT_KEY_PREFIX}${hash}`, { type: 'json' });
+  if (!record) return null;
+
+  record.revoked = true;
+  record.revokedAt = new Date().toISOString();
+  await env.AUTH_KV.put(`${CLIENT_KEY_PREFIX}${hash}`, JSON.stringify(record));
+
+  return record;
+}
+
+/**
+ * 列出所有客户端 Key（不含明文）
+ * @param {object} env - Worker 环境变量与绑定
+ */
+async function listClientKeys(env) {
+  const keys = Object.keys(CONFIG.auth.clientKeys).map(id => ({ id, name: id, source: 'secret', revoked: false }));
+
+  if (env.AUTH_KV) {
+    let cursor;
+    do {
+      const page = await env.AUTH_KV.list({ prefix: CLIENT_KEY_PREFIX, cursor });
+      const records = await Promise.all(page.keys.map(entry => env.AUTH_KV.get(entry.name, { type: 'json' })));
+      records.filter(Boolean).forEach(record => keys.push({ ...record, source: 'kv' }));
+      cursor = page.list_complete ? undefined : page.cursor;
+    } while (cursor);
+  }
+
+  return keys;
+}
+
+/**
+ * 计算字符串的 SHA-256 十六进制摘要
+ */
+async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * 生成指定字节数的随机十六进制字符串
+ */
+function randomHex(bytes) {
+  return Array.from(crypto.getRandomValues(new Uint8Array(bytes)), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * 常量时间字符串比较（避免计时攻击）
+ */
+function safeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return false;
+
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+/**
+ * 速率限制：按客户端 Key 和客户端 IP 分别检查请求频率与并发流数量
+ * 状态保存在 RateLimiter Durable Object 中，保证跨 isolate 一致
+ * @param {object} env - Worker 环境变量与绑定
+ * @param {object|null} client - 认证通过的客户端（未启用认证时为 null）
+ * @param {string|null} clientIP - 客户端 IP
+ * @param {boolean} isStream - 是否为流式请求（占用并发名额）
+ * @returns {Promise<{allowed: boolean, denied?: object, headers: object, leases: object[]}>}
+ */
+async function checkRateLimits(env, client, clientIP, isStream) {
+  if (!env.RATE_LIMITER) {
+    log('WARN', '已启用速率限制但未绑定 RATE_LIMITER Durable Object，跳过检查');
+    return { allowed: true, headers: {}, leases: [] };
+  }
+
+  const subjects = [];
+  if (client) {
+    subjects.push({
+      subject: `key:${client.id}`,
+      limits: { ...CONFIG.rateLimit.perKey, ...(CONFIG.rateLimit.keyOverrides[client.id] || {}) },
+    });
+  }
+  if (clientIP) {
+    subjects.push({ subject: `ip:${clientIP}`, limits: CONFIG.rateLimit.perIp });
+  }
+
+  const results = await Promise.all(subjects.map(({ subject, limits }) => acquireRateLimit(env, subject, limits, isStream)));
+  const leases = results.filter(r => r.leaseId).map(r => ({ subject: r.subject, leaseId: r.leaseId }));
+  const denied = results.find(r => !r.allowed);
+
+  if (denied) {
+    // 任一维度超限：释放已占用的并发名额
+    await releaseRateLimitLeases(env, leases);
+    log('WARN', `速率限制触发: ${denied.subject} (${denied.reason})`);
+    return { allowed: false, denied, headers: buildRateLimitHeaders(results), leases: [] };
+  }
+
+  return { allowed: true, headers: buildRateLimitHeaders(results), leases };
+}
+
+/**
+ * 向 Durable Object 申请一次请求配额（DO 不可用时放行）
+ * @param {object} env - Worker 环境变量与绑定
+ * @param {string} subject - 限流主体（key:xxx 或 ip:xxx）
+ * @param {object} limits - 限流参数
+ * @param {boolean} isStream - 是否占用并发名额
+ */
+async function acquireRateLimit(env, subject, limits, isStream) {
+  try {
+    const stub = env.RATE_LIMITER.get(env.RATE_LIMITER.idFromName(subject));
+    const response = await stub.fetch('https://rate-limiter/acquire', {
+      method: 'POST',
+      body: JSON.stringify({ ...limits, stream: isStream, leaseTtl: CONFIG.rateLimit.streamLeaseTtl }),
+    });
+    return { subject, ...(await response.json()) };
+  } catch (error) {
+    log('ERROR', `速率限制检查失败 (${subject}):`, error.message);
+    return { subject, allowed: true };
+  }
+}
+
+/**
+ * 释放并发流名额
+ * @param {object} env - Worker 环境变量与绑定
+ * @param {object[]} leases - [{ subject, leaseId }]
+ */
+async function releaseRateLimitLeases(env, leases) {
+  await Promise.all(leases.map(async ({ subject, leaseId }) => {
+    try {
+      const stub = env.RATE_LIMITER.get(env.RATE_LIMITER.idFromName(subject));
+      await stub.fetch('https://rate-limiter/release', {
+        method: 'POST',
+        body: JSON.stringify({ leaseId }),
+      });
+    } catch (error) {
+      log('ERROR', `释放并发名额失败 (${subject}):`, error.message);
+    }
+  }));
+}
+
+/**
+ * 构建 anthropic-ratelimit-* 响应头（取剩余额度最少的维度）
+ * @param {object[]} results - 各维度的限流结果
+ */
+function buildRateLimitHeaders(results) {
+  const headers = {};
+
+  const limited = results.filter(r => r.limit > 0);
+  if (limited.length > 0) {
+    const tightest = limited.reduce((a, b) => ((b.remaining ?? Infinity) < (a.remaining ?? Infinity) ? b : a));
+    headers['anthropic-ratelimit-requests-limit'] = String(tightest.limit);
+    headers['anthropic-ratelimit-requests-remaining'] = String(Math.max(0, tightest.remaining ?? 0));
+    headers['anthropic-ratelimit-requests-reset'] = new Date(tightest.resetAt).toISOString();
+  }
+
+  const denied = results.find(r => !r.allowed);
+  if (denied) {
+    headers['retry-after'] = String(Math.max(1, denied.retryAfter || 1));
+  }
+
+  return headers;
+}
+
+/**
+ * 构建 429 限流响应
+ * @param {object} rateLimit - checkRateLimits 的结果
+ */
+function rateLimitResponse(rateLimit) {
+  const { denied } = rateLimit;
+  const message = denied.reason === 'concurrency'
+    ? `并发流数量已达上限（${denied.maxConcurrentStreams}），请等待已有请求完成`
+    : `请求频率超出限制（每分钟 ${denied.limit} 次），请 ${denied.retryAfter} 秒后重试`;
+
+  return anthropicErrorResponse(429, 'rate_limit_error', message, rateLimit.headers);
+}
+
+/**
+ * 速率限制 Durable Object：每个限流主体（Key 或 IP）一个实例
+ * - 请求频率：令牌桶，容量为 burst（默认等于每分钟请求数），按每分钟请求数匀速补充
+ * - 并发流：租约计数，流结束时释放，租约超时自动回收（防止 isolate 异常退出导致泄漏）
+ */
+export class RateLimiter {
+  constructor(state) {
+    this.state = state;
+    this.bucket = null;
+    this.leases = new Map();
+
+    this.state.blockConcurrencyWhile(async () => {
+      const stored = await this.state.storage.get(['bucket', 'leases']);
+      this.bucket = stored.get('bucket') || null;
+      this.leases = new Map(Object.entries(stored.get('leases') || {}));
+    });
+  }
+
+  async fetch(request) {
+    const url = new URL(request.url);
+    const params = await request.json();
+
+    if (url.pathname === '/acquire') {
+      return Response.json(await this.acquire(params));
+    }
+
+    if (url.pathname === '/release') {
+      this.leases.delete(params.leaseId);
+      await this.persist();
+      return Response.json({ released: true, activeStreams: this.leases.size });
+    }
+
+    return new Response('Not Found', { status: 404 });
+  }
+
+  async acquire({ requestsPerMinute = 0, burst = 0, maxConcurrentStreams = 0, stream = false, leaseTtl = 600 }) {
+    const now = Date.now();
+
+    // 回收过期租约
+    for (const [leaseId, expiresAt] of this.leases) {
+      if (expiresAt <= now) this.leases.delete(leaseId);
+    }
+
+    // 并发流检查（不消耗令牌）
+    if (stream && maxConcurrentStreams > 0 && this.leases.size >= maxConcurrentStreams) {
+      const earliestExpiry = Math.min(...this.leases.values());
+      return {
+        allowed: false,
+        reason: 'concurrency',
+        maxConcurrentStreams,
+        activeStreams: this.leases.size,
+        retryAfter: Math.min(30, Math.ceil((earliestExpiry - now) / 1000)),
+      };
+    }
+
+    const result = { allowed: true, activeStreams: this.leases.size };
+
+    // 令牌桶检查（requestsPerMinute 为 0 表示不限制）
+    if (requestsPerMinute > 0) {
+      const capacity = burst || requestsPerMinute;
+      const refillPerMs = requestsPerMinute / 60000;
+      const bucket = this.bucket || { tokens: capacity, updatedAt: now };
+      const tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+
+      if (tokens < 1) {
+        this.bucket = { tokens, updatedAt: now };
+        return {
+          allowed: false,
+          reason: 'rate',
+          limit: requestsPerMinute,
+          remaining: 0,
+          resetAt: now + Math.ceil((capacity - tokens) / refillPerMs),
+          retryAfter: Math.ceil((1 - tokens) / refillPerMs / 1000),
+        };
+      }
+
+      this.bucket = { tokens: tokens - 1, updatedAt: now };
+      result.limit = requestsPerMinute;
+      result.remaining = Math.floor(tokens - 1);
+      result.resetAt = now + Math.ceil((capacity - tokens + 1) / refillPerMs);
+    }
+
+    if (stream && maxConcurrentStreams > 0) {
+      result.leaseId = crypto.randomUUID();
+      this.leases.set(result.leaseId, now + leaseTtl * 1000);
+      result.activeStreams = this.leases.size;
+    }
+
+    await this.persist();
+    return result;
+  }
+
+  async persist() {
+    await this.state.storage.put({
+      bucket: this.bucket,
+      leases: Object.fromEntries(this.leases),
+    });
+  }
+}
+
+// Token 用量字段（与 Anthropic Messages API 的 usage 对象对应）
+const USAGE_FIELDS = {
+  input_tokens: 'inputTokens',
+  output_tokens: 'outputTokens',
+  cache_creation_input_tokens: 'cacheCreationInputTokens',
+  cache_read_input_tokens: 'cacheReadInputTokens',
+};
+
+/**
+ * 为成功的响应挂载 Token 用量统计，返回应转发给客户端的响应体
+ * 非流式：在后台解析响应副本的 usage；流式：边转发边解析 message_start / message_delta 事件
+ * @param {Response} response - 上游响应
+ * @param {boolean} isStream - 是否为流式响应
+ * @param {object} proxyContext - 请求上下文
+ * @returns {ReadableStream|null}
+ */
+function attachUsageTracking(response, isStream, proxyContext) {
+  if (!isStream) {
+    const contentType = response.headers.get('content-type') || '';
+    if (!contentType.includes('application/json')) return response.body;
+
+    const cloned = response.clone();
+    proxyContext.ctx.waitUntil(cloned.json()
+      .then(data => {
+        if (data?.usage) recordUsage(proxyContext, data.model, data.usage);
+      })
+      .catch(error => log('DEBUG', '解析响应 usage 失败:', error.message)));
+    return response.body;
+  }
+
+  const usage = {};
+  let model = null;
+  let seen = false;
+  const decoder = new TextDecoder();
+  const parser = createSSEParser(event => {
+    const data = parseSSEData(event);
+    if (data?.type === 'message_start') {
+      model = data.message?.model || model;
+      Object.assign(usage, data.message?.usage);
+      seen = true;
+    } else if (data?.type === 'message_delta' && data.usage) {
+      // message_delta 中的 usage 为累计值，直接覆盖
+      Object.assign(usage, data.usage);
+      seen = true;
+    }
+  });
+
+  return wrapStreamWithFinalizer(
+    response.body,
+    () => {
+      parser.flush();
+      if (seen) recordUsage(proxyContext, model, usage);
+    },
+    chunk => parser.push(decoder.decode(chunk, { stream: true }))
+  );
+}
+
+/**
+ * 写入一条用量记录到 UsageTracker Durable Object（后台执行，不阻塞响应）
+ * @param {object} proxyContext - 请求上下文
+ * @param {string} model - 模型名称
+ * @param {object} usage - Anthropic usage 对象
+ */
+function recordUsage(proxyContext, model, usage) {
+  const { env, ctx } = proxyContext;
+  if (!env?.USAGE_TRACKER) {
+    log('WARN', '已启用用量统计但未绑定 USAGE_TRACKER Durable Object');
+    return;
+  }
+
+  const record = {
+    day: new Date().toISOString().slice(0, 10),
+    clientId: proxyContext.client?.id || 'anonymous',
+    model: model || 'unknown',
+    requests: 1,
+  };
+  for (const [field, name] of Object.entries(USAGE_FIELDS)) {
+    record[name] = Number(usage[field]) || 0;
+  }
+
+  log('DEBUG', '记录 Token 用量:', record);
+
+  const stub = env.USAGE_TRACKER.get(env.USAGE_TRACKER.idFromName('global'));
+  ctx.waitUntil(stub.fetch('https://usage-tracker/record', {
+    method: 'POST',
+    body: JSON.stringify(record),
+  }).catch(error => log('ERROR', '写入用量记录失败:', error.message)));
+}
+
+/**
+ * 查询用量汇总（按天分组）
+ * @param {object} env - Worker 环境变量与绑定
+ * @param {URL} url - 请求 URL（支持 from、to、client 参数，日期格式 YYYY-MM-DD）
+ */
+async function queryUsage(env, url) {
+  const today = new Date().toISOString().slice(0, 10);
+  const to = url.searchParams.get('to') || today;
+  const from = url.searchParams.get('from') || new Date(Date.parse(to) - 6 * 86400000).toISOString().slice(0, 10);
+  const clientId = url.searchParams.get('client');
+
+  const stub = env.USAGE_TRACKER.get(env.USAGE_TRACKER.idFromName('global'));
+  const response = await stub.fetch(`https://usage-tracker/query?from=${from}&to=${to}`);
+  const { entries } = await response.json();
+
+  const days = new Map();
+  const totals = createUsageTotals();
+  entries
+    .filter(entry => !clientId || entry.clientId === clientId)
+    .forEach(entry => {
+      entry.costUsd = Number(calculateCost(entry.model, entry).toFixed(6));
+      if (!days.has(entry.day)) days.set(entry.day, { date: entry.day, totals: createUsageTotals(), entries: [] });
+      const day = days.get(entry.day);
+      day.entries.push(entry);
+      addUsageTotals(day.totals, entry);
+      addUsageTotals(totals, entry);
+      // 费用按当前价格表计算（美元）
+      day.totals.costUsd = Number(((day.totals.costUsd || 0) + entry.costUsd).toFixed(6));
+      totals.costUsd = Number(((totals.costUsd || 0) + entry.costUsd).toFixed(6));
+    });
+
+  return { from, to, client: clientId, totals, days: Array.from(days.values()) };
+}
+
+/**
+ * 创建空的用量汇总对象
+ */
+function createUsageTotals() {
+  const totals = { requests: 0 };
+  Object.values(USAGE_FIELDS).forEach(name => { totals[name] = 0; });
+  return totals;
+}
+
+/**
+ * 累加用量
+ */
+function addUsageTotals(target, source) {
+  target.requests += source.requests || 0;
+  Object.values(USAGE_FIELDS).forEach(name => { target[name] += source[name] || 0; });
+  return target;
+}
+
+/**
+ * 增量 SSE 解析器：按块输入文本，每解析出一个完整事件调用 onEvent({ event, data })
+ * @param {Function} onEvent - 事件回调
+ */
+function createSSEParser(onEvent) {
+  let buffer = '';
+
+  const dispatch = block => {
+    let event = 'message';
+    const dataLines = [];
+    block.split('\n').forEach(line => {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      else if (line.startsWith('data:')) dataLines.push(line.slice(5).replace(/^ /, ''));
+    });
+    if (dataLines.length > 0 || event !== 'message') {
+      onEvent({ event, data: dataLines.join('\n') });
+    }
+  };
+
+  return {
+    push(text) {
+      buffer += text.replace(/\r\n?/g, '\n');
+      let index;
+      while ((index = buffer.indexOf('\n\n')) !== -1) {
+        const block = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        if (block.trim()) dispatch(block);
+      }
+    },
+    flush() {
+      if (buffer.trim()) dispatch(buffer);
+      buffer = '';
+    },
+  };
+}
+
+/**
+ * 解析 SSE 事件的 JSON 数据（非 JSON 返回 null）
+ */
+function parseSSEData(event) {
+  try {
+    return JSON.parse(event.data);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * 把 Anthropic SSE 事件流重新组装成完整的消息对象（与非流式响应格式相同）
+ * @param {string} text - SSE 原文
+ * @returns {{message: object|null, events: number, completed: boolean, error: object|null}}
+ */
+function assembleSSEMessage(text) {
+  let message = null;
+  let events = 0;
+  let completed = false;
+  let error = null;
+  // tool_use 的参数以 JSON 片段分多次下发，块结束时再解析
+  const partialJson = new Map();
+
+  const parser = createSSEParser(event => {
+    const data = parseSSEData(event);
+    if (!data) return;
+    events++;
+
+    const block = message?.content[data.index];
+    switch (data.type) {
+      case 'message_start':
+        message = { ...data.message, content: [] };
+        break;
+      case 'content_block_start':
+        if (message) message.content[data.index] = { ...data.content_block };
+        break;
+      case 'content_block_delta':
+        if (!block) break;
+        if (data.delta?.type === 'text_delta') {
+          block.text = (block.text || '') + data.delta.text;
+        } else if (data.delta?.type === 'input_json_delta') {
+          partialJson.set(data.index, (partialJson.get(data.index) || '') + data.delta.partial_json);
+        } else if (data.delta?.type === 'thinking_delta') {
+          block.thinking = (block.thinking || '') + data.delta.thinking;
+        } else if (data.delta?.type === 'signature_delta') {
+          block.signature = data.delta.signature;
+        } else if (data.delta?.type === 'citations_delta') {
+          block.citations = [...(block.citations || []), data.delta.citation];
+        }
+        break;
+      case 'content_block_stop':
+        if (block && partialJson.has(data.index)) {
+          const json = partialJson.get(data.index);
+          try {
+            block.input = JSON.parse(json || '{}');
+          } catch (parseError) {
+            block.input = json;
+          }
+        }
+        break;
+      case 'message_delta':
+        if (message) {
+          Object.assign(message, data.delta);
+          message.usage = { ...message.usage, ...data.usage };
+        }
+        break;
+      case 'message_stop':
+        completed = true;
+        break;
+      case 'error':
+        error = data.error || null;
+        break;
+      default:
+        // ping 等事件无需处理
+        break;
+    }
+  });
+  parser.push(text);
+  parser.flush();
+
+  if (message) message.content = message.content.filter(Boolean);
+  return { message, events, completed, error };
+}
+
+// 审计日志在 R2 中的键前缀：audit/YYYY-MM-DD/{记录 UUID}.json
+const AUDIT_PREFIX = 'audit/';
+// 脱敏规则：邮箱地址，以及常见 API Key / Token 格式（Anthropic/OpenAI、AWS、GitHub、Slack、JWT）
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g;
+const SECRET_PATTERN = /\b(?:sk-[\w-]{20,}|AKIA[0-9A-Z]{16}|gh[pousr]_\w{30,}|xox[abprs]-[\w-]{10,}|eyJ[\w-]{10,}\.[\w-]{10,}\.[\w-]{10,})\b/g;
+
+/**
+ * 按 audit.scrub 配置创建脱敏函数：递归替换对象中所有字符串里的邮箱、密钥和自定义模式
+ */
+function createAuditScrubber() {
+  const rules = [];
+  if (CONFIG.audit.scrub.emails) rules.push([EMAIL_PATTERN, '[EMAIL]']);
+  if (CONFIG.audit.scrub.secrets) rules.push([SECRET_PATTERN, '[SECRET]']);
+  CONFIG.audit.scrub.patterns.forEach(pattern => rules.push([new RegExp(pattern, 'g'), '[REDACTED]']));
+
+  const scrub = value => {
+    if (typeof value === 'string') {
+      return rules.reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), value);
+    }
+    if (Array.isArray(value)) return value.map(scrub);
+    if (isPlainObject(value)) {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, scrub(item)]));
+    }
+    return value;
+  };
+  return scrub;
+}
+
+/**
+ * 判断本次请求是否写入审计日志（按路径和客户端采样率）
+ * @param {object} env - Worker 环境变量与绑定
+ * @param {URL} url - 请求 URL
+ * @param {object|null} client - 认证通过的客户端
+ */
+function shouldAuditRequest(env, url, client) {
+  if (!CONFIG.audit.enabled) return false;
+  if (!env.AUDIT_BUCKET) {
+    log('WARN', '已启用审计日志但未绑定 AUDIT_BUCKET R2 存储桶');
+    return false;
+  }
+  if (!CONFIG.audit.paths.some(path => url.pathname.startsWith(path))) return false;
+
+  const rate = CONFIG.audit.keySampleRates[client?.id || 'anonymous'] ?? CONFIG.audit.sampleRate;
+  return Math.random() < rate;
+}
+
+/**
+ * 审计日志中的请求体/响应体：JSON 解析后脱敏，超过 audit.maxBodySize 时保存截断的文本
+ * scrubbed 表示脱敏替换了内容（这样的请求无法按原样重放）
+ * @param {string} text - 原文
+ * @param {boolean} truncated - 原文是否已被截断
+ * @param {Function} scrub - 脱敏函数
+ */
+function formatAuditBody(text, truncated, scrub) {
+  if (!truncated) {
+    try {
+      const parsed = JSON.parse(text);
+      const body = scrub(parsed);
+      return { body, truncated, scrubbed: JSON.stringify(body) !== JSON.stringify(parsed) };
+    } catch (error) {
+      // 非 JSON 内容按文本保存
+    }
+  }
+  const body = scrub(text);
+  return { body, truncated, scrubbed: body !== text };
+}
+
+/**
+ * 记录审计日志：旁路收集响应体（流式响应在结束后重新组装），完成后写入 R2（不延迟转发）
+ * @param {Response} response - 返回给客户端的响应
+ * @param {Request} request - 发往镜像的请求
+ * @param {object} proxyContext - 请求上下文
+ * @param {object} trace - 请求追踪信息
+ * @returns {Response}
+ */
+function attachAuditCapture(response, request, proxyContext, trace) {
+  const { env, ctx } = proxyContext;
+  const limit = CONFIG.audit.maxBodySize;
+  const isStream = isStreamResponse(response);
+  const headersAt = Date.now();
+  const chunks = [];
+  let size = 0;
+
+  const save = () => {
+    const scrub = createAuditScrubber();
+    const url = new URL(request.url);
+    const bytes = new Uint8Array(Math.min(size, limit));
+    let offset = 0;
+    chunks.forEach(chunk => {
+      bytes.set(chunk, offset);
+      offset += chunk.byteLength;
+    });
+    const responseText = new TextDecoder().decode(bytes);
+
+    const bodyBuffer = proxyContext.bodyBuffer;
+    const requestText = bodyBuffer ? new TextDecoder().decode(bodyBuffer.slice(0, limit)) : '';
+    const requestBody = formatAuditBody(requestText, Boolean(bodyBuffer && bodyBuffer.byteLength > limit), scrub);
+    // 客户端 IP 等 Cloudflare 头不保存
+    const requestHeaders = new Headers(request.headers);
+    [...HEADERS_TO_REMOVE, 'x-forwarded-for'].forEach(header => requestHeaders.delete(header));
+
+    let responseBody;
+    if (isStream) {
+      // 流式响应保存重新组装后的完整消息；无法组装（非 Anthropic 格式）时保存原文
+      const assembled = assembleSSEMessage(responseText);
+      responseBody = {
+        body: assembled.message ? scrub(assembled.message) : scrub(responseText),
+        truncated: size > limit,
+        events: assembled.events,
+        completed: assembled.completed,
+        error: assembled.error,
+      };
+    } else {
+      responseBody = formatAuditBody(responseText, size > limit, scrub);
+    }
+
+    const now = Date.now();
+    const day = new Date(trace.startTime).toISOString().slice(0, 10);
+    const auditId = crypto.randomUUID();
+    const record = {
+      id: `${day}_${auditId}`,
+      requestId: trace.requestId,
+      clientRequestId: trace.clientRequestId,
+      time: new Date(trace.startTime).toISOString(),
+      clientId: proxyContext.client?.id || 'anonymous',
+      durationMs: now - trace.startTime,
+      request: {
+        method: request.method,
+        path: url.pathname,
+        query: url.search,
+        headers: redactLogValue(requestHeaders),
+        ...requestBody,
+      },
+      response: {
+        status: response.status,
+        mirror: response.headers.get('X-Mirror-Used'),
+        strategy: response.headers.get('X-Mirror-Strategy'),
+        stream: isStream,
+        ttfbMs: headersAt - trace.startTime,
+        headers: redactLogValue(response.headers),
+        ...responseBody,
+      },
+    };
+
+    ctx.waitUntil(env.AUDIT_BUCKET.put(`${AUDIT_PREFIX}${day}/${auditId}.json`, JSON.stringify(record), {
+      httpMetadata: { contentType: 'application/json' },
+      customMetadata: {
+        requestId: record.requestId,
+        time: record.time,
+        method: record.request.method,
+        path: record.request.path,
+        status: String(record.response.status),
+        clientId: record.clientId,
+        mirror: record.response.mirror || '',
+        model: String(proxyContext.requestBody?.model || ''),
+        stream: String(isStream),
+      },
+    }).catch(error => log('ERROR', '写入审计日志失败:', error.message)));
+  };
+
+  if (!response.body) {
+    save();
+    return response;
+  }
+  return new Response(wrapStreamWithFinalizer(response.body, save, chunk => {
+    if (size < limit) chunks.push(chunk.slice(0, limit - size));
+    size += chunk.byteLength;
+  }), response);
+}
+
+/**
+ * 审计日志 ID（YYYY-MM-DD_记录 UUID）对应的 R2 键
+ * @param {string} id - 审计日志 ID
+ * @returns {string|null}
+ */
+function getAuditKey(id) {
+  const match = id.match(/^(\d{4}-\d{2}-\d{2})_([\w.:-]{1,128})$/);
+  return match ? `${AUDIT_PREFIX}${match[1]}/${match[2]}.json` : null;
+}
+
+/**
+ * 列出某一天的审计日志（GET /_admin/audit?date=&client=&requestId=&limit=&cursor=）
+ * @param {object} env - Worker 环境变量与绑定
+ * @param {URL} url - 请求 URL
+ */
+async function listAuditEntries(env, url) {
+  const date = url.searchParams.get('date') || new Date().toISOString().slice(0, 10);
+  const clientId = url.searchParams.get('client');
+  const requestId = url.searchParams.get('requestId');
+  const limit = Math.min(Math.max(Number(url.searchParams.get('limit')) || 50, 1), 1000);
+
+  const listed = await env.AUDIT_BUCKET.list({
+    prefix: `${AUDIT_PREFIX}${date}/`,
+    limit,
+    cursor: url.searchParams.get('cursor') || undefined,
+    include: ['customMetadata'],
+  });
+  const entries = listed.objects
+    .map(object => ({
+      id: `${date}_${object.key.slice(`${AUDIT_PREFIX}${date}/`.length, -'.json'.length)}`,
+      size: object.size,
+      ...object.customMetadata,
+    }))
+    .filter(entry => !clientId || entry.clientId === clientId)
+    .filter(entry => !requestId || entry.requestId === requestId)
+    .sort((a, b) => (a.time < b.time ? 1 : -1));
+
+  return { date, entries, cursor: listed.truncated ? listed.cursor : null };
+}
+
+/**
+ * 读取一条审计日志
+ * @param {object} env - Worker 环境变量与绑定
+ * @param {string} id - 审计日志 ID
+ * @returns {Promise<object|null>}
+ */
+async function getAuditEntry(env, id) {
+  const key = getAuditKey(id);
+  if (!key) return null;
+  const object = await env.AUDIT_BUCKET.get(key);
+  return object ? object.json() : null;
+}
+
+/**
+ * 把审计日志中的请求重新发送到指定镜像（POST /_admin/audit/{id}/replay），返回两次响应便于对比
+ * 请求体被截断或脱敏过的记录不重放，否则发送的并不是原请求
+ * 请求头中的密钥已脱敏：配置了 auth.upstreamApiKey 时按原请求的认证头风格使用上游 Key，
+ * 镜像转发配置中的凭据同样生效，也可以在 headers 中提供
+ * @param {object} env - Worker 环境变量与绑定
+ * @param {object} ctx - 执行上下文
+ * @param {object} entry - 审计日志
+ * @param {object} options - { mirror, headers }
+ */
+async function replayAuditEntry(env, ctx, entry, options) {
+  const mirror = options.mirror || entry.response.mirror || CONFIG.targetUrls[0];
+  if (!CONFIG.targetUrls.includes(mirror)) {
+    return { error: `镜像 ${mirror} 不在 targetUrls 中` };
+  }
+  if (entry.request.truncated) {
+    return { error: '请求体已被截断（audit.maxBodySize），无法重放' };
+  }
+  if (entry.request.scrubbed) {
+    return { error: '请求体保存时已被脱敏（audit.scrub），无法按原样重放' };
+  }
+
+  const originalHeaders = entry.request.headers || {};
+  const headers = new Headers();
+  Object.entries(originalHeaders).forEach(([name, value]) => {
+    if (value !== '***' && !['content-length', 'host'].includes(name)) headers.set(name, value);
+  });
+  if (CONFIG.auth.upstreamApiKey) {
+    // 沿用原请求的认证头风格（Authorization: Bearer 或 x-api-key）
+    const authStyle = 'authorization' in originalHeaders && !('x-api-key' in originalHeaders) ? 'bearer' : 'x-api-key';
+    setUpstreamCredential(headers, CONFIG.auth.upstreamApiKey, authStyle);
+  }
+  Object.entries(isPlainObject(options.headers) ? options.headers : {}).forEach(([name, value]) => headers.set(name, String(value)));
+
+  const body = entry.request.body == null || entry.request.body === ''
+    ? null
+    : (typeof entry.request.body === 'string' ? entry.request.body : JSON.stringify(entry.request.body));
+  const request = new Request(`${mirror}${entry.request.path}${entry.request.query || ''}`, {
+    method: entry.request.method,
+    headers,
+    body: ['GET', 'HEAD'].includes(entry.request.method) ? null : body,
+  });
+
+  const startTime = Date.now();
+  const proxyContext = {
+    env,
+    ctx,
+    client: null,
+    requestBody: await readJsonBody(request),
+    bodyBuffer: await bufferRequestBody(request),
+    deadline: startTime + CONFIG.timeout.total,
+    retryState: { remaining: CONFIG.retry.budget, used: 0 },
+  };
+
+  let replay;
+  try {
+    const response = await proxyRequestWithRetry(request, false, mirror, 0, proxyContext);
+    const text = await response.text();
+    const isStream = isStreamResponse(response);
+    const assembled = isStream ? assembleSSEMessage(text) : null;
+    let responseBody = assembled?.message || text;
+    if (!isStream) {
+      try {
+        responseBody = JSON.parse(text);
+      } catch (error) {
+        // 非 JSON 响应按文本返回
+      }
+    }
+    replay = { status: response.status, stream: isStream, latencyMs: Date.now() - startTime, body: responseBody };
+  } catch (error) {
+    replay = { error: error.message, phase: error.phase, latencyMs: Date.now() - startTime };
+  }
+
+  // 只比较消息内容（忽略 id、usage 等每次都不同的字段）；原响应已脱敏，重放结果按同样规则脱敏后再比较
+  const scrub = createAuditScrubber();
+  const contentOf = body => JSON.stringify(scrub(body?.content ?? body));
+  return {
+    id: entry.id,
+    mirror,
+    original: {
+      mirror: entry.response.mirror,
+      status: entry.response.status,
+      body: entry.response.body,
+    },
+    replay,
+    sameContent: !replay.error && contentOf(entry.response.body) === contentOf(replay.body),
+  };
+}
+
+/**
+ * 删除超过 audit.retentionDays 的审计日志（由定时任务调用）
+ * @param {object} env - Worker 环境变量与绑定
+ */
+async function pruneAuditLog(env) {
+  const cutoff = new Date(Date.now() - CONFIG.audit.retentionDays * 86400000).toISOString().slice(0, 10);
+  const days = await env.AUDIT_BUCKET.list({ prefix: AUDIT_PREFIX, delimiter: '/' });
+  let deleted = 0;
+
+  for (const prefix of days.delimitedPrefixes) {
+    const day = prefix.slice(AUDIT_PREFIX.length, -1);
+    if (day >= cutoff) continue;
+
+    let cursor;
+    do {
+      const listed = await env.AUDIT_BUCKET.list({ prefix, cursor, limit: 1000 });
+      if (listed.objects.length > 0) {
+        await env.AUDIT_BUCKET.delete(listed.objects.map(object => object.key));
+        deleted += listed.objects.length;
+      }
+      cursor = listed.truncated ? listed.cursor : undefined;
+    } while (cursor);
+  }
+
+  if (deleted > 0) {
+    log('INFO', `已删除 ${deleted} 条过期审计日志（早于 ${cutoff}）`);
+  }
+  return deleted;
+}
+
+// 预算花费缓存（内存存储，避免每个请求都查询 UsageTracker）
+const BUDGET_SPEND_CACHE = new Map();
+
+/**
+ * 预算检查：超过硬上限拒绝请求，达到软阈值时添加警告头并触发 Webhook
+ * @param {object} env - Worker 环境变量与绑定
+ * @param {object} ctx - 执行上下文
+ * @param {object|null} client - 认证通过的客户端
+ * @returns {Promise<{allowed: boolean, status?: number, type?: string, message?: string, headers: object}>}
+ */
+async function checkBudget(env, ctx, client) {
+  const clientId = client?.id || 'anonymous';
+  const budget = { ...CONFIG.budget.defaults, ...(CONFIG.budget.keys[clientId] || {}) };
+  const hasLimits = budget.hardLimitUsd > 0 || budget.softLimitUsd > 0 ||
+                    budget.hardLimitTokens > 0 || budget.softLimitTokens > 0;
+  if (!hasLimits) return { allowed: true, headers: {} };
+
+  if (!env.USAGE_TRACKER) {
+    log('WARN', '已启用预算控制但未绑定 USAGE_TRACKER Durable Object，跳过检查');
+    return { allowed: true, headers: {} };
+  }
+
+  let spend;
+  try {
+    spend = await getClientSpend(env, clientId, budget.period);
+  } catch (error) {
+    log('ERROR', `查询预算花费失败 (${clientId}):`, error.message);
+    return { allowed: true, headers: {} };
+  }
+
+  const periodName = budget.period === 'daily' ? '今日' : '本月';
+  const usdText = `$${spend.costUsd.toFixed(4)}`;
+
+  if (budget.hardLimitUsd > 0 && spend.costUsd >= budget.hardLimitUsd) {
+    log('WARN', `预算硬上限触发: ${clientId} ${usdText} >= $${budget.hardLimitUsd}`);
+    return budgetExceeded(`${periodName}花费 ${usdText} 已达到预算上限 $${budget.hardLimitUsd}`);
+  }
+  if (budget.hardLimitTokens > 0 && spend.tokens >= budget.hardLimitTokens) {
+    log('WARN', `Token 硬上限触发: ${clientId} ${spend.tokens} >= ${budget.hardLimitTokens}`);
+    return budgetExceeded(`${periodName}已用 ${spend.tokens} Token，已达到上限 ${budget.hardLimitTokens}`);
+  }
+
+  const warnings = [];
+  if (budget.softLimitUsd > 0 && spend.costUsd >= budget.softLimitUsd) {
+    warnings.push(`${budget.period} spend ${usdText} >= soft limit $${budget.softLimitUsd}`);
+  }
+  if (budget.softLimitTokens > 0 && spend.tokens >= budget.softLimitTokens) {
+    warnings.push(`${budget.period} tokens ${spend.tokens} >= soft limit ${budget.softLimitTokens}`);
+  }
+
+  if (warnings.length === 0) return { allowed: true, headers: {} };
+
+  log('WARN', `预算软阈值触发: ${clientId} - ${warnings.join('; ')}`);
+  if (CONFIG.budget.webhookUrl) {
+    ctx.waitUntil(notifyBudgetWebhook(env, clientId, budget, spend));
+  }
+
+  return { allowed: true, headers: { 'X-Budget-Warning': warnings.join('; ') } };
+}
+
+/**
+ * 构建超出硬上限的结果（状态码可配置为 402 或 429）
+ */
+function budgetExceeded(message) {
+  const status = CONFIG.budget.hardLimitStatus;
+  return {
+    allowed: false,
+    status,
+    type: status === 429 ? 'rate_limit_error' : 'billing_error',
+    message,
+    headers: {},
+  };
+}
+
+/**
+ * 查询客户端在当前预算周期内的花费和 Token 总量
+ * @param {object} env - Worker 环境变量与绑定
+ * @param {string} clientId - 客户端 ID
+ * @param {string} period - daily | monthly
+ */
+async function getClientSpend(env, clientId, period) {
+  const today = new Date().toISOString().slice(0, 10);
+  const from = period === 'daily' ? today : `${today.slice(0, 7)}-01`;
+  const cacheKey = `${clientId}:${from}`;
+
+  const cached = BUDGET_SPEND_CACHE.get(cacheKey);
+  if (cached && cached.expiresAt > Date.now()) return cached.spend;
+
+  const stub = env.USAGE_TRACKER.get(env.USAGE_TRACKER.idFromName('global'));
+  const response = await stub.fetch(`https://usage-tracker/query?from=${from}&to=${today}`);
+  const { entries } = await response.json();
+
+  const spend = { from, to: today, costUsd: 0, tokens: 0 };
+  entries
+    .filter(entry => entry.clientId === clientId)
+    .forEach(entry => {
+      spend.costUsd += calculateCost(entry.model, entry);
+      spend.tokens += Object.values(USAGE_FIELDS).reduce((sum, name) => sum + (entry[name] || 0), 0);
+    });
+
+  BUDGET_SPEND_CACHE.set(cacheKey, { spend, expiresAt: Date.now() + CONFIG.budget.cacheTtl * 1000 });
+  return spend;
+}
+
+/**
+ * 按价格表计算费用（美元）
+ * @param {string} model - 模型名称
+ * @param {object} totals - 用量汇总（inputTokens、outputTokens 等）
+ */
+function calculateCost(model, totals) {
+  const price = findModelPrice(model);
+  if (!price) return 0;
+
+  return (
+    (totals.inputTokens || 0) * (price.input || 0) +
+    (totals.outputTokens || 0) * (price.output || 0) +
+    (totals.cacheCreationInputTokens || 0) * (price.cacheWrite ?? price.input ?? 0) +
+    (totals.cacheReadInputTokens || 0) * (price.cacheRead ?? price.input ?? 0)
+  ) / 1000000;
+}
+
+/**
+ * 查找模型价格（按模型名前缀最长匹配，找不到时使用 default）
+ * @param {string} model - 模型名称
+ */
+function findModelPrice(model) {
+  const prices = CONFIG.budget.prices;
+  const prefix = Object.keys(prices)
+    .filter(key => key !== 'default' && String(model || '').startsWith(key))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return prices[prefix] || prices.default || null;
+}
+
+/**
+ * 触发预算软阈值 Webhook（每个客户端每个周期只通知一次）
+ * @param {object} env - Worker 环境变量与绑定
+ * @param {string} clientId - 客户端 ID
+ * @param {object} budget - 生效的预算配置
+ * @param {object} spend - 当前周期花费
+ */
+async function notifyBudgetWebhook(env, clientId, budget, spend) {
+  try {
+    const stub = env.USAGE_TRACKER.get(env.USAGE_TRACKER.idFromName('global'));
+    const response = await stub.fetch('https://usage-tracker/alert', {
+      method: 'POST',
+      body: JSON.stringify({ key: `budget-alert:${clientId}:${spend.from}` }),
+    });
+    const { first } = await response.json();
+    if (!first) return;
+
+    await fetch(CONFIG.budget.webhookUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        event: 'budget.soft_limit',
+        clientId,
+        period: budget.period,
+        periodStart: spend.from,
+        spentUsd: Number(spend.costUsd.toFixed(6)),
+        tokens: spend.tokens,
+        softLimitUsd: budget.softLimitUsd,
+        hardLimitUsd: budget.hardLimitUsd,
+        softLimitTokens: budget.softLimitTokens,
+        hardLimitTokens: budget.hardLimitTokens,
+        timestamp: new Date().toISOString(),
+      }),
+    });
+    log('INFO', `已发送预算告警 Webhook: ${clientId}`);
+  } catch (error) {
+    log('ERROR', '发送预算告警 Webhook 失败:', error.message);
+  }
+}
+
+/**
+ * Token 用量统计 Durable Object：全局单实例，按 天 + 客户端 + 模型 累加
+ */
+export class UsageTracker {
+  constructor(state) {
+    this.state = state;
+  }
+
+  async fetch(request) {
+    const url = new URL(request.url);
+
+    if (url.pathname === '/record' && request.method === 'POST') {
+      const record = await request.json();
+      const key = `usage:${record.day}:${record.clientId}:${record.model}`;
+      const existing = await this.state.storage.get(key) || {
+        day: record.day,
+        clientId: record.clientId,
+        model: record.model,
+        ...createUsageTotals(),
+      };
+      await this.state.storage.put(key, addUsageTotals(existing, record));
+      return Response.json({ recorded: true });
+    }
+
+    if (url.pathname === '/query') {
+      const from = url.searchParams.get('from');
+      const to = url.searchParams.get('to');
+      // 键按日期排序，"~" 大于所有 ID 字符，保证包含 to 当天的全部记录
+      const entries = await this.state.storage.list({ start: `usage:${from}`, end: `usage:${to}~` });
+      return Response.json({ entries: Array.from(entries.values()) });
+    }
+
+    // 告警去重：同一个键只返回一次 first: true
+    if (url.pathname === '/alert' && request.method === 'POST') {
+      const { key } = await request.json();
+      const first = !(await this.state.storage.get(key));
+      if (first) await this.state.storage.put(key, new Date().toISOString());
+      return Response.json({ first });
+    }
+
+    return new Response('Not Found', { status: 404 });
+  }
+}
+
+/**
+ * 指标汇总 Durable Object：全局单实例，累加所有 isolate 提交的计数器和直方图，并保存管理后台的最近请求
+ */
+export class MetricsCollector {
+  constructor(state) {
+    this.state = state;
+    this.series = {};
+    // 最近请求（管理后台）
+    this.recent = [];
+
+    this.state.blockConcurrencyWhile(async () => {
+      this.series = await this.state.storage.get('series') || {};
+      this.recent = await this.state.storage.get('recent') || [];
+    });
+  }
+
+  async fetch(request) {
+    const url = new URL(request.url);
+
+    if (url.pathname === '/record' && request.method === 'POST') {
+      const { series = {}, recent = [], recentLimit = 200 } = await request.json();
+      mergeMetricSeries(this.series, series);
+      await this.state.storage.put('series', this.series);
+      if (recent.length > 0) {
+        this.recent = [...this.recent, ...recent].slice(-recentLimit);
+        await this.state.storage.put('recent', this.recent);
+      }
+      return Response.json({ recorded: Object.keys(series).length });
+    }
+
+    if (url.pathname === '/snapshot') {
+      return Response.json({ series: this.series, recent: this.recent });
+    }
+
+    return new Response('Not Found', { status: 404 });
+  }
+}
+
+/**
+ * 镜像健康 Durable Object：全局单实例，所有 isolate 共享失败计数、冷却期和延迟统计，并保存主动探测历史
+ */
+export class HealthTracker {
+  constructor(state) {
+    this.state = state;
+    this.mirrors = {};
+    // 上游 Key 池状态（按 Key ID）
+    this.keys = {};
+
+    this.state.blockConcurrencyWhile(async () => {
+      this.mirrors = await this.state.storage.get('mirrors') || {};
+      this.keys = await this.state.storage.get('keys') || {};
+    });
+  }
+
+  async fetch(request) {
+    const url = new URL(request.url);
+
+    // 提交更新并返回全部镜像的最新状态
+    if (url.pathname === '/sync' && request.method === 'POST') {
+      const { updates = [], settings, keyUpdates = [], keySettings } = await request.json();
+      updates
+        .sort((a, b) => a.at - b.at)
+        .forEach(update => {
+          this.mirrors[update.mirror] = applyMirrorHealthUpdate(this.mirrors[update.mirror], update, settings);
+        });
+      keyUpdates
+        .sort((a, b) => a.at - b.at)
+        .forEach(update => {
+          this.keys[update.key] = applyKeyHealthUpdate(this.keys[update.key], update, keySettings);
+        });
+
+      if (updates.length > 0) {
+        await this.state.storage.put('mirrors', this.mirrors);
+      }
+      if (keyUpdates.length > 0) {
+        await this.state.storage.put('keys', this.keys);
+      }
+      return Response.json({ mirrors: this.mirrors, keys: this.keys });
+    }
+
+    // 探测历史：每个镜像一个键，只保留最近 historySize 条
+    if (url.pathname === '/probes' && request.method === 'POST') {
+      const { results = [], historySize = 288 } = await request.json();
+      for (const result of results) {
+        const key = `probes:${result.mirror}`;
+        const history = await this.state.storage.get(key) || [];
+        await this.state.storage.put(key, [...history, result].slice(-historySize));
+      }
+      return Response.json({ recorded: results.length });
+    }
+
+    if (url.pathname === '/probes') {
+      const entries = await this.state.storage.list({ prefix: 'probes:' });
+      const probes = {};
+      entries.forEach((history, key) => {
+        probes[key.slice('probes:'.length)] = history;
+      });
+      return Response.json({ probes });
+    }
+
+    return new Response('Not Found', { status: 404 });
+  }
+}
+
+export default {
+  async fetch(request, env, ctx) {
+    // 请求追踪信息：requestId 贯穿所有日志，并通过 X-Request-Id 返回给客户端
+    const requestId = crypto.randomUUID();
+    const clientRequestId = getClientRequestId(request);
+    const trace = { requestId, clientRequestId, startTime: Date.now(), log: createRequestLogger(requestId), client: null, proxyContext: null };
+
+    let response = await handleRequest(request, env, ctx, trace);
+    response = new Response(response.body, response);
+    response.headers.set('X-Request-Id', requestId);
+    response = recordRequestMetrics(request, response, trace, env, ctx);
+
+    // 访问日志：每个请求一条结构化记录，同时保留在管理后台的最近请求中
+    const accessEntry = {
+      requestId,
+      clientRequestId,
+      method: request.method,
+      path: new URL(request.url).pathname,
+      status: response.status,
+      mirror: response.headers.get('X-Mirror-Used'),
+      upstreamKey: response.headers.get('X-Upstream-Key'),
+      strategy: response.headers.get('X-Mirror-Strategy'),
+      latencyMs: Date.now() - trace.startTime,
+      retries: trace.proxyContext?.retryState.used ?? 0,
+      clientId: trace.client?.id ?? null,
+      cache: response.headers.get('X-Cache-Status'),
+      policyViolation: trace.policyViolation ?? null,
+      stream: isStreamResponse(response),
+    };
+    logAccess(accessEntry);
+    recordRecentRequest(accessEntry);
+    ctx.waitUntil(flushLogSink());
+    ctx.waitUntil(flushMetrics(env));
+
+    return response;
+  },
+
+  /**
+   * Cron Trigger 入口：定期主动探测所有镜像，并清理过期的审计日志
+   */
+  async scheduled(event, env, ctx) {
+    try {
+      CONFIG = await loadConfig(env);
+    } catch (error) {
+      log('ERROR', '定时探测加载配置失败:', error.message);
+      return;
+    }
+
+    // 清理过期的审计日志
+    if (CONFIG.audit.enabled && env.AUDIT_BUCKET && CONFIG.audit.retentionDays > 0) {
+      ctx.waitUntil(pruneAuditLog(env).catch(error => log('ERROR', '清理审计日志失败:', error.message)));
+    }
+
+    if (!CONFIG.probe.enabled || !CONFIG.healthCheck.enabled) {
+      log('DEBUG', '主动探测未启用，跳过');
+      return;
+    }
+
+    log('INFO', `=== 定时镜像探测 (${event.cron}) ===`);
+    ctx.waitUntil(runHealthProbes(env).finally(() => flushLogSink()));
+  },
+};
+
+/**
+ * 处理单个请求：诊断端点、管理接口、认证、限流、缓存和镜像代理
+ * @param {Request} request
+ * @param {Object} env
+ * @param {ExecutionContext} ctx
+ * @param {Object} trace - 请求追踪信息（requestId、开始时间、日志函数），处理过程中回填 client 和 proxyContext
+ * @returns {Promise<Response>}
+ */
+async function handleRequest(request, env, ctx, trace) {
+  const { startTime } = trace;
+  const requestLog = trace.log;
+  // 本次请求占用的并发流名额（流结束或出错时释放）
+  let rateLimitLeases = [];
+
+  try {
+    // 加载当前生效的配置（默认配置 ← 环境变量 ← KV）
+    CONFIG = await loadConfig(env);
+
+    // 获取客户端地理位置信息（Cloudflare 自动提供）
+    const clientCountry = request.cf?.country || 'UNKNOWN';
+    const clientRegion = request.cf?.region || 'UNKNOWN';
+    const clientCity = request.cf?.city || 'UNKNOWN';
+    const isFromChina = CONFIG.routing.chinaRegions.includes(clientCountry);
+
+    // 调试日志：客户端信息
+    if (CONFIG.debug.enabled && CONFIG.debug.logRouting) {
+      requestLog('INFO', '=== 客户端地理位置信息 ===');
+      requestLog('INFO', '国家/地区:', clientCountry);
+      requestLog('INFO', '省份/州:', clientRegion);
+      requestLog('INFO', '城市:', clientCity);
+      requestLog('INFO', '是否来自中国大陆/港澳台:', isFromChina);
+      requestLog('INFO', '路由策略:', CONFIG.routing.forceInternationalEgress ? '强制海外出口' : '自动选择');
+    }
+
+    let url = new URL(request.url);
+    const isDiagnostics = ['/_health', '/health', '/_test', '/test', '/_metrics'].includes(url.pathname);
+
+    // 定期从 HealthTracker 拉取共享的镜像健康状态（/_health 总是读取最新状态）
+    await syncMirrorHealth(env, ['/_health', '/health', '/_metrics'].includes(url.pathname));
+
+    // 诊断端点需要管理员 Key（未配置管理员 Key 时保持开放）
+    if (isDiagnostics && !isAdminRequest(request)) {
+      return anthropicErrorResponse(401, 'authentication_error', '诊断端点需要有效的管理员 Key');
+    }
+
+    // 诊断端点：用于测试代理是否正常工作
+    if (url.pathname === '/_health' || url.pathname === '/health') {
+      return new Response(JSON.stringify({
+        status: 'ok',
+        message: 'Cloudflare Claude 代理服务运行正常',
+        targetUrls: CONFIG.targetUrls,
+        primaryTarget: CONFIG.targetUrls[0],
+        timestamp: new Date().toISOString(),
+        debug: CONFIG.debug.enabled,
+        routing: {
+          forceInternationalEgress: CONFIG.routing.forceInternationalEgress,
+          clientCountry,
+          clientRegion,
+          clientCity,
+          isFromChina,
+        },
+        mirror: {
+          autoFailover: CONFIG.mirror.autoFailover,
+          totalMirrors: CONFIG.targetUrls.length,
+          healthStore: env.HEALTH_TRACKER ? 'durable-object' : 'memory',
+          // 每个镜像的实时健康状态（含最近失败时间和冷却结束时间）
+          health: describeMirrorHealth(),
+        },
+        cloudflare: {
+          colo: request.cf?.colo || 'UNKNOWN',  // Cloudflare 数据中心代码
+          asn: request.cf?.asn || 'UNKNOWN',    // 自治系统编号
+          timezone: request.cf?.timezone || 'UNKNOWN',
+        },
+        // 当前生效的配置（敏感字段已脱敏）及其来源
+        config: redactConfig(CONFIG),
+        configSources: configCache?.sources || ['defaults'],
+        // 最近一次重新加载失败的原因（此时 config 为上一次有效的配置）
+        configErrors: configCache?.error ? (configCache.error.configErrors ?? [configCache.error.message]) : [],
+      }), {
+        status: 200,
+        headers: {
+          'Content-Type': 'application/json; charset=utf-8',
+          ...getCORSHeaders(),
+        },
+      });
+    }
+
+    // Prometheus 指标端点
+    if (url.pathname === '/_metrics') {
+      if (!CONFIG.metrics.enabled) {
+        return anthropicErrorResponse(404, 'not_found_error', '指标未启用（metrics.enabled = false）');
+      }
+      return new Response(await renderPrometheusMetrics(env), {
+        status: 200,
+        headers: { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' },
+      });
+    }
+
+    // 连接测试端点：测试所有镜像的可达性
+    if (url.pathname === '/_test' || url.pathname === '/test') {
+      const mirrorTests = [];
+
+      for (let i = 0; i < CONFIG.targetUrls.length; i++) {
+        const targetUrl = CONFIG.targetUrls[i];
+        const isPrimary = i === 0;
+
+        try {
+          const testStart = Date.now();
+          const testResponse = await fetch(targetUrl, {
+            method: 'HEAD',
+            signal: AbortSignal.timeout(CONFIG.mirror.singleMirrorTimeout),
+            cf: {
+              cacheTtl: -1,
+              ...(isFromChina && CONFIG.routing.forceInternationalEgress ? {
+                mirage: false,
+                polish: 'off',
+              } : {}),
+            },
+          });
+          const testDuration = Date.now() - testStart;
+
+          mirrorTests.push({
+            url: targetUrl,
+            status: 'success',
+            isPrimary,
+            priority: i + 1,
+            httpStatus: testResponse.status,
+            duration: `${testDuration}ms`,
+            reachable: testResponse.ok,
+          });
+        } catch (error) {
+          mirrorTests.push({
+            url: targetUrl,
+            status: 'failed',
+            isPrimary,
+            priority: i + 1,
+            error: error.message,
+            reachable: false,
+          });
+        }
+      }
+
+      const anyReachable = mirrorTests.some(t => t.reachable);
+      const primaryReachable = mirrorTests[0]?.reachable || false;
+
+      return new Response(JSON.stringify({
+        status: anyReachable ? 'success' : 'failed',
+        message: anyReachable
+          ? (primaryReachable ? '主站点可达' : '主站点不可达，但备用镜像可用')
+          : '所有镜像均不可达',
+        mirrors: mirrorTests,
+        client: {
+          country: clientCountry,
+          region: clientRegion,
+          city: clientCity,
+          isFromChina,
+        },
+        worker: {
+          colo: request.cf?.colo || 'UNKNOWN',
+          coloLocation: getColoLocation(request.cf?.colo),
+        },
+        recommendation: primaryReachable
+          ? '✅ 主站点运行正常'
+          : (anyReachable ? '⚠️ 建议使用备用镜像或检查网络' : '❌ 所有站点均不可达，请检查 Worker 节点位置'),
+        timestamp: new Date().toISOString(),
+      }), {
+        status: anyReachable ? 200 : 500,
+        headers: {
+          'Content-Type': 'application/json; charset=utf-8',
+          ...getCORSHeaders(),
+        },
+      });
+    }
+
+    // 处理 CORS 预检请求
+    if (request.method === 'OPTIONS') {
+      return handleCORS(request);
+    }
+
+    // 管理后台和管理接口
+    if (url.pathname === '/_admin' || url.pathname.startsWith('/_admin/')) {
+      return handleAdminRequest(request, env, ctx, url);
+    }
+
+    // 检查请求方法
+    if (!CONFIG.allowedMethods.includes(request.method)) {
+      return new Response('Method Not Allowed', {
+        status: 405,
+        headers: getCORSHeaders(),
+      });
+    }
+
+    // 客户端认证：校验代理签发的 Key（在缓存和上游请求之前）
+    let client = null;
+    if (CONFIG.auth.enabled) {
+      const authResult = await authenticateClient(request, env);
+      if (!authResult.client) {
+        requestLog('WARN', '客户端认证失败:', authResult.reason);
+        return anthropicErrorResponse(401, 'authentication_error', authResult.reason);
+      }
+      client = authResult.client;
+      trace.client = client;
+      requestLog('INFO', `客户端认证通过: ${client.id} (${client.source})`);
+    }
+
+    // 请求策略：请求体大小在读取请求体（OpenAI 转换、JSON 解析、缓冲）之前检查
+    const requestPolicy = CONFIG.policy.enabled ? getRequestPolicy(client) : null;
+    if (requestPolicy) {
+      const sized = await enforceBodySizePolicy(requestPolicy, request);
+      if (sized.violation) {
+        return policyViolationResponse(sized.violation, trace);
+      }
+      request = sized.request;
+    }
+
+    // OpenAI 兼容接口：chat.completions / models 请求先转换为 Anthropic 格式，再走镜像故障转移
+    const openaiMode = CONFIG.openai.enabled ? getOpenAIMode(request, url) : null;
+    let openaiBody = null;
+    if (openaiMode === 'chat') {
+      const translated = await translateOpenAIRequest(request);
+      if (translated.error) {
+        return jsonResponse({ error: { message: translated.error, type: 'invalid_request_error', param: null, code: null } }, 400);
+      }
+      request = translated.request;
+      openaiBody = translated.openaiBody;
+      url = new URL(request.url);
+    } else if (openaiMode === 'models') {
+      request = new Request(request.url, { method: request.method, headers: buildAnthropicHeaders(request) });
+    }
+
+    // 请求上下文：向下传递给镜像选择、重试和响应构建
+    const proxyContext = {
+      env,
+      ctx,
+      client,
+      // 解析后的 JSON 请求体（非 JSON 请求为 null）
+      requestBody: await readJsonBody(request),
+      // 缓冲的原始请求体，所有重试和镜像重新发送同一份内容
+      bodyBuffer: await bufferRequestBody(request),
+      // 整个请求（含所有重试和镜像切换）的截止时间
+      deadline: startTime + CONFIG.timeout.total,
+      // 所有镜像共享的重试预算
+      retryState: { remaining: CONFIG.retry.budget, used: 0 },
+      // 本次请求的日志函数（自动附带 requestId）
+      log: requestLog,
+    };
+    trace.proxyContext = proxyContext;
+
+    // 请求体规范化和校验：格式错误的 Messages 请求在本地拒绝，避免每个镜像都返回同样的 400
+    // OpenAI 转换后的请求由转换器保证格式，不再校验
+    if (!openaiMode && request.method === 'POST' && MESSAGES_VALIDATION_PATHS.includes(url.pathname)) {
+      if (CONFIG.validation.normalize) {
+        const normalized = normalizeMessagesRequest(request, proxyContext.requestBody, proxyContext.bodyBuffer, url.pathname);
+        if (normalized) {
+          request = normalized.request;
+          proxyContext.requestBody = normalized.body;
+          proxyContext.bodyBuffer = await bufferRequestBody(request);
+          requestLog('INFO', `请求已规范化: ${normalized.changes.join(', ')}`);
+        }
+      }
+      if (CONFIG.validation.enabled) {
+        const validationError = validateMessagesRequest(proxyContext.requestBody, url.pathname);
+        if (validationError) {
+          requestLog('WARN', '请求体校验失败:', validationError);
+          return anthropicErrorResponse(400, 'invalid_request_error', validationError);
+        }
+      }
+    }
+
+    // 请求策略：按客户端 Key 检查请求内容，再对转发的提示文本脱敏
+    if (requestPolicy && !['GET', 'HEAD', 'OPTIONS'].includes(request.method)) {
+      const violation = checkRequestPolicy(requestPolicy, url, proxyContext);
+      if (violation) {
+        return policyViolationResponse(violation, trace);
+      }
+
+      const redaction = MESSAGES_VALIDATION_PATHS.includes(url.pathname) && isPlainObject(proxyContext.requestBody)
+        ? redactPromptTexts(proxyContext.requestBody)
+        : null;
+      if (redaction) {
+        const headers = new Headers(request.headers);
+        headers.delete('content-length');
+        request = new Request(request.url, { method: request.method, headers, body: JSON.stringify(redaction.body) });
+        proxyContext.requestBody = redaction.body;
+        proxyContext.bodyBuffer = await bufferRequestBody(request);
+        Object.entries(redaction.counts).forEach(([type, count]) => incrementMetric('claude_proxy_redactions_total', { type }, count));
+        requestLog('INFO', '提示文本已脱敏:', JSON.stringify(redaction.counts));
+      }
+    }
+
+    // 模型路由：按请求体中的 model 限定可用镜像，并记录各镜像的模型名改写
+    // 请求体校验默认关闭，非字符串的 model 在这里拒绝
+    const requestedModel = proxyContext.requestBody?.model;
+    if (CONFIG.modelRouting.enabled && url.pathname.startsWith('/v1/messages') && requestedModel !== undefined && requestedModel !== null) {
+      const route = typeof requestedModel === 'string'
+        ? resolveModelRoute(requestedModel)
+        : { error: `model 必须是字符串（收到 ${Array.isArray(requestedModel) ? 'array' : typeof requestedModel}）` };
+      if (route.error) {
+        requestLog('WARN', '模型路由失败:', route.error);
+        return anthropicErrorResponse(400, 'invalid_request_error', route.error);
+      }
+      proxyContext.mirrors = route.mirrors;
+      proxyContext.modelRewrites = route.rewrites;
+    }
+
+    // 附加到最终响应的头（限流额度、预算警告等）
+    const extraResponseHeaders = {};
+
+    // 预算控制：超过硬上限的 Key 在到达任何镜像之前被拒绝（GET/HEAD 不消耗 Token，不检查）
+    if (CONFIG.budget.enabled && !['GET', 'HEAD'].includes(request.method)) {
+      const budget = await checkBudget(env, ctx, client);
+      if (!budget.allowed) {
+        return anthropicErrorResponse(budget.status, budget.type, budget.message);
+      }
+      Object.assign(extraResponseHeaders, budget.headers);
+    }
+
+    // 速率限制：按客户端 Key 和 IP 检查请求频率与并发流数量
+    if (CONFIG.rateLimit.enabled) {
+      const isStreamRequest = proxyContext.requestBody?.stream === true;
+      const rateLimit = await checkRateLimits(env, client, request.headers.get('cf-connecting-ip'), isStreamRequest);
+      if (!rateLimit.allowed) {
+        return rateLimitResponse(rateLimit);
+      }
+      Object.assign(extraResponseHeaders, rateLimit.headers);
+      rateLimitLeases = rateLimit.leases;
+    }
+
+    // Prompt 缓存：相同的 /v1/messages 请求直接返回缓存的消息（OpenAI 转换请求不走缓存）
+    const promptCache = openaiMode ? null : await getPromptCacheKey(env, request, url, proxyContext);
+    if (promptCache?.key) {
+      try {
+        const entry = await env.PROMPT_CACHE_KV.get(promptCache.key, { type: 'json' });
+        if (entry) {
+          const response = buildPromptCacheResponse(entry, proxyContext.requestBody.stream === true);
+          Object.entries(extraResponseHeaders).forEach(([key, value]) => response.headers.set(key, value));
+          response.headers.set('X-Response-Time', `${Date.now() - startTime}ms`);
+          requestLog('INFO', 'Prompt 缓存命中:', promptCache.key);
+          incrementMetric('claude_proxy_cache_requests_total', { cache: 'prompt', result: 'hit' });
+          if (rateLimitLeases.length > 0) {
+            ctx.waitUntil(releaseRateLimitLeases(env, rateLimitLeases));
+            rateLimitLeases = [];
+          }
+          return response;
+        }
+        incrementMetric('claude_proxy_cache_requests_total', { cache: 'prompt', result: 'miss' });
+      } catch (cacheError) {
+        requestLog('ERROR', 'Prompt 缓存读取失败:', cacheError.message);
+      }
+    }
+
+    // 尝试从缓存获取（仅匹配缓存规则的 GET 和 HEAD 请求，OpenAI 转换请求不走缓存）
+    const cacheRule = !openaiMode && CONFIG.cache.enabled && ['GET', 'HEAD'].includes(request.method)
+      ? matchCacheRule(url.pathname)
+      : null;
+    const cacheKey = cacheRule ? await buildCacheKey(env, request, cacheRule) : null;
+    if (cacheKey) {
+      try {
+        const cache = caches.default;
+        const cachedResponse = await cache.match(cacheKey);
+
+        if (cachedResponse) {
+          const response = new Response(request.method === 'HEAD' ? null : cachedResponse.body, cachedResponse);
+          // 按凭据分别缓存的响应不允许下游共享缓存（旧版本写入的条目可能没有 Cache-Control）
+          if (cacheRule.authScoped !== false) {
+            const cacheControl = cachedResponse.headers.get('Cache-Control');
+            response.headers.set('Cache-Control', cacheControl
+              ? cacheControl.replace('public', 'private')
+              : `private, max-age=${cacheRule.ttl ?? CONFIG.cache.defaultTtl}`);
+          }
+          response.headers.set('X-Cache-Status', 'HIT');
+          response.headers.set('X-Response-Time', `${Date.now() - startTime}ms`);
+          requestLog('INFO', '缓存命中:', request.url);
+          incrementMetric('claude_proxy_cache_requests_total', { cache: 'response', result: 'hit' });
+          return response;
+        }
+        incrementMetric('claude_proxy_cache_requests_total', { cache: 'response', result: 'miss' });
+      } catch (cacheError) {
+        // 缓存读取失败不应阻止请求，记录错误后继续
+        requestLog('ERROR', '缓存读取失败:', cacheError.message);
+        requestLog('DEBUG', '继续处理原始请求');
+      }
+    }
+
+    // 执行代理请求（带多镜像故障转移）
+    let response = await proxyRequestWithMirrorFailover(request, isFromChina, proxyContext);
+    ctx.waitUntil(flushMirrorHealthUpdates(env));
+
+    // 流式故障转移：监视 SSE 流，中途断开时补发 error 事件或切换镜像重新请求
+    if (CONFIG.streamFailover.enabled && response.ok && response.body && isStreamResponse(response) &&
+        url.pathname.startsWith('/v1/messages')) {
+      const failedMirrors = new Set();
+      const restart = failedMirror => {
+        if (failedMirror) {
+          failedMirrors.add(failedMirror);
+          updateMirrorHealth(failedMirror, false);
+          incrementMetric('claude_proxy_failovers_total', { mirror: failedMirror, reason: 'stream' });
+        }
+        const remaining = getCandidateMirrors(proxyContext).filter(mirror => !failedMirrors.has(mirror));
+        if (remaining.length === 0) throw new Error('没有其他可用镜像');
+        return proxyRequestWithMirrorFailover(request, isFromChina, { ...proxyContext, mirrors: remaining });
+      };
+      const canRestart = CONFIG.streamFailover.retryPaths.includes(url.pathname);
+      response = await attachStreamFailover(response, restart, canRestart, requestLog);
+    }
+
+    // 未命中的 Prompt 缓存请求：成功的完整响应写入缓存
+    if (promptCache?.key && response.ok && response.body) {
+      response = attachPromptCacheWrite(response, promptCache.key, proxyContext);
+    }
+
+    // 审计日志：按采样率保存完整请求和响应（流式响应在结束后重新组装）
+    if (shouldAuditRequest(env, url, client)) {
+      response = attachAuditCapture(response, request, proxyContext, trace);
+    }
+
+    // OpenAI 兼容接口：响应转换回 OpenAI 格式
+    if (openaiMode === 'chat') {
+      response = await translateOpenAIResponse(response, openaiBody);
+    } else if (openaiMode === 'models') {
+      response = await translateOpenAIModels(response);
+    }
+
+    // 释放并发流名额：流式响应在流结束时释放，其余响应立即释放
+    if (rateLimitLeases.length > 0) {
+      const leases = rateLimitLeases;
+      rateLimitLeases = [];
+      if (isStreamResponse(response) && response.body) {
+        response = new Response(wrapStreamWithFinalizer(response.body, () => {
+          ctx.waitUntil(releaseRateLimitLeases(env, leases));
+        }), response);
+      } else {
+        ctx.waitUntil(releaseRateLimitLeases(env, leases));
+      }
+    }
+    Object.entries(extraResponseHeaders).forEach(([key, value]) => response.headers.set(key, value));
+
+    // 添加性能和缓存标识头
+    response.headers.set('X-Cache-Status', promptCache?.status || 'MISS');
+    response.headers.set('X-Response-Time', `${Date.now() - startTime}ms`);
+    response.headers.set('X-Proxy-By', 'Cloudflare-Workers');
+    response.headers.set('X-Client-Country', clientCountry);
+    response.headers.set('X-Routing-Via', isFromChina && CONFIG.routing.forceInternationalEgress ? 'International-Egress' : 'Auto');
+
+    // 对可缓存的响应进行缓存
+    if (cacheKey && shouldCache(request, response, cacheRule)) {
+      const cacheResponse = response.clone();
+      ctx.waitUntil(cacheWithTTL(cacheKey, cacheRule, cacheResponse));
+    }
+
+    return response;
+
+  } catch (error) {
+    if (rateLimitLeases.length > 0) {
+      ctx.waitUntil(releaseRateLimitLeases(env, rateLimitLeases));
+    }
+    ctx.waitUntil(flushMirrorHealthUpdates(env));
+
+    // 配置无效且没有可用的旧配置：只返回通用的 503，具体错误已在 loadConfig 中写入日志
+    if (error.name === 'ConfigError') {
+      return anthropicErrorResponse(503, 'api_error', '代理配置暂不可用，请稍后重试');
+    }
+
+    // 超时：返回 504 并说明是哪个阶段超时（所有镜像都超时，或整个请求超过 timeout.total）
+    const elapsed = Date.now() - startTime;
+    const timeoutPhase = error.phase || (elapsed >= CONFIG.timeout.total ? 'total' : null);
+    if (timeoutPhase) {
+      requestLog('ERROR', `请求超时 (${timeoutPhase}):`, error.message);
+      return timeoutErrorResponse(timeoutPhase, elapsed);
+    }
+
+    requestLog('ERROR', '=== 代理错误 ===');
+    requestLog('ERROR', '错误类型:', error.name);
+    requestLog('ERROR', '错误消息:', error.message);
+    requestLog('ERROR', '错误堆栈:', error.stack);
+    requestLog('ERROR', '请求 URL:', request.url);
+    requestLog('ERROR', '请求方法:', request.method);
+
+    // 构建详细的错误响应
+    const errorResponse = {
+      error: '代理请求失败',
+      message: error.message || '内部服务器错误',
+      details: {
+        errorType: error.name,
+        targetUrls: CONFIG.targetUrls,
+        primaryTarget: CONFIG.targetUrls[0],
+        requestUrl: request.url,
+        requestMethod: request.method,
+      },
+      timestamp: new Date().toISOString(),
+      responseTime: `${Date.now() - startTime}ms`,
+    };
+
+    // 如果是超时错误，提供更明确的信息
+    if (error.name === 'AbortError') {
+      errorResponse.message = '请求超时：目标服务器响应时间过长';
+      errorResponse.details.timeout = `${CONFIG.timeout.singleRequest}ms`;
+    }
+
+    return new Response(
+      JSON.stringify(errorResponse, null, 2),
+      {
+        status: 500,
+        headers: {
+          'Content-Type': 'application/json; charset=utf-8',
+          ...getCORSHeaders(),
+        },
+      }
+    );
+  }
+}
+
+// OpenAI finish_reason 映射（Anthropic stop_reason → OpenAI）
+const OPENAI_FINISH_REASONS = {
+  end_turn: 'stop',
+  stop_sequence: 'stop',
+  pause_turn: 'stop',
+  max_tokens: 'length',
+  tool_use: 'tool_calls',
+  refusal: 'content_filter',
+};
+
+/**
+ * 流式故障转移：监视 SSE 响应，上游在 message_stop 之前断开时
+ * - 'retry' 策略且客户端尚未收到内容：切换到其他镜像重新请求，续接到同一个客户端流
+ * - 其他情况：补发 Anthropic error 事件并正常结束，避免客户端收到被截断的响应
+ * 可以重新请求时，等到缓冲的事件放行后才返回响应，响应头（X-Mirror-Used 等）来自实际输出内容的那次请求
+ * @param {Response} response - 已选中的流式响应
+ * @param {Function} restart - (failedMirror) => Promise<Response>，向其他镜像重新发起请求
+ * @param {boolean} canRestart - 当前请求是否允许重新请求
+ * @returns {Promise<Response>}
+ */
+async function attachStreamFailover(response, restart, canRestart, requestLog = log) {
+  const holdBack = canRestart && CONFIG.streamFailover.policy === 'retry';
+  const encoder = new TextEncoder();
+  let restarts = 0;
+  let current = response;
+  let currentMirror = null;
+  let reader = null;
+  let decoder = null;
+  let pending = '';
+  let held = [];
+  let released = !holdBack;
+  let terminated = false;
+  let sawContent = false;
+  let markReleased;
+  const releasedPromise = new Promise(resolve => { markReleased = resolve; });
+
+  // 事件边界已由调用方保证，解析器只用于识别事件类型
+  const parser = createSSEParser(event => {
+    const data = parseSSEData(event);
+    if (data?.type === 'message_stop' || data?.type === 'error') terminated = true;
+    if (data?.type === 'content_block_delta') sawContent = true;
+  });
+
+  const startAttempt = attemptResponse => {
+    current = attemptResponse;
+    currentMirror = attemptResponse.headers.get('X-Mirror-Used');
+    reader = attemptResponse.body.getReader();
+    decoder = new TextDecoder();
+    pending = '';
+    held = [];
+    sawContent = false;
+  };
+
+  const release = controller => {
+    if (held.length > 0) controller.enqueue(encoder.encode(held.join('')));
+    held = [];
+    released = true;
+    markReleased();
+  };
+
+  // 处理完整的 SSE 事件：检测内容和结束事件，决定是否放行缓冲
+  const handleEvents = (text, controller) => {
+    parser.push(text);
+
+    if (released) {
+      controller.enqueue(encoder.encode(text));
+      return;
+    }
+    held.push(text);
+    if (sawContent || terminated || held.reduce((size, part) => size + part.length, 0) > 65536) {
+      release(controller);
+    }
+  };
+
+  const fail = async (reason, controller, errorType = 'api_error') => {
+    const failedMirror = currentMirror;
+    requestLog('WARN', `流式响应中断 (${failedMirror || '未知镜像'}): ${reason}`);
+
+    if (!released && holdBack && restarts < CONFIG.streamFailover.maxRestarts) {
+      restarts++;
+      try {
+        requestLog('INFO', `客户端尚未收到内容，切换镜像重新请求 (${restarts}/${CONFIG.streamFailover.maxRestarts})`);
+        const next = await restart(failedMirror);
+        if (next.ok && next.body && isStreamResponse(next)) {
+          startAttempt(next);
+          return true;
+        }
+        reason = `重新请求返回 ${next.status}`;
+      } catch (error) {
+        reason = `重新请求失败: ${error.message}`;
+      }
+      requestLog('WARN', reason);
+    }
+
+    release(controller);
+    const errorEvent = {
+      type: 'error',
+      error: { type: errorType, message: `上游流式响应中断：${reason}` },
+    };
+    controller.enqueue(encoder.encode(`event: error\ndata: ${JSON.stringify(errorEvent)}\n\n`));
+    controller.close();
+    return false;
+  };
+
+  startAttempt(response);
+
+  const body = new ReadableStream({
+    async pull(controller) {
+      // 循环直到向客户端输出了数据、流结束或切换了镜像
+      for (;;) {
+        let result;
+        try {
+          result = await reader.read();
+        } catch (error) {
+          const errorType = error.phase === 'stream_idle' ? 'timeout_error' : 'api_error';
+          if (await fail(error.message, controller, errorType)) continue;
+          return;
+        }
+
+        if (result.done) {
+          // 上游没有以空行结束最后一个事件：仅当它是完整的 JSON 事件时才转发，半个事件直接丢弃
+          pending += decoder.decode();
+          if (pending.trim() && isCompleteSSEEvent(pending)) handleEvents(`${pending}\n\n`, controller);
+          pending = '';
+
+          if (terminated) {
+            release(controller);
+            controller.close();
+            return;
+          }
+          if (await fail('上游在 message_stop 之前结束', controller)) continue;
+          return;
+        }
+
+        pending += decoder.decode(result.value, { stream: true }).replace(/\r\n?/g, '\n');
+        // 只按完整事件转发，保证补发的 error 事件不会拼接在半个事件之后
+        const boundary = pending.lastIndexOf('\n\n');
+        if (boundary === -1) continue;
+
+        const complete = pending.slice(0, boundary + 2);
+        pending = pending.slice(boundary + 2);
+        handleEvents(complete, controller);
+        if (released) return;
+      }
+    },
+    async cancel(reason) {
+      await reader.cancel(reason);
+    },
+  });
+
+  // 流的第一次 pull 会自动开始读取上游，放行（或补发 error 事件）后 current 即为最终使用的响应
+  if (holdBack) await releasedPromise;
+  return new Response(body, current);
+}
+
+/**
+ * 判断一段没有结束空行的 SSE 文本是否为完整事件（数据可解析为 JSON）
+ */
+function isCompleteSSEEvent(text) {
+  let complete = false;
+  const parser = createSSEParser(event => {
+    complete = parseSSEData(event) !== null;
+  });
+  parser.push(text);
+  parser.flush();
+  return complete;
+}
+
+/**
+ * 判断是否为需要转换的 OpenAI 兼容请求
+ * GET /v1/models 只在没有 anthropic-version 头时（即 OpenAI 客户端）转换
+ * @param {Request} request - 原始请求
+ * @param {URL} url - 请求 URL
+ * @returns {'chat'|'models'|null}
+ */
+function getOpenAIMode(request, url) {
+  if (url.pathname === '/v1/chat/completions' && request.method === 'POST') return 'chat';
+  if (url.pathname === '/v1/models' && request.method === 'GET' && !request.headers.has('anthropic-version')) return 'models';
+  return null;
+}
+
+/**
+ * 将 OpenAI chat.completions 请求转换为 Anthropic /v1/messages 请求
+ * @param {Request} request - 原始 OpenAI 格式请求
+ * @returns {Promise<{request?: Request, openaiBody?: object, error?: string}>}
+ */
+async function translateOpenAIRequest(request) {
+  let openaiBody;
+  try {
+    openaiBody = await request.clone().json();
+  } catch (error) {
+    return { error: '请求体不是有效的 JSON' };
+  }
+
+  let anthropicBody;
+  try {
+    anthropicBody = convertOpenAIBody(openaiBody);
+  } catch (error) {
+    return { error: error.message };
+  }
+
+  const url = new URL(request.url);
+  url.pathname = '/v1/messages';
+
+  const translated = new Request(url.toString(), {
+    method: 'POST',
+    headers: buildAnthropicHeaders(request),
+    body: JSON.stringify(anthropicBody),
+  });
+
+  log('INFO', `OpenAI 请求已转换: ${openaiBody.model} → ${anthropicBody.model} (stream: ${anthropicBody.stream})`);
+  return { request: translated, openaiBody };
+}
+
+/**
+ * 将 OpenAI 客户端的请求头转换为 Anthropic 风格（Bearer → x-api-key，补充 anthropic-version）
+ * @param {Request} request - 原始请求
+ */
+function buildAnthropicHeaders(request) {
+  const headers = new Headers(request.headers);
+  const bearer = (headers.get('Authorization') || '').match(/^Bearer\s+(.+)$/i);
+
+  if (bearer && !headers.has('x-api-key')) {
+    headers.set('x-api-key', bearer[1].trim());
+  }
+  headers.delete('Authorization');
+  headers.delete('content-length');
+  headers.set('Content-Type', 'application/json');
+  if (!headers.has('anthropic-version')) {
+    headers.set('anthropic-version', CONFIG.openai.anthropicVersion);
+  }
+
+  return headers;
+}
+
+/**
+ * 转换 OpenAI 请求体为 Anthropic Messages 请求体
+ * @param {object} body - OpenAI chat.completions 请求体
+ */
+function convertOpenAIBody(body) {
+  if (!isPlainObject(body) || !Array.isArray(body.messages) || body.messages.length === 0) {
+    throw new Error('messages 必须是非空数组');
+  }
+  if (body.n !== undefined && body.n !== 1) {
+    throw new Error('不支持 n > 1');
+  }
+
+  const system = [];
+  const messages = [];
+  const pushMessage = (role, blocks) => {
+    const last = messages[messages.length - 1];
+    // Anthropic 要求 user / assistant 交替出现，相邻同角色消息合并
+    if (last && last.role === role) {
+      last.content.push(...blocks);
+    } else {
+      messages.push({ role, content: blocks });
+    }
+  };
+
+  for (const message of body.messages) {
+    switch (message.role) {
+      case 'system':
+      case 'developer':
+        system.push(...convertOpenAIContent(message.content).filter(block => block.type === 'text'));
+        break;
+      case 'user':
+        pushMessage('user', convertOpenAIContent(message.content));
+        break;
+      case 'assistant': {
+        const blocks = convertOpenAIContent(message.content);
+        (message.tool_calls || []).forEach(call => {
+          blocks.push({
+            type: 'tool_use',
+            id: call.id,
+            name: call.function?.name,
+            input: parseToolArguments(call.function?.arguments),
+          });
+        });
+        if (blocks.length > 0) pushMessage('assistant', blocks);
+        break;
+      }
+      case 'tool':
+        pushMessage('user', [{
+          type: 'tool_result',
+          tool_use_id: message.tool_call_id,
+          content: convertOpenAIContent(message.content).filter(block => block.type === 'text'),
+        }]);
+        break;
+      default:
+        throw new Error(`不支持的消息角色: ${message.role}`);
+    }
+  }
+
+  const model = CONFIG.openai.modelMap[body.model] || body.model;
+  const anthropicBody = {
+    model,
+    messages,
+    max_tokens: body.max_completion_tokens || body.max_tokens || CONFIG.openai.defaultMaxTokens,
+  };
+
+  if (system.length > 0) anthropicBody.system = system;
+  if (body.stream) anthropicBody.stream = true;
+  if (body.temperature !== undefined && body.temperature !== null) {
+    // OpenAI 温度范围 0-2，Anthropic 为 0-1
+    anthropicBody.temperature = Math.min(1, body.temperature);
+  }
+  if (body.top_p !== undefined && body.top_p !== null) anthropicBody.top_p = body.top_p;
+  if (body.stop) anthropicBody.stop_sequences = Array.isArray(body.stop) ? body.stop : [body.stop];
+  if (body.user) anthropicBody.metadata = { user_id: String(body.user) };
+
+  if (Array.isArray(body.tools) && body.tools.length > 0) {
+    anthropicBody.tools = body.tools
+      .filter(tool => tool.type === 'function' && tool.function)
+      .map(tool => ({
+        name: tool.function.name,
+        ...(tool.function.description ? { description: tool.function.description } : {}),
+        input_schema: tool.function.parameters || { type: 'object', properties: {} },
+      }));
+
+    const toolChoice = convertToolChoice(body.tool_choice, body.parallel_tool_calls);
+    if (toolChoice) anthropicBody.tool_choice = toolChoice;
+  }
+
+  return anthropicBody;
+}
+
+/**
+ * 转换 OpenAI 消息内容（字符串或 parts 数组）为 Anthropic 内容块
+ * @param {string|object[]|null} content - OpenAI 消息内容
+ */
+function convertOpenAIContent(content) {
+  if (content === null || content === undefined || content === '') return [];
+  if (typeof content === 'string') return [{ type: 'text', text: content }];
+
+  return content.map(part => {
+    if (part.type === 'text') {
+      return { type: 'text', text: part.text };
+    }
+    if (part.type === 'image_url') {
+      const imageUrl = typeof part.image_url === 'string' ? part.image_url : part.image_url?.url;
+      const dataUrl = String(imageUrl || '').match(/^data:([^;]+);base64,(.+)$/);
+      return dataUrl
+        ? { type: 'image', source: { type: 'base64', media_type: dataUrl[1], data: dataUrl[2] } }
+        : { type: 'image', source: { type: 'url', url: imageUrl } };
+    }
+    throw new Error(`不支持的内容类型: ${part.type}`);
+  });
+}
+
+/**
+ * 解析工具调用参数（OpenAI 为 JSON 字符串）
+ */
+function parseToolArguments(args) {
+  if (!args) return {};
+  if (typeof args !== 'string') return args;
+
+  try {
+    return JSON.parse(args);
+  } catch (error) {
+    throw new Error(`tool_calls 参数不是有效的 JSON: ${args.slice(0, 100)}`);
+  }
+}
+
+/**
+ * 转换 tool_choice
+ * @param {string|object} choice - OpenAI tool_choice
+ * @param {boolean} parallelToolCalls - OpenAI parallel_tool_calls
+ */
+function convertToolChoice(choice, parallelToolCalls) {
+  let converted = null;
+  if (choice === 'auto') converted = { type: 'auto' };
+  else if (choice === 'none') converted = { type: 'none' };
+  else if (choice === 'required') converted = { type: 'any' };
+  else if (choice?.type === 'function') converted = { type: 'tool', name: choice.function?.name };
+
+  if (parallelToolCalls === false) {
+    converted = { ...(converted || { type: 'auto' }), disable_parallel_tool_use: true };
+  }
+
+  return converted;
+}
+
+/**
+ * 将 Anthropic 响应转换回 OpenAI 格式（JSON、SSE 流和错误）
+ * @param {Response} response - 代理得到的 Anthropic 响应
+ * @param {object} openaiBody - 原始 OpenAI 请求体
+ */
+async function translateOpenAIResponse(response, openaiBody) {
+  const headers = new Headers(response.headers);
+  headers.delete('content-length');
+  headers.delete('content-encoding');
+
+  if (isStreamResponse(response) && response.ok && response.body) {
+    headers.set('Content-Type', 'text/event-stream; charset=utf-8');
+    const includeUsage = openaiBody.stream_options?.include_usage === true;
+    return new Response(response.body.pipeThrough(createOpenAIStreamTranslator(openaiBody.model, includeUsage)), {
+      status: response.status,
+      headers,
+    });
+  }
+
+  let data;
+  try {
+    data = await response.json();
+  } catch (error) {
+    return new Response(JSON.stringify({
+      error: { message: `上游返回了非 JSON 响应 (${response.status})`, type: 'api_error', param: null, code: null },
+    }), { status: response.ok ? 502 : response.status, headers });
+  }
+
+  headers.set('Content-Type', 'application/json; charset=utf-8');
+
+  if (!response.ok || data?.type === 'error') {
+    return new Response(JSON.stringify({
+      error: {
+        message: data?.error?.message || `上游错误 (${response.status})`,
+        type: data?.error?.type || 'api_error',
+        param: null,
+        code: null,
+      },
+    }), { status: response.ok ? 500 : response.status, headers });
+  }
+
+  return new Response(JSON.stringify(convertAnthropicMessage(data, openaiBody.model)), {
+    status: response.status,
+    headers,
+  });
+}
+
+/**
+ * 转换 Anthropic message 对象为 OpenAI chat.completion 对象
+ * @param {object} message - Anthropic 响应
+ * @param {string} requestedModel - 客户端请求的模型名
+ */
+function convertAnthropicMessage(message, requestedModel) {
+  const text = [];
+  const toolCalls = [];
+
+  (message.content || []).forEach(block => {
+    if (block.type === 'text') {
+      text.push(block.text);
+    } else if (block.type === 'tool_use') {
+      toolCalls.push({
+        id: block.id,
+        type: 'function',
+        function: { name: block.name, arguments: JSON.stringify(block.input || {}) },
+      });
+    }
+  });
+
+  const choiceMessage = { role: 'assistant', content: text.length > 0 ? text.join('') : null };
+  if (toolCalls.length > 0) choiceMessage.tool_calls = toolCalls;
+
+  return {
+    id: `chatcmpl-${message.id || randomHex(12)}`,
+    object: 'chat.completion',
+    created: Math.floor(Date.now() / 1000),
+    model: requestedModel || message.model,
+    choices: [{
+      index: 0,
+      message: choiceMessage,
+      finish_reason: OPENAI_FINISH_REASONS[message.stop_reason] || 'stop',
+    }],
+    usage: convertUsageToOpenAI(message.usage),
+  };
+}
+
+/**
+ * 转换 usage 对象（prompt_tokens 包含缓存读写的 Token）
+ */
+function convertUsageToOpenAI(usage = {}) {
+  const cacheRead = usage.cache_read_input_tokens || 0;
+  const promptTokens = (usage.input_tokens || 0) + (usage.cache_creation_input_tokens || 0) + cacheRead;
+  const completionTokens = usage.output_tokens || 0;
+
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens,
+    prompt_tokens_details: { cached_tokens: cacheRead },
+  };
+}
+
+/**
+ * 创建 SSE 转换流：Anthropic Messages 事件 → OpenAI chat.completion.chunk
+ * @param {string} requestedModel - 客户端请求的模型名
+ * @param {boolean} includeUsage - 是否按 stream_options.include_usage 单独发送 usage 块
+ */
+function createOpenAIStreamTranslator(requestedModel, includeUsage) {
+  const encoder = new TextEncoder();
+  const decoder = new TextDecoder();
+  const state = { id: `chatcmpl-${randomHex(12)}`, model: requestedModel, usage: {}, stopReason: null, toolIndexes: new Map() };
+  const created = Math.floor(Date.now() / 1000);
+  let finished = false;
+  let output = [];
+
+  const emit = data => output.push(`data: ${JSON.stringify(data)}\n\n`);
+  const chunk = (delta, finishReason = null, extra = {}) => emit({
+    id: state.id,
+    object: 'chat.completion.chunk',
+    created,
+    model: state.model,
+    choices: [{ index: 0, delta, finish_reason: finishReason }],
+    ...extra,
+  });
+  const finish = () => {
+    if (finished) return;
+    finished = true;
+    const usage = convertUsageToOpenAI(state.usage);
+    chunk({}, OPENAI_FINISH_REASONS[state.stopReason] || 'stop', includeUsage ? {} : { usage });
+    if (includeUsage) {
+      emit({ id: state.id, object: 'chat.completion.chunk', created, model: state.model, choices: [], usage });
+    }
+    output.push('data: [DONE]\n\n');
+  };
+
+  const parser = createSSEParser(event => {
+    const data = parseSSEData(event);
+    if (!data) return;
+
+    switch (data.type) {
+      case 'message_start':
+        state.id = `chatcmpl-${data.message?.id || randomHex(12)}`;
+        state.model = requestedModel || data.message?.model;
+        Object.assign(state.usage, data.message?.usage);
+        chunk({ role: 'assistant', content: '' });
+        break;
+      case 'content_block_start':
+        if (data.content_block?.type === 'tool_use') {
+          const index = state.toolIndexes.size;
+          state.toolIndexes.set(data.index, index);
+          chunk({
+            tool_calls: [{
+              index,
+              id: data.content_block.id,
+              type: 'function',
+              function: { name: data.content_block.name, arguments: '' },
+            }],
+          });
+        }
+        break;
+      case 'content_block_delta':
+        if (data.delta?.type === 'text_delta') {
+          chunk({ content: data.delta.text });
+        } else if (data.delta?.type === 'input_json_delta') {
+          chunk({ tool_calls: [{ index: state.toolIndexes.get(data.index) ?? 0, function: { arguments: data.delta.partial_json } }] });
+        }
+        break;
+      case 'message_delta':
+        state.stopReason = data.delta?.stop_reason || state.stopReason;
+        Object.assign(state.usage, data.usage);
+        break;
+      case 'message_stop':
+        finish();
+        break;
+      case 'error':
+        emit({ error: { message: data.error?.message || '上游流式响应错误', type: data.error?.type || 'api_error', param: null, code: null } });
+        finished = true;
+        output.push('data: [DONE]\n\n');
+        break;
+      default:
+        // ping、content_block_stop 等事件无需转换
+        break;
+    }
+  });
+
+  const drain = controller => {
+    if (output.length > 0) {
+      controller.enqueue(encoder.encode(output.join('')));
+      output = [];
+    }
+  };
+
+  return new TransformStream({
+    transform(chunkBytes, controller) {
+      parser.push(decoder.decode(chunkBytes, { stream: true }));
+      drain(controller);
+    },
+    flush(controller) {
+      parser.flush();
+      finish();
+      drain(controller);
+    },
+  });
+}
+
+/**
+ * 将 Anthropic 模型列表转换为 OpenAI 格式
+ * @param {Response} response - 上游 /v1/models 响应
+ */
+async function translateOpenAIModels(response) {
+  const headers = new Headers(response.headers);
+  headers.delete('content-length');
+  headers.delete('content-encoding');
+  headers.set('Content-Type', 'application/json; charset=utf-8');
+
+  let data;
+  try {
+    data = await response.json();
+  } catch (error) {
+    data = null;
+  }
+
+  if (!response.ok || !Array.isArray(data?.data)) {
+    return new Response(JSON.stringify({
+      error: { message: data?.error?.message || `获取模型列表失败 (${response.status})`, type: 'api_error', param: null, code: null },
+    }), { status: response.ok ? 502 : response.status, headers });
+  }
+
+  const models = data.data.map(model => ({
+    id: model.id,
+    object: 'model',
+    created: model.created_at ? Math.floor(Date.parse(model.created_at) / 1000) : 0,
+    owned_by: 'anthropic',
+  }));
+  Object.keys(CONFIG.openai.modelMap).forEach(alias => {
+    models.push({ id: alias, object: 'model', created: 0, owned_by: 'anthropic' });
+  });
 
-  // 镜像选择策略
-  mirrorStrategy: 'race', // 'sequential' | 'race' | 'primary-first'
-  // sequential: 串行尝试，失败后切换（省token但慢）
-  // race: 同时请求所有镜像，使用最快响应（快但消耗token）
-  // primary-first: 优先主站点，失败后并发所有备用镜像（推荐，平衡性能和token消耗）
+  return new Response(JSON.stringify({ object: 'list', data: models }), { status: 200, headers });
+}
 
-  // 镜像健康检查
-  healthCheck: {
-    enabled: true,
-    // 失败阈值：连续失败 N 次后标记为不健康
-    failureThreshold: 3,
-    // 熔断时间：不健康镜像的冷却时间（秒）
-    cooldownPeriod: 600, // 10 分钟
-  },
+// 请求体校验的路径
+const MESSAGES_VALIDATION_PATHS = ['/v1/messages', '/v1/messages/count_tokens'];
+
+// 内容块类型 → 允许出现的角色
+const CONTENT_BLOCK_ROLES = {
+  text: ['user', 'assistant'],
+  image: ['user'],
+  document: ['user'],
+  search_result: ['user'],
+  tool_result: ['user'],
+  tool_use: ['assistant'],
+  server_tool_use: ['assistant'],
+  web_search_tool_result: ['assistant'],
+  thinking: ['assistant'],
+  redacted_thinking: ['assistant'],
 };
 
-// 需要移除的请求头
-const HEADERS_TO_REMOVE = [
-  'cf-connecting-ip',
-  'cf-ray',
-  'cf-visitor',
-  'cf-worker',
-  'x-forwarded-proto',
-  'x-real-ip',
-];
+// 图片 base64 来源支持的格式
+const IMAGE_MEDIA_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
 
-// 镜像健康状态（内存存储，重启后重置）
-const MIRROR_HEALTH = new Map();
+/**
+ * 补全 /v1/messages 请求中缺失的字段（validation.normalize）：max_tokens 和 anthropic-version 头
+ * @param {Request} request - 原始请求
+ * @param {object|null} body - 解析后的请求体
+ * @param {ArrayBuffer|null} bodyBuffer - 缓冲的原始请求体（请求体不变时原样发送）
+ * @param {string} pathname - 请求路径
+ * @returns {{request: Request, body: object, changes: string[]}|null} 没有需要补全的字段时返回 null
+ */
+function normalizeMessagesRequest(request, body, bodyBuffer, pathname) {
+  const changes = [];
+  const headers = new Headers(request.headers);
+  let normalizedBody = body;
 
-// 日志级别定义
-const LOG_LEVELS = {
-  ERROR: 0,
-  WARN: 1,
-  INFO: 2,
-  DEBUG: 3,
-};
+  if (isPlainObject(body) && pathname === '/v1/messages' && body.max_tokens === undefined) {
+    normalizedBody = { ...body, max_tokens: CONFIG.validation.defaultMaxTokens };
+    changes.push(`max_tokens=${CONFIG.validation.defaultMaxTokens}`);
+  }
+  if (!headers.has('anthropic-version')) {
+    headers.set('anthropic-version', CONFIG.validation.anthropicVersion);
+    changes.push(`anthropic-version=${CONFIG.validation.anthropicVersion}`);
+  }
+  if (changes.length === 0) return null;
+
+  headers.delete('content-length');
+  const normalized = new Request(request.url, {
+    method: request.method,
+    headers,
+    body: normalizedBody === body ? bodyBuffer : JSON.stringify(normalizedBody),
+  });
+  return { request: normalized, body: normalizedBody, changes };
+}
 
 /**
- * 分级日志函数
- * @param {string} level - 日志级别
- * @param {string} message - 日志消息
- * @param  {...any} args - 额外参数
+ * 按 Anthropic Messages API 的格式校验请求体
+ * 检查必填字段、角色交替、内容块类型和字段、工具定义和 tool_choice，返回第一个错误
+ * @param {object|null} body - 解析后的请求体
+ * @param {string} pathname - /v1/messages 或 /v1/messages/count_tokens
+ * @returns {string|null} 错误信息（带字段路径，如 messages.1.content.0.type）
  */
-function log(level, message, ...args) {
-  if (!CONFIG.debug.enabled) return;
+function validateMessagesRequest(body, pathname) {
+  if (!isPlainObject(body)) {
+    return '请求体必须是 JSON 对象（Content-Type: application/json）';
+  }
+
+  if (typeof body.model !== 'string' || body.model === '') {
+    return 'model: 必填，必须是非空字符串';
+  }
+  if (pathname === '/v1/messages' && (!Number.isInteger(body.max_tokens) || body.max_tokens < 1)) {
+    return body.max_tokens === undefined ? 'max_tokens: 必填' : 'max_tokens: 必须是正整数';
+  }
+  if (!Array.isArray(body.messages) || body.messages.length === 0) {
+    return 'messages: 必填，必须是非空数组';
+  }
 
-  const currentLevel = LOG_LEVELS[CONFIG.debug.logLevel] || LOG_LEVELS.INFO;
-  const messageLevel = LOG_LEVELS[level] || LOG_LEVELS.INFO;
+  const systemError = validateSystemPrompt(body.system);
+  if (systemError) return systemError;
 
-  if (messageLevel <= currentLevel) {
-    const timestamp = new Date().toISOString();
-    const prefix = `[${timestamp}] [${level}]`;
-    console.log(prefix, message, ...args);
+  const optionalFields = {
+    stream: value => typeof value === 'boolean' || '必须是布尔值',
+    temperature: value => (typeof value === 'number' && value >= 0 && value <= 1) || '必须是 0 到 1 之间的数字',
+    top_p: value => (typeof value === 'number' && value >= 0 && value <= 1) || '必须是 0 到 1 之间的数字',
+    top_k: value => (Number.isInteger(value) && value >= 0) || '必须是非负整数',
+    stop_sequences: value => (Array.isArray(value) && value.every(item => typeof item === 'string')) || '必须是字符串数组',
+    metadata: value => isPlainObject(value) || '必须是对象',
+  };
+  for (const [field, check] of Object.entries(optionalFields)) {
+    if (body[field] === undefined) continue;
+    const result = check(body[field]);
+    if (result !== true) return `${field}: ${result}`;
+  }
+
+  const toolsError = validateTools(body.tools, body.tool_choice);
+  if (toolsError) return toolsError;
+
+  for (let index = 0; index < body.messages.length; index++) {
+    const error = validateMessage(body.messages[index], body.messages[index - 1], `messages.${index}`);
+    if (error) return error;
   }
+
+  return null;
 }
 
 /**
- * 获取镜像健康状态
- * @param {string} mirrorUrl - 镜像地址
+ * 校验 system：字符串或 text 内容块数组
+ * @param {any} system - system 字段
+ * @returns {string|null} 错误信息
  */
-function getMirrorHealth(mirrorUrl) {
-  if (!CONFIG.healthCheck.enabled) {
-    return { healthy: true, failures: 0, lastCheck: null };
+function validateSystemPrompt(system) {
+  if (system === undefined || typeof system === 'string') return null;
+  if (!Array.isArray(system)) return 'system: 必须是字符串或 text 内容块数组';
+
+  for (let index = 0; index < system.length; index++) {
+    const block = system[index];
+    if (!isPlainObject(block) || block.type !== 'text' || typeof block.text !== 'string') {
+      return `system.${index}: 必须是 { "type": "text", "text": "..." } 内容块`;
+    }
   }
+  return null;
+}
 
-  if (!MIRROR_HEALTH.has(mirrorUrl)) {
-    MIRROR_HEALTH.set(mirrorUrl, {
-      healthy: true,
-      failures: 0,
-      lastCheck: null,
-      cooldownUntil: null,
-    });
+/**
+ * 校验单条消息：角色、与上一条消息的交替关系、内容块
+ * @param {any} message - 消息
+ * @param {object|undefined} previous - 上一条消息
+ * @param {string} path - 字段路径
+ * @returns {string|null} 错误信息
+ */
+function validateMessage(message, previous, path) {
+  if (!isPlainObject(message)) return `${path}: 必须是对象`;
+  if (!['user', 'assistant'].includes(message.role)) {
+    return `${path}.role: 必须是 "user" 或 "assistant"，实际为 ${JSON.stringify(message.role)}`;
+  }
+  if (CONFIG.validation.requireAlternation && previous?.role === message.role) {
+    return `${path}.role: 消息必须在 user 和 assistant 之间交替，不能连续出现两条 ${message.role} 消息`;
   }
 
-  return MIRROR_HEALTH.get(mirrorUrl);
+  if (typeof message.content === 'string') return null;
+  if (!Array.isArray(message.content)) {
+    return `${path}.content: 必须是字符串或内容块数组`;
+  }
+
+  // validation.checkToolResults：tool_result 必须对应上一条 assistant 消息中的 tool_use
+  const toolUseIds = new Set(previous?.role === 'assistant' && Array.isArray(previous.content)
+    ? previous.content.filter(block => block?.type === 'tool_use').map(block => block.id)
+    : []);
+
+  for (let index = 0; index < message.content.length; index++) {
+    const block = message.content[index];
+    const blockPath = `${path}.content.${index}`;
+    const error = validateContentBlock(block, message.role, blockPath);
+    if (error) return error;
+    if (CONFIG.validation.checkToolResults && block.type === 'tool_result' && !toolUseIds.has(block.tool_use_id)) {
+      return `${blockPath}.tool_use_id: 在上一条 assistant 消息中找不到对应的 tool_use 块（${block.tool_use_id}）`;
+    }
+  }
+  return null;
 }
 
 /**
- * 更新镜像健康状态
- * @param {string} mirrorUrl - 镜像地址
- * @param {boolean} success - 请求是否成功
+ * 校验内容块：已知类型是否允许出现在该角色中，以及常用类型的必填字段
+ * 未知类型默认放行；validation.strictContentTypes 开启时只允许已知类型和 extraContentTypes 中的类型
+ * @param {any} block - 内容块
+ * @param {string} role - 所属消息的角色
+ * @param {string} path - 字段路径
+ * @returns {string|null} 错误信息
  */
-function updateMirrorHealth(mirrorUrl, success) {
-  if (!CONFIG.healthCheck.enabled) return;
+function validateContentBlock(block, role, path) {
+  if (!isPlainObject(block)) return `${path}: 必须是对象`;
+  if (typeof block.type !== 'string' || block.type === '') return `${path}.type: 必须是非空字符串`;
+
+  const roles = CONTENT_BLOCK_ROLES[block.type];
+  if (!roles) {
+    if (!CONFIG.validation.strictContentTypes || CONFIG.validation.extraContentTypes.includes(block.type)) return null;
+    const allowed = [...Object.keys(CONTENT_BLOCK_ROLES), ...CONFIG.validation.extraContentTypes];
+    return `${path}.type: 不允许的内容块类型 ${JSON.stringify(block.type)}，可选值: ${allowed.join(', ')}`;
+  }
+  if (!roles.includes(role)) {
+    return `${path}.type: ${block.type} 内容块不能出现在 ${role} 消息中`;
+  }
 
-  const health = getMirrorHealth(mirrorUrl);
-  health.lastCheck = Date.now();
-
-  if (success) {
-    // 成功则重置失败计数
-    health.failures = 0;
-    health.healthy = true;
-    health.cooldownUntil = null;
-    log('DEBUG', `镜像 ${mirrorUrl} 健康状态恢复`);
-  } else {
-    // 失败则增加计数
-    health.failures++;
-    log('WARN', `镜像 ${mirrorUrl} 失败次数: ${health.failures}`);
+  switch (block.type) {
+    case 'text':
+      return typeof block.text === 'string' ? null : `${path}.text: 必须是字符串`;
+    case 'image': {
+      const source = block.source;
+      if (!isPlainObject(source)) return `${path}.source: 必填，必须是对象`;
+      if (source.type === 'base64') {
+        if (!IMAGE_MEDIA_TYPES.includes(source.media_type)) {
+          return `${path}.source.media_type: 不支持的图片格式 ${JSON.stringify(source.media_type)}，可选值: ${IMAGE_MEDIA_TYPES.join(', ')}`;
+        }
+        return typeof source.data === 'string' && source.data !== '' ? null : `${path}.source.data: 必须是非空的 base64 字符串`;
+      }
+      if (source.type === 'url') {
+        return typeof source.url === 'string' ? null : `${path}.source.url: 必须是字符串`;
+      }
+      return source.type === 'file' ? null : `${path}.source.type: 必须是 base64、url 或 file`;
+    }
+    case 'document':
+      return isPlainObject(block.source) ? null : `${path}.source: 必填，必须是对象`;
+    case 'tool_use':
+      if (typeof block.id !== 'string' || block.id === '') return `${path}.id: 必须是非空字符串`;
+      if (typeof block.name !== 'string' || block.name === '') return `${path}.name: 必须是非空字符串`;
+      return isPlainObject(block.input) ? null : `${path}.input: 必须是对象`;
+    case 'tool_result':
+      if (typeof block.tool_use_id !== 'string' || block.tool_use_id === '') return `${path}.tool_use_id: 必须是非空字符串`;
+      if (block.content !== undefined && typeof block.content !== 'string' && !Array.isArray(block.content)) {
+        return `${path}.content: 必须是字符串或内容块数组`;
+      }
+      return block.is_error === undefined || typeof block.is_error === 'boolean' ? null : `${path}.is_error: 必须是布尔值`;
+    case 'thinking':
+      return typeof block.thinking === 'string' ? null : `${path}.thinking: 必须是字符串`;
+    case 'redacted_thinking':
+      return typeof block.data === 'string' ? null : `${path}.data: 必须是字符串`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * 校验工具定义和 tool_choice
+ * 自定义工具（无 type 或 type 为 custom）必须提供 type 为 object 的 input_schema；内置工具（如 web_search_20250305）只检查 name
+ * @param {any} tools - tools 字段
+ * @param {any} toolChoice - tool_choice 字段
+ * @returns {string|null} 错误信息
+ */
+function validateTools(tools, toolChoice) {
+  const names = new Set();
+
+  if (tools !== undefined) {
+    if (!Array.isArray(tools)) return 'tools: 必须是数组';
+    for (let index = 0; index < tools.length; index++) {
+      const tool = tools[index];
+      const path = `tools.${index}`;
+      if (!isPlainObject(tool)) return `${path}: 必须是对象`;
+      if (typeof tool.name !== 'string' || !/^[a-zA-Z0-9_-]{1,128}$/.test(tool.name)) {
+        return `${path}.name: 必须由字母、数字、_ 和 - 组成，长度 1-128`;
+      }
+      if (names.has(tool.name)) return `${path}.name: 工具名 ${tool.name} 重复`;
+      names.add(tool.name);
+
+      if (tool.type === undefined || tool.type === 'custom') {
+        if (!isPlainObject(tool.input_schema) || tool.input_schema.type !== 'object') {
+          return `${path}.input_schema: 必须是 type 为 "object" 的 JSON Schema`;
+        }
+        if (tool.description !== undefined && typeof tool.description !== 'string') {
+          return `${path}.description: 必须是字符串`;
+        }
+      } else if (typeof tool.type !== 'string') {
+        return `${path}.type: 必须是字符串`;
+      }
+    }
+  }
 
-    // 超过阈值标记为不健康
-    if (health.failures >= CONFIG.healthCheck.failureThreshold) {
-      health.healthy = false;
-      health.cooldownUntil = Date.now() + (CONFIG.healthCheck.cooldownPeriod * 1000);
-      log('ERROR', `镜像 ${mirrorUrl} 已标记为不健康，冷却至 ${new Date(health.cooldownUntil).toISOString()}`);
+  if (toolChoice !== undefined) {
+    if (!isPlainObject(toolChoice) || !['auto', 'any', 'tool', 'none'].includes(toolChoice.type)) {
+      return 'tool_choice.type: 必须是 auto、any、tool 或 none';
+    }
+    if (toolChoice.type === 'tool' && !names.has(toolChoice.name)) {
+      return `tool_choice.name: 工具 ${JSON.stringify(toolChoice.name)} 不在 tools 中`;
     }
   }
 
-  MIRROR_HEALTH.set(mirrorUrl, health);
+  return null;
 }
 
 /**
- * 检查镜像是否可用
- * @param {string} mirrorUrl - 镜像地址
+ * 获取客户端生效的请求策略（policy.defaults ← policy.keys[客户端 ID]）
+ * @param {object|null} client - 认证通过的客户端
  */
-function isMirrorAvailable(mirrorUrl) {
-  if (!CONFIG.healthCheck.enabled) return true;
+function getRequestPolicy(client) {
+  return { ...CONFIG.policy.defaults, ...(CONFIG.policy.keys[client?.id || 'anonymous'] || {}) };
+}
 
-  const health = getMirrorHealth(mirrorUrl);
+/**
+ * 在读取请求体之前按 maxBodySize 检查请求体大小
+ * 有 Content-Length 时直接按请求头判断；没有时（分块上传）最多读取 maxBodySize 字节，超出即停止读取
+ * @param {object} policy - getRequestPolicy 返回的策略
+ * @param {Request} request - 原始请求
+ * @returns {Promise<{request: Request, violation?: object}>} 读取过请求体时返回由缓冲内容重建的请求
+ */
+async function enforceBodySizePolicy(policy, request) {
+  if (!(policy.maxBodySize > 0) || !request.body) return { request };
+
+  const tooLarge = message => ({ request, violation: { rule: 'body_size', status: 413, type: 'request_too_large', message } });
+
+  const contentLength = request.headers.get('content-length');
+  if (contentLength !== null) {
+    return Number(contentLength) > policy.maxBodySize
+      ? tooLarge(`请求体 ${contentLength} 字节，超过上限 ${policy.maxBodySize} 字节`)
+      : { request };
+  }
 
-  // 如果在冷却期，检查是否已过期
-  if (!health.healthy && health.cooldownUntil) {
-    if (Date.now() > health.cooldownUntil) {
-      // 冷却期结束，重置状态
-      health.healthy = true;
-      health.failures = 0;
-      health.cooldownUntil = null;
-      MIRROR_HEALTH.set(mirrorUrl, health);
-      log('INFO', `镜像 ${mirrorUrl} 冷却期结束，重新启用`);
-      return true;
+  const reader = request.body.getReader();
+  const chunks = [];
+  let size = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    size += value.byteLength;
+    if (size > policy.maxBodySize) {
+      await reader.cancel();
+      return tooLarge(`请求体超过上限 ${policy.maxBodySize} 字节`);
     }
-    return false;
+    chunks.push(value);
   }
 
-  return health.healthy;
+  const buffer = new Uint8Array(size);
+  let offset = 0;
+  chunks.forEach(chunk => {
+    buffer.set(chunk, offset);
+    offset += chunk.byteLength;
+  });
+  return { request: new Request(request.url, { method: request.method, headers: request.headers, body: buffer }) };
 }
 
-export default {
-  async fetch(request, env, ctx) {
-    const startTime = Date.now();
+/**
+ * 按客户端策略检查请求内容：max_tokens、模型、图片数量、工具和禁止内容
+ * 只检查 /v1/messages 和 /v1/messages/count_tokens 的 JSON 请求体（请求体大小由 enforceBodySizePolicy 在读取前检查）
+ * @param {object} policy - getRequestPolicy 返回的策略
+ * @param {URL} url - 请求 URL
+ * @param {object} proxyContext - 请求上下文（requestBody）
+ * @returns {{rule: string, status: number, type: string, message: string}|null} 第一个违反的规则
+ */
+function checkRequestPolicy(policy, url, proxyContext) {
+  const body = proxyContext.requestBody;
+  if (!MESSAGES_VALIDATION_PATHS.includes(url.pathname) || !isPlainObject(body)) return null;
 
-    try {
-      // 获取客户端地理位置信息（Cloudflare 自动提供）
-      const clientCountry = request.cf?.country || 'UNKNOWN';
-      const clientRegion = request.cf?.region || 'UNKNOWN';
-      const clientCity = request.cf?.city || 'UNKNOWN';
-      const isFromChina = CONFIG.routing.chinaRegions.includes(clientCountry);
-
-      // 调试日志：客户端信息
-      if (CONFIG.debug.enabled && CONFIG.debug.logRouting) {
-        log('INFO', '=== 客户端地理位置信息 ===');
-        log('INFO', '国家/地区:', clientCountry);
-        log('INFO', '省份/州:', clientRegion);
-        log('INFO', '城市:', clientCity);
-        log('INFO', '是否来自中国大陆/港澳台:', isFromChina);
-        log('INFO', '路由策略:', CONFIG.routing.forceInternationalEgress ? '强制海外出口' : '自动选择');
-      }
+  if (policy.maxTokens > 0 && body.max_tokens > policy.maxTokens) {
+    return { rule: 'max_tokens', status: 400, type: 'invalid_request_error', message: `max_tokens 为 ${body.max_tokens}，超过上限 ${policy.maxTokens}` };
+  }
+  if (policy.allowedModels.length > 0 && !policy.allowedModels.some(pattern => matchModelPattern(pattern, body.model))) {
+    return { rule: 'model', status: 403, type: 'permission_error', message: `不允许使用模型 ${body.model}，可用: ${policy.allowedModels.join(', ')}` };
+  }
+  if (policy.maxImages >= 0) {
+    const images = countMessageImages(body);
+    if (images > policy.maxImages) {
+      return { rule: 'images', status: 400, type: 'invalid_request_error', message: `请求包含 ${images} 张图片，超过上限 ${policy.maxImages}` };
+    }
+  }
+  if (!policy.allowTools && Array.isArray(body.tools) && body.tools.length > 0) {
+    return { rule: 'tools', status: 403, type: 'permission_error', message: '当前 Key 不允许使用工具（tools）' };
+  }
+  if (policy.denyPatterns.length > 0) {
+    const patterns = policy.denyPatterns.map(pattern => new RegExp(pattern, 'i'));
+    const texts = collectPromptTexts(body);
+    const matched = policy.denyPatterns.find((pattern, index) => texts.some(text => patterns[index].test(text)));
+    if (matched !== undefined) {
+      // 不在错误信息中回显匹配的规则，避免泄露禁止列表
+      return { rule: 'deny_pattern', status: 400, type: 'invalid_request_error', message: '请求内容包含禁止的关键词', pattern: matched };
+    }
+  }
 
-      // 诊断端点：用于测试代理是否正常工作
-      const url = new URL(request.url);
-      if (url.pathname === '/_health' || url.pathname === '/health') {
-        return new Response(JSON.stringify({
-          status: 'ok',
-          message: 'Cloudflare Claude 代理服务运行正常',
-          targetUrls: CONFIG.targetUrls,
-          primaryTarget: CONFIG.targetUrls[0],
-          timestamp: new Date().toISOString(),
-          debug: CONFIG.debug.enabled,
-          routing: {
-            forceInternationalEgress: CONFIG.routing.forceInternationalEgress,
-            clientCountry,
-            clientRegion,
-            clientCity,
-            isFromChina,
-          },
-          mirror: {
-            autoFailover: CONFIG.mirror.autoFailover,
-            totalMirrors: CONFIG.targetUrls.length,
-          },
-          cloudflare: {
-            colo: request.cf?.colo || 'UNKNOWN',  // Cloudflare 数据中心代码
-            asn: request.cf?.asn || 'UNKNOWN',    // 自治系统编号
-            timezone: request.cf?.timezone || 'UNKNOWN',
-          },
-        }), {
-          status: 200,
-          headers: {
-            'Content-Type': 'application/json; charset=utf-8',
-            ...getCORSHeaders(),
-          },
-        });
-      }
+  return null;
+}
 
-      // 连接测试端点：测试所有镜像的可达性
-      if (url.pathname === '/_test' || url.pathname === '/test') {
-        const mirrorTests = [];
+/**
+ * 违反请求策略的响应：记录到访问日志（policyViolation 字段）和指标
+ * @param {object} violation - 违反的规则
+ * @param {object} trace - 请求追踪信息
+ */
+function policyViolationResponse(violation, trace) {
+  trace.policyViolation = violation.rule;
+  incrementMetric('claude_proxy_policy_violations_total', { rule: violation.rule });
+  trace.log('WARN', `请求违反策略 (${trace.client?.id || 'anonymous'}, ${violation.rule}):`, violation.pattern ?? violation.message);
+  return anthropicErrorResponse(violation.status, violation.type, violation.message, { 'X-Policy-Violation': violation.rule });
+}
 
-        for (let i = 0; i < CONFIG.targetUrls.length; i++) {
-          const targetUrl = CONFIG.targetUrls[i];
-          const isPrimary = i === 0;
+/**
+ * 模型名是否匹配规则（精确匹配或末尾 * 通配）
+ * @param {string} pattern - 规则，如 claude-sonnet-4*
+ * @param {string} model - 模型名
+ */
+function matchModelPattern(pattern, model) {
+  if (typeof model !== 'string') return false;
+  return pattern.endsWith('*') ? model.startsWith(pattern.slice(0, -1)) : pattern === model;
+}
 
-          try {
-            const testStart = Date.now();
-            const testResponse = await fetch(targetUrl, {
-              method: 'HEAD',
-              signal: AbortSignal.timeout(CONFIG.mirror.singleMirrorTimeout),
-              cf: {
-                cacheTtl: -1,
-                ...(isFromChina && CONFIG.routing.forceInternationalEgress ? {
-                  mirage: false,
-                  polish: 'off',
-                } : {}),
-              },
-            });
-            const testDuration = Date.now() - testStart;
-
-            mirrorTests.push({
-              url: targetUrl,
-              status: 'success',
-              isPrimary,
-              priority: i + 1,
-              httpStatus: testResponse.status,
-              duration: `${testDuration}ms`,
-              reachable: testResponse.ok,
-            });
-          } catch (error) {
-            mirrorTests.push({
-              url: targetUrl,
-              status: 'failed',
-              isPrimary,
-              priority: i + 1,
-              error: error.message,
-              reachable: false,
-            });
-          }
-        }
+/**
+ * 统计 messages 中的图片数量（包括 tool_result 内容中的图片）
+ * @param {object} body - 请求体
+ */
+function countMessageImages(body) {
+  const countBlocks = blocks => (Array.isArray(blocks) ? blocks : []).reduce((count, block) => {
+    if (block?.type === 'image') return count + 1;
+    if (block?.type === 'tool_result') return count + countBlocks(block.content);
+    return count;
+  }, 0);
+  return (Array.isArray(body.messages) ? body.messages : []).reduce((count, message) => count + countBlocks(message?.content), 0);
+}
 
-        const anyReachable = mirrorTests.some(t => t.reachable);
-        const primaryReachable = mirrorTests[0]?.reachable || false;
-
-        return new Response(JSON.stringify({
-          status: anyReachable ? 'success' : 'failed',
-          message: anyReachable
-            ? (primaryReachable ? '主站点可达' : '主站点不可达，但备用镜像可用')
-            : '所有镜像均不可达',
-          mirrors: mirrorTests,
-          client: {
-            country: clientCountry,
-            region: clientRegion,
-            city: clientCity,
-            isFromChina,
-          },
-          worker: {
-            colo: request.cf?.colo || 'UNKNOWN',
-            coloLocation: getColoLocation(request.cf?.colo),
-          },
-          recommendation: primaryReachable
-            ? '✅ 主站点运行正常'
-            : (anyReachable ? '⚠️ 建议使用备用镜像或检查网络' : '❌ 所有站点均不可达，请检查 Worker 节点位置'),
-          timestamp: new Date().toISOString(),
-        }), {
-          status: anyReachable ? 200 : 500,
-          headers: {
-            'Content-Type': 'application/json; charset=utf-8',
-            ...getCORSHeaders(),
-          },
-        });
-      }
+/**
+ * 依次访问请求中的提示文本：system、消息中的字符串内容、text 块和 tool_result 中的文本
+ * thinking 块带有签名，不访问
+ * @param {object} body - 请求体
+ * @param {Function} visit - (text) => 替换后的文本；返回 undefined 表示不修改
+ * @returns {object} 应用替换后的新请求体（原对象不修改）
+ */
+function mapPromptTexts(body, visit) {
+  const mapText = text => visit(text) ?? text;
+  const mapBlocks = blocks => {
+    if (typeof blocks === 'string') return mapText(blocks);
+    if (!Array.isArray(blocks)) return blocks;
+    return blocks.map(block => {
+      if (block?.type === 'text' && typeof block.text === 'string') return { ...block, text: mapText(block.text) };
+      if (block?.type === 'tool_result') return { ...block, content: mapBlocks(block.content) };
+      return block;
+    });
+  };
 
-      // 处理 CORS 预检请求
-      if (request.method === 'OPTIONS') {
-        return handleCORS(request);
-      }
+  const result = { ...body };
+  if (body.system !== undefined) result.system = mapBlocks(body.system);
+  if (Array.isArray(body.messages)) {
+    result.messages = body.messages.map(message => (isPlainObject(message) ? { ...message, content: mapBlocks(message.content) } : message));
+  }
+  return result;
+}
 
-      // 检查请求方法
-      if (!CONFIG.allowedMethods.includes(request.method)) {
-        return new Response('Method Not Allowed', {
-          status: 405,
-          headers: getCORSHeaders(),
-        });
-      }
+/**
+ * 收集请求中的全部提示文本（用于禁止内容检查）
+ * @param {object} body - 请求体
+ * @returns {string[]}
+ */
+function collectPromptTexts(body) {
+  const texts = [];
+  mapPromptTexts(body, text => { texts.push(text); });
+  return texts;
+}
 
-      // 尝试从缓存获取（仅 GET 和 HEAD 请求）
-      if (request.method === 'GET' || request.method === 'HEAD') {
-        try {
-          const cache = caches.default;
-          const cachedResponse = await cache.match(request);
-
-          if (cachedResponse) {
-            const response = new Response(cachedResponse.body, cachedResponse);
-            response.headers.set('X-Cache-Status', 'HIT');
-            response.headers.set('X-Response-Time', `${Date.now() - startTime}ms`);
-            log('INFO', '缓存命中:', request.url);
-            return response;
-          }
-        } catch (cacheError) {
-          // 缓存读取失败不应阻止请求，记录错误后继续
-          log('ERROR', '缓存读取失败:', cacheError.message);
-          log('DEBUG', '继续处理原始请求');
-        }
-      }
+/**
+ * 按 policy.redact 配置对提示文本脱敏：邮箱、API Key 形式的字符串和自定义模式
+ * @param {object} body - 请求体
+ * @returns {{body: object, counts: object}|null} 没有任何替换时返回 null
+ */
+function redactPromptTexts(body) {
+  const rules = [];
+  if (CONFIG.policy.redact.emails) rules.push(['email', EMAIL_PATTERN, '[EMAIL]']);
+  if (CONFIG.policy.redact.secrets) rules.push(['secret', SECRET_PATTERN, '[SECRET]']);
+  CONFIG.policy.redact.patterns.forEach(pattern => rules.push(['pattern', new RegExp(pattern, 'g'), '[REDACTED]']));
+  if (rules.length === 0) return null;
+
+  const counts = {};
+  const redacted = mapPromptTexts(body, text => rules.reduce((current, [name, pattern, replacement]) => current.replace(pattern, () => {
+    counts[name] = (counts[name] || 0) + 1;
+    return replacement;
+  }), text));
+
+  return Object.keys(counts).length > 0 ? { body: redacted, counts } : null;
+}
 
-      // 执行代理请求（带多镜像故障转移）
-      const response = await proxyRequestWithMirrorFailover(request, isFromChina);
+/**
+ * 解析模型路由：精确匹配优先，其次为最长的 * 通配前缀
+ * @param {string} model - 请求的模型名
+ * @returns {{mirrors?: string[]|null, rewrites?: object, error?: string}}
+ */
+function resolveModelRoute(model) {
+  const routes = CONFIG.modelRouting.routes;
+  const routeKey = routes[model] ? model : Object.keys(routes)
+    .filter(key => key.endsWith('*') && model.startsWith(key.slice(0, -1)))
+    .sort((a, b) => b.length - a.length)[0];
+
+  if (!routeKey) {
+    if (CONFIG.modelRouting.unmatched === 'reject') {
+      return { error: `模型 ${model} 没有可用的镜像，请检查模型名称` };
+    }
+    return { mirrors: null, rewrites: {} };
+  }
 
-      // 添加性能和缓存标识头
-      response.headers.set('X-Cache-Status', 'MISS');
-      response.headers.set('X-Response-Time', `${Date.now() - startTime}ms`);
-      response.headers.set('X-Proxy-By', 'Cloudflare-Workers');
-      response.headers.set('X-Client-Country', clientCountry);
-      response.headers.set('X-Routing-Via', isFromChina && CONFIG.routing.forceInternationalEgress ? 'International-Egress' : 'Auto');
+  const rewrites = {};
+  const mirrors = routes[routeKey].mirrors.map(entry => {
+    if (typeof entry === 'string') return entry;
+    if (entry.model) rewrites[entry.url] = entry.model;
+    return entry.url;
+  });
 
-      // 对可缓存的响应进行缓存
-      if (shouldCache(request, response)) {
-        const cacheResponse = response.clone();
-        ctx.waitUntil(cacheWithTTL(request, cacheResponse));
-      }
+  log('INFO', `模型路由: ${model} → ${routeKey} (${mirrors.length} 个镜像)`);
+  return { mirrors, rewrites };
+}
 
-      return response;
+/**
+ * 获取本次请求的候选镜像（模型路由限定时只包含该模型允许的镜像）
+ * @param {object} proxyContext - 请求上下文
+ */
+function getCandidateMirrors(proxyContext = {}) {
+  const mirrors = proxyContext.mirrors || CONFIG.targetUrls;
+  const active = mirrors.filter(mirrorUrl => !CONFIG.mirror.drained.includes(mirrorUrl));
 
-    } catch (error) {
-      log('ERROR', '=== 代理错误 ===');
-      log('ERROR', '错误类型:', error.name);
-      log('ERROR', '错误消息:', error.message);
-      log('ERROR', '错误堆栈:', error.stack);
-      log('ERROR', '请求 URL:', request.url);
-      log('ERROR', '请求方法:', request.method);
-
-      // 构建详细的错误响应
-      const errorResponse = {
-        error: '代理请求失败',
-        message: error.message || '内部服务器错误',
-        details: {
-          errorType: error.name,
-          targetUrls: CONFIG.targetUrls,
-          primaryTarget: CONFIG.targetUrls[0],
-          requestUrl: request.url,
-          requestMethod: request.method,
-        },
-        timestamp: new Date().toISOString(),
-        responseTime: `${Date.now() - startTime}ms`,
-      };
+  if (active.length === 0) {
+    log('WARN', '所有候选镜像均已排空，仍尝试全部镜像');
+    return mirrors;
+  }
+  return active;
+}
 
-      // 如果是超时错误，提供更明确的信息
-      if (error.name === 'AbortError') {
-        errorResponse.message = '请求超时：目标服务器响应时间过长';
-        errorResponse.details.timeout = `${CONFIG.timeout.singleRequest}ms`;
-      }
+/**
+ * 获取镜像的手动权重（未配置时为 1）
+ * @param {string} mirrorUrl - 镜像地址
+ */
+function getMirrorWeight(mirrorUrl) {
+  return CONFIG.mirror.weights[mirrorUrl] ?? 1;
+}
 
-      return new Response(
-        JSON.stringify(errorResponse, null, 2),
-        {
-          status: 500,
-          headers: {
-            'Content-Type': 'application/json; charset=utf-8',
-            ...getCORSHeaders(),
-          },
-        }
-      );
-    }
-  },
-};
+/**
+ * adaptive 策略：按选择权重加权随机排序镜像（不放回抽样）
+ * 选择权重 = 手动权重 × (1000 / 平均首字节耗时) × max(minShare, (1 - 错误率)²)
+ * 权重为 0 的镜像排在最后，只作兜底
+ * @param {Array<string>} mirrors - 候选镜像
+ * @returns {Array<string>} 尝试顺序
+ */
+function rankMirrorsAdaptive(mirrors) {
+  const scored = mirrors.map(mirrorUrl => {
+    const health = getMirrorHealth(mirrorUrl);
+    const latency = Math.max(health.latency?.avg ?? CONFIG.adaptive.initialLatency, 1);
+    const reliability = Math.max(CONFIG.adaptive.minShare, (1 - (health.errorRate || 0)) ** 2);
+    return { mirrorUrl, score: getMirrorWeight(mirrorUrl) * (1000 / latency) * reliability };
+  });
+
+  const ordered = [];
+  let remaining = scored.filter(entry => entry.score > 0);
+  while (remaining.length > 0) {
+    const total = remaining.reduce((sum, entry) => sum + entry.score, 0);
+    let pick = Math.random() * total;
+    const index = Math.max(0, remaining.findIndex(entry => (pick -= entry.score) < 0));
+    ordered.push(remaining[index]);
+    remaining = remaining.filter((_, i) => i !== index);
+  }
+
+  log('DEBUG', 'adaptive 选择权重:', ordered.map(entry => `${entry.mirrorUrl}=${entry.score.toFixed(3)}`).join(', '));
+  return [
+    ...ordered.map(entry => entry.mirrorUrl),
+    ...scored.filter(entry => entry.score <= 0).map(entry => entry.mirrorUrl),
+  ];
+}
 
 /**
  * 多镜像故障转移代理请求
  * @param {Request} request - 原始请求
  * @param {boolean} isFromChina - 是否来自中国大陆/港澳台
+ * @param {object} proxyContext - 请求上下文（env、ctx、客户端信息等）
  */
-async function proxyRequestWithMirrorFailover(request, isFromChina = false) {
+async function proxyRequestWithMirrorFailover(request, isFromChina = false, proxyContext = {}) {
   // 根据配置选择镜像策略
   if (CONFIG.mirrorStrategy === 'race') {
-    return proxyRequestRaceMode(request, isFromChina);
+    return proxyRequestRaceMode(request, isFromChina, proxyContext);
+  } else if (CONFIG.mirrorStrategy === 'hedged') {
+    return proxyRequestRaceMode(request, isFromChina, proxyContext, true);
+  } else if (CONFIG.mirrorStrategy === 'adaptive') {
+    return proxyRequestAdaptiveMode(request, isFromChina, proxyContext);
   } else if (CONFIG.mirrorStrategy === 'primary-first') {
-    return proxyRequestPrimaryFirstMode(request, isFromChina);
+    return proxyRequestPrimaryFirstMode(request, isFromChina, proxyContext);
   } else {
-    return proxyRequestSequentialMode(request, isFromChina);
+    return proxyRequestSequentialMode(request, isFromChina, proxyContext);
   }
 }
 
@@ -469,46 +5939,56 @@ async function proxyRequestWithMirrorFailover(request, isFromChina = false) {
  * Primary-First 模式：优先尝试主站点，失败后并发所有备用镜像
  * @param {Request} request - 原始请求
  * @param {boolean} isFromChina - 是否来自中国大陆/港澳台
+ * @param {object} proxyContext - 请求上下文（env、ctx、客户端信息等）
  */
-async function proxyRequestPrimaryFirstMode(request, isFromChina = false) {
-  const primaryMirror = CONFIG.targetUrls[0];
-  const backupMirrors = CONFIG.targetUrls.slice(1);
+async function proxyRequestPrimaryFirstMode(request, isFromChina = false, proxyContext = {}) {
+  const requestLog = proxyContext.log || log;
+  const mirrors = getCandidateMirrors(proxyContext);
+  const primaryMirror = mirrors[0];
+  const backupMirrors = mirrors.slice(1);
 
-  log('INFO', '=== Primary-First 模式：优先主站点 ===');
-  log('INFO', '主站点:', primaryMirror);
-  log('INFO', '备用镜像数量:', backupMirrors.length);
+  requestLog('INFO', '=== Primary-First 模式：优先主站点 ===');
+  requestLog('INFO', '主站点:', primaryMirror);
+  requestLog('INFO', '备用镜像数量:', backupMirrors.length);
 
   // 第一步：尝试主站点
+  let primaryStarted = 0;
+  // 主站点失败原因（用于故障转移指标）
+  let primaryFailure = null;
   if (isMirrorAvailable(primaryMirror)) {
+    primaryStarted = 1;
     try {
-      log('INFO', '正在尝试主站点...');
-      const primaryResponse = await proxyRequestWithRetry(request.clone(), isFromChina, primaryMirror, 0);
+      requestLog('INFO', '正在尝试主站点...');
+      const primaryStart = Date.now();
+      const primaryResponse = await proxyRequestWithRetry(request.clone(), isFromChina, primaryMirror, 0, proxyContext);
 
       // 检查响应状态是否需要故障转移
       if (!CONFIG.mirror.autoFailover || !CONFIG.mirror.failoverStatuses.includes(primaryResponse.status)) {
         // 主站点成功
-        updateMirrorHealth(primaryMirror, true);
-        log('INFO', '✓ 主站点响应成功');
+        updateMirrorHealth(primaryMirror, true, Date.now() - primaryStart);
+        requestLog('INFO', '✓ 主站点响应成功');
 
         const modifiedResponse = new Response(primaryResponse.body, primaryResponse);
         modifiedResponse.headers.set('X-Mirror-Used', primaryMirror);
-        modifiedResponse.headers.set('X-Mirror-Index', '1');
+        modifiedResponse.headers.set('X-Mirror-Index', String(CONFIG.targetUrls.indexOf(primaryMirror) + 1));
         modifiedResponse.headers.set('X-Mirror-Priority', 'primary');
-        modifiedResponse.headers.set('X-Mirror-Strategy', 'primary-first');
+        modifiedResponse.headers.set('X-Mirror-Strategy', formatMirrorStrategy('primary-first', 1, 0));
 
         return modifiedResponse;
       } else {
         // 主站点返回错误状态码
-        log('WARN', `主站点返回错误状态 ${primaryResponse.status}，切换到备用镜像`);
+        requestLog('WARN', `主站点返回错误状态 ${primaryResponse.status}，切换到备用镜像`);
         updateMirrorHealth(primaryMirror, false);
+        primaryFailure = 'status';
       }
     } catch (error) {
       // 主站点请求失败
-      log('WARN', `主站点请求失败: ${error.message}`);
+      requestLog('WARN', `主站点请求失败: ${error.message}`);
       updateMirrorHealth(primaryMirror, false);
+      primaryFailure = error.phase ? 'timeout' : 'error';
     }
   } else {
-    log('WARN', '主站点不健康，跳过');
+    requestLog('WARN', '主站点不健康，跳过');
   }
 
   // 第二步：主站点失败，并发所有备用镜像
@@ -516,245 +5996,331 @@ async function proxyRequestPrimaryFirstMode(request, isFromChina = false) {
     throw new Error('主站点失败且无备用镜像可用');
   }
 
-  log('INFO', `主站点不可用，并发请求 ${backupMirrors.length} 个备用镜像...`);
+  requestLog('INFO', `主站点不可用，并发请求 ${backupMirrors.length} 个备用镜像...`);
+  if (primaryFailure) {
+    incrementMetric('claude_proxy_failovers_total', { mirror: primaryMirror, reason: primaryFailure });
+  }
 
   // 过滤出可用的备用镜像
   const availableBackups = backupMirrors.filter((url, index) => {
     const available = isMirrorAvailable(url);
     if (!available) {
-      log('WARN', `备用镜像 ${index + 2} (${url}) 不健康，跳过`);
+      requestLog('WARN', `备用镜像 ${index + 2} (${url}) 不健康，跳过`);
     }
     return available;
   });
 
   if (availableBackups.length === 0) {
-    log('WARN', '所有备用镜像不健康，尝试使用所有镜像');
+    requestLog('WARN', '所有备用镜像不健康，尝试使用所有镜像');
     availableBackups.push(...backupMirrors);
   }
 
-  // 并发请求所有可用的备用镜像
-  const backupPromises = availableBackups.map((targetUrl) => {
-    return proxyRequestWithRetry(request.clone(), isFromChina, targetUrl, 0)
-      .then(response => {
-        updateMirrorHealth(targetUrl, true);
-
-        const mirrorIndex = CONFIG.targetUrls.indexOf(targetUrl);
-        log('INFO', `✓ 备用镜像 ${mirrorIndex + 1} 响应成功 (${targetUrl})`);
-
-        const modifiedResponse = new Response(response.body, response);
-        modifiedResponse.headers.set('X-Mirror-Used', targetUrl);
-        modifiedResponse.headers.set('X-Mirror-Index', String(mirrorIndex + 1));
-        modifiedResponse.headers.set('X-Mirror-Priority', 'backup');
-        modifiedResponse.headers.set('X-Mirror-Strategy', 'primary-first');
-
-        return { success: true, response: modifiedResponse, mirror: targetUrl };
-      })
-      .catch(error => {
-        updateMirrorHealth(targetUrl, false);
-        const mirrorIndex = CONFIG.targetUrls.indexOf(targetUrl);
-        log('WARN', `备用镜像 ${mirrorIndex + 1} (${targetUrl}) 请求失败: ${error.message}`);
-        return { success: false, error: error.message, mirror: targetUrl };
-      });
-  });
-
   try {
-    // 使用 Promise.race 获取第一个完成的备用镜像
-    const result = await Promise.race(backupPromises);
-
-    if (result.success) {
-      return result.response;
-    }
-
-    // 第一个响应失败，等待其他备用镜像
-    log('WARN', '第一个备用镜像响应失败，等待其他镜像');
-    const allResults = await Promise.allSettled(backupPromises);
+    // 并发请求所有可用的备用镜像，第一个成功后取消其余请求
+    const result = await raceMirrors(request, isFromChina, availableBackups, proxyContext);
 
-    // 查找第一个成功的响应
-    for (const settledResult of allResults) {
-      if (settledResult.status === 'fulfilled' && settledResult.value.success) {
-        return settledResult.value.response;
-      }
-    }
+    const modifiedResponse = new Response(result.response.body, result.response);
+    modifiedResponse.headers.set('X-Mirror-Used', result.mirror);
+    modifiedResponse.headers.set('X-Mirror-Index', String(CONFIG.targetUrls.indexOf(result.mirror) + 1));
+    modifiedResponse.headers.set('X-Mirror-Priority', 'backup');
+    modifiedResponse.headers.set('X-Mirror-Strategy',
+      formatMirrorStrategy('primary-first', result.started + primaryStarted, result.cancelled));
 
-    // 所有备用镜像都失败
-    log('ERROR', `所有镜像（包括主站点和 ${availableBackups.length} 个备用镜像）均失败`);
-    throw new Error(`所有镜像均不可达。主站点和 ${availableBackups.length} 个备用镜像都失败了`);
+    return modifiedResponse;
 
   } catch (error) {
-    log('ERROR', 'Primary-First 模式请求失败:', error.message);
-    throw error;
+    requestLog('ERROR', `所有镜像（包括主站点和 ${availableBackups.length} 个备用镜像）均失败`);
+    requestLog('ERROR', 'Primary-First 模式请求失败:', error.message);
+    const primaryFirstError = new Error(`所有镜像均不可达。主站点和 ${availableBackups.length} 个备用镜像都失败了`);
+    primaryFirstError.phase = error.phase;
+    throw primaryFirstError;
   }
 }
 
 /**
- * Race 模式：并行请求多个镜像，使用最快响应
+ * Race 模式：并行请求多个镜像，使用最快响应并取消其余请求
+ * Hedged 模式：按顺序请求，前一个镜像超过 mirror.hedgeDelay 仍未返回响应头时才启动下一个
  * @param {Request} request - 原始请求
  * @param {boolean} isFromChina - 是否来自中国大陆/港澳台
+ * @param {object} proxyContext - 请求上下文（env、ctx、客户端信息等）
+ * @param {boolean} hedged - 是否为对冲模式
  */
-async function proxyRequestRaceMode(request, isFromChina = false) {
-  log('INFO', `=== Race 模式：并行请求 ${CONFIG.targetUrls.length} 个镜像 ===`);
+async function proxyRequestRaceMode(request, isFromChina = false, proxyContext = {}, hedged = false) {
+  const requestLog = proxyContext.log || log;
+  const mirrors = getCandidateMirrors(proxyContext);
+  if (hedged) {
+    requestLog('INFO', `=== Hedged 模式：${mirrors.length} 个镜像，对冲延迟 ${CONFIG.mirror.hedgeDelay}ms ===`);
+  } else {
+    requestLog('INFO', `=== Race 模式：并行请求 ${mirrors.length} 个镜像 ===`);
+  }
 
   // 过滤出可用的镜像
-  const availableMirrors = CONFIG.targetUrls.filter((url, index) => {
+  const availableMirrors = mirrors.filter((url, index) => {
     const available = isMirrorAvailable(url);
     if (!available) {
-      log('WARN', `镜像 ${index + 1} (${url}) 不健康，跳过`);
+      requestLog('WARN', `镜像 ${index + 1} (${url}) 不健康，跳过`);
     }
     return available;
   });
 
   if (availableMirrors.length === 0) {
-    log('ERROR', '所有镜像均不可用，尝试所有镜像');
+    requestLog('ERROR', '所有镜像均不可用，尝试所有镜像');
     // 如果所有镜像都不健康，仍然尝试所有镜像（可能已过冷却期）
-    availableMirrors.push(...CONFIG.targetUrls);
+    availableMirrors.push(...mirrors);
   }
 
-  log('INFO', `可用镜像数量: ${availableMirrors.length}`);
+  requestLog('INFO', `可用镜像数量: ${availableMirrors.length}`);
 
-  // 为每个镜像创建请求 Promise
-  const racePromises = availableMirrors.map((targetUrl, index) => {
-    return proxyRequestWithRetry(request.clone(), isFromChina, targetUrl, 0)
-      .then(response => {
-        // 成功响应
-        updateMirrorHealth(targetUrl, true);
+  // 对冲模式按顺序延迟启动，Race 模式同时启动
+  const strategy = hedged ? 'hedged' : 'race';
+  const hedgeDelay = hedged ? CONFIG.mirror.hedgeDelay : 0;
 
-        const mirrorIndex = CONFIG.targetUrls.indexOf(targetUrl);
-        const isPrimary = mirrorIndex === 0;
+  try {
+    const result = await raceMirrors(request, isFromChina, availableMirrors, proxyContext, hedgeDelay);
+    const mirrorIndex = CONFIG.targetUrls.indexOf(result.mirror);
 
-        log('INFO', `✓ 镜像 ${mirrorIndex + 1} 响应成功 (${targetUrl})`);
+    // 添加镜像信息头
+    const modifiedResponse = new Response(result.response.body, result.response);
+    modifiedResponse.headers.set('X-Mirror-Used', result.mirror);
+    modifiedResponse.headers.set('X-Mirror-Index', String(mirrorIndex + 1));
+    modifiedResponse.headers.set('X-Mirror-Priority', mirrorIndex === 0 ? 'primary' : 'backup');
+    modifiedResponse.headers.set('X-Mirror-Strategy', formatMirrorStrategy(strategy, result.started, result.cancelled));
 
-        // 添加镜像信息头
-        const modifiedResponse = new Response(response.body, response);
-        modifiedResponse.headers.set('X-Mirror-Used', targetUrl);
-        modifiedResponse.headers.set('X-Mirror-Index', String(mirrorIndex + 1));
-        modifiedResponse.headers.set('X-Mirror-Priority', isPrimary ? 'primary' : 'backup');
-        modifiedResponse.headers.set('X-Mirror-Strategy', 'race');
+    return modifiedResponse;
 
-        return { success: true, response: modifiedResponse, mirror: targetUrl };
-      })
-      .catch(error => {
-        // 失败响应
-        updateMirrorHealth(targetUrl, false);
-        log('WARN', `镜像 ${index + 1} (${targetUrl}) 请求失败: ${error.message}`);
-        return { success: false, error: error.message, mirror: targetUrl };
-      });
-  });
+  } catch (error) {
+    requestLog('ERROR', `所有 ${availableMirrors.length} 个镜像均失败`);
+    requestLog('ERROR', `${hedged ? 'Hedged' : 'Race'} 模式请求失败:`, error.message);
+    throw error;
+  }
+}
 
-  try {
-    // Promise.race 返回第一个完成的 Promise（无论成功还是失败）
-    // 我们需要第一个成功的响应
-    const result = await Promise.race(racePromises);
+/**
+ * 并发请求多个镜像，返回第一个成功的响应并取消其余请求
+ * 每个镜像请求都有独立的 AbortController；hedgeDelay > 0 时为对冲模式：
+ * 只有前一个镜像在 hedgeDelay 毫秒内仍未返回响应头（或已失败）时才启动下一个镜像
+ * @param {Request} request - 原始请求
+ * @param {boolean} isFromChina - 是否来自中国大陆/港澳台
+ * @param {Array<string>} targets - 要请求的镜像地址
+ * @param {object} proxyContext - 请求上下文
+ * @param {number} hedgeDelay - 对冲延迟（毫秒），0 表示同时启动所有镜像
+ * @returns {Promise<{response: Response, mirror: string, started: number, cancelled: number}>}
+ */
+function raceMirrors(request, isFromChina, targets, proxyContext, hedgeDelay = 0) {
+  const requestLog = proxyContext.log || log;
+  return new Promise((resolve, reject) => {
+    const pending = new Map();
+    let nextIndex = 0;
+    let started = 0;
+    let failed = 0;
+    const failures = [];
+    let winner = null;
+    let hedgeTimer = null;
+
+    const scheduleHedge = () => {
+      clearTimeout(hedgeTimer);
+      if (hedgeDelay > 0 && nextIndex < targets.length) {
+        hedgeTimer = setTimeout(() => {
+          requestLog('INFO', `镜像 ${hedgeDelay}ms 内未响应，启动对冲请求`);
+          startNext();
+        }, hedgeDelay);
+      }
+    };
 
-    if (result.success) {
-      return result.response;
-    }
+    const startNext = () => {
+      if (winner || nextIndex >= targets.length) return;
+
+      const targetUrl = targets[nextIndex++];
+      const controller = new AbortController();
+      const attemptStart = Date.now();
+      pending.set(targetUrl, controller);
+      started++;
+
+      proxyRequestWithRetry(request.clone(), isFromChina, targetUrl, 0, { ...proxyContext, signal: controller.signal })
+        .then(response => {
+          pending.delete(targetUrl);
+          if (winner) {
+            // 已有其他镜像胜出，丢弃迟到的响应
+            response.body?.cancel().catch(() => {});
+            return;
+          }
 
-    // 如果第一个响应失败，等待其他响应
-    log('WARN', '第一个响应失败，等待其他镜像');
-    const allResults = await Promise.allSettled(racePromises);
+          winner = targetUrl;
+          clearTimeout(hedgeTimer);
+          updateMirrorHealth(targetUrl, true, Date.now() - attemptStart);
+
+          // 取消仍在进行中的其他镜像请求，避免重复消耗 token
+          const cancelled = pending.size;
+          pending.forEach(other => other.abort(new Error('其他镜像已胜出')));
+          pending.clear();
+
+          requestLog('INFO', `✓ 镜像 ${CONFIG.targetUrls.indexOf(targetUrl) + 1} 响应成功 (${targetUrl})，已启动 ${started} 个请求，取消 ${cancelled} 个`);
+          resolve({ response, mirror: targetUrl, started, cancelled });
+        })
+        .catch(error => {
+          pending.delete(targetUrl);
+          // 被主动取消的请求不计入镜像健康
+          if (controller.signal.aborted || winner) return;
+
+          failed++;
+          failures.push({ phase: error.phase });
+          updateMirrorHealth(targetUrl, false);
+          requestLog('WARN', `镜像 ${CONFIG.targetUrls.indexOf(targetUrl) + 1} (${targetUrl}) 请求失败: ${error.message}`);
+
+          if (nextIndex < targets.length) {
+            // 对冲模式下失败立即启动下一个镜像
+            if (hedgeDelay > 0) {
+              startNext();
+            }
+          } else if (failed === started) {
+            clearTimeout(hedgeTimer);
+            const raceError = new Error(`所有镜像均不可达。尝试了 ${started} 个镜像`);
+            raceError.phase = getCommonTimeoutPhase(failures);
+            reject(raceError);
+          }
+        });
 
-    // 查找第一个成功的响应
-    for (const settledResult of allResults) {
-      if (settledResult.status === 'fulfilled' && settledResult.value.success) {
-        return settledResult.value.response;
-      }
-    }
+      scheduleHedge();
+    };
 
-    // 所有镜像都失败
-    const errors = allResults
-      .filter(r => r.status === 'fulfilled' && !r.value.success)
-      .map(r => r.value);
+    if (hedgeDelay > 0) {
+      startNext();
+    } else {
+      targets.forEach(() => startNext());
+    }
+  });
+}
 
-    log('ERROR', `所有 ${availableMirrors.length} 个镜像均失败`);
-    throw new Error(`所有镜像均不可达。尝试了 ${availableMirrors.length} 个镜像`);
+/**
+ * 格式化 X-Mirror-Strategy 响应头（附带启动和取消的请求数）
+ */
+function formatMirrorStrategy(strategy, started, cancelled) {
+  return `${strategy}; started=${started}; cancelled=${cancelled}`;
+}
 
-  } catch (error) {
-    log('ERROR', 'Race 模式请求失败:', error.message);
-    throw error;
-  }
+/**
+ * Adaptive 模式：按 EWMA 首字节耗时和错误率加权随机排序镜像，再按该顺序串行故障转移
+ * @param {Request} request - 原始请求
+ * @param {boolean} isFromChina - 是否来自中国大陆/港澳台
+ * @param {object} proxyContext - 请求上下文（env、ctx、客户端信息等）
+ */
+async function proxyRequestAdaptiveMode(request, isFromChina = false, proxyContext = {}) {
+  const requestLog = proxyContext.log || log;
+  // 只排序，不占用半开试探名额（由串行逻辑在发送前检查）
+  const available = getCandidateMirrors(proxyContext).filter(mirrorUrl => getCircuitState(mirrorUrl) !== 'open');
+  const unavailable = getCandidateMirrors(proxyContext).filter(mirrorUrl => !available.includes(mirrorUrl));
+  // 不健康的镜像排在最后，由串行逻辑按冷却状态跳过
+  const ordered = [...rankMirrorsAdaptive(available), ...unavailable];
+
+  requestLog('INFO', `=== Adaptive 模式：尝试顺序 ${ordered.map(mirrorUrl => CONFIG.targetUrls.indexOf(mirrorUrl) + 1).join(' → ')} ===`);
+  return proxyRequestSequentialMode(request, isFromChina, { ...proxyContext, mirrors: ordered }, 'adaptive');
 }
 
 /**
  * Sequential 模式：串行尝试镜像，失败后切换
  * @param {Request} request - 原始请求
  * @param {boolean} isFromChina - 是否来自中国大陆/港澳台
+ * @param {object} proxyContext - 请求上下文（env、ctx、客户端信息等）
+ * @param {string} strategy - X-Mirror-Strategy 中报告的策略名
  */
-async function proxyRequestSequentialMode(request, isFromChina = false) {
+async function proxyRequestSequentialMode(request, isFromChina = false, proxyContext = {}, strategy = 'sequential') {
+  const requestLog = proxyContext.log || log;
   const errors = [];
+  const mirrors = getCandidateMirrors(proxyContext);
 
   // 遍历所有镜像地址
-  for (let mirrorIndex = 0; mirrorIndex < CONFIG.targetUrls.length; mirrorIndex++) {
-    const currentTargetUrl = CONFIG.targetUrls[mirrorIndex];
+  for (let mirrorIndex = 0; mirrorIndex < mirrors.length; mirrorIndex++) {
+    const currentTargetUrl = mirrors[mirrorIndex];
     const isPrimary = mirrorIndex === 0;
 
     // 检查镜像是否可用
     if (!isMirrorAvailable(currentTargetUrl)) {
-      log('WARN', `镜像 ${mirrorIndex + 1} (${currentTargetUrl}) 不健康，跳过`);
+      requestLog('WARN', `镜像 ${mirrorIndex + 1} (${currentTargetUrl}) 不健康，跳过`);
       errors.push({ mirror: currentTargetUrl, error: '镜像不健康，在冷却期', skipped: true });
       continue;
     }
 
     try {
-      log('INFO', `=== 尝试镜像 ${mirrorIndex + 1}/${CONFIG.targetUrls.length} ===`);
-      log('DEBUG', '镜像地址:', currentTargetUrl);
-      log('DEBUG', '优先级:', isPrimary ? '主站点' : `备用镜像 ${mirrorIndex}`);
+      requestLog('INFO', `=== 尝试镜像 ${mirrorIndex + 1}/${mirrors.length} ===`);
+      requestLog('DEBUG', '镜像地址:', currentTargetUrl);
+      requestLog('DEBUG', '优先级:', isPrimary ? '主站点' : `备用镜像 ${mirrorIndex}`);
 
       // 使用当前镜像发起请求（带重试）
-      const response = await proxyRequestWithRetry(request.clone(), isFromChina, currentTargetUrl, 0);
+      const attemptStart = Date.now();
+      const response = await proxyRequestWithRetry(request.clone(), isFromChina, currentTargetUrl, 0, proxyContext);
 
       // 检查响应状态是否需要故障转移
       if (CONFIG.mirror.autoFailover && CONFIG.mirror.failoverStatuses.includes(response.status)) {
         const errorMsg = `镜像 ${mirrorIndex + 1} 返回错误状态 ${response.status}`;
-        log('WARN', errorMsg);
+        requestLog('WARN', errorMsg);
         errors.push({ mirror: currentTargetUrl, error: errorMsg, status: response.status });
         updateMirrorHealth(currentTargetUrl, false);
 
         // 如果不是最后一个镜像，继续尝试下一个
-        if (mirrorIndex < CONFIG.targetUrls.length - 1) {
-          log('INFO', '切换到下一个镜像...');
+        if (mirrorIndex < mirrors.length - 1) {
+          requestLog('INFO', '切换到下一个镜像...');
+          incrementMetric('claude_proxy_failovers_total', { mirror: currentTargetUrl, reason: 'status' });
           continue;
         }
       }
 
       // 成功响应
-      updateMirrorHealth(currentTargetUrl, true);
+      updateMirrorHealth(currentTargetUrl, true, Date.now() - attemptStart);
 
       const modifiedResponse = new Response(response.body, response);
       modifiedResponse.headers.set('X-Mirror-Used', currentTargetUrl);
-      modifiedResponse.headers.set('X-Mirror-Index', String(mirrorIndex + 1));
+      modifiedResponse.headers.set('X-Mirror-Index', String(CONFIG.targetUrls.indexOf(currentTargetUrl) + 1));
       modifiedResponse.headers.set('X-Mirror-Priority', isPrimary ? 'primary' : 'backup');
-      modifiedResponse.headers.set('X-Mirror-Strategy', 'sequential');
+      const started = errors.filter(e => !e.skipped).length + 1;
+      modifiedResponse.headers.set('X-Mirror-Strategy', formatMirrorStrategy(strategy, started, 0));
 
-      log('INFO', `✓ 镜像 ${mirrorIndex + 1} 响应成功`);
+      requestLog('INFO', `✓ 镜像 ${mirrorIndex + 1} 响应成功`);
 
       return modifiedResponse;
 
     } catch (error) {
       const errorMsg = `镜像 ${mirrorIndex + 1} 请求失败: ${error.message}`;
-      log('ERROR', errorMsg);
-      errors.push({ mirror: currentTargetUrl, error: errorMsg, type: error.name });
+      requestLog('ERROR', errorMsg);
+      errors.push({ mirror: currentTargetUrl, error: errorMsg, type: error.name, phase: error.phase });
       updateMirrorHealth(currentTargetUrl, false);
 
       // 如果是最后一个镜像，抛出错误
-      if (mirrorIndex === CONFIG.targetUrls.length - 1) {
-        log('ERROR', '=== 所有镜像均失败 ===');
+      if (mirrorIndex === mirrors.length - 1) {
+        requestLog('ERROR', '=== 所有镜像均失败 ===');
         errors.forEach((e, i) => {
-          log('ERROR', `镜像 ${i + 1}:`, e.mirror, '-', e.error);
+          requestLog('ERROR', `镜像 ${i + 1}:`, e.mirror, '-', e.error);
         });
 
         // 返回详细的错误信息
-        const detailedError = new Error(`所有镜像均不可达。尝试了 ${CONFIG.targetUrls.length} 个镜像`);
+        const detailedError = new Error(`所有镜像均不可达。尝试了 ${mirrors.length} 个镜像`);
         detailedError.mirrorErrors = errors;
+        detailedError.phase = getCommonTimeoutPhase(errors);
         throw detailedError;
       }
 
       // 继续尝试下一个镜像
-      log('INFO', `切换到镜像 ${mirrorIndex + 2}...`);
+      requestLog('INFO', `切换到镜像 ${mirrorIndex + 2}...`);
+      incrementMetric('claude_proxy_failovers_total', { mirror: currentTargetUrl, reason: error.phase ? 'timeout' : 'error' });
     }
   }
 
-  // 理论上不应该到这里
-  throw new Error('镜像故障转移逻辑异常');
+  // 最后的镜像在冷却期被跳过时会到这里
+  const detailedError = new Error(`所有镜像均不可达。尝试了 ${mirrors.length} 个镜像`);
+  detailedError.mirrorErrors = errors;
+  detailedError.phase = getCommonTimeoutPhase(errors);
+  throw detailedError;
+}
+
+/**
+ * 所有尝试过的镜像都因超时失败时，返回最后一次的超时阶段（否则为 undefined）
+ * @param {Array<object>} errors - 各镜像的失败记录 { phase, skipped }
+ */
+function getCommonTimeoutPhase(errors) {
+  const attempted = errors.filter(e => !e.skipped);
+  if (attempted.length > 0 && attempted.every(e => e.phase)) {
+    return attempted[attempted.length - 1].phase;
+  }
+  return undefined;
 }
 
 /**
@@ -763,31 +6329,39 @@ async function proxyRequestSequentialMode(request, isFromChina = false) {
  * @param {boolean} isFromChina - 是否来自中国大陆/港澳台
  * @param {string} targetUrlString - 目标镜像地址
  * @param {number} retryCount - 重试次数
+ * @param {object} proxyContext - 请求上下文
  */
-async function proxyRequestWithRetry(request, isFromChina = false, targetUrlString, retryCount = 0) {
+async function proxyRequestWithRetry(request, isFromChina = false, targetUrlString, retryCount = 0, proxyContext = {}) {
+  const requestLog = proxyContext.log || log;
+  // 未缓冲的请求体已在上一次尝试中被读取，不能重发
+  const bodyReplayable = !['POST', 'PUT', 'PATCH'].includes(request.method) || Boolean(proxyContext.bodyBuffer);
+  const deadline = proxyContext.deadline ?? Infinity;
+  let timeoutError = null;
+  let detachAbortListener = () => {};
+
   try {
-    // 构建目标 URL
+    // 构建目标 URL 和请求头，再按镜像转发配置改写
     const url = new URL(request.url);
     const targetUrl = new URL(targetUrlString);
     targetUrl.pathname = url.pathname;
     targetUrl.search = url.search;
+    const headers = buildProxyHeaders(request, targetUrlString);
+    // 本次尝试使用的上游 Key（Key 池），拿到响应头或失败时释放
+    const upstreamKeyId = applyMirrorProfile(targetUrl, headers, targetUrlString, proxyContext.env, requestLog);
 
     // 调试日志：记录请求信息
     if (CONFIG.debug.enabled) {
-      log('DEBUG', '=== 代理请求开始 ===');
-      log('DEBUG', '请求方法:', request.method);
-      log('DEBUG', '原始 URL:', request.url);
-      log('DEBUG', '目标 URL:', targetUrl.toString());
-      log('DEBUG', '重试次数:', retryCount);
-      log('DEBUG', '来自中国:', isFromChina);
+      requestLog('DEBUG', '=== 代理请求开始 ===');
+      requestLog('DEBUG', '请求方法:', request.method);
+      requestLog('DEBUG', '原始 URL:', request.url);
+      requestLog('DEBUG', '目标 URL:', targetUrl.toString());
+      requestLog('DEBUG', '重试次数:', retryCount);
+      requestLog('DEBUG', '来自中国:', isFromChina);
     }
 
-    // 构建请求头
-    const headers = buildProxyHeaders(request, targetUrlString);
-
     // 调试日志：记录请求头
     if (CONFIG.debug.enabled) {
-      log('DEBUG', '请求头:', Object.fromEntries(headers.entries()));
+      requestLog('DEBUG', '请求头:', Object.fromEntries(headers.entries()));
     }
 
     // 构建请求配置
@@ -819,95 +6393,353 @@ async function proxyRequestWithRetry(request, isFromChina = false, targetUrlStri
 
     // 处理请求体（POST/PUT/PATCH）
     if (['POST', 'PUT', 'PATCH'].includes(request.method)) {
-      const contentType = request.headers.get('content-type') || '';
+      if (proxyContext.bodyBuffer) {
+        // 使用缓冲的请求体，重试和故障转移时重新发送相同的内容
+        proxyInit.body = proxyContext.bodyBuffer;
 
-      log('DEBUG', 'Content-Type:', contentType);
-
-      // 检查是否是流式请求（SSE）
-      if (contentType.includes('text/event-stream') || contentType.includes('application/stream')) {
-        // 流式请求直接传递 body
-        proxyInit.body = request.body;
-        log('DEBUG', '检测到流式请求，直接传递 body');
-      } else {
-        // 非流式请求
-        // 优化：仅在需要记录日志时才读取请求体，否则直接传递
         if (CONFIG.debug.logRequestBody && LOG_LEVELS[CONFIG.debug.logLevel] >= LOG_LEVELS.DEBUG) {
-          try {
-            const clonedRequest = request.clone();
-            const bodyText = await clonedRequest.text();
-
-            log('DEBUG', '请求体长度:', bodyText.length);
-            log('DEBUG', '请求体内容:', bodyText.substring(0, 500)); // 只显示前500字符
-
-            // 重新赋值请求体
-            proxyInit.body = bodyText;
-          } catch (bodyError) {
-            log('ERROR', '读取请求体失败:', bodyError.message);
-            // 降级方案：使用原始 body
-            proxyInit.body = request.body;
-          }
-        } else {
-          // 生产环境直接传递 body，不读取到内存
-          proxyInit.body = request.body;
+          const bodyText = new TextDecoder().decode(proxyContext.bodyBuffer);
+          requestLog('DEBUG', '请求体长度:', bodyText.length);
+          requestLog('DEBUG', '请求体内容:', bodyText.substring(0, 500)); // 只显示前500字符
         }
+      } else {
+        // 流式上传直接传递 body（只能读取一次，因此不会重试）
+        proxyInit.body = request.body;
+        requestLog('DEBUG', '未缓冲的请求体，直接传递 body');
+      }
+
+      // 模型路由：按镜像改写请求体中的模型名
+      const rewrittenModel = proxyContext.modelRewrites?.[targetUrlString];
+      if (rewrittenModel && proxyContext.requestBody) {
+        proxyInit.body = JSON.stringify({ ...proxyContext.requestBody, model: rewrittenModel });
+        headers.delete('content-length');
+        requestLog('INFO', `模型名改写: ${proxyContext.requestBody.model} → ${rewrittenModel} (${targetUrlString})`);
       }
     }
 
     // 发送请求（带超时控制）
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), CONFIG.timeout.singleRequest);
+    // 等待响应头的超时：流式请求使用首字节超时（timeout.connect），
+    // 非流式请求要等上游生成完整响应（timeout.singleRequest），两者都不超过整个请求剩余的时间（timeout.total）
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) {
+      if (upstreamKeyId) recordUpstreamKeyResult(upstreamKeyId, null);
+      throw createTimeoutError('total');
+    }
+    const headerPhase = proxyContext.requestBody?.stream === true ? 'first_byte' : 'single_request';
+    const phase = remaining < getTimeoutLimit(headerPhase) ? 'total' : headerPhase;
 
-    log('DEBUG', '发送请求到目标服务器...');
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => {
+      timeoutError = createTimeoutError(phase);
+      controller.abort(timeoutError);
+    }, Math.min(getTimeoutLimit(headerPhase), remaining));
+
+    // 调用方取消（如 Race 模式已有镜像胜出）时同时中止请求和响应体
+    // 本次尝试失败或重试时移除监听，避免共享的 signal 上累积已结束尝试的监听器；成功返回的响应体仍需要监听
+    const abortFromCaller = () => controller.abort(proxyContext.signal.reason);
+    if (proxyContext.signal) {
+      if (proxyContext.signal.aborted) controller.abort(proxyContext.signal.reason);
+      proxyContext.signal.addEventListener('abort', abortFromCaller, { once: true });
+      detachAbortListener = () => proxyContext.signal.removeEventListener('abort', abortFromCaller);
+    }
 
-    const response = await fetch(targetUrl.toString(), {
-      ...proxyInit,
-      signal: controller.signal,
-    });
+    requestLog('DEBUG', '发送请求到目标服务器...');
 
-    clearTimeout(timeoutId);
+    let response;
+    try {
+      response = await fetch(targetUrl.toString(), {
+        ...proxyInit,
+        signal: controller.signal,
+      });
+    } finally {
+      clearTimeout(timeoutId);
+      if (upstreamKeyId) {
+        recordUpstreamKeyResult(upstreamKeyId, response?.status ?? null, response?.headers, requestLog);
+      }
+    }
 
     // 调试日志：记录响应信息
     if (CONFIG.debug.enabled) {
-      log('DEBUG', '=== 收到响应 ===');
-      log('DEBUG', '响应状态:', response.status, response.statusText);
-      log('DEBUG', '响应头:', Object.fromEntries(response.headers.entries()));
+      requestLog('DEBUG', '=== 收到响应 ===');
+      requestLog('DEBUG', '响应状态:', response.status, response.statusText);
+      requestLog('DEBUG', '响应头:', Object.fromEntries(response.headers.entries()));
     }
 
-    // 检查是否需要重试
-    if (
-      CONFIG.retry.retryableStatuses.includes(response.status) &&
-      retryCount < CONFIG.retry.maxRetries
-    ) {
-      log('WARN', `服务器返回 ${response.status}，重试中 (${retryCount + 1}/${CONFIG.retry.maxRetries})...`);
-      await sleep(CONFIG.retry.retryDelay);
-      return proxyRequestWithRetry(request, isFromChina, targetUrlString, retryCount + 1);
+    // 检查是否需要重试（按状态码选择重试策略，优先使用服务器给出的等待时间）
+    const statusPolicy = getRetryPolicy(response.status);
+    if (statusPolicy) {
+      const delay = computeRetryDelay(statusPolicy, retryCount, response.headers);
+      if (planRetry(proxyContext, statusPolicy, retryCount, delay, bodyReplayable, `服务器返回 ${response.status}`)) {
+        incrementMetric('claude_proxy_retries_total', { mirror: targetUrlString, reason: String(response.status) });
+        detachAbortListener();
+        await response.body?.cancel();
+        await sleep(delay);
+        return proxyRequestWithRetry(request, isFromChina, targetUrlString, retryCount + 1, proxyContext);
+      }
     }
 
     // 调试日志：路由成功
     if (CONFIG.debug.enabled && CONFIG.debug.logRouting) {
-      log('INFO', '=== 路由成功 ===');
-      log('INFO', '使用海外节点:', isFromChina && CONFIG.routing.forceInternationalEgress);
-      log('INFO', '响应状态:', response.status);
+      requestLog('INFO', '=== 路由成功 ===');
+      requestLog('INFO', '使用海外节点:', isFromChina && CONFIG.routing.forceInternationalEgress);
+      requestLog('INFO', '响应状态:', response.status);
     }
 
-    // 构建响应
-    return buildProxyResponse(response);
+    // 流式响应：两个数据块之间超过 timeout.idle 时中止上游
+    if (CONFIG.timeout.idle > 0 && response.body && isStreamResponse(response)) {
+      response = new Response(withIdleTimeout(response.body, controller, requestLog), response);
+    }
+
+    // 构建响应（响应头只包含 Key ID）
+    const proxyResponse = await buildProxyResponse(response, proxyContext);
+    if (upstreamKeyId) proxyResponse.headers.set('X-Upstream-Key', upstreamKeyId);
+    return proxyResponse;
 
   } catch (error) {
-    log('ERROR', '代理请求异常:', error.message);
-    log('DEBUG', '错误堆栈:', error.stack);
+    detachAbortListener();
+
+    // 被调用方取消的请求不再重试
+    if (proxyContext.signal?.aborted) {
+      requestLog('DEBUG', `镜像请求已取消 (${targetUrlString})`);
+      throw error;
+    }
 
-    // 重试逻辑
-    if (retryCount < CONFIG.retry.maxRetries) {
-      log('INFO', `请求失败，重试中 (${retryCount + 1}/${CONFIG.retry.maxRetries})...`);
-      await sleep(CONFIG.retry.retryDelay);
-      return proxyRequestWithRetry(request, isFromChina, targetUrlString, retryCount + 1);
+    requestLog('ERROR', '代理请求异常:', error.message);
+    requestLog('DEBUG', '错误堆栈:', error.stack);
+
+    // 运行时可能以普通的 AbortError 拒绝，统一换成带阶段信息的超时错误
+    if (timeoutError && !error.phase) {
+      error = timeoutError;
+    }
+
+    // 重试逻辑：按错误类别（超时 / 网络错误）选择重试策略
+    const errorClass = ['AbortError', 'TimeoutError'].includes(error.name) ? 'timeout' : 'network';
+    const errorPolicy = getRetryPolicy(errorClass);
+    const delay = computeRetryDelay(errorPolicy, retryCount);
+    if (planRetry(proxyContext, errorPolicy, retryCount, delay, bodyReplayable, `请求失败 (${errorClass})`)) {
+      incrementMetric('claude_proxy_retries_total', { mirror: targetUrlString, reason: errorClass });
+      await sleep(delay);
+      return proxyRequestWithRetry(request, isFromChina, targetUrlString, retryCount + 1, proxyContext);
     }
 
     throw error;
   }
 }
 
+// 超时阶段说明（用于 504 错误和日志）
+const TIMEOUT_PHASES = {
+  total: '请求总时长',
+  first_byte: '等待首字节',
+  single_request: '等待上游响应',
+  stream_idle: 'SSE 流空闲',
+};
+
+/**
+ * 获取超时阶段对应的时间限制（毫秒）
+ * @param {string} phase - 超时阶段
+ */
+function getTimeoutLimit(phase) {
+  return {
+    total: CONFIG.timeout.total,
+    first_byte: CONFIG.timeout.connect,
+    single_request: CONFIG.timeout.singleRequest,
+    stream_idle: CONFIG.timeout.idle,
+  }[phase];
+}
+
+/**
+ * 创建带阶段信息的超时错误
+ * @param {string} phase - 超时阶段：total / first_byte / single_request / stream_idle
+ */
+function createTimeoutError(phase) {
+  const error = new Error(`${TIMEOUT_PHASES[phase]}超时（${getTimeoutLimit(phase)}ms）`);
+  error.name = 'TimeoutError';
+  error.phase = phase;
+  return error;
+}
+
+/**
+ * 构建 504 超时响应，说明是哪个阶段超时
+ * @param {string} phase - 超时阶段
+ * @param {number} elapsed - 请求已耗时（毫秒）
+ */
+function timeoutErrorResponse(phase, elapsed) {
+  return jsonResponse({
+    type: 'error',
+    error: {
+      type: 'timeout_error',
+      message: `${TIMEOUT_PHASES[phase]}超时：${getTimeoutLimit(phase)}ms 内未完成`,
+      phase,
+      timeoutMs: getTimeoutLimit(phase),
+      elapsedMs: elapsed,
+    },
+  }, 504);
+}
+
+/**
+ * SSE 流空闲超时：上游两个数据块之间超过 timeout.idle 时中止上游请求，流以 stream_idle 超时错误结束
+ * @param {ReadableStream} body - 上游响应体
+ * @param {AbortController} controller - 上游请求的 AbortController
+ */
+function withIdleTimeout(body, controller, requestLog = log) {
+  const reader = body.getReader();
+
+  return new ReadableStream({
+    async pull(streamController) {
+      let timer;
+      const idle = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(createTimeoutError('stream_idle')), CONFIG.timeout.idle);
+      });
+
+      try {
+        const { done, value } = await Promise.race([reader.read(), idle]);
+        if (done) {
+          streamController.close();
+        } else {
+          streamController.enqueue(value);
+        }
+      } catch (error) {
+        if (error.phase === 'stream_idle') {
+          requestLog('WARN', error.message);
+          controller.abort(error);
+          reader.cancel(error).catch(() => {});
+        }
+        streamController.error(error);
+      } finally {
+        clearTimeout(timer);
+      }
+    },
+    cancel(reason) {
+      return reader.cancel(reason);
+    },
+  });
+}
+
+/**
+ * 查找适用的重试策略：retry.policies 中按状态码或错误类别（'timeout' / 'network'）配置的策略优先，
+ * 其次 retryableStatuses 中的状态码和所有错误类别使用默认策略
+ * @param {number|string} statusOrClass - HTTP 状态码或错误类别
+ * @returns {object|null} { maxRetries, retryDelay, maxDelay }，不重试时为 null
+ */
+function getRetryPolicy(statusOrClass) {
+  const defaults = {
+    maxRetries: CONFIG.retry.maxRetries,
+    retryDelay: CONFIG.retry.retryDelay,
+    maxDelay: CONFIG.retry.maxDelay,
+  };
+  const policy = CONFIG.retry.policies[String(statusOrClass)];
+
+  if (policy) return { ...defaults, ...policy };
+  if (typeof statusOrClass === 'string' || CONFIG.retry.retryableStatuses.includes(statusOrClass)) return defaults;
+  return null;
+}
+
+/**
+ * 计算重试等待时间：服务器给出 retry-after / anthropic-ratelimit-*-reset 时以其为准，
+ * 否则使用指数退避（retryDelay × 2^retryCount，不超过 maxDelay）加抖动
+ * @param {object} policy - 重试策略
+ * @param {number} retryCount - 已重试次数
+ * @param {Headers} headers - 上游响应头（可选）
+ * @returns {number} 等待时间（毫秒）
+ */
+function computeRetryDelay(policy, retryCount, headers = null) {
+  const serverDelay = headers ? parseRetryAfter(headers) : null;
+  if (serverDelay !== null) return serverDelay;
+
+  const backoff = Math.min(policy.maxDelay, policy.retryDelay * (2 ** retryCount));
+  // 等量抖动：一半固定、一半随机，避免多个请求同时重试
+  return CONFIG.retry.jitter ? Math.round(backoff / 2 + Math.random() * backoff / 2) : backoff;
+}
+
+/**
+ * 从响应头解析服务器要求的等待时间
+ * - retry-after-ms / retry-after（秒数或 HTTP 日期）
+ * - anthropic-ratelimit-{requests,tokens,input-tokens,output-tokens}-reset（仅 remaining 为 0 的限额）
+ * @param {Headers} headers - 响应头
+ * @returns {number|null} 等待时间（毫秒）
+ */
+function parseRetryAfter(headers) {
+  const delays = [];
+
+  const retryAfterMs = Number(headers.get('retry-after-ms'));
+  if (headers.get('retry-after-ms') && Number.isFinite(retryAfterMs)) {
+    delays.push(retryAfterMs);
+  }
+
+  const retryAfter = headers.get('retry-after');
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const delay = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(retryAfter) - Date.now();
+    if (Number.isFinite(delay)) delays.push(delay);
+  }
+
+  for (const limit of ['requests', 'tokens', 'input-tokens', 'output-tokens']) {
+    const reset = headers.get(`anthropic-ratelimit-${limit}-reset`);
+    if (reset && headers.get(`anthropic-ratelimit-${limit}-remaining`) === '0') {
+      const delay = Date.parse(reset) - Date.now();
+      if (Number.isFinite(delay)) delays.push(delay);
+    }
+  }
+
+  return delays.length > 0 ? Math.max(0, ...delays) : null;
+}
+
+/**
+ * 判断是否还能重试，并消耗一次共享重试预算
+ * 同一个客户端请求在所有镜像上的重试共用 retry.budget 次，且等待结束时不能超过 timeout.total
+ * @param {object} proxyContext - 请求上下文（retryState、deadline）
+ * @param {object|null} policy - 重试策略
+ * @param {number} retryCount - 当前镜像上已重试次数
+ * @param {number} delay - 计划等待时间（毫秒）
+ * @param {boolean} bodyReplayable - 请求体能否重发
+ * @param {string} reason - 日志中的重试原因
+ */
+function planRetry(proxyContext, policy, retryCount, delay, bodyReplayable, reason) {
+  const requestLog = proxyContext.log || log;
+  if (!policy || retryCount >= policy.maxRetries) return false;
+
+  if (!bodyReplayable) {
+    requestLog('WARN', `${reason}，请求体无法重发，不再重试`);
+    return false;
+  }
+  if (delay > CONFIG.retry.maxRetryAfter) {
+    requestLog('WARN', `${reason}，需要等待 ${delay}ms，超过 retry.maxRetryAfter，不再重试`);
+    return false;
+  }
+  if (Date.now() + delay >= (proxyContext.deadline ?? Infinity)) {
+    requestLog('WARN', `${reason}，剩余时间不足以等待 ${delay}ms 后重试`);
+    return false;
+  }
+
+  const retryState = proxyContext.retryState;
+  if (retryState) {
+    if (retryState.remaining <= 0) {
+      requestLog('WARN', `${reason}，本次请求的重试预算已用完`);
+      return false;
+    }
+    retryState.remaining--;
+    retryState.used++;
+  }
+
+  requestLog('WARN', `${reason}，${delay}ms 后重试 (${retryCount + 1}/${policy.maxRetries})...`);
+  return true;
+}
+
+/**
+ * 缓冲请求体（POST/PUT/PATCH），保证重试和故障转移时重新发送相同的内容
+ * 流式上传（text/event-stream 等）不缓冲，直接透传且不重试
+ * @param {Request} request - 原始请求
+ * @returns {Promise<ArrayBuffer|null>}
+ */
+async function bufferRequestBody(request) {
+  if (!['POST', 'PUT', 'PATCH'].includes(request.method)) return null;
+
+  const contentType = request.headers.get('content-type') || '';
+  if (contentType.includes('text/event-stream') || contentType.includes('application/stream')) return null;
+
+  return request.clone().arrayBuffer();
+}
+
 /**
  * 构建代理请求头
  * @param {Request} request - 原始请求
@@ -923,6 +6755,12 @@ function buildProxyHeaders(request, targetUrlString) {
   const targetUrl = new URL(targetUrlString);
   headers.set('Host', targetUrl.host);
 
+  // 启用客户端认证时，将代理 Key 替换为上游真实 Key（保持客户端使用的认证头风格）
+  // 没有 upstreamApiKey 时由 applyMirrorProfile 设置镜像自己的 Key，代理 Key 不能转发给上游
+  if (CONFIG.auth.enabled) {
+    setUpstreamCredential(headers, CONFIG.auth.upstreamApiKey);
+  }
+
   // 保留客户端真实 IP
   const clientIP = request.headers.get('cf-connecting-ip');
   if (clientIP) {
@@ -942,43 +6780,106 @@ function buildProxyHeaders(request, targetUrlString) {
   return headers;
 }
 
+/**
+ * 设置上游认证头
+ * @param {Headers} headers - 上游请求头（原地修改）
+ * @param {string} apiKey - 上游 API Key
+ * @param {string} authStyle - 'x-api-key' | 'bearer'，不传时沿用请求中已有的认证头风格
+ */
+function setUpstreamCredential(headers, apiKey, authStyle) {
+  const style = authStyle || (headers.has('x-api-key') || !headers.has('Authorization') ? 'x-api-key' : 'bearer');
+  if (style === 'x-api-key') {
+    headers.delete('Authorization');
+    headers.set('x-api-key', apiKey);
+  } else {
+    headers.delete('x-api-key');
+    headers.set('Authorization', `Bearer ${apiKey}`);
+  }
+}
+
+/**
+ * 按镜像转发配置（mirror.profiles）改写上游请求：路径前缀、查询参数、凭据和请求头
+ * 每次选中镜像（包括重试、故障转移、重放和探测）时调用，未配置的镜像保持原样
+ * @param {URL} targetUrl - 上游 URL（原地修改）
+ * @param {Headers} headers - 上游请求头（原地修改）
+ * @param {string} mirrorUrl - 镜像地址
+ * @param {object} env - Worker 环境变量与绑定（读取 apiKeySecret / apiKeySecrets）
+ * @param {Function} requestLog - 日志函数
+ * @returns {string|null} 使用的上游 Key ID，请求结束后需调用 recordUpstreamKeyResult
+ */
+function applyMirrorProfile(targetUrl, headers, mirrorUrl, env = {}, requestLog = log) {
+  const profile = CONFIG.mirror.profiles[mirrorUrl];
+  if (!profile) return null;
+
+  const { stripPrefix, pathPrefix } = profile;
+  if (stripPrefix && (targetUrl.pathname === stripPrefix || targetUrl.pathname.startsWith(`${stripPrefix.replace(/\/$/, '')}/`))) {
+    targetUrl.pathname = targetUrl.pathname.slice(stripPrefix.replace(/\/$/, '').length) || '/';
+  }
+  if (pathPrefix) {
+    targetUrl.pathname = `${pathPrefix.replace(/\/$/, '')}${targetUrl.pathname}`;
+  }
+  Object.entries(profile.query || {}).forEach(([name, value]) => targetUrl.searchParams.set(name, String(value)));
+
+  (profile.removeHeaders || []).forEach(name => headers.delete(name));
+
+  // 凭据：优先使用镜像自己的 Key（Key 池中轮换），否则只按 authStyle 转换已有凭据的认证头风格
+  const upstreamKey = selectUpstreamKey(mirrorUrl, profile, env, requestLog);
+  let apiKey = upstreamKey?.key || '';
+  if (!apiKey && profile.authStyle) {
+    apiKey = headers.get('x-api-key') || (headers.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+  }
+  if (apiKey) setUpstreamCredential(headers, apiKey, profile.authStyle);
+
+  if (profile.anthropicVersion) headers.set('anthropic-version', profile.anthropicVersion);
+  Object.entries(profile.headers || {}).forEach(([name, value]) => headers.set(name, String(value)));
+
+  return upstreamKey?.id || null;
+}
+
 /**
  * 构建代理响应
+ * @param {Response} response - 上游响应
+ * @param {object} proxyContext - 请求上下文
  */
-async function buildProxyResponse(response) {
+async function buildProxyResponse(response, proxyContext = {}) {
+  const requestLog = proxyContext.log || log;
   // 检查是否是流式响应（SSE）
   const contentType = response.headers.get('content-type') || '';
-  const isStream = contentType.includes('text/event-stream') ||
-                   contentType.includes('application/stream+json');
+  const isStream = isStreamResponse(response);
 
   // 调试日志：记录响应类型
   if (CONFIG.debug.enabled) {
-    log('DEBUG', '响应类型:', isStream ? '流式响应' : '普通响应');
-    log('DEBUG', 'Content-Type:', contentType);
+    requestLog('DEBUG', '响应类型:', isStream ? '流式响应' : '普通响应');
+    requestLog('DEBUG', 'Content-Type:', contentType);
   }
 
   // 对于非流式响应，记录响应体（用于调试）
-  let responseBody = response.body;
   if (CONFIG.debug.logResponseBody && !isStream && LOG_LEVELS[CONFIG.debug.logLevel] >= LOG_LEVELS.DEBUG) {
     try {
       const clonedResponse = response.clone();
       const bodyText = await clonedResponse.text();
-      log('DEBUG', '响应体长度:', bodyText.length);
-      log('DEBUG', '响应体内容:', bodyText.substring(0, 500)); // 只显示前500字符
+      requestLog('DEBUG', '响应体长度:', bodyText.length);
+      requestLog('DEBUG', '响应体内容:', bodyText.substring(0, 500)); // 只显示前500字符
 
       // 尝试解析 JSON 验证格式
       try {
         const jsonBody = JSON.parse(bodyText);
-        log('DEBUG', '响应体 JSON 解析成功');
-        log('DEBUG', 'JSON 键:', Object.keys(jsonBody));
+        requestLog('DEBUG', '响应体 JSON 解析成功');
+        requestLog('DEBUG', 'JSON 键:', Object.keys(jsonBody));
       } catch (jsonError) {
-        log('DEBUG', '响应体不是有效的 JSON 格式');
+        requestLog('DEBUG', '响应体不是有效的 JSON 格式');
       }
     } catch (logError) {
-      log('ERROR', '记录响应体时出错:', logError.message);
+      requestLog('ERROR', '记录响应体时出错:', logError.message);
     }
   }
 
+  // Token 用量统计（读取响应副本或旁路解析 SSE，不延迟转发）
+  let responseBody = response.body;
+  if (CONFIG.usage.enabled && response.ok && response.body && proxyContext.ctx) {
+    responseBody = attachUsageTracking(response, isStream, proxyContext);
+  }
+
   // 创建新响应
   const modifiedResponse = new Response(responseBody, {
     status: response.status,
@@ -1002,15 +6903,168 @@ async function buildProxyResponse(response) {
     modifiedResponse.headers.set('X-Accel-Buffering', 'no');
   }
 
-  log('DEBUG', '=== 代理响应构建完成 ===');
+  requestLog('DEBUG', '=== 代理响应构建完成 ===');
 
   return modifiedResponse;
 }
 
+/**
+ * 判断是否为流式响应（SSE）
+ * @param {Response} response - 响应对象
+ */
+function isStreamResponse(response) {
+  const contentType = response.headers.get('content-type') || '';
+  return contentType.includes('text/event-stream') ||
+         contentType.includes('application/stream+json');
+}
+
+/**
+ * 包装响应流：流正常结束、出错或被客户端取消时调用 onDone（只调用一次）
+ * @param {ReadableStream} body - 原始响应流
+ * @param {Function} onDone - 结束回调
+ * @param {Function} onChunk - 可选，每个数据块转发前的旁路回调
+ */
+function wrapStreamWithFinalizer(body, onDone, onChunk = null) {
+  const reader = body.getReader();
+  let finished = false;
+  const finish = () => {
+    if (finished) return;
+    finished = true;
+    try {
+      onDone();
+    } catch (error) {
+      log('ERROR', '流结束回调执行失败:', error.message);
+    }
+  };
+
+  return new ReadableStream({
+    async pull(controller) {
+      try {
+        const { done, value } = await reader.read();
+        if (done) {
+          controller.close();
+          finish();
+          return;
+        }
+        controller.enqueue(value);
+        if (onChunk) {
+          try {
+            onChunk(value);
+          } catch (error) {
+            log('ERROR', '流数据旁路处理失败:', error.message);
+          }
+        }
+      } catch (error) {
+        controller.error(error);
+        finish();
+      }
+    },
+    async cancel(reason) {
+      finish();
+      await reader.cancel(reason);
+    },
+  });
+}
+
+/**
+ * 读取 JSON 请求体（不消耗原始请求，解析失败返回 null）
+ * @param {Request} request - 原始请求
+ */
+async function readJsonBody(request) {
+  if (!['POST', 'PUT', 'PATCH'].includes(request.method)) return null;
+
+  const contentType = request.headers.get('content-type') || '';
+  if (contentType && !contentType.includes('json')) return null;
+
+  try {
+    return await request.clone().json();
+  } catch (error) {
+    return null;
+  }
+}
+
+// 缓存代数：清除缓存时加一，旧代数的缓存键不再被使用（保存在 CONFIG_KV，未绑定时只在本 isolate 生效）
+const CACHE_GENERATION_KEY = 'cache:generation';
+let cacheGeneration = { value: 0, expiresAt: 0 };
+
+/**
+ * 匹配 GET 缓存规则（按顺序取第一条）
+ * @param {string} pathname - 请求路径
+ * @returns {object|null} 缓存规则
+ */
+function matchCacheRule(pathname) {
+  return CONFIG.cache.rules.find(rule => {
+    const pattern = rule.path.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${pattern}$`).test(pathname);
+  }) || null;
+}
+
+/**
+ * 读取当前缓存代数（与配置一样缓存 CONFIG_CACHE_TTL 毫秒）
+ * @param {object} env - Worker 环境变量与绑定
+ */
+async function getCacheGeneration(env) {
+  if (!env.CONFIG_KV || cacheGeneration.expiresAt > Date.now()) return cacheGeneration.value;
+  try {
+    const value = Number(await env.CONFIG_KV.get(CACHE_GENERATION_KEY)) || 0;
+    cacheGeneration = { value, expiresAt: Date.now() + CONFIG_CACHE_TTL };
+  } catch (error) {
+    log('WARN', '读取缓存代数失败:', error.message);
+  }
+  return cacheGeneration.value;
+}
+
+/**
+ * 清除所有 GET 缓存：缓存代数加一（POST /_admin/cache/purge）
+ * Cache API 只能删除当前数据中心的条目，改变缓存键可以让所有数据中心的旧缓存同时失效
+ * @param {object} env - Worker 环境变量与绑定
+ */
+async function purgeCache(env) {
+  const generation = await getCacheGeneration(env) + 1;
+  if (env.CONFIG_KV) {
+    await env.CONFIG_KV.put(CACHE_GENERATION_KEY, String(generation));
+  }
+  cacheGeneration = { value: generation, expiresAt: Date.now() + CONFIG_CACHE_TTL };
+  return {
+    purged: true,
+    generation,
+    // 其他 isolate 最多在 CONFIG_CACHE_TTL 后读取到新的代数
+    scope: env.CONFIG_KV ? 'global' : 'isolate',
+    propagationSeconds: env.CONFIG_KV ? CONFIG_CACHE_TTL / 1000 : 0,
+  };
+}
+
+/**
+ * 构建缓存键：Cloudflare 缓存会忽略大部分 Vary 头，因此把凭据哈希和 cache.keyHeaders 显式写入键 URL
+ * @param {object} env - Worker 环境变量与绑定
+ * @param {Request} request - 原始请求
+ * @param {object} rule - 匹配的缓存规则
+ * @returns {Promise<Request>}
+ */
+async function buildCacheKey(env, request, rule) {
+  const url = new URL(request.url);
+  url.searchParams.sort();
+
+  const parts = [`generation=${await getCacheGeneration(env)}`];
+  if (rule.authScoped !== false) {
+    // 凭据只以哈希形式进入缓存键
+    parts.push(`credential=${await sha256Hex(extractClientKey(request) || 'anonymous')}`);
+  }
+  CONFIG.cache.keyHeaders.forEach(header => {
+    parts.push(`${header.toLowerCase()}=${request.headers.get(header) || ''}`);
+  });
+  url.searchParams.set('__proxy_cache', await sha256Hex(parts.join('\n')));
+
+  return new Request(url.toString(), { method: 'GET' });
+}
+
 /**
  * 判断是否应该缓存
+ * @param {Request} request - 原始请求
+ * @param {Response} response - 响应对象
+ * @param {object} rule - 匹配的缓存规则
  */
-function shouldCache(request, response) {
+function shouldCache(request, response, rule) {
   // 只缓存 GET 请求
   if (request.method !== 'GET') {
     return false;
@@ -1021,9 +7075,9 @@ function shouldCache(request, response) {
     return false;
   }
 
-  // 检查响应头中的缓存控制
+  // 检查响应头中的缓存控制（private 响应只能按凭据分别缓存）
   const cacheControl = response.headers.get('Cache-Control');
-  if (cacheControl && (cacheControl.includes('no-store') || cacheControl.includes('private'))) {
+  if (cacheControl && (cacheControl.includes('no-store') || (cacheControl.includes('private') && rule.authScoped === false))) {
     return false;
   }
 
@@ -1038,50 +7092,180 @@ function shouldCache(request, response) {
 
 /**
  * 缓存响应并设置 TTL
- * @param {Request} request - 原始请求
+ * @param {Request} cacheKey - 缓存键（见 buildCacheKey）
+ * @param {object} rule - 匹配的缓存规则
  * @param {Response} response - 响应对象
  */
-async function cacheWithTTL(request, response) {
+async function cacheWithTTL(cacheKey, rule, response) {
   try {
-    const url = new URL(request.url);
-    const isStatic = CONFIG.cache.staticExtensions.some(ext => url.pathname.endsWith(ext));
-    const ttl = isStatic ? CONFIG.cache.staticTtl : CONFIG.cache.defaultTtl;
+    const ttl = rule.ttl ?? CONFIG.cache.defaultTtl;
+    if (ttl <= 0) return;
 
     // 设置缓存控制头
     response.headers.set('Cache-Control', `public, max-age=${ttl}`);
-
-    // 添加 Vary 头支持，确保根据这些头的不同值分别缓存
-    const varyHeaders = [
-      'Accept-Language',
-      'Accept-Encoding',
-      'Authorization', // 如果有认证头，分别缓存
-    ];
-
-    // 检查原响应是否已有 Vary 头
-    const existingVary = response.headers.get('Vary');
-    if (existingVary) {
-      // 合并已有的 Vary 头
-      const combined = new Set([...existingVary.split(',').map(v => v.trim()), ...varyHeaders]);
-      response.headers.set('Vary', Array.from(combined).join(', '));
-    } else {
-      // 只为有意义的请求添加 Vary 头
-      const relevantVaryHeaders = varyHeaders.filter(header => request.headers.has(header));
-      if (relevantVaryHeaders.length > 0) {
-        response.headers.set('Vary', relevantVaryHeaders.join(', '));
-      }
-    }
+    // 缓存键已区分凭据和请求头，不再需要 Vary
+    response.headers.delete('Vary');
+    response.headers.delete('Set-Cookie');
 
     // 添加缓存时间戳
     response.headers.set('X-Cache-Date', new Date().toISOString());
 
     const cache = caches.default;
-    await cache.put(request, response);
-    log('DEBUG', `已缓存响应: ${url.pathname} (TTL: ${ttl}s)`);
+    await cache.put(cacheKey, response);
+    log('DEBUG', `已缓存响应: ${new URL(cacheKey.url).pathname} (TTL: ${ttl}s)`);
   } catch (error) {
     log('ERROR', '缓存写入失败:', error.message);
   }
 }
 
+// Prompt 缓存键包含的请求字段（stream、metadata 等不影响输出的字段不参与）
+const PROMPT_CACHE_FIELDS = [
+  'model', 'system', 'messages', 'tools', 'tool_choice', 'temperature', 'top_p', 'top_k',
+  'max_tokens', 'stop_sequences', 'thinking',
+];
+
+/**
+ * 规范化 JSON：对象键排序，字符串形式的 content / system 转为文本块数组，使等价请求得到相同的键
+ * @param {any} value - 待规范化的值
+ * @param {string} key - 所在字段名
+ */
+function canonicalizePromptValue(value, key = '') {
+  if (typeof value === 'string' && (key === 'content' || key === 'system')) {
+    return [{ text: value, type: 'text' }];
+  }
+  if (Array.isArray(value)) return value.map(item => canonicalizePromptValue(item));
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.keys(value).sort().map(name => [name, canonicalizePromptValue(value[name], name)]));
+  }
+  return value;
+}
+
+/**
+ * 计算 Prompt 缓存的键和状态
+ * - 返回 { key } 表示需要查询缓存；{ status: 'BYPASS' } 表示客户端跳过缓存；null 表示不适用
+ * @param {object} env - Worker 环境变量与绑定
+ * @param {Request} request - 原始请求
+ * @param {URL} url - 请求 URL
+ * @param {object} proxyContext - 请求上下文
+ */
+async function getPromptCacheKey(env, request, url, proxyContext) {
+  const body = proxyContext.requestBody;
+  if (!CONFIG.promptCache.enabled || request.method !== 'POST' || url.pathname !== '/v1/messages' || !isPlainObject(body)) {
+    return null;
+  }
+
+  const directive = (request.headers.get('x-proxy-cache') || '').trim().toLowerCase();
+  if (directive === 'bypass') return { status: 'BYPASS' };
+  const wanted = directive === 'use' || (CONFIG.promptCache.mode === 'auto' && body.temperature === 0);
+  if (!wanted) return null;
+
+  if (!env.PROMPT_CACHE_KV) {
+    log('WARN', '已启用 Prompt 缓存但未绑定 PROMPT_CACHE_KV');
+    return null;
+  }
+
+  const canonical = {};
+  PROMPT_CACHE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) canonical[field] = canonicalizePromptValue(body[field], field);
+  });
+  // beta 功能会改变输出，不同的 anthropic-beta 分别缓存
+  canonical.beta = request.headers.get('anthropic-beta') || '';
+  const scope = CONFIG.promptCache.scope === 'key' ? (proxyContext.client?.id || await sha256Hex(extractClientKey(request) || 'anonymous')) : 'global';
+
+  return { key: `prompt:${await sha256Hex(`${scope}\n${JSON.stringify(canonical)}`)}` };
+}
+
+/**
+ * 把缓存的消息构造成响应：非流式请求返回 JSON，流式请求重放为 Anthropic SSE 事件
+ * @param {object} entry - 缓存记录 { message, createdAt }
+ * @param {boolean} stream - 请求是否为流式
+ */
+function buildPromptCacheResponse(entry, stream) {
+  const headers = {
+    'X-Cache-Status': 'HIT',
+    'Age': String(Math.max(0, Math.floor((Date.now() - entry.createdAt) / 1000))),
+    ...getCORSHeaders(),
+  };
+  if (!stream) {
+    return new Response(JSON.stringify(entry.message), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json', ...headers },
+    });
+  }
+
+  const { content = [], stop_reason: stopReason, stop_sequence: stopSequence, usage = {}, ...message } = entry.message;
+  const events = [];
+  const emit = data => events.push(`event: ${data.type}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  emit({
+    type: 'message_start',
+    message: { ...message, content: [], stop_reason: null, stop_sequence: null, usage: { ...usage, output_tokens: 0 } },
+  });
+  content.forEach((block, index) => {
+    if (block.type === 'text') {
+      emit({ type: 'content_block_start', index, content_block: { ...block, text: '' } });
+      emit({ type: 'content_block_delta', index, delta: { type: 'text_delta', text: block.text } });
+    } else if (block.type === 'thinking') {
+      emit({ type: 'content_block_start', index, content_block: { type: 'thinking', thinking: '', signature: '' } });
+      emit({ type: 'content_block_delta', index, delta: { type: 'thinking_delta', thinking: block.thinking } });
+      emit({ type: 'content_block_delta', index, delta: { type: 'signature_delta', signature: block.signature } });
+    } else if (block.type === 'tool_use' || block.type === 'server_tool_use') {
+      emit({ type: 'content_block_start', index, content_block: { ...block, input: {} } });
+      emit({ type: 'content_block_delta', index, delta: { type: 'input_json_delta', partial_json: JSON.stringify(block.input ?? {}) } });
+    } else {
+      // 其他块（如 redacted_thinking、工具结果）一次性下发
+      emit({ type: 'content_block_start', index, content_block: block });
+    }
+    emit({ type: 'content_block_stop', index });
+  });
+  emit({
+    type: 'message_delta',
+    delta: { stop_reason: stopReason, stop_sequence: stopSequence ?? null },
+    usage: { output_tokens: usage.output_tokens ?? 0 },
+  });
+  emit({ type: 'message_stop' });
+
+  return new Response(events.join(''), {
+    status: 200,
+    headers: { 'Content-Type': 'text/event-stream; charset=utf-8', 'Cache-Control': 'no-cache', ...headers },
+  });
+}
+
+/**
+ * 旁路读取成功的响应，完整结束后写入 Prompt 缓存（流式响应重新组装为消息；中断或出错的响应不缓存）
+ * @param {Response} response - 上游响应
+ * @param {string} key - 缓存键
+ * @param {object} proxyContext - 请求上下文
+ * @returns {Response}
+ */
+function attachPromptCacheWrite(response, key, proxyContext) {
+  const { env, ctx } = proxyContext;
+  const requestLog = proxyContext.log || log;
+  const store = message => {
+    if (message?.type !== 'message' || !message.stop_reason) return;
+    ctx.waitUntil(env.PROMPT_CACHE_KV.put(key, JSON.stringify({ message, createdAt: Date.now() }), {
+      expirationTtl: CONFIG.promptCache.ttl,
+    }).then(
+      () => requestLog('DEBUG', `已写入 Prompt 缓存 (TTL: ${CONFIG.promptCache.ttl}s)`),
+      error => requestLog('ERROR', 'Prompt 缓存写入失败:', error.message)
+    ));
+  };
+
+  if (!isStreamResponse(response)) {
+    ctx.waitUntil(response.clone().json().then(store, () => {}));
+    return response;
+  }
+
+  const decoder = new TextDecoder();
+  let text = '';
+  return new Response(wrapStreamWithFinalizer(response.body, () => {
+    const assembled = assembleSSEMessage(text + decoder.decode());
+    if (assembled.completed && !assembled.error) store(assembled.message);
+  }, chunk => {
+    text += decoder.decode(chunk, { stream: true });
+  }), response);
+}
+
 /**
  * 获取 CORS 响应头
  */
@@ -1095,6 +7279,34 @@ function getCORSHeaders() {
   };
 }
 
+/**
+ * 构建 JSON 响应（带 CORS 头）
+ * @param {object} data - 响应数据
+ * @param {number} status - HTTP 状态码
+ * @param {object} extraHeaders - 额外响应头
+ */
+function jsonResponse(data, status = 200, extraHeaders = {}) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: {
+      'Content-Type': 'application/json; charset=utf-8',
+      ...getCORSHeaders(),
+      ...extraHeaders,
+    },
+  });
+}
+
+/**
+ * 构建 Anthropic 格式的错误响应，便于 SDK 客户端正确识别
+ * @param {number} status - HTTP 状态码
+ * @param {string} type - 错误类型（authentication_error、rate_limit_error 等）
+ * @param {string} message - 错误信息
+ * @param {object} extraHeaders - 额外响应头
+ */
+function anthropicErrorResponse(status, type, message, extraHeaders = {}) {
+  return jsonResponse({ type: 'error', error: { type, message } }, status, extraHeaders);
+}
+
 /**
  * 处理 CORS 预检请求
  */